@@ -3,17 +3,53 @@
 
 -- Drop tables if they exist (for clean setup)
 DROP TABLE IF EXISTS order_status_history CASCADE;
+DROP TABLE IF EXISTS deliveries CASCADE;
+DROP TABLE IF EXISTS upload_sessions CASCADE;
+DROP TABLE IF EXISTS deliverable_downloads CASCADE;
+DROP TABLE IF EXISTS download_links CASCADE;
 DROP TABLE IF EXISTS deliverables CASCADE;
+DROP TABLE IF EXISTS refunds CASCADE;
 DROP TABLE IF EXISTS payments CASCADE;
+DROP TABLE IF EXISTS idempotency_keys CASCADE;
+DROP TABLE IF EXISTS webhook_events CASCADE;
+DROP TABLE IF EXISTS coupon_redemptions CASCADE;
 DROP TABLE IF EXISTS orders CASCADE;
+DROP TABLE IF EXISTS subscriptions CASCADE;
+DROP TABLE IF EXISTS bank_transfers CASCADE;
+DROP TABLE IF EXISTS abandoned_checkouts CASCADE;
+DROP TABLE IF EXISTS checkout_reminder_opt_outs CASCADE;
+DROP TABLE IF EXISTS invoices CASCADE;
+DROP TABLE IF EXISTS invoice_sequences CASCADE;
+DROP TABLE IF EXISTS checkout_sessions CASCADE;
+DROP TABLE IF EXISTS customer_login_tokens CASCADE;
 DROP TABLE IF EXISTS customers CASCADE;
+DROP TABLE IF EXISTS coupons CASCADE;
+DROP TABLE IF EXISTS service_tier_prices CASCADE;
+DROP TABLE IF EXISTS tier_volume_discounts CASCADE;
+DROP TABLE IF EXISTS bundle_rules CASCADE;
+DROP TABLE IF EXISTS exchange_rates CASCADE;
+DROP TABLE IF EXISTS tax_rates CASCADE;
+DROP TABLE IF EXISTS service_tiers CASCADE;
 DROP TABLE IF EXISTS services CASCADE;
+DROP TABLE IF EXISTS service_categories CASCADE;
 DROP TABLE IF EXISTS admin_users CASCADE;
 
 -- Create ENUM types
 CREATE TYPE order_status AS ENUM ('pending', 'confirmed', 'in_progress', 'completed', 'cancelled');
-CREATE TYPE payment_status AS ENUM ('pending', 'paid', 'failed', 'refunded');
+CREATE TYPE payment_status AS ENUM ('pending', 'paid', 'failed', 'refunded', 'partially_refunded', 'disputed');
 CREATE TYPE payment_method AS ENUM ('paypal', 'stripe', 'bank_transfer');
+CREATE TYPE checkout_session_status AS ENUM ('open', 'completed', 'failed', 'expired');
+CREATE TYPE webhook_event_status AS ENUM ('received', 'processing', 'processed', 'failed', 'rejected');
+CREATE TYPE coupon_discount_type AS ENUM ('percentage', 'fixed');
+CREATE TYPE billing_interval AS ENUM ('week', 'month');
+CREATE TYPE subscription_status AS ENUM ('pending', 'active', 'paused', 'past_due', 'cancelled');
+CREATE TYPE bank_transfer_status AS ENUM ('awaiting', 'received', 'expired');
+CREATE TYPE abandoned_checkout_status AS ENUM ('open', 'recovered');
+CREATE TYPE deliverable_visibility AS ENUM ('customer', 'internal');
+CREATE TYPE delivery_method AS ENUM ('attachments', 'links');
+CREATE TYPE delivery_status AS ENUM ('sent', 'failed');
+CREATE TYPE upload_session_status AS ENUM ('open', 'completed', 'aborted');
+CREATE TYPE file_scan_status AS ENUM ('clean', 'skipped', 'error');
 
 -- Service categories table
 CREATE TABLE service_categories (
@@ -21,7 +57,9 @@ CREATE TABLE service_categories (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     icon VARCHAR(50),
+    sort_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
+    deleted_at TIMESTAMP, -- Soft delete (rows stay for order history)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -34,7 +72,9 @@ CREATE TABLE services (
     short_description TEXT,
     description TEXT,
     features JSONB, -- Array of features
+    sort_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
+    deleted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -48,7 +88,80 @@ CREATE TABLE service_tiers (
     delivery_days INTEGER NOT NULL,
     features JSONB, -- Array of tier-specific features
     is_popular BOOLEAN DEFAULT false,
+    billing_interval billing_interval, -- Set for tiers sold as subscriptions; NULL for one-off orders
+    sort_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-currency tier prices (override the converted base price)
+CREATE TABLE service_tier_prices (
+    tier_id VARCHAR(50) REFERENCES service_tiers(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tier_id, currency)
+);
+
+-- Volume discount brackets (the largest bracket the tier's cart quantity reaches applies)
+CREATE TABLE tier_volume_discounts (
+    id SERIAL PRIMARY KEY,
+    tier_id VARCHAR(50) REFERENCES service_tiers(id) ON DELETE CASCADE,
+    min_quantity INTEGER NOT NULL CHECK (min_quantity >= 2),
+    discount_percent DECIMAL(5,2) NOT NULL CHECK (discount_percent > 0 AND discount_percent < 100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tier_id, min_quantity)
+);
+
+-- Bundle rules (one unit of each listed tier bought together gets discount_percent off)
+CREATE TABLE bundle_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    tier_ids JSONB NOT NULL, -- Array of service tier ids
+    discount_percent DECIMAL(5,2) NOT NULL CHECK (discount_percent > 0 AND discount_percent < 100),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Exchange rates from the base currency (USD); a currency is offered at checkout while active
+CREATE TABLE exchange_rates (
+    currency VARCHAR(3) PRIMARY KEY,
+    rate DECIMAL(12,6) NOT NULL CHECK (rate > 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- VAT rates by customer country (EU member states and the UK); other countries are untaxed
+CREATE TABLE tax_rates (
+    country VARCHAR(2) PRIMARY KEY, -- ISO 3166-1 alpha-2
+    name VARCHAR(50) DEFAULT 'VAT',
+    rate DECIMAL(5,2) NOT NULL CHECK (rate >= 0 AND rate < 100),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupons table (discount codes; fixed amounts and minimums are in the base currency)
+CREATE TABLE coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL, -- Stored upper-case
+    description TEXT,
+    discount_type coupon_discount_type NOT NULL,
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0), -- Percent off or USD amount off
+    tier_ids JSONB DEFAULT '[]', -- Restrict to these service tiers (empty = no restriction)
+    category_ids JSONB DEFAULT '[]', -- Restrict to these service categories (empty = no restriction)
+    min_cart_amount DECIMAL(10,2), -- Minimum cart subtotal in USD
+    max_uses INTEGER, -- Across all customers (NULL = unlimited)
+    max_uses_per_customer INTEGER,
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    deleted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -60,6 +173,135 @@ CREATE TABLE customers (
     email VARCHAR(255) UNIQUE NOT NULL,
     website VARCHAR(500) NOT NULL,
     phone VARCHAR(50),
+    country VARCHAR(2), -- ISO 3166-1 alpha-2, decides VAT
+    vat_id VARCHAR(20), -- Business customers' VAT number
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer magic-link tokens (one row per link emailed; a link can be used once)
+CREATE TABLE customer_login_tokens (
+    jti UUID PRIMARY KEY, -- The signed token's ID
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Checkout sessions table (priced cart held between payment intent and confirmation)
+CREATE TABLE checkout_sessions (
+    id UUID PRIMARY KEY,
+    payment_method payment_method NOT NULL,
+    payment_id VARCHAR(255), -- Gateway reference (Stripe PaymentIntent ID)
+    customer JSONB NOT NULL, -- Customer details submitted at checkout
+    items JSONB NOT NULL, -- Priced line items at intent time
+    total_amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    coupon_id INTEGER REFERENCES coupons(id),
+    coupon_code VARCHAR(50),
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    tax JSONB, -- Tax treatment worked out at intent time
+    status checkout_session_status DEFAULT 'open',
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (payment_method, payment_id)
+);
+
+-- Abandoned checkouts table (gateway checkouts still unpaid when their first reminder is due)
+CREATE TABLE abandoned_checkouts (
+    id SERIAL PRIMARY KEY,
+    token VARCHAR(64) UNIQUE NOT NULL, -- Identifies the checkout in resume and opt-out links
+    payment_method payment_method NOT NULL,
+    payment_id VARCHAR(255) NOT NULL, -- Stripe PaymentIntent or PayPal order ID
+    customer JSONB NOT NULL, -- Customer details submitted at checkout
+    customer_email VARCHAR(255) NOT NULL,
+    items JSONB NOT NULL, -- Line items as priced at checkout
+    coupon_code VARCHAR(50),
+    total_amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    status abandoned_checkout_status DEFAULT 'open',
+    reminders_sent INTEGER DEFAULT 0,
+    last_reminder_at TIMESTAMP,
+    started_at TIMESTAMP NOT NULL, -- When the checkout itself was created
+    recovered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (payment_method, payment_id)
+);
+
+-- Emails that opted out of abandoned checkout reminders
+CREATE TABLE checkout_reminder_opt_outs (
+    email VARCHAR(255) PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoice number sequences (one row per year; bumped inside the invoicing transaction so numbers have no gaps)
+CREATE TABLE invoice_sequences (
+    year INTEGER PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoices table (one per paid order or cart; the PDF is stored as issued)
+CREATE TABLE invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(50) UNIQUE NOT NULL,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL, -- Invoices outlive their customer and orders
+    checkout_session_id UUID REFERENCES checkout_sessions(id),
+    customer JSONB NOT NULL, -- Billing details as printed on the invoice
+    line_items JSONB NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    net_amount DECIMAL(10,2) NOT NULL,
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL,
+    tax_rate DECIMAL(5,2) DEFAULT 0,
+    tax_treatment VARCHAR(20) DEFAULT 'none',
+    pdf BYTEA NOT NULL,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Subscriptions table (a tier billed every period by Stripe or PayPal; each paid period creates an order)
+CREATE TABLE subscriptions (
+    id SERIAL PRIMARY KEY,
+    reference UUID UNIQUE NOT NULL, -- Given to the customer to manage the subscription
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    service_tier_id VARCHAR(50) REFERENCES service_tiers(id),
+    item JSONB NOT NULL, -- Priced line item every period's order is created from
+    tax JSONB, -- Tax treatment worked out at sign-up
+    billing_interval billing_interval NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL, -- Gross amount charged per period
+    currency VARCHAR(3) DEFAULT 'USD',
+    payment_method payment_method NOT NULL,
+    gateway_subscription_id VARCHAR(255), -- Stripe subscription or PayPal subscription ID
+    gateway_plan_id VARCHAR(255), -- PayPal billing plan
+    status subscription_status DEFAULT 'pending',
+    periods_paid INTEGER DEFAULT 0,
+    current_period_start TIMESTAMP,
+    current_period_end TIMESTAMP,
+    paused_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancel_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (payment_method, gateway_subscription_id)
+);
+
+-- Bank transfers table (one per bank transfer checkout; its orders' payments carry the reference as payment_id)
+CREATE TABLE bank_transfers (
+    id SERIAL PRIMARY KEY,
+    reference VARCHAR(20) UNIQUE NOT NULL, -- Quoted by the customer on the transfer
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    status bank_transfer_status DEFAULT 'awaiting',
+    expires_at TIMESTAMP NOT NULL, -- Orders are cancelled if nothing arrives by then
+    received_at TIMESTAMP,
+    received_amount DECIMAL(10,2),
+    received_by INTEGER, -- Admin user ID
+    expired_at TIMESTAMP,
+    notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -76,9 +318,22 @@ CREATE TABLE orders (
     delivery_days INTEGER NOT NULL, -- Denormalized for history
     keywords TEXT NOT NULL,
     quantity INTEGER DEFAULT 1,
-    total_amount DECIMAL(10,2) NOT NULL,
+    net_amount DECIMAL(10,2), -- After discounts, before tax
+    tax_rate DECIMAL(5,2) DEFAULT 0,
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL, -- Gross: net_amount + tax_amount (what the gateway charges)
+    tax_country VARCHAR(2),
+    tax_treatment VARCHAR(20) DEFAULT 'none', -- 'none', 'standard' or 'reverse_charge'
+    customer_vat_id VARCHAR(20), -- VAT ID the order was reverse charged against
+    currency VARCHAR(3) DEFAULT 'USD', -- Currency of service_price and total_amount
+    discount_amount DECIMAL(10,2) DEFAULT 0, -- This order's share of the coupon discount
+    coupon_code VARCHAR(50),
+    price_breakdown JSONB, -- List total and the volume, bundle and coupon adjustments
     status order_status DEFAULT 'pending',
     payment_status payment_status DEFAULT 'pending',
+    checkout_session_id UUID REFERENCES checkout_sessions(id),
+    invoice_id INTEGER REFERENCES invoices(id),
+    subscription_id INTEGER REFERENCES subscriptions(id),
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -90,12 +345,72 @@ CREATE TABLE payments (
     order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
     payment_method payment_method NOT NULL,
     payment_id VARCHAR(255), -- PayPal transaction ID
+    capture_id VARCHAR(255), -- PayPal capture ID (refund and reversal webhooks reference it)
     payer_id VARCHAR(255), -- PayPal payer ID
     amount DECIMAL(10,2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'USD',
     status payment_status DEFAULT 'pending',
     gateway_response JSONB, -- Store full gateway response
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (payment_method, payment_id, order_id) -- One row per gateway payment and order
+);
+
+-- Refunds table (one row per gateway refund issued against a payment)
+CREATE TABLE refunds (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    gateway_refund_id VARCHAR(255) UNIQUE, -- Stripe refund ID or PayPal refund ID (NULL until the gateway has answered)
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL, -- 'pending' until the gateway answers, then 'succeeded' (or still 'pending') or 'failed'
+    reason TEXT,
+    gateway_response JSONB,
+    created_by INTEGER, -- Admin user ID
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupon redemptions table (one row per checkout that used a coupon)
+CREATE TABLE coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE, -- First order of the checkout
+    customer_email VARCHAR(255) NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Idempotency keys table (responses replayed for a repeated Idempotency-Key header)
+CREATE TABLE idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL, -- SHA-256 of the request body
+    response_status INTEGER, -- NULL while the first request is still running
+    response_body JSONB,
+    lock_token UUID NOT NULL, -- set by the request holding the key; a stale claim is taken over with a new token
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE (idempotency_key, request_path)
+);
+
+-- Webhook events table (inbox of raw gateway events, verified or not)
+CREATE TABLE webhook_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL, -- 'stripe' or 'paypal'
+    event_id VARCHAR(255),
+    event_type VARCHAR(100),
+    verified BOOLEAN DEFAULT false,
+    headers JSONB,
+    payload JSONB NOT NULL,
+    status webhook_event_status DEFAULT 'received', -- 'rejected' when verification failed
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -114,13 +429,83 @@ CREATE TABLE deliverables (
     id SERIAL PRIMARY KEY,
     order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
     file_name VARCHAR(255) NOT NULL,
-    file_path VARCHAR(500) NOT NULL,
+    file_path VARCHAR(500) NOT NULL, -- Storage key (local uploads directory or S3 bucket)
     file_type VARCHAR(100),
     file_size INTEGER,
+    description TEXT, -- Shown to the customer alongside the file
+    visibility deliverable_visibility DEFAULT 'customer', -- Internal files are never shown or sent to the customer
+    version INTEGER DEFAULT 1,
+    previous_version_id INTEGER REFERENCES deliverables(id) ON DELETE SET NULL, -- The version this one replaced
+    is_current BOOLEAN DEFAULT true, -- False once a newer version has been uploaded
+    detected_type VARCHAR(20), -- Type found from the file's contents (pdf, xlsx, zip, ...)
+    scan_status file_scan_status, -- Virus scan: skipped when no scanner is configured, error when it failed
+    scan_result JSONB, -- Scanner used, its error if any, and ZIP entry count and uncompressed size
+    scanned_at TIMESTAMP,
     uploaded_by INTEGER, -- Admin user ID
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Download links table (signed, expiring links to one deliverable; the token carries the link ID)
+CREATE TABLE download_links (
+    id SERIAL PRIMARY KEY,
+    deliverable_id INTEGER NOT NULL REFERENCES deliverables(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    max_downloads INTEGER, -- NULL for unlimited
+    download_count INTEGER DEFAULT 0,
+    revoked_at TIMESTAMP,
+    revoked_by INTEGER, -- Admin user ID
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deliverable downloads table (one row per file served)
+CREATE TABLE deliverable_downloads (
+    id SERIAL PRIMARY KEY,
+    deliverable_id INTEGER NOT NULL REFERENCES deliverables(id) ON DELETE CASCADE,
+    link_id INTEGER REFERENCES download_links(id) ON DELETE SET NULL, -- NULL for downloads from the customer portal
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL, -- Set for downloads from the customer portal
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    downloaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upload sessions table (large deliverables uploaded in parts; the file becomes a deliverable once complete)
+CREATE TABLE upload_sessions (
+    id UUID PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    file_type VARCHAR(100),
+    file_size INTEGER NOT NULL, -- Total bytes the client will send
+    part_size INTEGER NOT NULL, -- Bytes per part (the last part may be smaller)
+    storage_key VARCHAR(500) NOT NULL, -- Where the joined file is stored
+    storage_upload_id VARCHAR(1024) NOT NULL, -- Multipart upload ID from the storage driver
+    parts JSONB DEFAULT '{}', -- { "<part number>": { "etag": ..., "size": ... } } for each part received
+    joined BOOLEAN DEFAULT false, -- Parts have been joined into the file at storage_key (the multipart upload is gone)
+    description TEXT,
+    visibility deliverable_visibility,
+    replaces INTEGER REFERENCES deliverables(id) ON DELETE SET NULL, -- Deliverable the upload is a new version of
+    status upload_session_status DEFAULT 'open',
+    deliverable_id INTEGER REFERENCES deliverables(id) ON DELETE SET NULL, -- Set once completed
+    created_by INTEGER, -- Admin user ID
+    expires_at TIMESTAMP NOT NULL, -- Open sessions are aborted after this
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deliveries table (each time deliverables were emailed to the customer, including failed attempts)
+CREATE TABLE deliveries (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    message TEXT,
+    recipients JSONB NOT NULL, -- Array of email addresses
+    method delivery_method NOT NULL, -- Files attached to the email or sent as download links
+    deliverable_ids JSONB DEFAULT '[]', -- Deliverables included in the email
+    status delivery_status NOT NULL,
+    error TEXT, -- Why the email failed
+    sent_by INTEGER, -- Admin user ID
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Admin users table
 CREATE TABLE admin_users (
     id SERIAL PRIMARY KEY,
@@ -141,14 +526,43 @@ CREATE INDEX idx_orders_service_tier_id ON orders(service_tier_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_payment_status ON orders(payment_status);
 CREATE INDEX idx_orders_created_at ON orders(created_at);
+CREATE INDEX idx_orders_checkout_session_id ON orders(checkout_session_id);
+CREATE INDEX idx_orders_invoice_id ON orders(invoice_id);
+CREATE INDEX idx_orders_subscription_id ON orders(subscription_id);
+CREATE INDEX idx_subscriptions_customer_id ON subscriptions(customer_id);
+CREATE INDEX idx_subscriptions_status ON subscriptions(status);
+CREATE INDEX idx_bank_transfers_customer_id ON bank_transfers(customer_id);
+CREATE INDEX idx_bank_transfers_status_expires_at ON bank_transfers(status, expires_at);
+CREATE INDEX idx_abandoned_checkouts_status ON abandoned_checkouts(status);
+CREATE INDEX idx_abandoned_checkouts_started_at ON abandoned_checkouts(started_at);
+CREATE INDEX idx_abandoned_checkouts_customer_email ON abandoned_checkouts(customer_email);
+CREATE INDEX idx_checkout_sessions_status ON checkout_sessions(status);
+CREATE INDEX idx_invoices_customer_id ON invoices(customer_id);
 CREATE INDEX idx_customers_email ON customers(email);
+CREATE INDEX idx_customer_login_tokens_customer_id ON customer_login_tokens(customer_id);
 CREATE INDEX idx_payments_order_id ON payments(order_id);
 CREATE INDEX idx_payments_payment_id ON payments(payment_id);
+CREATE INDEX idx_payments_capture_id ON payments(capture_id);
+CREATE INDEX idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX idx_coupon_redemptions_coupon_id ON coupon_redemptions(coupon_id);
+CREATE INDEX idx_coupon_redemptions_order_id ON coupon_redemptions(order_id);
+-- Dedupe verified events only, so a forged event cannot block the real one
+CREATE UNIQUE INDEX idx_webhook_events_provider_event_id ON webhook_events(provider, event_id) WHERE verified;
+CREATE INDEX idx_webhook_events_status ON webhook_events(status);
 CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id);
 CREATE INDEX idx_deliverables_order_id ON deliverables(order_id);
+CREATE INDEX idx_deliverables_current ON deliverables(order_id) WHERE is_current;
+CREATE INDEX idx_download_links_deliverable_id ON download_links(deliverable_id);
+CREATE INDEX idx_download_links_order_id ON download_links(order_id);
+CREATE INDEX idx_deliverable_downloads_deliverable_id ON deliverable_downloads(deliverable_id);
+CREATE INDEX idx_deliverable_downloads_link_id ON deliverable_downloads(link_id);
+CREATE INDEX idx_deliveries_order_id ON deliveries(order_id);
+CREATE INDEX idx_upload_sessions_open ON upload_sessions(expires_at) WHERE status = 'open';
 CREATE INDEX idx_services_category_id ON services(category_id);
 CREATE INDEX idx_service_tiers_service_id ON service_tiers(service_id);
 CREATE INDEX idx_service_tiers_price ON service_tiers(price);
+CREATE INDEX idx_tier_volume_discounts_tier_id ON tier_volume_discounts(tier_id);
 
 -- Insert service categories
 INSERT INTO service_categories (id, name, description, icon) VALUES
@@ -209,6 +623,26 @@ INSERT INTO service_tiers (id, service_id, name, price, delivery_days, features,
 ('weekly-gold', 'weekly-package-service', 'Gold', 90.00, 7, '["15 WEB 2.0", "20 Article Submission", "35 Profile Backlinks", "35 Social Bookmarking", "30 Niche Blog Comments", "3 PDF Submission", "3 Image Sharing", "3 Video Sharing", "1 Blogger Post", "1 WIX Post", "1 WordPress Post", "30 Social Bookmarking for WEB 2.0", "70 DoFollow Backlinks for Profile Backlinks", "90 DoFollow Backlinks for Other Backlinks"]', true),
 ('weekly-platinum', 'weekly-package-service', 'Platinum', 140.00, 7, '["20 WEB 2.0", "30 Article Submission", "45 Profile Backlinks", "45 Social Bookmarking", "50 Niche Blog Comments", "4 PDF Submission", "5 Image Sharing", "5 Video Sharing", "1 Blogger Post", "1 WIX Post", "1 WordPress Post", "1 Mystrikingly Post", "50 Social Bookmarking for WEB 2.0", "100 DoFollow Backlinks for Profile Backlinks", "180 DoFollow Backlinks for Other Backlinks"]', false);
 
+-- Monthly and weekly packages renew as subscriptions
+UPDATE service_tiers SET billing_interval = 'month' WHERE service_id = 'monthly-seo-packages';
+UPDATE service_tiers SET billing_interval = 'week' WHERE service_id = 'weekly-package-service';
+
+-- Insert exchange rates (disabled until the rates are reviewed)
+INSERT INTO exchange_rates (currency, rate, is_active) VALUES
+('EUR', 0.920000, false),
+('GBP', 0.790000, false),
+('CAD', 1.370000, false),
+('AUD', 1.520000, false);
+
+-- Insert standard VAT rates (review when member states change them)
+INSERT INTO tax_rates (country, rate) VALUES
+('AT', 20.00), ('BE', 21.00), ('BG', 20.00), ('HR', 25.00), ('CY', 19.00),
+('CZ', 21.00), ('DK', 25.00), ('EE', 24.00), ('FI', 25.50), ('FR', 20.00),
+('DE', 19.00), ('GR', 24.00), ('HU', 27.00), ('IE', 23.00), ('IT', 22.00),
+('LV', 21.00), ('LT', 21.00), ('LU', 17.00), ('MT', 18.00), ('NL', 21.00),
+('PL', 23.00), ('PT', 23.00), ('RO', 21.00), ('SK', 23.00), ('SI', 22.00),
+('ES', 21.00), ('SE', 25.00), ('GB', 20.00);
+
 -- Function to generate tracking ID
 CREATE OR REPLACE FUNCTION generate_tracking_id() RETURNS TEXT AS $$
 BEGIN
@@ -239,10 +673,25 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+CREATE TRIGGER update_service_categories_updated_at BEFORE UPDATE ON service_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_services_updated_at BEFORE UPDATE ON services FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_service_tiers_updated_at BEFORE UPDATE ON service_tiers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_service_tier_prices_updated_at BEFORE UPDATE ON service_tier_prices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_bundle_rules_updated_at BEFORE UPDATE ON bundle_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_tax_rates_updated_at BEFORE UPDATE ON tax_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_exchange_rates_updated_at BEFORE UPDATE ON exchange_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_bank_transfers_updated_at BEFORE UPDATE ON bank_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_abandoned_checkouts_updated_at BEFORE UPDATE ON abandoned_checkouts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_invoice_sequences_updated_at BEFORE UPDATE ON invoice_sequences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_checkout_sessions_updated_at BEFORE UPDATE ON checkout_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_webhook_events_updated_at BEFORE UPDATE ON webhook_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_upload_sessions_updated_at BEFORE UPDATE ON upload_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Trigger to automatically add status history when order status changes
 CREATE OR REPLACE FUNCTION add_status_history() RETURNS TRIGGER AS $$
@@ -0,0 +1,187 @@
+import { EventEmitter } from 'events';
+import { createIdempotency } from '../idempotency.js';
+
+// In-memory idempotency_keys table; `now` is the database clock in minutes
+class FakeKeyDb {
+  constructor() {
+    this.rows = [];
+    this.now = 0;
+    this.lostRace = false;
+  }
+
+  find(key, path) {
+    return this.rows.find((row) => row.idempotency_key === key && row.request_path === path);
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO idempotency_keys')) {
+      const [key, path, hash, token] = params;
+      const row = this.find(key, path);
+
+      if (!row) {
+        this.rows.push({ idempotency_key: key, request_path: path, request_hash: hash, lock_token: token, locked_at: this.now, response_status: null, response_body: null });
+        return { rows: [{ id: this.rows.length }] };
+      }
+      if (row.response_status === null && row.locked_at < this.now - 5) {
+        Object.assign(row, { request_hash: hash, lock_token: token, locked_at: this.now });
+        return { rows: [{ id: 1 }] };
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT request_hash')) {
+      // The holder releases the key between our failed claim and this read
+      if (this.lostRace) {
+        this.lostRace = false;
+        this.rows = [];
+      }
+      const row = this.find(params[0], params[1]);
+      return { rows: row ? [row] : [] };
+    }
+
+    if (sql.startsWith('UPDATE idempotency_keys SET response_status')) {
+      const [status, body, key, path, token] = params;
+      const row = this.find(key, path);
+
+      if (row && row.lock_token === token && row.response_status === null) {
+        Object.assign(row, { response_status: status, response_body: JSON.parse(body) });
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('DELETE FROM idempotency_keys')) {
+      const [key, path, token] = params;
+      this.rows = this.rows.filter(
+        (row) => !(row.idempotency_key === key && row.request_path === path && row.lock_token === token && row.response_status === null)
+      );
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+const createRequest = (body = { amount: 100 }) => ({
+  baseUrl: '/api/orders',
+  path: '/capture-payment',
+  body,
+  get: (name) => (name === 'Idempotency-Key' ? 'key-1' : undefined)
+});
+
+// Just enough of an Express response: status, set, json, and the 'finish'/'close' events
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.writableFinished = false;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+
+  json(body) {
+    this.body = body;
+    this.end();
+    return this;
+  }
+
+  end() {
+    this.writableFinished = true;
+    this.emit('finish');
+    this.emit('close');
+  }
+}
+
+// Run the middleware; resolves with the response and whether the route was reached
+const run = async (idempotency, req = createRequest()) => {
+  const res = new FakeResponse();
+  let reached = false;
+  await idempotency(req, res, () => {
+    reached = true;
+  });
+  return { res, reached };
+};
+
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('idempotency', () => {
+  it('replays a stored response and rejects the key with a different body', async () => {
+    const db = new FakeKeyDb();
+    const idempotency = createIdempotency(db);
+
+    const first = await run(idempotency);
+    expect(first.reached).toBe(true);
+    first.res.status(201).json({ success: true, data: { id: 1 } });
+    await settled();
+
+    const retry = await run(idempotency);
+    expect(retry.reached).toBe(false);
+    expect([retry.res.statusCode, retry.res.body, retry.res.headers['Idempotent-Replayed']]).toStrictEqual([201, { success: true, data: { id: 1 } }, 'true']);
+
+    const other = await run(idempotency, createRequest({ amount: 5 }));
+    expect(other.res.statusCode).toBe(422);
+  });
+
+  it('releases the key however a failed request ends', async () => {
+    const db = new FakeKeyDb();
+    const idempotency = createIdempotency(db);
+
+    // While the first request runs, a retry is told to wait
+    const first = await run(idempotency);
+    expect((await run(idempotency)).res.statusCode).toBe(409);
+
+    // An error page sent by Express (next(err)) rather than res.json
+    first.res.statusCode = 500;
+    first.res.end();
+    await settled();
+    expect(db.rows).toStrictEqual([]);
+
+    // The client hanging up before any response
+    const aborted = await run(idempotency);
+    expect(aborted.reached).toBe(true);
+    aborted.res.emit('close');
+    await settled();
+    expect(db.rows).toStrictEqual([]);
+
+    expect((await run(idempotency)).reached).toBe(true);
+  });
+
+  it('lets a retry take over a claim that went stale', async () => {
+    const db = new FakeKeyDb();
+    const idempotency = createIdempotency(db);
+
+    const crashed = await run(idempotency);
+    db.now += 6;
+
+    const retry = await run(idempotency);
+    expect(retry.reached).toBe(true);
+    retry.res.json({ success: true, data: { id: 2 } });
+
+    // The original finishing late doesn't overwrite or release the retry's result
+    crashed.res.status(500).json({ success: false });
+    await settled();
+    expect([db.rows.length, db.rows[0].response_status, db.rows[0].response_body]).toStrictEqual([1, 200, { success: true, data: { id: 2 } }]);
+  });
+
+  it('claims again when the key is released between the claim and the read', async () => {
+    const db = new FakeKeyDb();
+    const idempotency = createIdempotency(db);
+
+    await run(idempotency);
+    db.lostRace = true;
+
+    const retry = await run(idempotency);
+    expect(retry.reached).toBe(true);
+    expect(db.rows.length).toBe(1);
+  });
+});
@@ -56,6 +56,70 @@ export const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// Customer sessions are issued by the magic-link login (see generateCustomerToken)
+export const authenticateCustomer = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Admin tokens and unused login links are not customer sessions
+      if (decoded.type !== 'customer') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token'
+        });
+      }
+
+      // Verify the customer still exists
+      const result = await query(
+        'SELECT id, name, email FROM customers WHERE id = $1',
+        [decoded.customerId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      req.customer = result.rows[0];
+      next();
+    } catch (jwtError) {
+      if (jwtError.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          success: false,
+          message: 'Token expired'
+        });
+      } else if (jwtError.name === 'JsonWebTokenError') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token'
+        });
+      } else {
+        throw jwtError;
+      }
+    }
+  } catch (error) {
+    console.error('Customer authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
 export const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.admin) {
@@ -87,6 +151,14 @@ export const generateToken = (userId, email) => {
   );
 };
 
+export const generateCustomerToken = (customerId, email) => {
+  return jwt.sign(
+    { customerId, email, type: 'customer' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.CUSTOMER_SESSION_EXPIRES_IN || '7d' }
+  );
+};
+
 export const verifyToken = (token) => {
   try {
     return jwt.verify(token, process.env.JWT_SECRET);
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+
+// A key still unfinished this long after it was claimed belongs to a request that died; a retry may take it over
+const STALE_CLAIM_MINUTES = 5;
+
+// A missing row means the first request released the key between our claim and our read; claim again
+const MAX_CLAIM_ATTEMPTS = 3;
+
+const hashBody = (body) =>
+  crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+// Replay the stored response when a client retries with the same Idempotency-Key header
+export const createIdempotency = (db = { query }) => {
+  // Claim the key, or take over a stale claim; returns our lock token, or null if the key is held
+  const claim = async (idempotencyKey, requestPath, requestHash) => {
+    const lockToken = crypto.randomUUID();
+    const claimed = await db.query(
+      `INSERT INTO idempotency_keys (idempotency_key, request_path, request_hash, lock_token)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (idempotency_key, request_path) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash, lock_token = EXCLUDED.lock_token, locked_at = CURRENT_TIMESTAMP
+         WHERE idempotency_keys.response_status IS NULL
+           AND idempotency_keys.locked_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_CLAIM_MINUTES} minutes'
+       RETURNING id`,
+      [idempotencyKey, requestPath, requestHash, lockToken]
+    );
+
+    return claimed.rows.length > 0 ? lockToken : null;
+  };
+
+  // Store a successful JSON response for replay; release the key otherwise so the client can retry.
+  // Either only while the claim is still ours: one taken over after going stale belongs to the retry
+  const settle = (idempotencyKey, requestPath, lockToken, statusCode, body) => {
+    const persist = statusCode < 300 && body !== undefined
+      ? db.query(
+          `UPDATE idempotency_keys SET response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+           WHERE idempotency_key = $3 AND request_path = $4 AND lock_token = $5 AND response_status IS NULL`,
+          [statusCode, JSON.stringify(body), idempotencyKey, requestPath, lockToken]
+        )
+      : db.query(
+          `DELETE FROM idempotency_keys
+           WHERE idempotency_key = $1 AND request_path = $2 AND lock_token = $3 AND response_status IS NULL`,
+          [idempotencyKey, requestPath, lockToken]
+        );
+
+    return persist.catch((error) => {
+      console.error('Failed to store idempotency key result:', error);
+    });
+  };
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    const requestPath = req.baseUrl + req.path;
+    const requestHash = hashBody(req.body);
+
+    try {
+      let lockToken = null;
+
+      for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+        lockToken = await claim(idempotencyKey, requestPath, requestHash);
+
+        if (lockToken) {
+          break;
+        }
+
+        const existing = await db.query(
+          'SELECT request_hash, response_status, response_body FROM idempotency_keys WHERE idempotency_key = $1 AND request_path = $2',
+          [idempotencyKey, requestPath]
+        );
+        const stored = existing.rows[0];
+
+        if (!stored) {
+          continue;
+        }
+
+        if (stored.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used with a different request'
+          });
+        }
+
+        if (stored.response_status === null) {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.response_status).json(stored.response_body);
+      }
+
+      if (!lockToken) {
+        throw new Error('Idempotency key kept being released while claiming it');
+      }
+
+      // Keep the JSON body for replay; the key is settled once the response
+      // ends, however it ends: sent ('finish'), or the connection closed first
+      // ('close' alone, e.g. the client gave up or the handler never answered)
+      let body;
+      const json = res.json.bind(res);
+      res.json = (value) => {
+        body = value;
+        return json(value);
+      };
+
+      let settled = false;
+      const onEnd = () => {
+        if (!settled) {
+          settled = true;
+          settle(idempotencyKey, requestPath, lockToken, res.writableFinished ? res.statusCode : 500, body);
+        }
+      };
+      res.on('finish', onEnd);
+      res.on('close', onEnd);
+
+      next();
+    } catch (error) {
+      // Gateway payment IDs still guard against duplicates if the key store is unavailable
+      console.error('Idempotency key error:', error);
+      next();
+    }
+  };
+};
+
+export const idempotency = createIdempotency();
+
+export default idempotency;
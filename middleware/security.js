@@ -1,5 +1,11 @@
 import rateLimit from "express-rate-limit";
 import { body, validationResult } from "express-validator";
+import path from "path";
+import {
+  contentMatchesExtension,
+  DELIVERABLE_EXTENSIONS,
+  EXTENSION_MIME_TYPES,
+} from "../utils/fileType.js";
 
 // IP Whitelist for admin access (optional - configure as needed)
 const ADMIN_IP_WHITELIST = process.env.ADMIN_IP_WHITELIST?.split(",") || [];
@@ -148,29 +154,21 @@ export const bruteForceProtection = rateLimit({
 export const secureFileUpload = (req, res, next) => {
   if (!req.files) return next();
 
-  const allowedTypes = [
-    "application/pdf",
-    "application/msword",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    "application/vnd.ms-excel",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    "image/jpeg",
-    "image/png",
-    "image/gif",
-  ];
-
   const maxSize = 5 * 1024 * 1024; // 5MB
 
-  for (const fileKey in req.files) {
-    const file = req.files[fileKey];
+  // A field with several files holds an array of them
+  const files = Object.values(req.files).flat();
 
-    // Check file type
-    if (!allowedTypes.includes(file.mimetype)) {
+  for (const file of files) {
+    // Check file type by extension and by the file's first bytes, since the mimetype is whatever the client sent
+    const extension = path.extname(file.name).toLowerCase();
+    if (!DELIVERABLE_EXTENSIONS.includes(extension) || !contentMatchesExtension(file.name, file.data)) {
       return res.status(400).json({
         success: false,
         message: "File type not allowed",
       });
     }
+    file.mimetype = EXTENSION_MIME_TYPES[extension];
 
     // Check file size
     if (file.size > maxSize) {
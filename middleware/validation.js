@@ -1,4 +1,5 @@
 import { body, param, query as expressQuery, validationResult } from 'express-validator';
+import { BASE_CURRENCY, ZERO_DECIMAL_CURRENCIES } from '../services/currency.js';
 
 // Validation error handler
 export const handleValidationErrors = (req, res, next) => {
@@ -13,39 +14,139 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Order validation rules
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+const COUPON_CODE_PATTERN = /^[A-Za-z0-9_-]{3,50}$/;
+const COUNTRY_PATTERN = /^[A-Za-z]{2}$/;
+// Country prefix plus 2-13 characters; spaces, dots and dashes are stripped before matching
+const VAT_ID_PATTERN = /^[A-Za-z]{2}[0-9A-Za-z+*]{2,13}$/;
+
+const countryRule = (field) =>
+  body(field)
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .matches(COUNTRY_PATTERN)
+    .withMessage('Country must be a 2-letter ISO code')
+    .toUpperCase();
+
+const vatIdRule = (field) =>
+  body(field)
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .customSanitizer((value) => value.replace(/[\s.-]/g, '').toUpperCase())
+    .matches(VAT_ID_PATTERN)
+    .withMessage('VAT ID must start with its 2-letter country prefix');
+
+// Order validation rules (cart + customer checkout payload)
 export const validateOrderCreation = [
-  body('customerName')
+  body('customer.name')
     .trim()
     .isLength({ min: 2, max: 255 })
     .withMessage('Customer name must be between 2 and 255 characters'),
   
-  body('customerEmail')
+  body('customer.email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Valid email address is required'),
   
-  body('website')
-    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+  body('customer.website')
+    .isURL({ protocols: ['http', 'https'] })
     .withMessage('Valid website URL is required'),
-  
-  body('keywords')
+
+  body('customer.phone')
+    .optional({ nullable: true })
     .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Keywords are required and must be less than 1000 characters'),
-  
-  body('serviceId')
-    .isInt({ min: 1 })
+    .isLength({ max: 50 })
+    .withMessage('Phone must be less than 50 characters'),
+
+  countryRule('customer.country'),
+
+  vatIdRule('customer.vatId'),
+
+  body('cart')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Cart must contain between 1 and 50 items'),
+
+  body('cart.*.serviceId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
     .withMessage('Valid service ID is required'),
   
-  body('quantity')
+  body('cart.*.quantity')
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Quantity must be between 1 and 100'),
+
+  body('cart.*.keywords')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Keywords must be less than 1000 characters'),
+
+  body('currency')
+    .optional()
+    .isString()
+    .trim()
+    .matches(CURRENCY_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO code')
+    .toUpperCase(),
+
+  body('couponCode')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .matches(COUPON_CODE_PATTERN)
+    .withMessage('Coupon code must be 3-50 letters, numbers, dashes or underscores'),
   
   handleValidationErrors
 ];
 
+// Public coupon check against a cart
+export const validateCouponCheck = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(COUPON_CODE_PATTERN)
+    .withMessage('Coupon code must be 3-50 letters, numbers, dashes or underscores'),
+
+  body('cart')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Cart must contain between 1 and 50 items'),
+
+  body('cart.*.serviceId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Valid service ID is required'),
+
+  body('cart.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100'),
+
+  body('currency')
+    .optional()
+    .isString()
+    .trim()
+    .matches(CURRENCY_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO code')
+    .toUpperCase(),
+
+  body('customerEmail')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email address is required'),
+
+  countryRule('country'),
+
+  vatIdRule('vatId'),
+
+  handleValidationErrors
+];
+
 // Payment validation rules
 export const validatePaymentCapture = [
   body('paypalOrderId')
@@ -53,10 +154,252 @@ export const validatePaymentCapture = [
     .isLength({ min: 1 })
     .withMessage('PayPal order ID is required'),
   
-  body('orderId')
+  handleValidationErrors
+];
+
+// Subscription sign-up: one recurring tier plus the customer
+export const validateSubscriptionCreation = [
+  body('paymentMethod')
+    .isIn(['stripe', 'paypal'])
+    .withMessage('Payment method must be stripe or paypal'),
+
+  body('customer.name')
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('Customer name must be between 2 and 255 characters'),
+
+  body('customer.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email address is required'),
+
+  body('customer.website')
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('Valid website URL is required'),
+
+  body('customer.phone')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Phone must be less than 50 characters'),
+
+  countryRule('customer.country'),
+
+  vatIdRule('customer.vatId'),
+
+  body('serviceId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Valid service ID is required'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100'),
+
+  body('keywords')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Keywords must be less than 1000 characters'),
+
+  body('currency')
+    .optional()
+    .isString()
+    .trim()
+    .matches(CURRENCY_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO code')
+    .toUpperCase(),
+
+  handleValidationErrors
+];
+
+// Pause, resume or cancel; customers identify themselves by email
+export const validateSubscriptionAction = (requireEmail = false) => [
+  param('action')
+    .isIn(['pause', 'resume', 'cancel'])
+    .withMessage('Action must be pause, resume or cancel'),
+
+  (requireEmail ? body('email') : body('email').optional())
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email address is required'),
+
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+
+  handleValidationErrors
+];
+
+// Admin subscription list filters
+export const validateSubscriptionQuery = [
+  expressQuery('status')
+    .optional()
+    .isIn(['pending', 'active', 'paused', 'past_due', 'cancelled'])
+    .withMessage('Invalid subscription status'),
+
+  expressQuery('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be less than 100 characters'),
+
+  expressQuery('page')
+    .optional()
     .isInt({ min: 1 })
-    .withMessage('Valid order ID is required'),
-  
+    .withMessage('Page must be a positive integer'),
+
+  expressQuery('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Admin bank transfer list filters
+export const validateBankTransferQuery = [
+  expressQuery('status')
+    .optional()
+    .isIn(['awaiting', 'received', 'expired'])
+    .withMessage('Invalid bank transfer status'),
+
+  expressQuery('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be less than 100 characters'),
+
+  expressQuery('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  expressQuery('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Marking a bank transfer received or expired
+export const validateBankTransferUpdate = [
+  body('amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.01, max: 99999999.99 })
+    .withMessage('Amount must be a positive number'),
+
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+
+  body('notifyCustomer')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyCustomer must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Abandoned checkout list query validation
+export const validateAbandonedCheckoutQuery = [
+  expressQuery('status')
+    .optional()
+    .isIn(['open', 'recovered'])
+    .withMessage('Invalid abandoned checkout status'),
+
+  expressQuery('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be less than 100 characters'),
+
+  expressQuery('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  expressQuery('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Abandoned checkout report period validation
+export const validateRecoveryReportQuery = [
+  expressQuery(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Report dates must be ISO 8601 dates'),
+
+  handleValidationErrors
+];
+
+// Customer magic-link request validation
+export const validateMagicLinkRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email address is required'),
+
+  handleValidationErrors
+];
+
+// Customer magic-link exchange validation
+export const validateMagicLinkVerify = [
+  body('token')
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Login token is required'),
+
+  handleValidationErrors
+];
+
+// Customer profile update validation (only website and phone can be changed)
+export const validateCustomerProfile = [
+  body('website')
+    .optional()
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('Valid website URL is required'),
+
+  body('phone')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Phone must be less than 50 characters'),
+
+  handleValidationErrors
+];
+
+// Customer order list query validation
+export const validateCustomerOrderQuery = [
+  expressQuery('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'])
+    .withMessage('Invalid order status'),
+
+  expressQuery('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  expressQuery('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
   handleValidationErrors
 ];
 
@@ -117,7 +460,7 @@ export const validateOrderQuery = [
     .optional()
     .custom((value) => {
       if (value === '' || value === undefined) return true;
-      return ['pending', 'paid', 'failed', 'refunded'].includes(value);
+      return ['pending', 'paid', 'failed', 'refunded', 'partially_refunded', 'disputed'].includes(value);
     })
     .withMessage('Invalid payment status filter'),
   
@@ -130,6 +473,535 @@ export const validateOrderQuery = [
   handleValidationErrors
 ];
 
+// Refund validation
+export const validateRefund = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid order ID is required'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 99999999.99 })
+    .withMessage('Refund amount must be a positive amount'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+
+  body('notifyCustomer')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyCustomer must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Exchange rate validation
+export const validateExchangeRate = [
+  param('currency')
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be an upper-case 3-letter ISO code')
+    .not()
+    .isIn([BASE_CURRENCY])
+    .withMessage(`${BASE_CURRENCY} is the base currency and has no exchange rate`)
+    .not()
+    .isIn(ZERO_DECIMAL_CURRENCIES)
+    .withMessage('Zero-decimal currencies are not supported'),
+
+  body('rate')
+    .isFloat({ gt: 0, max: 1000000 })
+    .withMessage('Rate must be a positive number'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Tax rate validation
+export const validateTaxRate = [
+  param('country')
+    .matches(/^[A-Z]{2}$/)
+    .withMessage('Country must be an upper-case 2-letter ISO code'),
+
+  body('rate')
+    .isFloat({ min: 0, lt: 100 })
+    .withMessage('Rate must be a percentage between 0 and 100'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be less than 50 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Webhook event inbox query validation
+export const validateWebhookEventQuery = [
+  expressQuery('status')
+    .optional()
+    .isIn(['all', 'received', 'processing', 'processed', 'failed', 'rejected'])
+    .withMessage('Invalid webhook event status filter'),
+
+  expressQuery('provider')
+    .optional()
+    .isIn(['stripe', 'paypal'])
+    .withMessage('Provider must be stripe or paypal'),
+
+  expressQuery('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  expressQuery('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Coupon validation helpers
+const isCatalogIdList = (value) => {
+  if (!Array.isArray(value) || value.length > 200) {
+    throw new Error('Must be an array of at most 200 catalog ids');
+  }
+  if (value.some((id) => typeof id !== 'string' || !CATALOG_ID_PATTERN.test(id))) {
+    throw new Error('Each id must be a catalog slug');
+  }
+  return true;
+};
+
+const isDiscountValue = (value, { req }) => {
+  if (req.body.discountType === 'percentage' && parseFloat(value) > 100) {
+    throw new Error('Percentage discounts cannot exceed 100');
+  }
+  return true;
+};
+
+const isAfterStart = (value, { req }) => {
+  if (value && req.body.startsAt && new Date(value) <= new Date(req.body.startsAt)) {
+    throw new Error('Expiry date must be after the start date');
+  }
+  return true;
+};
+
+// Coupon validation
+export const validateCoupon = (isUpdate = false) => [
+  ...(isUpdate
+    ? [param('id').isInt({ min: 1 }).withMessage('Valid coupon ID is required')]
+    : [
+        body('code')
+          .isString()
+          .trim()
+          .matches(COUPON_CODE_PATTERN)
+          .withMessage('Coupon code must be 3-50 letters, numbers, dashes or underscores')
+      ]),
+
+  (isUpdate ? body('discountType').optional() : body('discountType'))
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+
+  (isUpdate ? body('discountValue').optional() : body('discountValue'))
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .withMessage('Discount value must be a positive amount')
+    .custom(isDiscountValue),
+
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+
+  body('tierIds')
+    .optional()
+    .custom(isCatalogIdList),
+
+  body('categoryIds')
+    .optional()
+    .custom(isCatalogIdList),
+
+  body('minCartAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Minimum cart amount must be a positive amount'),
+
+  body(['maxUses', 'maxUsesPerCustomer'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be positive integers'),
+
+  body('startsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be an ISO 8601 date'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be an ISO 8601 date')
+    .custom(isAfterStart),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Coupon list query validation
+export const validateCouponQuery = [
+  expressQuery('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be less than 100 characters'),
+
+  expressQuery('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  expressQuery('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  expressQuery('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Catalog validation helpers
+const CATALOG_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isFeatureList = (value) => {
+  if (!Array.isArray(value)) {
+    throw new Error('Features must be an array of strings');
+  }
+  if (value.length > 50) {
+    throw new Error('A maximum of 50 features is allowed');
+  }
+  const invalid = value.some(
+    (feature) => typeof feature !== 'string' || feature.trim().length === 0 || feature.length > 255
+  );
+  if (invalid) {
+    throw new Error('Each feature must be a non-empty string of at most 255 characters');
+  }
+  return true;
+};
+
+// { "EUR": 49.5, "GBP": 42 } -- per-currency tier prices; null removes a price
+const isCurrencyPriceMap = (value) => {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Prices must be an object keyed by currency code');
+  }
+  for (const [currency, price] of Object.entries(value)) {
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Invalid currency code: ${currency}`);
+    }
+    if (price !== null && (typeof price !== 'number' || price < 0 || price > 99999999.99)) {
+      throw new Error(`Price for ${currency} must be a positive amount or null`);
+    }
+  }
+  return true;
+};
+
+// [{ "minQuantity": 5, "discountPercent": 10 }] -- volume brackets; [] removes them all
+const isVolumeBracketList = (value) => {
+  if (!Array.isArray(value) || value.length > 20) {
+    throw new Error('Volume discounts must be an array of at most 20 brackets');
+  }
+  for (const bracket of value) {
+    if (!Number.isInteger(bracket?.minQuantity) || bracket.minQuantity < 2 || bracket.minQuantity > 100) {
+      throw new Error('Each bracket needs a minQuantity between 2 and 100');
+    }
+    if (typeof bracket.discountPercent !== 'number' || bracket.discountPercent <= 0 || bracket.discountPercent >= 100) {
+      throw new Error('Each bracket needs a discountPercent between 0 and 100');
+    }
+  }
+  if (new Set(value.map((bracket) => bracket.minQuantity)).size !== value.length) {
+    throw new Error('Bracket minQuantity values must be unique');
+  }
+  return true;
+};
+
+const catalogIdRule = (field) =>
+  body(field)
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .matches(CATALOG_ID_PATTERN)
+    .withMessage(`${field} must be a lowercase slug (letters, numbers and dashes)`);
+
+const catalogCommonRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name is required and must be less than 255 characters'),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Service category validation
+export const validateCategory = (isUpdate = false) => [
+  ...(isUpdate ? [] : [catalogIdRule('id')]),
+  ...catalogCommonRules(isUpdate),
+
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string'),
+
+  body('icon')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Icon must be less than 50 characters'),
+
+  handleValidationErrors
+];
+
+// Service validation
+export const validateService = (isUpdate = false) => [
+  ...(isUpdate ? [] : [catalogIdRule('id')]),
+  ...catalogCommonRules(isUpdate),
+
+  (isUpdate ? catalogIdRule('categoryId').optional() : catalogIdRule('categoryId')),
+
+  body('shortDescription')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Short description must be a string'),
+
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string'),
+
+  body('features')
+    .optional({ nullable: true })
+    .custom(isFeatureList),
+
+  handleValidationErrors
+];
+
+// Service tier validation
+export const validateTier = (isUpdate = false) => [
+  ...(isUpdate ? [] : [catalogIdRule('id')]),
+  ...catalogCommonRules(isUpdate),
+
+  (isUpdate ? catalogIdRule('serviceId').optional() : catalogIdRule('serviceId')),
+
+  (isUpdate ? body('price').optional() : body('price'))
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Price must be a positive amount'),
+
+  (isUpdate ? body('deliveryDays').optional() : body('deliveryDays'))
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Delivery days must be between 1 and 365'),
+
+  body('features')
+    .optional({ nullable: true })
+    .custom(isFeatureList),
+
+  body('isPopular')
+    .optional()
+    .isBoolean()
+    .withMessage('isPopular must be a boolean'),
+
+  body('prices')
+    .optional({ nullable: true })
+    .custom(isCurrencyPriceMap),
+
+  body('volumeDiscounts')
+    .optional()
+    .custom(isVolumeBracketList),
+
+  body('billingInterval')
+    .optional({ nullable: true })
+    .isIn(['week', 'month'])
+    .withMessage('Billing interval must be week or month'),
+
+  handleValidationErrors
+];
+
+// Bundle rule validation
+export const validateBundle = (isUpdate = false) => [
+  ...(isUpdate ? [param('id').isInt({ min: 1 }).withMessage('Valid bundle ID is required')] : []),
+
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name is required and must be less than 255 characters'),
+
+  (isUpdate ? body('tierIds').optional() : body('tierIds'))
+    .isArray({ min: 2, max: 10 })
+    .withMessage('A bundle needs between 2 and 10 service tiers')
+    .custom(isCatalogIdList),
+
+  (isUpdate ? body('discountPercent').optional() : body('discountPercent'))
+    .isFloat({ gt: 0, lt: 100 })
+    .withMessage('Discount percent must be between 0 and 100'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Catalog reorder validation
+export const validateCatalogReorder = [
+  body('ids')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('ids must be a non-empty array'),
+
+  body('ids.*')
+    .isString()
+    .matches(CATALOG_ID_PATTERN)
+    .withMessage('Each id must be a catalog slug'),
+
+  handleValidationErrors
+];
+
+// Deliverable upload fields (multipart, alongside the files)
+export const validateDeliverableUpload = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+
+  body('visibility')
+    .optional()
+    .isIn(['customer', 'internal'])
+    .withMessage('Visibility must be customer or internal'),
+
+  body('replaces')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('replaces must be a deliverable ID'),
+
+  handleValidationErrors
+];
+
+// Deliverable description/visibility update validation
+export const validateDeliverableUpdate = [
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+
+  body('visibility')
+    .optional()
+    .isIn(['customer', 'internal'])
+    .withMessage('Visibility must be customer or internal'),
+
+  handleValidationErrors
+];
+
+// Chunked upload session validation
+export const validateUploadSession = [
+  body('fileName')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('File name is required and must be less than 255 characters'),
+
+  body('fileSize')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive number of bytes')
+    .toInt(),
+
+  body('fileType')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('File type must be less than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+
+  body('visibility')
+    .optional()
+    .isIn(['customer', 'internal'])
+    .withMessage('Visibility must be customer or internal'),
+
+  body('replaces')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('replaces must be a deliverable ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+export const validateUploadSessionId = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid upload session ID'),
+
+  handleValidationErrors
+];
+
+// Delivery validation. recipients (extra addresses besides the customer) may be
+// an array or, from a multipart form, a comma-separated string.
+export const validateDelivery = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Message must be less than 5000 characters'),
+
+  body('method')
+    .optional()
+    .isIn(['attachments', 'links'])
+    .withMessage('Method must be attachments or links'),
+
+  body('recipients')
+    .optional()
+    .customSanitizer((value) =>
+      (Array.isArray(value) ? value : String(value).split(','))
+        .map((email) => String(email).trim())
+        .filter(Boolean)
+    )
+    .isArray({ max: 10 })
+    .withMessage('At most 10 extra recipients are allowed'),
+
+  body('recipients.*')
+    .isEmail()
+    .withMessage('Each recipient must be a valid email address'),
+
+  handleValidationErrors
+];
+
 // File upload validation
 export const validateFileUpload = (req, res, next) => {
   if (!req.files || Object.keys(req.files).length === 0) {
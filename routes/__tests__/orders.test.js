@@ -0,0 +1,61 @@
+import express from 'express';
+import request from 'supertest';
+import ordersRouter from '../orders.js';
+import { catalogService, buildCatalogUpdate } from '../../services/catalog.js';
+import { FakeCatalogClient } from '../../services/__tests__/fixtures.js';
+
+const app = express();
+app.use('/api/orders', ordersRouter);
+
+describe('orders routes', () => {
+  const database = catalogService.db;
+  let client;
+
+  beforeEach(() => {
+    client = new FakeCatalogClient();
+    catalogService.db = { query: (text, params) => client.query(text, params) };
+  });
+
+  afterAll(() => {
+    catalogService.db = database;
+  });
+
+  it('answers conditional catalog requests with 304 until the catalog changes', async () => {
+    const first = await request(app).get('/api/orders/services');
+    expect(first.status).toBe(200);
+    expect(first.headers['cache-control']).toBe('public, max-age=60');
+    expect(first.headers['last-modified']).toBe('Thu, 01 Oct 2026 09:00:00 GMT');
+    const { etag } = first.headers;
+
+    const cached = await request(app).get('/api/orders/services').set('If-None-Match', etag);
+    expect([cached.status, cached.text]).toStrictEqual([304, '']);
+
+    const notModified = await request(app).get('/api/orders/services').set('If-Modified-Since', first.headers['last-modified']);
+    expect(notModified.status).toBe(304);
+
+    const modified = await request(app).get('/api/orders/services').set('If-Modified-Since', 'Thu, 01 Oct 2026 08:59:00 GMT');
+    expect(modified.status).toBe(200);
+
+    // A tier price change gives the catalog a new ETag
+    const update = buildCatalogUpdate('service_tiers', 'pbn-basic', { price: 59 });
+    await client.query(update.text, update.params);
+    const changed = await request(app).get('/api/orders/services').set('If-None-Match', etag);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(etag);
+    expect(changed.headers['last-modified']).toBe('Thu, 01 Oct 2026 09:01:00 GMT');
+    expect(changed.body.data.categories[0].services[0].tiers[0].price).toBe(59);
+  });
+
+  it('filters the catalog by category and never lists inactive entries', async () => {
+    client.tables.services[1].is_active = false;
+
+    const content = await request(app).get('/api/orders/services?category=content');
+    expect(content.body.data.categories.map((c) => c.id)).toStrictEqual(['content']);
+
+    const unknown = await request(app).get('/api/orders/services?category=video');
+    expect([unknown.status, unknown.body.message]).toStrictEqual([404, 'Category not found']);
+
+    const all = await request(app).get('/api/orders/services?includeInactive=true');
+    expect(all.body.data.categories[0].services.map((s) => s.id)).toStrictEqual(['pbn']);
+  });
+});
@@ -1,7 +1,32 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import { authenticateAdmin, generateToken } from '../middleware/auth.js';
-import { validateAdminLogin, validateStatusUpdate, validateOrderQuery } from '../middleware/validation.js';
+import {
+  validateAdminLogin,
+  validateStatusUpdate,
+  validateOrderQuery,
+  validateCategory,
+  validateService,
+  validateTier,
+  validateCatalogReorder,
+  validateWebhookEventQuery,
+  validateRefund,
+  validateExchangeRate,
+  validateCoupon,
+  validateCouponQuery,
+  validateBundle,
+  validateTaxRate,
+  validateSubscriptionQuery,
+  validateSubscriptionAction,
+  validateBankTransferQuery,
+  validateBankTransferUpdate,
+  validateAbandonedCheckoutQuery,
+  validateRecoveryReportQuery,
+  validateDeliverableUpdate,
+  validateDelivery,
+  validateUploadSession,
+  validateUploadSessionId
+} from '../middleware/validation.js';
 import { 
   adminIPRestriction, 
   bruteForceProtection, 
@@ -13,7 +38,23 @@ import {
 import { query, beginTransaction, commitTransaction, rollbackTransaction } from '../config/database.js';
 import { emailService } from '../services/email.js';
 import { paypalService } from '../services/paypal.js';
-import { tempFileManager } from '../utils/tempFileManager.js';
+import { webhookInbox, WebhookInboxError } from '../services/webhookInbox.js';
+import { refundService, RefundError } from '../services/refunds.js';
+import { currencyService, BASE_CURRENCY } from '../services/currency.js';
+import { couponService, CouponError } from '../services/coupons.js';
+import { pricingService } from '../services/pricing.js';
+import { catalogService, CatalogError, buildCatalogUpdate } from '../services/catalog.js';
+import { dashboardService } from '../services/dashboard.js';
+import { taxService } from '../services/tax.js';
+import { invoiceService } from '../services/invoices.js';
+import { subscriptionService, SubscriptionError } from '../services/subscriptions.js';
+import { bankTransferService, BankTransferError } from '../services/bankTransfers.js';
+import { checkoutService } from '../services/checkout.js';
+import { checkoutRecoveryService } from '../services/checkoutRecovery.js';
+import { deliverableService, DeliverableError } from '../services/deliverables.js';
+import { deliveryService, DeliveryError } from '../services/deliveries.js';
+import { uploadSessionService, UploadSessionError } from '../services/uploadSessions.js';
+import { contentMatchesExtension, DELIVERABLE_EXTENSIONS } from '../utils/fileType.js';
 
 const router = express.Router();
 
@@ -127,40 +168,7 @@ router.get('/verify', authenticateAdmin, async (req, res) => {
 // Dashboard statistics
 router.get('/dashboard/stats', authenticateAdmin, async (req, res) => {
   try {
-    const [
-      totalOrdersResult,
-      pendingOrdersResult,
-      inProgressOrdersResult,
-      completedOrdersResult,
-      totalRevenueResult,
-      totalCustomersResult,
-      todayOrdersResult,
-      thisMonthRevenueResult
-    ] = await Promise.all([
-      query('SELECT COUNT(*) as count FROM orders'),
-      query('SELECT COUNT(*) as count FROM orders WHERE status = $1', ['pending']),
-      query('SELECT COUNT(*) as count FROM orders WHERE status = $1', ['in_progress']),
-      query('SELECT COUNT(*) as count FROM orders WHERE status = $1', ['completed']),
-      query('SELECT COALESCE(SUM(total_amount), 0) as total FROM orders WHERE payment_status = $1', ['paid']),
-      query('SELECT COUNT(DISTINCT customer_id) as count FROM orders'),
-      query('SELECT COUNT(*) as count FROM orders WHERE DATE(created_at) = CURRENT_DATE'),
-      query(`SELECT COALESCE(SUM(total_amount), 0) as total FROM orders 
-             WHERE payment_status = $1 AND DATE_TRUNC('month', created_at) = DATE_TRUNC('month', CURRENT_DATE)`, ['paid'])
-    ]);
-
-    const stats = {
-      totalOrders: parseInt(totalOrdersResult.rows[0].count),
-      pendingOrders: parseInt(pendingOrdersResult.rows[0].count),
-      inProgressOrders: parseInt(inProgressOrdersResult.rows[0].count),
-      completedOrders: parseInt(completedOrdersResult.rows[0].count),
-      totalRevenue: parseFloat(totalRevenueResult.rows[0].total),
-      totalCustomers: parseInt(totalCustomersResult.rows[0].count),
-      todayOrders: parseInt(todayOrdersResult.rows[0].count),
-      thisMonthRevenue: parseFloat(thisMonthRevenueResult.rows[0].total)
-    };
-
-    // Calculate average order value
-    stats.avgOrderValue = stats.totalOrders > 0 ? stats.totalRevenue / stats.totalOrders : 0;
+    const stats = await dashboardService.getStats();
 
     res.json({
       success: true,
@@ -336,6 +344,7 @@ router.get('/orders/:id', authenticateAdmin, async (req, res) => {
         c.email as customer_email,
         c.website as customer_website,
         c.phone as customer_phone,
+        c.country as customer_country,
         c.created_at as customer_created_at
       FROM orders o
       JOIN customers c ON o.customer_id = c.id
@@ -359,7 +368,9 @@ router.get('/orders/:id', authenticateAdmin, async (req, res) => {
 
     // Get deliverables
     const deliverablesResult = await query(`
-      SELECT id, file_name, file_path, file_type, file_size, created_at as uploaded_at
+      SELECT id, file_name, file_path, file_type, file_size, description, visibility,
+             version, previous_version_id, is_current, detected_type, scan_status, scan_result,
+             scanned_at, created_at as uploaded_at
       FROM deliverables
       WHERE order_id = $1
       ORDER BY created_at DESC
@@ -373,13 +384,44 @@ router.get('/orders/:id', authenticateAdmin, async (req, res) => {
       ORDER BY created_at DESC
     `, [id]);
 
+    // Get refunds
+    const refundResult = await query(`
+      SELECT id, gateway_refund_id, amount, currency, status, reason, created_by, created_at
+      FROM refunds
+      WHERE order_id = $1
+      ORDER BY created_at DESC
+    `, [id]);
+
+    const order = orderResult.rows[0];
+
+    // Get invoice (issued once the order is paid)
+    const invoiceResult = order.invoice_id
+      ? await query(`
+          SELECT id, invoice_number, issued_at, currency, net_amount, tax_amount, total_amount, tax_treatment
+          FROM invoices
+          WHERE id = $1
+        `, [order.invoice_id])
+      : { rows: [] };
+
     res.json({
       success: true,
       data: {
-        order: orderResult.rows[0],
+        order,
+        invoice: invoiceResult.rows[0] ? invoiceService.formatInvoice(invoiceResult.rows[0]) : null,
+        tax: {
+          netAmount: parseFloat(order.net_amount ?? order.total_amount),
+          taxRate: parseFloat(order.tax_rate || 0),
+          taxAmount: parseFloat(order.tax_amount || 0),
+          grossAmount: parseFloat(order.total_amount),
+          country: order.tax_country,
+          treatment: order.tax_treatment,
+          label: taxService.treatmentLabel(order.tax_treatment),
+          vatId: order.customer_vat_id
+        },
         statusHistory: historyResult.rows,
         deliverables: deliverablesResult.rows,
-        payments: paymentResult.rows
+        payments: paymentResult.rows,
+        refunds: refundResult.rows
       }
     });
 
@@ -392,6 +434,34 @@ router.get('/orders/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Download an order's invoice PDF
+router.get('/orders/:id/invoice', authenticateAdmin, async (req, res) => {
+  try {
+    const invoice = await invoiceService.getOrderInvoice(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoice has been issued for this order'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoice_number}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(invoice.pdf);
+
+  } catch (error) {
+    console.error('Invoice download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice'
+    });
+  }
+});
+
 // Update order status
 router.put('/orders/:id/status', authenticateAdmin, validateStatusUpdate, async (req, res) => {
   const client = await beginTransaction();
@@ -474,6 +544,60 @@ router.put('/orders/:id/status', authenticateAdmin, validateStatusUpdate, async
   }
 });
 
+// Refund an order (full when no amount is given) through its original gateway
+router.post('/orders/:id/refunds', authenticateAdmin, validateRefund, async (req, res) => {
+  try {
+    const { amount, reason, notifyCustomer = true } = req.body;
+
+    const result = await refundService.refundOrder(parseInt(req.params.id), {
+      amount: amount === undefined ? null : parseFloat(amount),
+      reason: reason || null,
+      adminId: req.admin.id
+    });
+
+    // Send refund notice email (async, don't wait)
+    if (notifyCustomer) {
+      emailService.sendRefundNotice(result.customer.email, {
+        trackingId: result.order.tracking_id,
+        customerName: result.customer.name,
+        serviceName: result.order.service_name,
+        amount: result.refund.amount.toFixed(2),
+        currency: result.refund.currency,
+        totalRefunded: result.totalRefunded.toFixed(2),
+        fullRefund: result.fullRefund,
+        reason: result.refund.reason
+      }).catch(error => {
+        console.error('Failed to send refund notice email:', error);
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.fullRefund ? 'Order refunded successfully' : 'Order partially refunded successfully',
+      data: {
+        refund: result.refund,
+        paymentStatus: result.paymentStatus,
+        totalRefunded: result.totalRefunded,
+        refundable: result.refundable
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refund order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund order'
+    });
+  }
+});
+
 // Get customers
 router.get('/customers', authenticateAdmin, async (req, res) => {
   try {
@@ -567,34 +691,51 @@ router.get('/analytics', authenticateAdmin, async (req, res) => {
         dateFilter = "created_at >= CURRENT_DATE - INTERVAL '30 days'";
     }
 
-    // Revenue over time
+    // Amounts in different currencies are never summed together
+
+    // Revenue over time (one row per day and currency)
     const revenueQuery = `
       SELECT 
         DATE(created_at) as date,
+        currency,
         COALESCE(SUM(total_amount), 0) as revenue,
         COUNT(*) as orders
       FROM orders 
       WHERE payment_status = 'paid' AND ${dateFilter}
-      GROUP BY DATE(created_at)
-      ORDER BY date ASC
+      GROUP BY DATE(created_at), currency
+      ORDER BY date ASC, currency ASC
     `;
 
-    // Top services
+    // Top services (per currency)
     const servicesQuery = `
       SELECT 
         service_name,
+        currency,
         COUNT(*) as orders,
         COALESCE(SUM(total_amount), 0) as revenue
       FROM orders 
       WHERE payment_status = 'paid' AND ${dateFilter}
-      GROUP BY service_name
+      GROUP BY service_name, currency
       ORDER BY revenue DESC
       LIMIT 5
     `;
 
-    const [revenueResult, servicesResult] = await Promise.all([
+    // Revenue totals per currency
+    const currencyQuery = `
+      SELECT 
+        currency,
+        COALESCE(SUM(total_amount), 0) as revenue,
+        COUNT(*) as orders
+      FROM orders 
+      WHERE payment_status = 'paid' AND ${dateFilter}
+      GROUP BY currency
+      ORDER BY revenue DESC
+    `;
+
+    const [revenueResult, servicesResult, currencyResult] = await Promise.all([
       query(revenueQuery),
-      query(servicesQuery)
+      query(servicesQuery),
+      query(currencyQuery)
     ]);
 
     res.json({
@@ -602,6 +743,7 @@ router.get('/analytics', authenticateAdmin, async (req, res) => {
       data: {
         revenueChart: revenueResult.rows,
         topServices: servicesResult.rows,
+        revenueByCurrency: currencyResult.rows,
         period
       }
     });
@@ -615,20 +757,15 @@ router.get('/analytics', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Deliver order with file attachment (using temporary storage)
-router.post('/orders/:id/deliver', authenticateAdmin, async (req, res) => {
-  let tempFileInfo = null;
-  
+// Deliver order with any "deliveryFile" files. The files are stored as
+// deliverables and the customer is emailed every current customer-visible
+// deliverable (see services/deliveries.js). Files too big for a form upload
+// are uploaded in parts first (/orders/:id/uploads) and delivered without one.
+router.post('/orders/:id/deliver', authenticateAdmin, validateDelivery, async (req, res) => {
   try {
     const { id } = req.params;
-    const { message } = req.body;
-
-    if (!req.files || !req.files.deliveryFile) {
-      return res.status(400).json({
-        success: false,
-        message: 'Delivery file is required'
-      });
-    }
+    const { message, recipients = [], method } = req.body;
+    const deliveryFiles = [req.files?.deliveryFile].flat().filter(Boolean);
 
     if (!message || !message.trim()) {
       return res.status(400).json({
@@ -637,120 +774,76 @@ router.post('/orders/:id/deliver', authenticateAdmin, async (req, res) => {
       });
     }
 
-    const deliveryFile = req.files.deliveryFile;
+    // Validate file types by extension and contents; the client's mimetype isn't trusted.
+    // The delivery service inspects the files further before storing them.
+    for (const deliveryFile of deliveryFiles) {
+      const fileExtension = deliveryFile.name.toLowerCase().substring(deliveryFile.name.lastIndexOf('.'));
 
-    // Validate file type
-    const allowedTypes = [
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/pdf',
-      'application/zip',
-      'application/x-zip-compressed'
-    ];
-    
-    const allowedExtensions = ['.xlsx', '.xls', '.pdf', '.zip'];
-    const fileExtension = deliveryFile.name.toLowerCase().substring(deliveryFile.name.lastIndexOf('.'));
-    
-    if (!allowedTypes.includes(deliveryFile.mimetype) && !allowedExtensions.includes(fileExtension)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Only Excel (.xlsx, .xls), PDF, and ZIP files are allowed'
-      });
-    }
+      if (!DELIVERABLE_EXTENSIONS.includes(fileExtension)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${DELIVERABLE_EXTENSIONS.join(', ')} files are allowed`
+        });
+      }
 
-    // Validate file size (10MB max)
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    if (deliveryFile.size > maxSize) {
-      return res.status(400).json({
-        success: false,
-        message: 'File size must be less than 10MB'
-      });
+      if (!contentMatchesExtension(deliveryFile.name, deliveryFile.data)) {
+        return res.status(400).json({
+          success: false,
+          message: `${deliveryFile.name} is not a valid ${fileExtension} file`
+        });
+      }
     }
 
-    console.log(`📤 Processing delivery for order ${id} with file: ${deliveryFile.name}`);
+    const { delivery, order, deliverables } = await deliveryService.deliver(id, {
+      files: deliveryFiles,
+      message: message.trim(),
+      recipients,
+      method,
+      adminId: req.admin.id
+    });
 
-    // Get order and customer details
-    const orderResult = await query(`
-      SELECT o.*, c.email, c.name as customer_name
-      FROM orders o
-      JOIN customers c ON o.customer_id = c.id
-      WHERE o.id = $1
-    `, [id]);
+    res.json({
+      success: true,
+      message: 'Order delivered successfully',
+      data: {
+        orderId: id,
+        trackingId: order.tracking_id,
+        delivery: deliveryService.formatDelivery(delivery),
+        deliverables: deliverables.map(deliverable => deliverableService.formatForAdmin(deliverable))
+      }
+    });
 
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({
+  } catch (error) {
+    if (error instanceof DeliveryError || error instanceof DeliverableError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Order not found'
+        message: error.message
       });
     }
 
-    const order = orderResult.rows[0];
-
-    // Save file temporarily
-    tempFileInfo = await tempFileManager.saveTemp(deliveryFile.data, deliveryFile.name);
-    console.log(`💾 File temporarily saved: ${tempFileInfo.tempFileName}`);
-
-    // Update order status to completed
-    await query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['completed', id]
-    );
-
-    // Add status history
-    await query(
-      'INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)',
-      [id, 'completed', `Order delivered with file attachment: ${deliveryFile.name}`]
-    );
-
-    // Send delivery email with attachment
-    try {
-      await emailService.sendDeliveryEmail(
-        order.email,
-        {
-          trackingId: order.tracking_id,
-          customerName: order.customer_name,
-          serviceName: order.service_name,
-          message: message.trim()
-        },
-        {
-          filename: deliveryFile.name,
-          path: tempFileInfo.tempPath
-        }
-      );
-
-      console.log(`✅ Delivery email sent for order ${order.tracking_id}`);
-    } catch (emailError) {
-      console.error('❌ Email delivery failed:', emailError);
-      throw new Error('Failed to send delivery email: ' + emailError.message);
-    }
+    console.error('Order delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deliver order'
+    });
+  }
+});
 
-    // Clean up temp file immediately after email is sent
-    await tempFileManager.deleteTemp(tempFileInfo.tempPath);
-    console.log(`🗑️ Temp file cleaned up for order ${order.tracking_id}`);
+// An order's delivery attempts, including failed ones
+router.get('/orders/:id/deliveries', authenticateAdmin, async (req, res) => {
+  try {
+    const deliveries = await deliveryService.listForOrder(req.params.id);
 
     res.json({
       success: true,
-      message: 'Order delivered successfully',
-      data: {
-        orderId: id,
-        trackingId: order.tracking_id,
-        fileName: deliveryFile.name,
-        fileSize: deliveryFile.size
-      }
+      data: { deliveries: deliveries.map(delivery => deliveryService.formatDelivery(delivery)) }
     });
 
   } catch (error) {
-    console.error('❌ Order delivery error:', error);
-    
-    // Clean up temp file if it exists and there was an error
-    if (tempFileInfo) {
-      await tempFileManager.deleteTemp(tempFileInfo.tempPath);
-      console.log('🗑️ Temp file cleaned up after error');
-    }
-    
+    console.error('Deliveries fetch error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to deliver order: ' + error.message
+      message: 'Failed to fetch deliveries'
     });
   }
 });
@@ -908,4 +1001,1539 @@ router.get('/customers/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Service catalog management (categories, services, tiers)
+//
+// Orders keep a denormalized copy of service/tier name, price and delivery
+// days, so nothing here ever touches the orders table. Rows are soft-deleted
+// (deleted_at) rather than removed because orders.service_tier_id still
+// references them, and can be restored.
+// ---------------------------------------------------------------------------
+
+// Upsert per-currency tier prices; a null price removes that currency's override
+const saveTierPrices = async (client, tierId, prices) => {
+  for (const [currency, price] of Object.entries(prices)) {
+    if (price === null) {
+      await client.query(
+        'DELETE FROM service_tier_prices WHERE tier_id = $1 AND currency = $2',
+        [tierId, currency]
+      );
+      continue;
+    }
+
+    await client.query(
+      `INSERT INTO service_tier_prices (tier_id, currency, price)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tier_id, currency) DO UPDATE SET price = EXCLUDED.price, updated_at = CURRENT_TIMESTAMP`,
+      [tierId, currency, price]
+    );
+  }
+
+  const result = await client.query(
+    'SELECT currency, price FROM service_tier_prices WHERE tier_id = $1 ORDER BY currency ASC',
+    [tierId]
+  );
+  return result.rows;
+};
+
+const sendCatalogError = (res, error, action) => {
+  if (error instanceof CatalogError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // 23505 = unique_violation (duplicate id)
+  if (error.code === '23505') {
+    return res.status(409).json({
+      success: false,
+      message: 'A catalog entry with this id already exists'
+    });
+  }
+
+  console.error(`Catalog ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`
+  });
+};
+
+// Get full catalog for the admin panel (including inactive entries)
+router.get('/catalog', authenticateAdmin, async (req, res) => {
+  try {
+    const includeDeleted = req.query.includeDeleted === 'true';
+    const deletedFilter = includeDeleted ? '' : 'WHERE deleted_at IS NULL';
+
+    const [
+      categoriesResult,
+      servicesResult,
+      tiersResult,
+      tierPricesResult,
+      volumeDiscountsResult,
+      bundles
+    ] = await Promise.all([
+      query(`SELECT * FROM service_categories ${deletedFilter} ORDER BY sort_order ASC, name ASC`),
+      query(`SELECT * FROM services ${deletedFilter} ORDER BY sort_order ASC, name ASC`),
+      query(`SELECT * FROM service_tiers ${deletedFilter} ORDER BY sort_order ASC, price ASC`),
+      query('SELECT * FROM service_tier_prices ORDER BY tier_id ASC, currency ASC'),
+      query('SELECT * FROM tier_volume_discounts ORDER BY tier_id ASC, min_quantity ASC'),
+      pricingService.listBundles()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        categories: categoriesResult.rows,
+        services: servicesResult.rows,
+        tiers: tiersResult.rows,
+        tierPrices: tierPricesResult.rows,
+        tierVolumeDiscounts: volumeDiscountsResult.rows,
+        bundles
+      }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'fetch catalog');
+  }
+});
+
+// Create service category
+router.post('/catalog/categories', authenticateAdmin, validateCategory(), async (req, res) => {
+  try {
+    const { id, name, description = null, icon = null, sortOrder = 0, isActive = true } = req.body;
+
+    const result = await query(
+      `INSERT INTO service_categories (id, name, description, icon, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [id, name, description, icon, sortOrder, isActive]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category: result.rows[0] }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'create category');
+  }
+});
+
+// Reorder service categories
+router.put('/catalog/categories/reorder', authenticateAdmin, validateCatalogReorder, async (req, res) => {
+  try {
+    const reordered = await catalogService.reorderRows('service_categories', req.body.ids);
+
+    if (!reordered) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more categories were not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'reorder categories');
+  }
+});
+
+// Update (or deactivate) service category
+router.put('/catalog/categories/:id', authenticateAdmin, validateCategory(true), async (req, res) => {
+  try {
+    const update = buildCatalogUpdate('service_categories', req.params.id, req.body);
+
+    if (!update) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const result = await query(update.text, update.params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category: result.rows[0] }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'update category');
+  }
+});
+
+// Soft-delete service category together with its services and tiers
+router.delete('/catalog/categories/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const deleted = await catalogService.deleteRow('service_categories', req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'delete category');
+  }
+});
+
+// Restore a deleted service category with the services and tiers deleted along with it
+router.post('/catalog/categories/:id/restore', authenticateAdmin, async (req, res) => {
+  try {
+    const category = await catalogService.restoreRow('service_categories', req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category restored successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'restore category');
+  }
+});
+
+// Create service
+router.post('/catalog/services', authenticateAdmin, validateService(), async (req, res) => {
+  try {
+    const {
+      id,
+      categoryId,
+      name,
+      shortDescription = null,
+      description = null,
+      features = [],
+      sortOrder = 0,
+      isActive = true
+    } = req.body;
+
+    if (!(await catalogService.rowExists('service_categories', categoryId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO services (id, category_id, name, short_description, description, features, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [id, categoryId, name, shortDescription, description, JSON.stringify(features), sortOrder, isActive]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Service created successfully',
+      data: { service: result.rows[0] }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'create service');
+  }
+});
+
+// Reorder services
+router.put('/catalog/services/reorder', authenticateAdmin, validateCatalogReorder, async (req, res) => {
+  try {
+    const reordered = await catalogService.reorderRows('services', req.body.ids);
+
+    if (!reordered) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more services were not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Services reordered successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'reorder services');
+  }
+});
+
+// Update (or deactivate) service
+router.put('/catalog/services/:id', authenticateAdmin, validateService(true), async (req, res) => {
+  try {
+    if (req.body.categoryId && !(await catalogService.rowExists('service_categories', req.body.categoryId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const update = buildCatalogUpdate('services', req.params.id, req.body);
+
+    if (!update) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const result = await query(update.text, update.params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service updated successfully',
+      data: { service: result.rows[0] }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'update service');
+  }
+});
+
+// Soft-delete service together with its tiers
+router.delete('/catalog/services/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const deleted = await catalogService.deleteRow('services', req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service deleted successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'delete service');
+  }
+});
+
+// Restore a deleted service with the tiers deleted along with it
+router.post('/catalog/services/:id/restore', authenticateAdmin, async (req, res) => {
+  try {
+    const service = await catalogService.restoreRow('services', req.params.id);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service restored successfully',
+      data: { service }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'restore service');
+  }
+});
+
+// Create service tier
+router.post('/catalog/tiers', authenticateAdmin, validateTier(), async (req, res) => {
+  const client = await beginTransaction();
+
+  try {
+    const {
+      id,
+      serviceId,
+      name,
+      price,
+      deliveryDays,
+      features = [],
+      isPopular = false,
+      sortOrder = 0,
+      isActive = true,
+      prices = {},
+      volumeDiscounts = [],
+      billingInterval = null
+    } = req.body;
+
+    if (!(await catalogService.rowExists('services', serviceId))) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const result = await client.query(
+      `INSERT INTO service_tiers (id, service_id, name, price, delivery_days, features, is_popular, sort_order, is_active, billing_interval)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [id, serviceId, name, price, deliveryDays, JSON.stringify(features), isPopular, sortOrder, isActive, billingInterval]
+    );
+
+    const tierPrices = await saveTierPrices(client, id, prices || {});
+    const tierVolumeDiscounts = await pricingService.saveVolumeDiscounts(client, id, volumeDiscounts);
+
+    await commitTransaction(client);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service tier created successfully',
+      data: { tier: result.rows[0], prices: tierPrices, volumeDiscounts: tierVolumeDiscounts }
+    });
+
+  } catch (error) {
+    await rollbackTransaction(client);
+    sendCatalogError(res, error, 'create service tier');
+  }
+});
+
+// Reorder service tiers
+router.put('/catalog/tiers/reorder', authenticateAdmin, validateCatalogReorder, async (req, res) => {
+  try {
+    const reordered = await catalogService.reorderRows('service_tiers', req.body.ids);
+
+    if (!reordered) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more service tiers were not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service tiers reordered successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'reorder service tiers');
+  }
+});
+
+// Update (or deactivate) service tier - price changes only affect new orders
+router.put('/catalog/tiers/:id', authenticateAdmin, validateTier(true), async (req, res) => {
+  const client = await beginTransaction();
+
+  try {
+    const { prices, volumeDiscounts } = req.body;
+
+    if (req.body.serviceId && !(await catalogService.rowExists('services', req.body.serviceId))) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const update = buildCatalogUpdate('service_tiers', req.params.id, req.body);
+
+    if (!update && !prices && !volumeDiscounts) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    // A prices/brackets-only update still has to find the tier
+    const result = update
+      ? await client.query(update.text, update.params)
+      : await client.query(
+          'SELECT * FROM service_tiers WHERE id = $1 AND deleted_at IS NULL',
+          [req.params.id]
+        );
+
+    if (result.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        message: 'Service tier not found'
+      });
+    }
+
+    const tierPrices = await saveTierPrices(client, req.params.id, prices || {});
+    // Brackets are replaced as a set, and only when sent
+    const tierVolumeDiscounts = volumeDiscounts
+      ? await pricingService.saveVolumeDiscounts(client, req.params.id, volumeDiscounts)
+      : undefined;
+
+    await commitTransaction(client);
+
+    res.json({
+      success: true,
+      message: 'Service tier updated successfully',
+      data: { tier: result.rows[0], prices: tierPrices, volumeDiscounts: tierVolumeDiscounts }
+    });
+
+  } catch (error) {
+    await rollbackTransaction(client);
+    sendCatalogError(res, error, 'update service tier');
+  }
+});
+
+// Soft-delete service tier
+router.delete('/catalog/tiers/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const deleted = await catalogService.deleteRow('service_tiers', req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service tier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service tier deleted successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'delete service tier');
+  }
+});
+
+// Restore a deleted service tier
+router.post('/catalog/tiers/:id/restore', authenticateAdmin, async (req, res) => {
+  try {
+    const tier = await catalogService.restoreRow('service_tiers', req.params.id);
+
+    if (!tier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted service tier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service tier restored successfully',
+      data: { tier }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'restore service tier');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Bundle rules: one unit of every listed tier bought together gets the
+// discount. Volume brackets are saved with their tier above.
+// ---------------------------------------------------------------------------
+
+// Check that every tier in a bundle exists
+const bundleTiersExist = async (tierIds) => {
+  const result = await query(
+    'SELECT id FROM service_tiers WHERE id = ANY($1) AND deleted_at IS NULL',
+    [tierIds]
+  );
+  return result.rows.length === new Set(tierIds).size;
+};
+
+// List bundle rules
+router.get('/catalog/bundles', authenticateAdmin, async (req, res) => {
+  try {
+    const bundles = await pricingService.listBundles();
+
+    res.json({
+      success: true,
+      data: { bundles }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'fetch bundles');
+  }
+});
+
+// Create bundle rule
+router.post('/catalog/bundles', authenticateAdmin, validateBundle(), async (req, res) => {
+  try {
+    if (!(await bundleTiersExist(req.body.tierIds))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more service tiers were not found'
+      });
+    }
+
+    const bundle = await pricingService.createBundle(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created successfully',
+      data: { bundle }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'create bundle');
+  }
+});
+
+// Update (or deactivate) bundle rule
+router.put('/catalog/bundles/:id', authenticateAdmin, validateBundle(true), async (req, res) => {
+  try {
+    if (req.body.tierIds && !(await bundleTiersExist(req.body.tierIds))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more service tiers were not found'
+      });
+    }
+
+    const bundle = await pricingService.updateBundle(parseInt(req.params.id), req.body);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bundle updated successfully',
+      data: { bundle }
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'update bundle');
+  }
+});
+
+// Delete bundle rule
+router.delete('/catalog/bundles/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const deleted = await pricingService.deleteBundle(parseInt(req.params.id) || 0);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bundle deleted successfully'
+    });
+
+  } catch (error) {
+    sendCatalogError(res, error, 'delete bundle');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Exchange rates (USD -> currency) used to price tiers without an explicit
+// per-currency price. A currency is offered at checkout while it is active.
+// ---------------------------------------------------------------------------
+
+// List exchange rates
+router.get('/exchange-rates', authenticateAdmin, async (req, res) => {
+  try {
+    const rates = await currencyService.listRates();
+
+    res.json({
+      success: true,
+      data: { baseCurrency: BASE_CURRENCY, rates }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exchange rates'
+    });
+  }
+});
+
+// Create or update an exchange rate
+router.put('/exchange-rates/:currency', authenticateAdmin, validateExchangeRate, async (req, res) => {
+  try {
+    const { rate, isActive = true } = req.body;
+
+    const exchangeRate = await currencyService.setRate(req.params.currency, {
+      rate: parseFloat(rate),
+      isActive
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate saved successfully',
+      data: { rate: exchangeRate }
+    });
+
+  } catch (error) {
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save exchange rate'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Coupons. Fixed discounts and minimum cart amounts are in USD and converted
+// at checkout; empty tierIds/categoryIds mean the coupon applies to any item.
+// ---------------------------------------------------------------------------
+
+// Map coupon errors to their status and everything else to a 500
+const sendCouponError = (res, error, action) => {
+  if (error instanceof CouponError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Coupon ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`
+  });
+};
+
+// List coupons with their redemption counts
+router.get('/coupons', authenticateAdmin, validateCouponQuery, async (req, res) => {
+  try {
+    const { search, isActive, page = 1, limit = 20 } = req.query;
+
+    const { coupons, total } = await couponService.listCoupons({
+      search,
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    sendCouponError(res, error, 'fetch coupons');
+  }
+});
+
+// Get a coupon with its redemptions
+router.get('/coupons/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await couponService.getCoupon(parseInt(req.params.id) || 0);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendCouponError(res, error, 'fetch coupon');
+  }
+});
+
+// Create coupon
+router.post('/coupons', authenticateAdmin, validateCoupon(), async (req, res) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    sendCouponError(res, error, 'create coupon');
+  }
+});
+
+// Update (or deactivate) coupon
+router.put('/coupons/:id', authenticateAdmin, validateCoupon(true), async (req, res) => {
+  try {
+    const coupon = await couponService.updateCoupon(parseInt(req.params.id), req.body);
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    sendCouponError(res, error, 'update coupon');
+  }
+});
+
+// Soft-delete coupon
+router.delete('/coupons/:id', authenticateAdmin, async (req, res) => {
+  try {
+    await couponService.deleteCoupon(parseInt(req.params.id) || 0);
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+
+  } catch (error) {
+    sendCouponError(res, error, 'delete coupon');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// VAT rates by customer country. Countries without an active rate are not
+// taxed; cross-border business customers with a VAT ID are reverse charged.
+// ---------------------------------------------------------------------------
+
+// List tax rates
+router.get('/tax-rates', authenticateAdmin, async (req, res) => {
+  try {
+    const rates = await taxService.listRates();
+
+    res.json({
+      success: true,
+      data: { sellerCountry: taxService.sellerCountry, rates }
+    });
+
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax rates'
+    });
+  }
+});
+
+// Create or update a country's tax rate
+router.put('/tax-rates/:country', authenticateAdmin, validateTaxRate, async (req, res) => {
+  try {
+    const { rate, name, isActive = true } = req.body;
+
+    const taxRate = await taxService.setRate(req.params.country, {
+      name,
+      rate: parseFloat(rate),
+      isActive
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax rate saved successfully',
+      data: { rate: taxRate }
+    });
+
+  } catch (error) {
+    console.error('Save tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save tax rate'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Webhook event inbox
+// ---------------------------------------------------------------------------
+
+// List stored webhook events (failed ones unless another status is requested)
+router.get('/webhook-events', authenticateAdmin, validateWebhookEventQuery, async (req, res) => {
+  try {
+    const { status = 'failed', provider, page = 1, limit = 20 } = req.query;
+
+    const { events, total } = await webhookInbox.listEvents({
+      status: status === 'all' ? null : status,
+      provider,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook events'
+    });
+  }
+});
+
+// Get a single webhook event with its payload
+router.get('/webhook-events/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const event = await webhookInbox.getEvent(parseInt(req.params.id) || 0);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { event }
+    });
+
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook event'
+    });
+  }
+});
+
+// Replay a failed webhook event
+router.post('/webhook-events/:id/replay', authenticateAdmin, async (req, res) => {
+  const eventId = parseInt(req.params.id) || 0;
+
+  try {
+    const event = await webhookInbox.replay(eventId);
+
+    res.json({
+      success: true,
+      message: 'Webhook event replayed successfully',
+      data: { event }
+    });
+
+  } catch (error) {
+    if (error instanceof WebhookInboxError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // The handler failed again; the stored event carries the new error
+    console.error('Replay webhook event error:', error);
+    const event = await webhookInbox.getEvent(eventId).catch(() => null);
+
+    res.status(500).json({
+      success: false,
+      message: `Webhook event replay failed: ${error.message}`,
+      data: { event }
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Subscriptions. Each paid billing period creates a regular order, listed
+// with the subscription.
+// ---------------------------------------------------------------------------
+
+const SUBSCRIPTION_ACTION_RESULTS = { pause: 'paused', resume: 'resumed', cancel: 'cancelled' };
+
+// Map subscription errors to their status and everything else to a 500
+const sendSubscriptionError = (res, error, action) => {
+  if (error instanceof SubscriptionError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Subscription ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`
+  });
+};
+
+// List subscriptions
+router.get('/subscriptions', authenticateAdmin, validateSubscriptionQuery, async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+
+    const { subscriptions, total } = await subscriptionService.listSubscriptions({
+      status,
+      search,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions: subscriptions.map(subscription => ({
+          ...subscriptionService.formatSubscription(subscription),
+          customerName: subscription.customer_name,
+          customerEmail: subscription.customer_email
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'fetch subscriptions');
+  }
+});
+
+// Get a subscription with the orders created for it
+router.get('/subscriptions/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.getSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const orders = await subscriptionService.getOrders(subscription.id);
+
+    res.json({
+      success: true,
+      data: {
+        subscription: {
+          ...subscriptionService.formatSubscription(subscription),
+          customerName: subscription.customer_name,
+          customerEmail: subscription.customer_email,
+          gatewaySubscriptionId: subscription.gateway_subscription_id,
+          cancelReason: subscription.cancel_reason
+        },
+        orders
+      }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'fetch subscription');
+  }
+});
+
+// Pause, resume or cancel a subscription at its gateway
+router.post('/subscriptions/:id/:action', authenticateAdmin, validateSubscriptionAction(), async (req, res) => {
+  try {
+    const { action } = req.params;
+    const subscription = await subscriptionService.changeStatus(req.params.id, action, {
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: `Subscription ${SUBSCRIPTION_ACTION_RESULTS[action]} successfully`,
+      data: { subscription: subscriptionService.formatSubscription(subscription) }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, `${req.params.action} subscription`);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Bank transfers. Orders wait as pending until the transfer is marked
+// received; unpaid transfers are expired by a scheduled job.
+// ---------------------------------------------------------------------------
+
+// Map bank transfer errors to their status and everything else to a 500
+const sendBankTransferError = (res, error, action) => {
+  if (error instanceof BankTransferError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Bank transfer ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`
+  });
+};
+
+// List bank transfers
+router.get('/bank-transfers', authenticateAdmin, validateBankTransferQuery, async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+
+    const { transfers, total } = await bankTransferService.listTransfers({
+      status,
+      search,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        transfers: transfers.map(transfer => ({
+          ...bankTransferService.formatTransfer(transfer),
+          customerName: transfer.customer_name,
+          customerEmail: transfer.customer_email,
+          trackingIds: transfer.tracking_ids || []
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    sendBankTransferError(res, error, 'fetch bank transfers');
+  }
+});
+
+// Mark a transfer received, confirming and invoicing its orders
+router.post('/bank-transfers/:reference/received', authenticateAdmin, validateBankTransferUpdate, async (req, res) => {
+  try {
+    const { amount, notes, notifyCustomer = true } = req.body;
+
+    const result = await bankTransferService.markReceived(req.params.reference, {
+      amount: amount === undefined || amount === null ? null : parseFloat(amount),
+      adminId: req.admin.id,
+      notes: notes || null
+    });
+
+    if (notifyCustomer) {
+      const confirmedOrders = result.orders.map(order => checkoutService.formatOrder(order));
+      await emailService.sendCheckoutConfirmation(result.customer, confirmedOrders, result.totalAmount, result.invoice);
+    }
+
+    res.json({
+      success: true,
+      message: 'Bank transfer marked as received',
+      data: {
+        transfer: bankTransferService.formatTransfer(result.transfer),
+        orders: result.orders.map(order => checkoutService.formatOrder(order)),
+        invoiceNumber: result.invoice?.invoice_number || null
+      }
+    });
+
+  } catch (error) {
+    sendBankTransferError(res, error, 'mark bank transfer received');
+  }
+});
+
+// Expire a transfer now, cancelling its orders
+router.post('/bank-transfers/:reference/expire', authenticateAdmin, validateBankTransferUpdate, async (req, res) => {
+  try {
+    const { notes, notifyCustomer = true } = req.body;
+
+    const transfer = await bankTransferService.expire(req.params.reference, {
+      notes: notes || null,
+      notify: notifyCustomer
+    });
+
+    res.json({
+      success: true,
+      message: 'Bank transfer expired and its orders cancelled',
+      data: { transfer: bankTransferService.formatTransfer(transfer) }
+    });
+
+  } catch (error) {
+    sendBankTransferError(res, error, 'expire bank transfer');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Abandoned checkouts. Unpaid gateway checkouts are picked up and reminded
+// by a scheduled job; the report shows how many were paid in the end.
+// ---------------------------------------------------------------------------
+
+// List abandoned checkouts
+router.get('/abandoned-checkouts', authenticateAdmin, validateAbandonedCheckoutQuery, async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+
+    const { checkouts, total } = await checkoutRecoveryService.listAbandoned({
+      status,
+      search,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        checkouts: checkouts.map(checkout => checkoutRecoveryService.formatCheckout(checkout)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Abandoned checkouts fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch abandoned checkouts'
+    });
+  }
+});
+
+// Recovery rate for checkouts started between `from` and `to` (default: the last 30 days)
+router.get('/abandoned-checkouts/report', authenticateAdmin, validateRecoveryReportQuery, async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report start date must be before its end date'
+      });
+    }
+
+    const report = await checkoutRecoveryService.getReport({ from, to });
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Abandoned checkout report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate abandoned checkout report'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Deliverables. Uploads go through POST /api/admin/orders/:orderId/deliverables
+// (server.js); re-uploading a file adds a version and keeps the old one here.
+// ---------------------------------------------------------------------------
+
+// Every deliverable of an order, including replaced versions and internal files
+router.get('/orders/:id/deliverables', authenticateAdmin, async (req, res) => {
+  try {
+    const deliverables = await deliverableService.listForOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        deliverables: deliverables.map(deliverable => deliverableService.formatForAdmin(deliverable))
+      }
+    });
+
+  } catch (error) {
+    console.error('Deliverables fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deliverables'
+    });
+  }
+});
+
+// Change a deliverable's description or whether the customer can see it
+router.put('/deliverables/:id', authenticateAdmin, validateDeliverableUpdate, async (req, res) => {
+  try {
+    const { description, visibility } = req.body;
+    const deliverable = await deliverableService.updateDeliverable(req.params.id, { description, visibility });
+
+    if (!deliverable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deliverable not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Deliverable updated',
+      data: { deliverable: deliverableService.formatForAdmin(deliverable) }
+    });
+
+  } catch (error) {
+    console.error('Deliverable update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update deliverable'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Chunked uploads for deliverables too large for a form upload. Open a
+// session, PUT the file in numbered parts as raw bytes
+// (Content-Type: application/octet-stream), then complete it. GET the session
+// to see which parts arrived and resume an interrupted upload.
+// ---------------------------------------------------------------------------
+
+// Map upload and deliverable errors to their status and everything else to a 500
+const sendUploadError = (res, error, action) => {
+  if (error instanceof UploadSessionError || error instanceof DeliverableError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Upload ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action}`
+  });
+};
+
+// Open an upload session for one file
+router.post('/orders/:id/uploads', authenticateAdmin, validateUploadSession, async (req, res) => {
+  try {
+    const { fileName, fileType, fileSize, description, visibility, replaces } = req.body;
+
+    const session = await uploadSessionService.create(req.params.id, {
+      fileName,
+      fileType,
+      fileSize,
+      description,
+      visibility,
+      replaces,
+      adminId: req.admin.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: { upload: uploadSessionService.formatSession(session) }
+    });
+
+  } catch (error) {
+    sendUploadError(res, error, 'create upload session');
+  }
+});
+
+// Upload progress: which parts have been received
+router.get('/uploads/:id', authenticateAdmin, validateUploadSessionId, async (req, res) => {
+  try {
+    const session = await uploadSessionService.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { upload: uploadSessionService.formatSession(session) }
+    });
+
+  } catch (error) {
+    sendUploadError(res, error, 'fetch upload session');
+  }
+});
+
+// Upload one part; the request body is the part's bytes
+router.put('/uploads/:id/parts/:partNumber', authenticateAdmin, validateUploadSessionId, async (req, res) => {
+  try {
+    const session = await uploadSessionService.putPart(req.params.id, Number(req.params.partNumber), req);
+
+    res.json({
+      success: true,
+      data: { upload: uploadSessionService.formatSession(session) }
+    });
+
+  } catch (error) {
+    sendUploadError(res, error, 'upload part');
+  }
+});
+
+// Join the parts and add the file to the order's deliverables
+router.post('/uploads/:id/complete', authenticateAdmin, validateUploadSessionId, async (req, res) => {
+  try {
+    const { session, deliverable } = await uploadSessionService.complete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Upload completed',
+      data: {
+        upload: uploadSessionService.formatSession(session),
+        deliverable: deliverableService.formatForAdmin(deliverable)
+      }
+    });
+
+  } catch (error) {
+    sendUploadError(res, error, 'complete upload');
+  }
+});
+
+// Abandon an upload and delete the parts received so far
+router.delete('/uploads/:id', authenticateAdmin, validateUploadSessionId, async (req, res) => {
+  try {
+    const session = await uploadSessionService.abort(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload aborted',
+      data: { upload: uploadSessionService.formatSession(session) }
+    });
+
+  } catch (error) {
+    sendUploadError(res, error, 'abort upload');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Deliverable download links. Customers get signed links from order tracking;
+// revoking one stops it working at once (tracking hands out a new link next
+// time the order is viewed).
+// ---------------------------------------------------------------------------
+
+// An order's download links and download log
+router.get('/orders/:id/download-links', authenticateAdmin, async (req, res) => {
+  try {
+    const [links, downloads] = await Promise.all([
+      deliverableService.listOrderLinks(req.params.id),
+      deliverableService.listOrderDownloads(req.params.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        links: links.map(link => deliverableService.formatLink(link)),
+        downloads: downloads.map(download => ({
+          id: download.id,
+          deliverableId: download.deliverable_id,
+          fileName: download.file_name,
+          linkId: download.link_id,
+          customerId: download.customer_id,
+          ipAddress: download.ip_address,
+          userAgent: download.user_agent,
+          downloadedAt: download.downloaded_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Download links fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch download links'
+    });
+  }
+});
+
+// Revoke one download link
+router.post('/download-links/:id/revoke', authenticateAdmin, async (req, res) => {
+  try {
+    const link = await deliverableService.revokeLink(req.params.id, req.admin.id);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Download link revoked',
+      data: { link: deliverableService.formatLink(link) }
+    });
+
+  } catch (error) {
+    console.error('Download link revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke download link'
+    });
+  }
+});
+
+// Revoke every live link to a deliverable
+router.post('/deliverables/:id/revoke-links', authenticateAdmin, async (req, res) => {
+  try {
+    const revoked = await deliverableService.revokeDeliverableLinks(req.params.id, req.admin.id);
+
+    res.json({
+      success: true,
+      message: `Revoked ${revoked} download link(s)`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Deliverable links revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke download links'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,259 @@
+import express from "express";
+import { pipeline } from "stream";
+import {
+  authenticateCustomer,
+  generateCustomerToken,
+} from "../middleware/auth.js";
+import {
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateCustomerProfile,
+  validateCustomerOrderQuery,
+} from "../middleware/validation.js";
+import {
+  customerAccountService,
+  CustomerAccountError,
+} from "../services/customerAccounts.js";
+import { checkoutService } from "../services/checkout.js";
+import { invoiceService } from "../services/invoices.js";
+import { deliverableService } from "../services/deliverables.js";
+import { storage } from "../utils/storage.js";
+
+const router = express.Router();
+
+// Map account errors to their status and everything else to a 500
+const sendAccountError = (res, error, message) => {
+  if (error instanceof CustomerAccountError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+// Order summary for the customer's order list
+const formatOrderSummary = (order) => ({
+  ...checkoutService.formatOrder(order),
+  keywords: order.keywords,
+  invoiceNumber: order.invoice_number || null,
+  createdAt: order.created_at,
+});
+
+// Email a login link. The response is the same whether or not the email has orders.
+router.post("/auth/magic-link", validateMagicLinkRequest, (req, res) => {
+  res.json({
+    success: true,
+    message: "If we have orders under that email, a login link is on its way",
+  });
+
+  // Sent after answering so the response time doesn't reveal which emails have accounts;
+  // requestMagicLink logs its own failures
+  customerAccountService.requestMagicLink(req.body.email);
+});
+
+// Exchange a login link token for a session token
+router.post("/auth/verify", validateMagicLinkVerify, async (req, res) => {
+  try {
+    const customer = await customerAccountService.verifyMagicLink(req.body.token);
+
+    res.json({
+      success: true,
+      data: {
+        token: generateCustomerToken(customer.id, customer.email),
+        customer: customerAccountService.formatCustomer(customer),
+      },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Login failed");
+  }
+});
+
+// Get the logged-in customer's profile
+router.get("/me", authenticateCustomer, async (req, res) => {
+  try {
+    const customer = await customerAccountService.getCustomer(req.customer.id);
+
+    res.json({
+      success: true,
+      data: { customer: customerAccountService.formatCustomer(customer) },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to retrieve profile");
+  }
+});
+
+// Update the customer's website and phone
+router.put("/me", authenticateCustomer, validateCustomerProfile, async (req, res) => {
+  try {
+    const { website, phone } = req.body;
+
+    const customer = await customerAccountService.updateProfile(req.customer.id, {
+      website,
+      phone,
+    });
+
+    res.json({
+      success: true,
+      message: "Profile updated",
+      data: { customer: customerAccountService.formatCustomer(customer) },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to update profile");
+  }
+});
+
+// List the customer's orders
+router.get("/orders", authenticateCustomer, validateCustomerOrderQuery, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const { orders, total } = await customerAccountService.listOrders(req.customer.id, {
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        orders: orders.map(formatOrderSummary),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to retrieve orders");
+  }
+});
+
+// Get one of the customer's orders with its timeline, deliverables and invoice
+router.get("/orders/:trackingId", authenticateCustomer, async (req, res) => {
+  try {
+    const { trackingId } = req.params;
+    const result = await customerAccountService.getOrder(req.customer.id, trackingId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const { order, history, deliverables } = result;
+    const orderPath = `/api/customer/orders/${encodeURIComponent(order.tracking_id)}`;
+
+    res.json({
+      success: true,
+      data: {
+        order: formatOrderSummary(order),
+        timeline: history.map((h) => ({
+          date: h.created_at,
+          status: h.status,
+          description: h.notes || `Order status updated to ${h.status}`,
+        })),
+        deliverables: deliverables.map((deliverable) => ({
+          id: deliverable.id,
+          fileName: deliverable.file_name,
+          fileType: deliverable.file_type,
+          fileSize: deliverable.file_size,
+          description: deliverable.description,
+          version: deliverable.version,
+          uploadedAt: deliverable.created_at,
+          downloadUrl: `${orderPath}/deliverables/${deliverable.id}`,
+        })),
+        invoice: order.invoice_number
+          ? {
+              invoiceNumber: order.invoice_number,
+              issuedAt: order.invoice_issued_at,
+              downloadUrl: `${orderPath}/invoice`,
+            }
+          : null,
+      },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to retrieve order");
+  }
+});
+
+// Download the invoice PDF for one of the customer's orders
+router.get("/orders/:trackingId/invoice", authenticateCustomer, async (req, res) => {
+  try {
+    const result = await customerAccountService.getOrder(req.customer.id, req.params.trackingId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const invoice = await invoiceService.getOrderInvoice(result.order.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "No invoice has been issued for this order yet",
+      });
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.invoice_number}.pdf"`,
+      "Cache-Control": "private, no-store",
+    });
+    res.send(invoice.pdf);
+  } catch (error) {
+    sendAccountError(res, error, "Failed to retrieve invoice");
+  }
+});
+
+// Download a deliverable file for one of the customer's orders
+router.get("/orders/:trackingId/deliverables/:id", authenticateCustomer, async (req, res) => {
+  try {
+    const deliverableId = parseInt(req.params.id);
+    const deliverable = Number.isInteger(deliverableId)
+      ? await customerAccountService.getDeliverable(req.customer.id, req.params.trackingId, deliverableId)
+      : null;
+    const file = deliverable && (await storage.getStream(deliverable.file_path));
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "Deliverable not found",
+      });
+    }
+
+    await deliverableService.logDownload({
+      deliverableId: deliverable.id,
+      customerId: req.customer.id,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent") || null,
+    });
+
+    res.attachment(deliverable.file_name);
+    res.set("Cache-Control", "private, no-store");
+    pipeline(file, res, (streamError) => {
+      if (streamError) {
+        console.error("Deliverable stream error:", streamError);
+      }
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to download deliverable");
+  }
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from "express";
+import { pipeline } from "stream";
 import {
   query,
   beginTransaction,
@@ -8,124 +9,140 @@ import {
 import {
   validateOrderCreation,
   validatePaymentCapture,
+  validateCouponCheck,
+  validateSubscriptionCreation,
+  validateSubscriptionAction,
 } from "../middleware/validation.js";
 import { 
   validateOrderInput, 
   handleValidationErrors,
   sanitizeInput 
 } from "../middleware/security.js";
+import { idempotency } from "../middleware/idempotency.js";
 import { paypalService } from "../services/paypal.js";
+import { paypalWebhookService } from "../services/paypalWebhooks.js";
 import { emailService } from "../services/email.js";
 import { stripeService } from "../services/stripe.js";
+import { stripeWebhookService } from "../services/stripeWebhooks.js";
+import { webhookInbox } from "../services/webhookInbox.js";
+import { catalogService } from "../services/catalog.js";
+import { couponService, CouponError } from "../services/coupons.js";
+import { invoiceService } from "../services/invoices.js";
+import {
+  deliverableService,
+  DeliverableError,
+} from "../services/deliverables.js";
+import { storage } from "../utils/storage.js";
+import {
+  checkoutService,
+  CheckoutError,
+  roundAmount,
+} from "../services/checkout.js";
+import {
+  subscriptionService,
+  SubscriptionError,
+} from "../services/subscriptions.js";
+import {
+  bankTransferService,
+  BankTransferError,
+} from "../services/bankTransfers.js";
+import {
+  checkoutRecoveryService,
+  CheckoutRecoveryError,
+} from "../services/checkoutRecovery.js";
 
 const router = express.Router();
 
+// Price breakdown of a priced cart for checkout responses
+const pricingSummary = (priced) => ({
+  listTotal: priced.listTotal,
+  subtotal: priced.subtotal,
+  discountAmount: priced.discountAmount,
+  couponCode: priced.coupon?.code || null,
+  netAmount: priced.netAmount,
+  taxAmount: priced.taxAmount,
+  tax: {
+    country: priced.tax.country,
+    rate: priced.tax.rate,
+    treatment: priced.tax.treatment,
+    label: priced.tax.label,
+    vatId: priced.tax.vatId,
+  },
+  totalAmount: priced.totalAmount,
+});
+
+// Map checkout, coupon, subscription, bank transfer and recovery errors to 4xx/503 responses and everything else to a 500
+const sendCheckoutError = (res, error, message) => {
+  if (
+    error instanceof CheckoutError ||
+    error instanceof CouponError ||
+    error instanceof SubscriptionError ||
+    error instanceof BankTransferError ||
+    error instanceof CheckoutRecoveryError
+  ) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
 // Create new order (secured)
 router.post("/create", 
   validateOrderInput,
   handleValidationErrors,
   validateOrderCreation, 
+  idempotency,
   async (req, res) => {
-  const client = await beginTransaction();
-
   try {
-    const {
-      customerName,
-      customerEmail,
-      website,
-      keywords,
-      serviceId,
-      quantity = 1,
-    } = req.body;
-
-    // Get service tier details
-    const serviceTierResult = await client.query(
-      `SELECT st.*, s.name as service_name 
-       FROM service_tiers st 
-       JOIN services s ON st.service_id = s.id 
-       WHERE st.id = $1 AND st.is_active = true AND s.is_active = true`,
-      [serviceId] // serviceId is actually serviceTierId from frontend
-    );
-
-    if (serviceTierResult.rows.length === 0) {
-      await rollbackTransaction(client);
-      return res.status(400).json({
-        success: false,
-        message: "Invalid or inactive service tier",
-      });
-    }
-
-    const serviceTier = serviceTierResult.rows[0];
-    const totalAmount = serviceTier.price * quantity;
-
-    // Check if customer exists, create if not
-    let customerId;
-    const customerResult = await client.query(
-      "SELECT id FROM customers WHERE email = $1",
-      [customerEmail]
-    );
-
-    if (customerResult.rows.length > 0) {
-      customerId = customerResult.rows[0].id;
-      // Update customer info
-      await client.query(
-        "UPDATE customers SET name = $1, website = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
-        [customerName, website, customerId]
-      );
-    } else {
-      // Create new customer
-      const newCustomerResult = await client.query(
-        "INSERT INTO customers (name, email, website) VALUES ($1, $2, $3) RETURNING id",
-        [customerName, customerEmail, website]
-      );
-      customerId = newCustomerResult.rows[0].id;
-    }
-
-    // Create order
-    const orderResult = await client.query(
-      `INSERT INTO orders (customer_id, service_tier_id, service_name, service_tier_name, service_price, delivery_days, keywords, quantity, total_amount)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-      [
-        customerId,
-        serviceId, // This is actually serviceTierId from frontend
-        serviceTier.service_name,
-        serviceTier.name,
-        serviceTier.price,
-        serviceTier.delivery_days,
-        keywords,
-        quantity,
-        totalAmount,
-      ]
-    );
-
-    const order = orderResult.rows[0];
-
-    // Add initial status history
-    await client.query(
-      "INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)",
-      [order.id, "pending", "Order created"]
-    );
-
-    await commitTransaction(client);
+    const { cart, customer, currency, couponCode } = req.body;
+    let paypalOrder;
+
+    // Orders stay pending until /capture-payment; the PayPal order id is stored
+    // on pending payment rows so the capture can find them again
+    const result = await checkoutService.checkout({
+      cart,
+      customer,
+      currency,
+      couponCode,
+      beforeCommit: async (client, { orders, items, netAmount, taxAmount, totalAmount, currency }) => {
+        paypalOrder = await paypalService.createOrder({
+          amount: totalAmount,
+          netAmount,
+          taxAmount,
+          currency,
+          orderId: orders[0].tracking_id,
+          description: `SEO Services - ${items
+            .map((item) => item.serviceName)
+            .join(", ")
+            .substring(0, 100)}`,
+        });
 
-    // Create PayPal order
-    const paypalOrder = await paypalService.createOrder({
-      amount: totalAmount,
-      currency: "USD",
-      orderId: order.tracking_id,
-      description: `${service.name} - ${keywords.substring(0, 50)}...`,
+        await checkoutService.recordPayments(client, orders, {
+          method: "paypal",
+          paymentId: paypalOrder.id,
+          currency,
+          status: "pending",
+        });
+      },
     });
 
+    const orders = result.orders.map((order) => checkoutService.formatOrder(order));
+
     res.status(201).json({
       success: true,
       message: "Order created successfully",
       data: {
-        order: {
-          id: order.id,
-          trackingId: order.tracking_id,
-          totalAmount: order.total_amount,
-          serviceName: order.service_name,
-        },
+        order: orders[0],
+        orders,
+        ...pricingSummary(result),
+        currency: result.currency,
         paypalOrder: {
           id: paypalOrder.id,
           approvalUrl: paypalOrder.links.find((link) => link.rel === "approve")
@@ -134,29 +151,29 @@ router.post("/create",
       },
     });
   } catch (error) {
-    await rollbackTransaction(client);
-    console.error("Order creation error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create order",
-    });
+    sendCheckoutError(res, error, "Failed to create order");
   }
 });
 
 // Capture PayPal payment
-router.post("/capture-payment", validatePaymentCapture, async (req, res) => {
-  const client = await beginTransaction();
+router.post("/capture-payment", validatePaymentCapture, idempotency, async (req, res) => {
+  // Set to null once committed, so a later failure doesn't roll back a released client
+  let client = null;
 
   try {
-    const { paypalOrderId, orderId } = req.body;
+    const { paypalOrderId } = req.body;
+    client = await beginTransaction();
 
-    // Get order details
+    // Only the orders whose payments carry this PayPal order ID, locked so a
+    // concurrent capture of the same PayPal order waits for this one
     const orderResult = await client.query(
       `SELECT o.*, c.name as customer_name, c.email as customer_email, c.website as customer_website
        FROM orders o 
        JOIN customers c ON o.customer_id = c.id 
-       WHERE o.id = $1`,
-      [orderId]
+       WHERE o.id IN (SELECT order_id FROM payments WHERE payment_method = 'paypal' AND payment_id = $1)
+       ORDER BY o.id ASC
+       FOR UPDATE OF o`,
+      [paypalOrderId]
     );
 
     if (orderResult.rows.length === 0) {
@@ -167,14 +184,39 @@ router.post("/capture-payment", validatePaymentCapture, async (req, res) => {
       });
     }
 
-    const order = orderResult.rows[0];
+    const orders = orderResult.rows;
+    const totalAmount = roundAmount(
+      orders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0)
+    );
+
+    // Already captured: replay the original result instead of charging again
+    if (orders.every((order) => order.payment_status === "paid")) {
+      await commitTransaction(client);
+
+      return res.json({
+        success: true,
+        message: "Payment already captured",
+        data: {
+          orderId: orders[0].id,
+          trackingId: orders[0].tracking_id,
+          orders: orders.map((order) => checkoutService.formatOrder(order)),
+          paymentId: paypalOrderId,
+          amount: totalAmount,
+          currency: orders[0].currency,
+          replayed: true,
+        },
+      });
+    }
 
     // Capture PayPal payment
     const captureResult = await paypalService.captureOrder(paypalOrderId);
     const paymentInfo = paypalService.extractPaymentInfo(captureResult);
 
-    // Verify payment amount matches order amount
-    if (Math.abs(paymentInfo.amount - parseFloat(order.total_amount)) > 0.01) {
+    // Verify payment amount and currency match the orders
+    if (
+      Math.abs(paymentInfo.amount - totalAmount) > 0.01 ||
+      paymentInfo.currency !== (orders[0].currency || "USD")
+    ) {
       await rollbackTransaction(client);
       return res.status(400).json({
         success: false,
@@ -182,63 +224,51 @@ router.post("/capture-payment", validatePaymentCapture, async (req, res) => {
       });
     }
 
-    // Update order payment status
-    await client.query(
-      "UPDATE orders SET payment_status = $1, status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
-      ["paid", "confirmed", orderId]
-    );
+    const invoice = await checkoutService.markOrdersPaid(client, orders, {
+      method: "paypal",
+      paymentId: paymentInfo.paypalOrderId,
+      captureId: paymentInfo.captureId,
+      payerId: paymentInfo.payerId,
+      currency: paymentInfo.currency,
+      gatewayResponse: captureResult,
+    });
 
-    // Record payment
-    await client.query(
-      `INSERT INTO payments (order_id, payment_method, payment_id, payer_id, amount, currency, status, gateway_response)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [
-        orderId,
-        "paypal",
-        paymentInfo.paypalOrderId,
-        paymentInfo.payerId,
-        paymentInfo.amount,
-        paymentInfo.currency,
-        "paid",
-        JSON.stringify(captureResult),
-      ]
-    );
+    await commitTransaction(client);
+    client = null;
 
-    // Add status history
-    await client.query(
-      "INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)",
-      [orderId, "confirmed", "Payment received and confirmed"]
+    const customer = {
+      name: orders[0].customer_name,
+      email: orders[0].customer_email,
+      website: orders[0].customer_website,
+    };
+    const confirmedOrders = orders.map((order) =>
+      checkoutService.formatOrder({
+        ...order,
+        status: "confirmed",
+        payment_status: "paid",
+      })
     );
 
-    await commitTransaction(client);
-
-    // Send confirmation email
-    try {
-      await emailService.sendOrderConfirmation(order.customer_email, {
-        trackingId: order.tracking_id,
-        customerName: order.customer_name,
-        serviceName: order.service_name,
-        totalAmount: order.total_amount,
-        keywords: order.keywords,
-        website: order.customer_website,
-      });
-    } catch (emailError) {
-      console.error("Failed to send confirmation email:", emailError);
-      // Don't fail the request if email fails
-    }
+    await emailService.sendCheckoutConfirmation(customer, confirmedOrders, totalAmount, invoice);
 
     res.json({
       success: true,
       message: "Payment captured successfully",
       data: {
-        orderId: order.id,
-        trackingId: order.tracking_id,
+        orderId: orders[0].id,
+        trackingId: orders[0].tracking_id,
+        orders: confirmedOrders,
+        invoiceNumber: invoice.invoice_number,
         paymentId: paymentInfo.paypalOrderId,
         amount: paymentInfo.amount,
+        currency: paymentInfo.currency,
+        replayed: false,
       },
     });
   } catch (error) {
-    await rollbackTransaction(client);
+    if (client) {
+      await rollbackTransaction(client);
+    }
     console.error("Payment capture error:", error);
     res.status(500).json({
       success: false,
@@ -247,6 +277,33 @@ router.post("/capture-payment", validatePaymentCapture, async (req, res) => {
   }
 });
 
+// Place orders paid by bank transfer; they stay pending until an admin marks the transfer received
+router.post("/bank-transfer", validateOrderCreation, idempotency, async (req, res) => {
+  try {
+    const { cart, customer, currency, couponCode } = req.body;
+
+    const result = await bankTransferService.createTransfer({
+      cart,
+      customer,
+      currency,
+      couponCode,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Order placed. Please transfer the amount due using the instructions provided.",
+      data: {
+        orders: result.orders.map((order) => checkoutService.formatOrder(order)),
+        ...pricingSummary(result),
+        currency: result.currency,
+        instructions: result.instructions,
+      },
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to create bank transfer order");
+  }
+});
+
 // Get order by tracking ID (for customers)
 router.get("/track/:trackingId", async (req, res) => {
   try {
@@ -261,10 +318,12 @@ router.get("/track/:trackingId", async (req, res) => {
     }
 
     const result = await query(
-      `SELECT o.tracking_id, o.service_name, o.service_tier_name, o.total_amount, o.status, o.payment_status, 
-              o.created_at, o.delivery_days, o.keywords, c.name as customer_name, c.email as customer_email, c.website as customer_website
+      `SELECT o.id, o.tracking_id, o.service_name, o.service_tier_name, o.total_amount, o.status, o.payment_status, 
+              o.created_at, o.delivery_days, o.keywords, c.name as customer_name, c.email as customer_email, c.website as customer_website,
+              i.invoice_number, i.issued_at as invoice_issued_at
        FROM orders o 
        JOIN customers c ON o.customer_id = c.id 
+       LEFT JOIN invoices i ON o.invoice_id = i.id
        WHERE o.tracking_id = $1 AND c.email = $2`,
       [trackingId, email]
     );
@@ -278,11 +337,16 @@ router.get("/track/:trackingId", async (req, res) => {
 
     const order = result.rows[0];
 
-    // Get status history
-    const historyResult = await query(
-      "SELECT status, notes, created_at FROM order_status_history WHERE order_id = (SELECT id FROM orders WHERE tracking_id = $1) ORDER BY created_at DESC",
-      [trackingId]
-    );
+    // Get status history, deliverables and when the order was confirmed
+    const [historyResult, deliverables, confirmedAt] = await Promise.all([
+      query(
+        "SELECT status, notes, created_at FROM order_status_history WHERE order_id = $1 ORDER BY created_at DESC",
+        [order.id]
+      ),
+      deliverableService.listCurrentForCustomer(order.id),
+      deliverableService.getConfirmedAt(order.id),
+    ]);
+    const delivery = deliverableService.estimateDelivery(order, confirmedAt);
 
     // Format response to match what the frontend expects
     const response = {
@@ -307,8 +371,17 @@ router.get("/track/:trackingId", async (req, res) => {
         date: order.created_at,
         description: "Order placed and confirmed"
       }],
-      deliverables: [], // Empty for now, can be populated later
-      estimatedCompletion: new Date(Date.now() + (order.delivery_days || 7) * 24 * 60 * 60 * 1000).toISOString()
+      invoice: order.invoice_number ? {
+        invoiceNumber: order.invoice_number,
+        issuedAt: order.invoice_issued_at,
+        downloadUrl: `/api/orders/track/${encodeURIComponent(order.tracking_id)}/invoice?email=${encodeURIComponent(email)}`
+      } : null,
+      deliverables: await Promise.all(
+        deliverables.map((deliverable) => deliverableService.formatDeliverable(deliverable))
+      ),
+      confirmedAt: delivery.confirmedAt,
+      estimatedCompletion: delivery.estimatedCompletion,
+      overdue: delivery.overdue
     };
 
     res.json(response);
@@ -321,324 +394,440 @@ router.get("/track/:trackingId", async (req, res) => {
   }
 });
 
-// Get available services
-router.get("/services", async (req, res) => {
+// Download an order's invoice PDF (same email check as order tracking)
+router.get("/track/:trackingId/invoice", async (req, res) => {
   try {
+    const { trackingId } = req.params;
+    const { email } = req.query;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required to download the invoice",
+      });
+    }
+
     const result = await query(
-      "SELECT id, name, description, price FROM services WHERE is_active = true ORDER BY price ASC"
+      `SELECT o.id FROM orders o
+       JOIN customers c ON o.customer_id = c.id
+       WHERE o.tracking_id = $1 AND c.email = $2`,
+      [trackingId, email]
     );
 
-    res.json({
-      success: true,
-      data: result.rows,
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found or email doesn't match",
+      });
+    }
+
+    const invoice = await invoiceService.getOrderInvoice(result.rows[0].id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "No invoice has been issued for this order yet",
+      });
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.invoice_number}.pdf"`,
+      "Cache-Control": "private, no-store",
     });
+    res.send(invoice.pdf);
   } catch (error) {
-    console.error("Services fetch error:", error);
+    console.error("Invoice download error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch services",
+      message: "Failed to retrieve invoice",
     });
   }
 });
 
-// PayPal webhook handler
-router.post("/webhook/paypal", async (req, res) => {
+// Download a deliverable through a signed link from the tracking response.
+// Each download counts against the link's limit and is logged.
+router.get("/downloads/:token", async (req, res) => {
   try {
-    const webhookEvent = req.body;
+    const { link, deliverable } = await deliverableService.redeemDownloadToken(req.params.token);
+    const file = await storage.getStream(deliverable.file_path);
 
-    // Log webhook for debugging (development only)
-    if (process.env.NODE_ENV !== 'production') {
-      console.log("PayPal webhook received:", webhookEvent.event_type);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "Deliverable not found",
+      });
     }
 
-    // Handle different webhook events
-    switch (webhookEvent.event_type) {
-      case "CHECKOUT.ORDER.APPROVED":
-        // Order approved but not yet captured
-        if (process.env.NODE_ENV !== 'production') {
-          console.log("PayPal order approved:", webhookEvent.resource.id);
-        }
-        break;
+    await deliverableService.logDownload({
+      deliverableId: deliverable.id,
+      linkId: link.id,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent") || null,
+    });
 
-      case "PAYMENT.CAPTURE.COMPLETED":
-        // Payment captured successfully
-        await handlePaymentCompleted(webhookEvent.resource);
-        break;
+    res.attachment(deliverable.file_name);
+    res.set("Cache-Control", "private, no-store");
+    pipeline(file, res, (streamError) => {
+      if (streamError) {
+        console.error("Deliverable stream error:", streamError);
+      }
+    });
+  } catch (error) {
+    if (error instanceof DeliverableError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
 
-      case "PAYMENT.CAPTURE.DENIED":
-        // Payment was denied
-        await handlePaymentDenied(webhookEvent.resource);
-        break;
+    console.error("Deliverable download error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download deliverable",
+    });
+  }
+});
 
-      default:
-        if (process.env.NODE_ENV !== 'production') {
-          console.log("Unhandled webhook event:", webhookEvent.event_type);
-        }
-    }
+// Subscribe to a weekly or monthly tier. Stripe returns a client secret to
+// confirm the first payment; PayPal returns the URL where the customer approves.
+router.post("/subscriptions", validateSubscriptionCreation, idempotency, async (req, res) => {
+  try {
+    const { paymentMethod, serviceId, quantity, keywords, customer, currency } = req.body;
+
+    const priced = await subscriptionService.createSubscription({
+      method: paymentMethod,
+      tierId: serviceId,
+      quantity,
+      keywords,
+      customer,
+      currency,
+    });
 
-    res.status(200).json({ success: true });
+    res.status(201).json({
+      success: true,
+      data: {
+        subscription: subscriptionService.formatSubscription(priced.subscription),
+        clientSecret: priced.clientSecret,
+        approvalUrl: priced.approvalUrl,
+        ...pricingSummary(priced),
+        currency: priced.currency,
+      },
+    });
   } catch (error) {
-    console.error("PayPal webhook error:", error);
-    res.status(500).json({ success: false });
+    sendCheckoutError(res, error, "Failed to create subscription");
   }
 });
 
-// Helper function to handle completed payments
-async function handlePaymentCompleted(resource) {
+// Get a subscription and its orders (same email check as order tracking)
+router.get("/subscriptions/:reference", async (req, res) => {
   try {
-    const paymentId = resource.id;
+    const { email } = req.query;
 
-    // Update payment status in database
-    await query(
-      "UPDATE payments SET status = $1, gateway_response = $2, updated_at = CURRENT_TIMESTAMP WHERE payment_id = $3",
-      ["paid", JSON.stringify(resource), paymentId]
-    );
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required to view the subscription",
+      });
+    }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log("Payment completed webhook processed:", paymentId);
+    const subscription = await subscriptionService.getByReference(req.params.reference, email);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found or email doesn't match",
+      });
     }
+
+    const orders = await subscriptionService.getOrders(subscription.id);
+
+    res.json({
+      success: true,
+      data: {
+        subscription: subscriptionService.formatSubscription(subscription),
+        orders: orders.map((order) => ({
+          trackingId: order.tracking_id,
+          status: order.status,
+          paymentStatus: order.payment_status,
+          total: parseFloat(order.total_amount),
+          currency: order.currency,
+          createdAt: order.created_at,
+        })),
+      },
+    });
   } catch (error) {
-    console.error("Error processing payment completed webhook:", error);
+    console.error("Subscription lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subscription",
+    });
   }
-}
+});
 
-// Helper function to handle denied payments
-async function handlePaymentDenied(resource) {
+// Pause, resume or cancel a subscription as the customer
+router.post("/subscriptions/:reference/:action", validateSubscriptionAction(true), async (req, res) => {
   try {
-    const paymentId = resource.id;
+    const { reference, action } = req.params;
+    const { email, reason } = req.body;
 
-    // Update payment status in database
-    await query(
-      "UPDATE payments SET status = $1, gateway_response = $2, updated_at = CURRENT_TIMESTAMP WHERE payment_id = $3",
-      ["failed", JSON.stringify(resource), paymentId]
-    );
+    const subscription = await subscriptionService.getByReference(reference, email);
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log("Payment denied webhook processed:", paymentId);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found or email doesn't match",
+      });
     }
+
+    const updated = await subscriptionService.changeStatus(subscription.id, action, {
+      reason: reason || null,
+    });
+
+    res.json({
+      success: true,
+      message: `Subscription ${updated.status === "active" ? "resumed" : updated.status}`,
+      data: { subscription: subscriptionService.formatSubscription(updated) },
+    });
   } catch (error) {
-    console.error("Error processing payment denied webhook:", error);
+    sendCheckoutError(res, error, `Failed to ${req.params.action} subscription`);
   }
-}
+});
 
-// Test order endpoint (bypasses PayPal for testing)
-router.post("/test-order", async (req, res) => {
-  const client = await beginTransaction();
+// Cart and payment details behind an abandoned checkout reminder link
+router.get("/checkout-recovery/:token", async (req, res) => {
+  try {
+    const checkout = await checkoutRecoveryService.getResumeDetails(req.params.token);
+
+    res.json({
+      success: true,
+      data: checkout,
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to retrieve checkout");
+  }
+});
 
+// Stop abandoned checkout reminders to the email behind a reminder link
+router.post("/checkout-recovery/:token/opt-out", async (req, res) => {
   try {
-    const { cart, customer } = req.body;
+    const optedOut = await checkoutRecoveryService.optOut(req.params.token);
 
-    if (!cart || !Array.isArray(cart) || cart.length === 0) {
-      return res.status(400).json({
+    if (!optedOut) {
+      return res.status(404).json({
         success: false,
-        message: "Cart is required and must contain at least one item",
+        message: "Checkout not found",
       });
     }
 
-    // Validate customer data
-    if (!customer || !customer.name || !customer.email || !customer.website) {
-      return res.status(400).json({
-        success: false,
-        message: "Customer name, email, and website are required",
-      });
-    }
+    res.json({
+      success: true,
+      message: "You won't receive any more reminders about unfinished checkouts",
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to unsubscribe from reminders");
+  }
+});
 
-    if (customer.name.length < 2 || customer.name.length > 255) {
-      return res.status(400).json({
+// Get public service catalog (categories -> services -> tiers)
+router.get("/services", async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    // Inactive entries are only listed to admins (GET /api/admin/catalog)
+    const { categories, bundles, currencies, lastModified } = await catalogService.getCatalog({
+      categoryId: category || null,
+      includeInactive: false,
+    });
+
+    if (category && categories.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: "Customer name must be between 2 and 255 characters",
+        message: "Category not found",
       });
     }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log("🔍 Debug Test Order:");
-      console.log("   📦 Cart Items:", cart.length);
-      console.log("   👤 Customer:", customer.name, customer.email);
-    }
+    const payload = {
+      success: true,
+      data: { categories, bundles, currencies },
+    };
 
-    // Check if customer exists or create new one
-    let customerId;
-    const existingCustomer = await client.query(
-      "SELECT id FROM customers WHERE email = $1",
-      [customer.email]
-    );
+    res.set({
+      ETag: catalogService.buildETag(payload),
+      "Last-Modified": new Date(lastModified).toUTCString(),
+      "Cache-Control": "public, max-age=60",
+    });
 
-    if (existingCustomer.rows.length > 0) {
-      customerId = existingCustomer.rows[0].id;
-      if (process.env.NODE_ENV !== 'production') {
-        console.log("   ✅ Existing customer found:", customerId);
-      }
-    } else {
-      // Create new customer
-      const newCustomerResult = await client.query(
-        "INSERT INTO customers (name, email, website, phone) VALUES ($1, $2, $3, $4) RETURNING id",
-        [
-          customer.name,
-          customer.email,
-          customer.website,
-          customer.phone || null,
-        ]
-      );
-      customerId = newCustomerResult.rows[0].id;
-      if (process.env.NODE_ENV !== 'production') {
-        console.log("   ✅ New customer created:", customerId);
-      }
+    // Matches If-None-Match / If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
     }
 
-    const createdOrders = [];
-    let totalCartAmount = 0;
+    res.json(payload);
+  } catch (error) {
+    console.error("Services fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch services",
+    });
+  }
+});
 
-    // Process each cart item as a separate order
-    for (let i = 0; i < cart.length; i++) {
-      const cartItem = cart[i];
-      const {
-        serviceId,
-        quantity = 1,
-        keywords = "SEO optimization, digital marketing",
-      } = cartItem;
+// Check a coupon code against a cart and return the discounted totals
+router.post("/validate-coupon", validateCouponCheck, async (req, res) => {
+  try {
+    const { code, cart, currency, customerEmail, country, vatId } = req.body;
 
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`   📦 Processing item ${i + 1}:`, cartItem.title || serviceId);
-      }
+    const quote = await checkoutService.quote(cart, currency, {
+      couponCode: code,
+      customerEmail: customerEmail || null,
+      country,
+      vatId,
+    });
 
-      // Get service tier details
-      const serviceTierResult = await client.query(
-        `SELECT st.*, s.name as service_name 
-         FROM service_tiers st 
-         JOIN services s ON st.service_id = s.id 
-         WHERE st.id = $1 AND st.is_active = true AND s.is_active = true`,
-        [serviceId]
-      );
-
-      if (serviceTierResult.rows.length === 0) {
-        // Debug: Show available service tiers
-        const availableTiers = await client.query(
-          "SELECT id, name FROM service_tiers WHERE is_active = true"
-        );
-        if (process.env.NODE_ENV !== 'production') {
-          console.log(
-            "   📋 Available service tiers:",
-            availableTiers.rows.map((t) => `${t.id}: ${t.name}`)
-          );
-        }
+    res.json({
+      success: true,
+      message: "Coupon applied",
+      data: {
+        coupon: couponService.formatCoupon(quote.coupon),
+        items: quote.items.map((item) => ({
+          serviceId: item.serviceId,
+          listTotal: item.listTotal,
+          adjustments: item.adjustments,
+          subtotal: item.subtotal,
+          discount: item.discount,
+          netTotal: item.netTotal,
+          taxAmount: item.taxAmount,
+          total: item.total,
+        })),
+        ...pricingSummary(quote),
+        currency: quote.currency,
+      },
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to validate coupon");
+  }
+});
 
-        await rollbackTransaction(client);
-        return res.status(400).json({
-          success: false,
-          message: `Invalid service selected. Service ID '${serviceId}' not found.`,
-        });
-      }
+// Apply a verified PayPal event; emails the customer if it confirmed the orders
+const applyPayPalEvent = async (webhookEvent) => {
+  const result = await paypalWebhookService.handleEvent(webhookEvent);
+
+  if (result && !result.replayed) {
+    const confirmedOrders = result.orders.map((order) => checkoutService.formatOrder(order));
+    await emailService.sendCheckoutConfirmation(result.customer, confirmedOrders, result.totalAmount, result.invoice);
+  }
 
-      const serviceTier = serviceTierResult.rows[0];
-      const itemTotal = serviceTier.price * quantity;
-      totalCartAmount += itemTotal;
+  return result;
+};
 
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`   ✅ Found service: ${serviceTier.service_name} - ${serviceTier.name} ($${itemTotal})`);
-      }
+webhookInbox.registerHandler("paypal", applyPayPalEvent);
 
-      // Create order for this cart item
-      const orderResult = await client.query(
-        `INSERT INTO orders (customer_id, service_tier_id, service_name, service_tier_name, service_price, delivery_days, keywords, quantity, total_amount, status, payment_status)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
-        [
-          customerId,
-          serviceId,
-          serviceTier.service_name,
-          serviceTier.name,
-          serviceTier.price,
-          serviceTier.delivery_days,
-          keywords,
-          quantity,
-          itemTotal,
-          "confirmed", // Skip pending for test orders
-          "paid", // Mark as paid for test orders
-        ]
-      );
-
-      const order = orderResult.rows[0];
-
-      // Create payment record for this order
-      await client.query(
-        "INSERT INTO payments (order_id, payment_method, payment_id, amount, status) VALUES ($1, $2, $3, $4, $5)",
-        [order.id, "paypal", `TEST-${order.tracking_id}`, itemTotal, "paid"]
-      );
-
-      createdOrders.push({
-        id: order.id,
-        trackingId: order.tracking_id,
-        serviceName: order.service_name,
-        serviceTierName: order.service_tier_name,
-        totalAmount: parseFloat(order.total_amount),
-        deliveryDays: order.delivery_days,
-        status: order.status,
-        paymentStatus: order.payment_status,
-      });
+// Process a stored event, acknowledging checkout and subscription errors that a retry cannot fix
+const processWebhookEvent = async (res, storedEvent, provider) => {
+  try {
+    const outcome = await webhookInbox.process(storedEvent);
 
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`   ✅ Order created: ${order.tracking_id}`);
-      }
+    if (outcome.skipped && process.env.NODE_ENV !== 'production') {
+      console.log(`Duplicate ${provider} webhook skipped:`, storedEvent.event_id);
     }
 
-    await commitTransaction(client);
+    res.status(200).json({ success: true, received: true });
+  } catch (error) {
+    // The failure is kept on the stored event, where an admin can replay it
+    if (error instanceof CheckoutError || error instanceof SubscriptionError) {
+      console.error(`${provider} webhook ${storedEvent.event_type} rejected:`, error.message);
+      return res.status(200).json({ success: true, received: true });
+    }
+
+    // Anything else is returned as a 500 so the gateway retries the event
+    console.error(`${provider} webhook processing error:`, error);
+    res.status(500).json({ success: false });
+  }
+};
+
+// PayPal webhook handler (events are verified against PAYPAL_WEBHOOK_ID)
+router.post("/webhook/paypal", async (req, res) => {
+  const webhookEvent = req.body;
+  let storedEvent;
+
+  try {
+    const verified = await paypalWebhookService.verifyEvent(req.headers, webhookEvent);
+
+    ({ event: storedEvent } = await webhookInbox.record("paypal", {
+      eventId: webhookEvent?.id,
+      eventType: webhookEvent?.event_type,
+      payload: webhookEvent,
+      headers: paypalWebhookService.transmissionHeaders(req.headers),
+      verified,
+    }));
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Webhook verification failed",
+      });
+    }
+  } catch (error) {
+    console.error("PayPal webhook error:", error);
+    return res.status(500).json({ success: false });
+  }
+
+  // Log webhook for debugging (development only)
+  if (process.env.NODE_ENV !== 'production') {
+    console.log("PayPal webhook received:", webhookEvent.event_type);
+  }
+
+  await processWebhookEvent(res, storedEvent, "PayPal");
+});
+
+// Test order endpoint (bypasses PayPal for testing)
+router.post("/test-order", validateOrderCreation, idempotency, async (req, res) => {
+  try {
+    const { cart, customer, currency, couponCode } = req.body;
 
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`🎉 Test orders completed: ${createdOrders.length} orders, Total: $${totalCartAmount}`);
+      console.log("🔍 Debug Test Order:");
+      console.log("   📦 Cart Items:", cart.length);
+      console.log("   👤 Customer:", customer.name, customer.email);
     }
 
-    // Format amounts for email display
-    // console.log('🔍 Debug createdOrders before formatting:', createdOrders.map(o => ({ 
-    //   id: o.id, 
-    //   totalAmount: o.totalAmount, 
-    //   type: typeof o.totalAmount 
-    // })));
-    
-    // const formattedOrders = createdOrders.map(order => {
-    //   console.log(`🔍 Formatting order ${order.id}: totalAmount = ${order.totalAmount} (type: ${typeof order.totalAmount})`);
-    //   return {
-    //     ...order,
-    //     totalAmount: `$${parseFloat(order.totalAmount || 0).toFixed(2)}`
-    //   };
-    // });
-
-    // Format amounts for email display
-    const formattedOrders = createdOrders.map(order => {
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`🔍 Formatting order ${order.id}: totalAmount = ${order.totalAmount} (type: ${typeof order.totalAmount})`);
-      }
-      
-      // Convert totalAmount to a number, default to 0 if invalid
-      const totalAmountNum = parseFloat(order.totalAmount) || 0;
-      
-      return {
-        ...order,
-        totalAmount: `$${totalAmountNum.toFixed(2)}`
-      };
+    const result = await checkoutService.checkout({
+      cart,
+      customer,
+      status: "confirmed", // Skip pending for test orders
+      paymentStatus: "paid", // Mark as paid for test orders
+      historyNote: "Test order created",
+      currency,
+      couponCode,
+      beforeCommit: async (client, { orders, currency }) => {
+        for (const order of orders) {
+          await checkoutService.recordPayments(client, [order], {
+            method: "paypal",
+            paymentId: `TEST-${order.tracking_id}`,
+            currency,
+            status: "paid",
+          });
+        }
+      },
     });
 
-    // Send confirmation email for the orders
-    try {
-      await emailService.sendMultipleOrderConfirmation(customer.email, {
-        customerName: customer.name,
-        orders: formattedOrders,
-        totalAmount: `$${parseFloat(totalCartAmount || 0).toFixed(2)}`,
-        website: customer.website,
-        orderCount: createdOrders.length
-      });
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`✅ Confirmation email sent to ${customer.email}`);
-      }
-    } catch (emailError) {
-      console.error('❌ Failed to send confirmation email:', emailError);
-      // Don't fail the order if email fails
+    const createdOrders = result.orders.map((order) => checkoutService.formatOrder(order));
+
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`🎉 Test orders completed: ${createdOrders.length} orders, Total: ${result.totalAmount} ${result.currency}`);
     }
 
+    await emailService.sendCheckoutConfirmation(customer, createdOrders, result.totalAmount, result.invoice);
+
     res.json({
       success: true,
       message: `${createdOrders.length} test orders created successfully`,
       data: {
         orders: createdOrders,
-        totalAmount: totalCartAmount,
+        invoiceNumber: result.invoice.invoice_number,
+        ...pricingSummary(result),
+        currency: result.currency,
         orderCount: createdOrders.length,
         customerEmail: customer.email,
         customerName: customer.name,
@@ -647,111 +836,64 @@ router.post("/test-order", async (req, res) => {
       },
     });
   } catch (error) {
-    // Only rollback if transaction hasn't been committed
-    try {
-      await rollbackTransaction(client);
-    } catch (rollbackError) {
-      console.error("Rollback failed (client may already be released):", rollbackError.message);
-    }
-    
-    console.error("Test order creation error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create test order",
-      error: error.message
-    });
+    sendCheckoutError(res, error, "Failed to create test order");
   }
 });
 
-// Create Stripe payment intent
-router.post("/create-payment-intent", validateOrderCreation, async (req, res) => {
-  const client = await beginTransaction();
-
+// Create Stripe payment intent for a server-side checkout session
+router.post("/create-payment-intent", validateOrderCreation, idempotency, async (req, res) => {
   try {
-    const { cart, customer } = req.body;
-
-    if (!cart || !Array.isArray(cart) || cart.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Cart is required and must contain at least one item",
-      });
-    }
-
-    // Calculate total amount from cart
-    let totalAmount = 0;
-    const orderItems = [];
-
-    for (const cartItem of cart) {
-      const { serviceId, quantity = 1 } = cartItem;
-
-      // Get service tier details
-      const serviceTierResult = await client.query(
-        `SELECT st.*, s.name as service_name 
-         FROM service_tiers st 
-         JOIN services s ON st.service_id = s.id 
-         WHERE st.id = $1 AND st.is_active = true AND s.is_active = true`,
-        [serviceId]
-      );
-
-      if (serviceTierResult.rows.length === 0) {
-        await rollbackTransaction(client);
-        return res.status(400).json({
-          success: false,
-          message: `Invalid service selected: ${serviceId}`,
-        });
-      }
-
-      const serviceTier = serviceTierResult.rows[0];
-      const itemTotal = serviceTier.price * quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        serviceId,
-        serviceName: serviceTier.service_name,
-        tierName: serviceTier.name,
-        price: serviceTier.price,
-        quantity,
-        total: itemTotal
-      });
-    }
-
-    await rollbackTransaction(client);
+    const { cart, customer, currency, couponCode } = req.body;
+
+    // Persist the priced cart so confirmation never trusts a re-sent cart
+    const priced = await checkoutService.createSession({
+      method: "stripe",
+      cart,
+      customer,
+      currency,
+      couponCode,
+    });
+    const { session, items, totalAmount } = priced;
 
-    // Create Stripe payment intent
+    // Create Stripe payment intent for the gross amount
     const paymentIntent = await stripeService.createPaymentIntent({
       amount: totalAmount,
-      currency: 'usd',
-      orderId: `TEMP-${Date.now()}`, // Temporary ID, will be replaced with actual order ID
-      description: `SEO Services - ${orderItems.length} item(s)`,
-      customerEmail: customer.email
+      currency: session.currency,
+      orderId: session.id,
+      description: `SEO Services - ${items.length} item(s)`,
+      customerEmail: session.customer.email,
+      metadata: {
+        checkoutSessionId: session.id,
+        netAmount: priced.netAmount.toFixed(2),
+        taxAmount: priced.taxAmount.toFixed(2),
+        taxTreatment: priced.tax.treatment,
+      },
     });
 
+    await checkoutService.attachPaymentId(session.id, paymentIntent.paymentIntentId);
+
     res.json({
       success: true,
       data: {
         clientSecret: paymentIntent.clientSecret,
         paymentIntentId: paymentIntent.paymentIntentId,
+        checkoutSessionId: session.id,
         amount: totalAmount,
-        orderItems
+        ...pricingSummary(priced),
+        currency: session.currency,
+        orderItems: items
       }
     });
 
   } catch (error) {
-    await rollbackTransaction(client);
-    console.error("Stripe payment intent creation error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create payment intent",
-    });
+    sendCheckoutError(res, error, "Failed to create payment intent");
   }
 });
 
-// Confirm Stripe payment and create order
-router.post("/confirm-stripe-payment", async (req, res) => {
-  const client = await beginTransaction();
-
+// Confirm Stripe payment and create orders from the stored checkout session
+router.post("/confirm-stripe-payment", idempotency, async (req, res) => {
   try {
-    const { paymentIntentId, cart, customer } = req.body;
+    const { paymentIntentId } = req.body;
 
     if (!paymentIntentId) {
       return res.status(400).json({
@@ -764,180 +906,97 @@ router.post("/confirm-stripe-payment", async (req, res) => {
     const paymentInfo = await stripeService.confirmPayment(paymentIntentId);
 
     if (paymentInfo.status !== 'succeeded') {
-      await rollbackTransaction(client);
       return res.status(400).json({
         success: false,
         message: "Payment not completed",
       });
     }
 
-    // Check if customer exists or create new one
-    let customerId;
-    const existingCustomer = await client.query(
-      "SELECT id FROM customers WHERE email = $1",
-      [customer.email]
-    );
-
-    if (existingCustomer.rows.length > 0) {
-      customerId = existingCustomer.rows[0].id;
-    } else {
-      const newCustomerResult = await client.query(
-        "INSERT INTO customers (name, email, website, phone) VALUES ($1, $2, $3, $4) RETURNING id",
-        [customer.name, customer.email, customer.website, customer.phone || null]
-      );
-      customerId = newCustomerResult.rows[0].id;
-    }
-
-    const createdOrders = [];
-    let totalCartAmount = 0;
-
-    // Create orders for each cart item
-    for (const cartItem of cart) {
-      const { serviceId, quantity = 1, keywords = "SEO optimization, digital marketing" } = cartItem;
-
-      // Get service tier details
-      const serviceTierResult = await client.query(
-        `SELECT st.*, s.name as service_name 
-         FROM service_tiers st 
-         JOIN services s ON st.service_id = s.id 
-         WHERE st.id = $1 AND st.is_active = true AND s.is_active = true`,
-        [serviceId]
-      );
-
-      if (serviceTierResult.rows.length === 0) {
-        await rollbackTransaction(client);
-        return res.status(400).json({
-          success: false,
-          message: `Invalid service selected: ${serviceId}`,
-        });
-      }
-
-      const serviceTier = serviceTierResult.rows[0];
-      const itemTotal = serviceTier.price * quantity;
-      totalCartAmount += itemTotal;
-
-      // Create order
-      const orderResult = await client.query(
-        `INSERT INTO orders (customer_id, service_tier_id, service_name, service_tier_name, service_price, delivery_days, keywords, quantity, total_amount, status, payment_status)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
-        [
-          customerId,
-          serviceId,
-          serviceTier.service_name,
-          serviceTier.name,
-          serviceTier.price,
-          serviceTier.delivery_days,
-          keywords,
-          quantity,
-          itemTotal,
-          "confirmed",
-          "paid",
-        ]
-      );
-
-      const order = orderResult.rows[0];
-
-      // Create payment record
-      await client.query(
-        "INSERT INTO payments (order_id, payment_method, payment_id, amount, status, gateway_response) VALUES ($1, $2, $3, $4, $5, $6)",
-        [
-          order.id,
-          "stripe",
-          paymentIntentId,
-          itemTotal,
-          "paid",
-          JSON.stringify(paymentInfo)
-        ]
-      );
-
-      createdOrders.push({
-        id: order.id,
-        trackingId: order.tracking_id,
-        serviceName: order.service_name,
-        serviceTierName: order.service_tier_name,
-        totalAmount: order.total_amount,
-        deliveryDays: order.delivery_days,
-        status: order.status,
-        paymentStatus: order.payment_status,
-      });
-    }
+    const result = await checkoutService.completeSession({
+      method: "stripe",
+      paymentId: paymentIntentId,
+      amount: paymentInfo.amount,
+      currency: paymentInfo.currency,
+      gatewayResponse: paymentInfo,
+      historyNote: "Order created and paid via Stripe",
+    });
 
-    await commitTransaction(client);
+    const { customer } = result;
+    const createdOrders = result.orders.map((order) => checkoutService.formatOrder(order));
 
-    // Send confirmation email
-    try {
-      await emailService.sendMultipleOrderConfirmation(customer.email, {
-        customerName: customer.name,
-        orders: createdOrders,
-        totalAmount: totalCartAmount,
-        website: customer.website,
-        orderCount: createdOrders.length
-      });
-    } catch (emailError) {
-      console.error('Failed to send confirmation email:', emailError);
+    // The customer was already emailed when the orders were first created
+    if (!result.replayed) {
+      await emailService.sendCheckoutConfirmation(customer, createdOrders, result.totalAmount, result.invoice);
     }
 
     res.json({
       success: true,
-      message: `${createdOrders.length} orders created successfully`,
+      message: result.replayed
+        ? "Payment already confirmed"
+        : `${createdOrders.length} orders created successfully`,
       data: {
         orders: createdOrders,
-        totalAmount: totalCartAmount,
+        totalAmount: result.totalAmount,
+        invoiceNumber: result.invoice?.invoice_number || null,
         orderCount: createdOrders.length,
         customerEmail: customer.email,
         customerName: customer.name,
         trackingId: createdOrders[0]?.trackingId,
+        replayed: result.replayed,
         paymentInfo
       }
     });
 
   } catch (error) {
-    await rollbackTransaction(client);
-    console.error("Stripe payment confirmation error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to process payment",
-    });
+    sendCheckoutError(res, error, "Failed to process payment");
   }
 });
 
-// Stripe webhook handler
+// Apply a verified Stripe event; emails the customer if it created the orders
+const applyStripeEvent = async (event) => {
+  const result = await stripeWebhookService.handleEvent(event);
+
+  // Only the path that actually created the orders emails the customer
+  if (result && !result.replayed) {
+    const createdOrders = result.orders.map((order) => checkoutService.formatOrder(order));
+    await emailService.sendCheckoutConfirmation(result.customer, createdOrders, result.totalAmount, result.invoice);
+  }
+
+  return result;
+};
+
+webhookInbox.registerHandler("stripe", applyStripeEvent);
+
+// Stripe webhook handler (authoritative path for order creation)
 router.post("/webhook/stripe", async (req, res) => {
+  let event;
+
   try {
     const signature = req.headers['stripe-signature'];
-    const event = await stripeService.handleWebhook(req.body, signature);
+    event = await stripeService.handleWebhook(req.body, signature);
+  } catch (error) {
+    console.error('Stripe webhook error:', error);
+    return res.status(400).json({ success: false });
+  }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('Stripe webhook received:', event.type);
-    }
+  if (process.env.NODE_ENV !== 'production') {
+    console.log('Stripe webhook received:', event.type);
+  }
 
-    // Handle different webhook events
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        if (process.env.NODE_ENV !== 'production') {
-          console.log('Stripe payment succeeded:', event.data.object.id);
-        }
-        // Additional processing if needed
-        break;
-      
-      case 'payment_intent.payment_failed':
-        if (process.env.NODE_ENV !== 'production') {
-          console.log('Stripe payment failed:', event.data.object.id);
-        }
-        // Handle failed payment
-        break;
-      
-      default:
-        if (process.env.NODE_ENV !== 'production') {
-          console.log(`Unhandled Stripe event type: ${event.type}`);
-        }
-    }
+  let storedEvent;
 
-    res.status(200).json({ received: true });
+  try {
+    ({ event: storedEvent } = await webhookInbox.record("stripe", {
+      eventId: event.id,
+      eventType: event.type,
+      payload: event,
+    }));
   } catch (error) {
     console.error('Stripe webhook error:', error);
-    res.status(400).json({ success: false });
+    return res.status(500).json({ success: false });
   }
+
+  await processWebhookEvent(res, storedEvent, "Stripe");
 });
 
 export default router;
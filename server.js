@@ -7,8 +7,6 @@ import compression from "compression";
 import rateLimit from "express-rate-limit";
 import fileUpload from "express-fileupload";
 import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from "url";
 
 // Force IPv4 connections to avoid IPv6 issues on Render
 // dns.setDefaultResultOrder('ipv4first');
@@ -18,7 +16,11 @@ import { testConnection, closePool } from "./config/database.js";
 import { emailService } from "./services/email.js";
 import { paypalService } from "./services/paypal.js";
 import { stripeService } from "./services/stripe.js";
-import { sanitizeInput } from "./middleware/validation.js";
+import {
+  sanitizeInput,
+  validateDeliverableUpload,
+  validateDelivery,
+} from "./middleware/validation.js";
 import {
   securityHeaders,
   sanitizeInput as enhancedSanitize,
@@ -27,18 +29,24 @@ import {
 } from "./middleware/security.js";
 import { authenticateAdmin } from "./middleware/auth.js";
 import { tempFileManager } from "./utils/tempFileManager.js";
+import { ensureUploadsDir } from "./utils/uploads.js";
+import {
+  deliverableService,
+  DeliverableError,
+} from "./services/deliverables.js";
+import { deliveryService, DeliveryError } from "./services/deliveries.js";
+import { bankTransferService } from "./services/bankTransfers.js";
+import { checkoutRecoveryService } from "./services/checkoutRecovery.js";
+import { uploadSessionService } from "./services/uploadSessions.js";
 
 // Import routes
 import orderRoutes from "./routes/orders.js";
 import adminRoutes from "./routes/admin.js";
+import customerRoutes from "./routes/customer.js";
 
 // Load environment variables
 dotenv.config();
 
-// Get directory name for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -96,11 +104,20 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    "Idempotency-Key",
+  ],
 };
 
 app.use(cors(corsOptions));
 
+// A large deliverable is uploaded in hundreds of parts, so part uploads get
+// their own limit instead of counting against the general and admin ones
+const isUploadPart = (req) => /^\/api\/admin\/uploads\/[^/]+\/parts\//.test(req.originalUrl);
+
 // Enhanced Rate limiting with different tiers
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -111,6 +128,7 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isUploadPart,
 });
 
 const paymentLimiter = rateLimit({
@@ -140,15 +158,34 @@ const adminLimiter = rateLimit({
     success: false,
     message: "Too many admin requests, please try again later.",
   },
+  skip: isUploadPart,
+});
+
+const uploadPartLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  // Every part of two files of the largest size allowed, so one failed upload can be retried in full
+  max: 2 * Math.ceil(uploadSessionService.maxFileSize / uploadSessionService.partSize),
+  message: {
+    success: false,
+    message: "Too many upload requests, please try again later.",
+  },
+  skip: (req) => !isUploadPart(req),
 });
 
 // Apply rate limiters
 app.use("/api/", generalLimiter);
 app.use("/api/admin/login", authLimiter);
 app.use("/api/admin/", adminLimiter);
+app.use("/api/admin/uploads/", uploadPartLimiter);
+app.use("/api/customer/auth/", authLimiter);
 app.use("/api/orders/create-payment-intent", paymentLimiter);
 app.use("/api/orders/confirm-stripe-payment", paymentLimiter);
+// Failed coupon checks count against the payment limit to slow down code guessing
+app.use("/api/orders/validate-coupon", paymentLimiter);
 app.use("/api/paypal/", paymentLimiter);
+app.use("/api/orders/subscriptions", paymentLimiter);
+app.use("/api/orders/bank-transfer", paymentLimiter);
+app.use("/api/orders/checkout-recovery", paymentLimiter);
 
 // Stripe webhook needs raw body, so we handle it before other middleware
 app.use(
@@ -203,26 +240,11 @@ app.use(securityLogger);
 app.use(enhancedSanitize);
 app.use(sanitizeInput);
 
-// Handle uploads directory for different environments
-import fs from "fs";
-
-const uploadsDir =
-  process.env.NODE_ENV === "production"
-    ? "/tmp/uploads" // Use /tmp on Vercel (writable but temporary)
-    : path.join(__dirname, process.env.UPLOAD_DIR || "uploads");
-
-// Create uploads directory if it doesn't exist
-try {
-  if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-  }
-} catch (error) {
-  console.warn("⚠️  Could not create uploads directory:", error.message);
-  console.warn("   File uploads may not work properly");
-}
+// Create uploads directory if it doesn't exist (root of the local storage driver)
+ensureUploadsDir();
 
-// Serve static files (uploads)
-app.use("/uploads", express.static(uploadsDir));
+// Uploads are not served statically: deliverables are downloaded through
+// signed links (/api/orders/downloads/:token) or the customer portal
 
 // Health check endpoint
 app.get("/health", async (req, res) => {
@@ -261,6 +283,7 @@ app.get("/health", async (req, res) => {
 // API Routes
 app.use("/api/orders", orderRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/customer", customerRoutes);
 
 // Temp file management endpoint (admin only)
 app.post("/api/admin/cleanup-temp", authenticateAdmin, async (req, res) => {
@@ -280,14 +303,21 @@ app.post("/api/admin/cleanup-temp", authenticateAdmin, async (req, res) => {
   }
 });
 
-// File upload endpoint for deliverables (secured)
+// File upload endpoint for deliverables (secured). Accepts one or more files
+// under "files" (or the older single "file" field); a file named like one of
+// the order's current deliverables is stored as its next version.
 app.post(
   "/api/admin/orders/:orderId/deliverables",
   authenticateAdmin,
   secureFileUpload,
+  validateDeliverableUpload,
   async (req, res) => {
     try {
-      if (!req.files || Object.keys(req.files).length === 0) {
+      const files = req.files
+        ? [req.files.files, req.files.file].flat().filter(Boolean)
+        : [];
+
+      if (files.length === 0) {
         return res.status(400).json({
           success: false,
           message: "No files were uploaded",
@@ -295,33 +325,32 @@ app.post(
       }
 
       const { orderId } = req.params;
-      const file = req.files.file;
-
-      // Generate unique filename
-      const timestamp = Date.now();
-      const fileName = `${timestamp}-${file.name}`;
-      const filePath = path.join(uploadsDir, fileName);
-
-      // Move file to uploads directory
-      await file.mv(filePath);
+      const { description, visibility, replaces } = req.body;
 
-      // Save file info to database
-      const { query } = await import("./config/database.js");
-      await query(
-        "INSERT INTO deliverables (order_id, file_name, file_path, file_type, file_size, uploaded_by) VALUES ($1, $2, $3, $4, $5, $6)",
-        [orderId, file.name, fileName, file.mimetype, file.size, req.admin?.id]
-      );
+      const deliverables = await deliverableService.addDeliverables(orderId, files, {
+        uploadedBy: req.admin?.id,
+        description: description || undefined,
+        visibility,
+        replaces: replaces ? parseInt(replaces) : undefined,
+      });
 
       res.json({
         success: true,
-        message: "File uploaded successfully",
+        message: `${deliverables.length} file(s) uploaded successfully`,
         data: {
-          fileName: file.name,
-          fileSize: file.size,
-          fileType: file.mimetype,
+          deliverables: deliverables.map((deliverable) =>
+            deliverableService.formatForAdmin(deliverable)
+          ),
         },
       });
     } catch (error) {
+      if (error instanceof DeliverableError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       console.error("File upload error:", error);
       res.status(500).json({
         success: false,
@@ -331,83 +360,35 @@ app.post(
   }
 );
 
-// Send deliverables via email (secured)
+// Send the order's current deliverables via email and mark it completed (secured)
 app.post(
   "/api/admin/orders/:orderId/send-deliverables",
   authenticateAdmin,
+  validateDelivery,
   async (req, res) => {
     try {
-      const { orderId } = req.params;
-
-      const { query } = await import("./config/database.js");
-
-      // Get order and customer details
-      const orderResult = await query(
-        `
-      SELECT o.*, c.name as customer_name, c.email as customer_email
-      FROM orders o
-      JOIN customers c ON o.customer_id = c.id
-      WHERE o.id = $1
-    `,
-        [orderId]
-      );
+      const { message, recipients = [], method } = req.body;
 
-      if (orderResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: "Order not found",
-        });
-      }
-
-      const order = orderResult.rows[0];
-
-      // Get deliverables
-      const deliverablesResult = await query(
-        "SELECT * FROM deliverables WHERE order_id = $1",
-        [orderId]
-      );
-
-      if (deliverablesResult.rows.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: "No deliverables found for this order",
-        });
-      }
-
-      // Prepare attachments
-      const attachments = deliverablesResult.rows.map((deliverable) => ({
-        filename: deliverable.file_name,
-        path: path.join(uploadsDir, deliverable.file_path),
-      }));
-
-      // Send email with deliverables
-      await emailService.sendDeliverable(
-        order.customer_email,
-        {
-          trackingId: order.tracking_id,
-          customerName: order.customer_name,
-          serviceName: order.service_name,
-        },
-        attachments
-      );
-
-      // Update order status to completed
-      await query(
-        "UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
-        ["completed", orderId]
-      );
-
-      // Add status history
-      await query(
-        "INSERT INTO order_status_history (order_id, status, notes, changed_by) VALUES ($1, $2, $3, $4)",
-        [orderId, "completed", "Deliverables sent to customer", req.admin?.id]
-      );
+      const { delivery } = await deliveryService.deliver(req.params.orderId, {
+        message: message || null,
+        recipients,
+        method,
+        adminId: req.admin?.id,
+      });
 
       res.json({
         success: true,
         message: "Deliverables sent successfully",
+        data: { delivery: deliveryService.formatDelivery(delivery) },
       });
     } catch (error) {
+      if (error instanceof DeliveryError || error instanceof DeliverableError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       console.error("Send deliverables error:", error);
       res.status(500).json({
         success: false,
@@ -444,6 +425,10 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
 
   try {
+    bankTransferService.stopExpiryJob();
+    checkoutRecoveryService.stopReminderJob();
+    uploadSessionService.stopCleanupJob();
+
     // Close database connections
     await closePool();
 
@@ -536,6 +521,13 @@ const server = app.listen(PORT, async () => {
     console.warn("⚠️  Temp file cleanup failed on startup:", error.message);
   }
 
+  // Cancel orders whose bank transfer never arrived
+  bankTransferService.startExpiryJob();
+  // Remind customers about checkouts they never paid for
+  checkoutRecoveryService.startReminderJob();
+  // Delete the parts of chunked uploads that were never completed
+  uploadSessionService.startCleanupJob();
+
   console.log(`\n✅ Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,68 @@
+import BankTransferService, { BankTransferError } from '../bankTransfers.js';
+import { FakeClient, tiers, customer, createCheckoutService } from './fixtures.js';
+
+const bankAccount = { accountName: 'SEO by Amanda Ltd', bankName: 'Example Bank', iban: 'GB00EXAM00000000000000', bic: 'EXAMGB2L' };
+
+// Bank transfer service on the fake client, recording the emails it sends
+const createBankTransferService = (client) => {
+  const emails = [];
+  const mailer = {
+    sendBankTransferInstructions: async (to, data) => emails.push({ type: 'instructions', to, data }),
+    sendBankTransferExpired: async (to, data) => emails.push({ type: 'expired', to, data })
+  };
+  const checkout = createCheckoutService(client);
+  const service = new BankTransferService(checkout.db, checkout, mailer, bankAccount);
+
+  return { service, emails };
+};
+
+describe('bankTransfers', () => {
+  it('places bank transfer orders pending and confirms them once the transfer arrives', async () => {
+    const client = new FakeClient({ tiers });
+    const { service, emails } = createBankTransferService(client);
+
+    const result = await service.createTransfer({ cart: [{ serviceId: 'pbn-basic' }, { serviceId: 'guest-bronze-gb-1' }], customer });
+    const { reference } = result.instructions;
+
+    expect(reference).toMatch(/^BT-[A-HJ-NP-Z2-9]{8}$/);
+    expect(result.instructions.amount).toBe(125);
+    expect(result.instructions.iban).toBe(bankAccount.iban);
+    expect(client.orders.every((o) => o.status === 'pending' && o.payment_status === 'pending')).toBeTruthy();
+    expect(client.payments.every((p) => p.payment_method === 'bank_transfer' && p.payment_id === reference)).toBeTruthy();
+    expect(emails[0].type).toBe('instructions');
+    expect(emails[0].data.trackingIds).toStrictEqual(['SEO-TEST-0001', 'SEO-TEST-0002']);
+
+    await expect(service.markReceived(reference, { amount: 100 })).rejects.toMatchObject({
+      name: 'BankTransferError',
+      message: expect.stringMatching(/less than the 125\.00 USD due/)
+    });
+
+    const received = await service.markReceived(reference, { adminId: 3 });
+    expect(received.transfer.status).toBe('received');
+    expect(received.invoice.invoice_number).toBe(`INV-${new Date().getUTCFullYear()}-00001`);
+    expect(client.orders.every((o) => o.status === 'confirmed' && o.payment_status === 'paid')).toBeTruthy();
+
+    await expect(service.markReceived(reference)).rejects.toMatchObject({ status: 409 });
+    await expect(service.markReceived('BT-UNKNOWN1')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('cancels the orders of bank transfers past their deadline', async () => {
+    const client = new FakeClient({ tiers });
+    const { service, emails } = createBankTransferService(client);
+
+    const overdue = await service.createTransfer({ cart: [{ serviceId: 'pbn-basic' }], customer });
+    await service.createTransfer({ cart: [{ serviceId: 'guest-bronze-gb-1' }], customer });
+    client.bankTransfers[0].expires_at = new Date(Date.now() - 1000);
+
+    expect(await service.expireOverdue()).toBe(1);
+    expect(client.bankTransfers[0].status).toBe('expired');
+    expect(client.bankTransfers[1].status).toBe('awaiting');
+    expect(client.orders[0].status).toBe('cancelled');
+    expect(client.orders[1].status).toBe('pending');
+    expect(client.history.at(-1).notes).toMatch(/not received within 7 days/);
+    expect(emails.at(-1).type).toBe('expired');
+    expect(emails.at(-1).data.reference).toBe(overdue.instructions.reference);
+
+    await expect(service.markReceived(overdue.instructions.reference)).rejects.toThrow(/already been expired/);
+  });
+});
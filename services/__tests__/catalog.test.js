@@ -0,0 +1,143 @@
+import { CatalogError, buildCatalogUpdate } from '../catalog.js';
+import { FakeCatalogClient, createCatalogService } from './fixtures.js';
+
+describe('catalog', () => {
+  it('lists active entries with their price in every enabled currency', async () => {
+    const client = new FakeCatalogClient();
+    client.tables.service_tiers[1].is_active = false;
+    client.tables.services[1].deleted_at = 'transaction 0';
+    const service = createCatalogService(client);
+
+    const catalog = await service.getCatalog();
+    expect(catalog.currencies).toStrictEqual(['USD', 'EUR']);
+    expect(catalog.lastModified).toStrictEqual(new Date('2026-10-01T09:00:00Z'));
+    expect(catalog.categories.map((c) => [c.id, c.services.map((s) => [s.id, s.tiers.map((t) => t.id)])])).toStrictEqual([
+      ['seo', [['pbn', ['pbn-basic']]]],
+      ['content', [['articles', ['articles-basic']]]]
+    ]);
+
+    // An explicit tier price wins over the converted base price
+    const [pbnBasic] = catalog.categories[0].services[0].tiers;
+    expect([pbnBasic.price, pbnBasic.prices, pbnBasic.volumeDiscounts]).toStrictEqual([49, { USD: 49, EUR: 45 }, [{ minQuantity: 5, discountPercent: 10 }]]);
+    expect(catalog.categories[1].services[0].tiers[0].prices).toStrictEqual({ USD: 25, EUR: 22.5 });
+    expect(catalog.bundles).toStrictEqual([{ id: 1, name: 'PBN starter', tierIds: ['pbn-basic', 'articles-basic'], discountPercent: 15 }]);
+
+    const inactive = await service.getCatalog({ includeInactive: true });
+    expect(inactive.categories[0].services[0].tiers.map((t) => [t.id, t.isActive])).toStrictEqual([['pbn-basic', true], ['pbn-pro', false]]);
+
+    const content = await service.getCatalog({ categoryId: 'content' });
+    expect(content.categories.map((c) => c.id)).toStrictEqual(['content']);
+    expect((await service.getCatalog({ categoryId: 'video' })).categories).toStrictEqual([]);
+  });
+
+  it('dates an empty catalog to the epoch and hashes payloads into quoted ETags', async () => {
+    const client = new FakeCatalogClient();
+    client.lastModified = null;
+    const service = createCatalogService(client);
+
+    expect(await service.getLastModified()).toStrictEqual(new Date(0));
+
+    const etag = service.buildETag({ data: { categories: [] } });
+    expect(etag).toMatch(/^"[\w-]{27}"$/);
+    expect(service.buildETag({ data: { categories: [] } })).toBe(etag);
+    expect(service.buildETag({ data: { categories: [{ id: 'seo' }] } })).not.toBe(etag);
+  });
+
+  it('updates only the catalog fields present in the request body', async () => {
+    const client = new FakeCatalogClient();
+
+    const update = buildCatalogUpdate('services', 'pbn', {
+      id: 'renamed',
+      features: ['Niche relevant', 'DA 30+'],
+      description: null,
+      name: 'PBN Links',
+      prices: { EUR: 45 }
+    });
+    expect(update.params).toStrictEqual(['PBN Links', null, '["Niche relevant","DA 30+"]', 'pbn']);
+    expect(update.text.replace(/\s+/g, ' ')).toBe(
+      'UPDATE services SET name = $1, description = $2, features = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND deleted_at IS NULL RETURNING *'
+    );
+
+    const [service] = (await client.query(update.text, update.params)).rows;
+    expect([service.id, service.name, service.category_id, service.sort_order]).toStrictEqual(['pbn', 'PBN Links', 'seo', 0]);
+
+    // Deactivating is an update like any other
+    const deactivate = buildCatalogUpdate('service_tiers', 'pbn-pro', { isActive: false });
+    expect(deactivate.params).toStrictEqual([false, 'pbn-pro']);
+    await client.query(deactivate.text, deactivate.params);
+    expect(client.tables.service_tiers[1].is_active).toBe(false);
+
+    // Fields of other tables and unknown fields leave nothing to update
+    expect(buildCatalogUpdate('service_categories', 'seo', { price: 10, serviceId: 'pbn' })).toBe(null);
+    expect(buildCatalogUpdate('service_tiers', 'pbn-basic', {})).toBe(null);
+  });
+
+  it('reorders rows by their position and only when all of them exist', async () => {
+    const client = new FakeCatalogClient();
+    const service = createCatalogService(client);
+    const sortOrders = () => client.tables.services.map((s) => [s.id, s.sort_order]);
+
+    expect(await service.reorderRows('services', ['guest-posts', 'articles', 'pbn'])).toBe(true);
+    expect(sortOrders()).toStrictEqual([['pbn', 2], ['guest-posts', 0], ['articles', 1]]);
+    expect(client.transaction).toBe('committed');
+
+    await service.deleteRow('services', 'articles');
+    expect(await service.reorderRows('services', ['pbn', 'guest-posts', 'articles'])).toBe(false);
+    expect(await service.reorderRows('services', ['pbn', 'link-wheels'])).toBe(false);
+    expect(sortOrders()).toStrictEqual([['pbn', 2], ['guest-posts', 0], ['articles', 1]]);
+    expect(client.transaction).toBe('rolled back');
+  });
+
+  it('soft-deletes a category with its services and tiers and restores them together', async () => {
+    const client = new FakeCatalogClient();
+    const service = createCatalogService(client);
+    const state = (table) => client.tables[table].map((r) => [r.id, r.deleted_at, r.is_active]);
+
+    // Deleted on its own first, so restoring the category leaves it deleted
+    expect(await service.deleteRow('service_tiers', 'pbn-pro')).toBe(true);
+    expect(await service.deleteRow('service_categories', 'seo')).toBe(true);
+    expect(await service.deleteRow('service_categories', 'seo')).toBe(false);
+    expect(state('services')).toStrictEqual([
+      ['pbn', 'transaction 2', false],
+      ['guest-posts', 'transaction 2', false],
+      ['articles', null, true]
+    ]);
+    expect(state('service_tiers')).toStrictEqual([
+      ['pbn-basic', 'transaction 2', false],
+      ['pbn-pro', 'transaction 1', false],
+      ['articles-basic', null, true]
+    ]);
+    expect(await service.rowExists('services', 'pbn')).toBe(false);
+
+    // Nothing can be restored under a deleted parent
+    await expect(service.restoreRow('services', 'pbn')).rejects.toMatchObject({
+      name: 'CatalogError',
+      status: 409,
+      message: expect.stringMatching(/category of this service is deleted/)
+    });
+    expect(client.transaction).toBe('rolled back');
+
+    const category = await service.restoreRow('service_categories', 'seo');
+    expect([category.id, category.deleted_at, category.is_active]).toStrictEqual(['seo', null, false]);
+    expect(state('services').map(([id, deletedAt]) => [id, deletedAt])).toStrictEqual([['pbn', null], ['guest-posts', null], ['articles', null]]);
+    expect(state('service_tiers')).toStrictEqual([
+      ['pbn-basic', null, false],
+      ['pbn-pro', 'transaction 1', false],
+      ['articles-basic', null, true]
+    ]);
+
+    expect((await service.restoreRow('service_tiers', 'pbn-pro')).deleted_at).toBe(null);
+    expect(await service.restoreRow('service_tiers', 'pbn-pro')).toBe(null);
+    expect(await service.restoreRow('services', 'link-wheels')).toBe(null);
+  });
+
+  it('refuses to restore a tier whose service is deleted', async () => {
+    const client = new FakeCatalogClient();
+    const service = createCatalogService(client);
+
+    await service.deleteRow('service_tiers', 'articles-basic');
+    await service.deleteRow('services', 'articles');
+    await expect(service.restoreRow('service_tiers', 'articles-basic')).rejects.toThrow(CatalogError);
+    expect(client.tables.service_tiers[2].deleted_at).toBe('transaction 1');
+  });
+});
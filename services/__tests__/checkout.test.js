@@ -0,0 +1,333 @@
+import { CheckoutError } from '../checkout.js';
+import { FakeClient, tiers, customer, createSession, createCheckoutService } from './fixtures.js';
+
+// A coupons row with no restrictions or limits unless overridden
+const createCoupon = (overrides = {}) => ({
+  id: 1,
+  code: 'SAVE10',
+  description: null,
+  discount_type: 'percentage',
+  discount_value: '10.00',
+  tier_ids: [],
+  category_ids: [],
+  min_cart_amount: null,
+  max_uses: null,
+  max_uses_per_customer: null,
+  starts_at: null,
+  expires_at: null,
+  is_active: true,
+  ...overrides
+});
+
+describe('checkout', () => {
+  it('prices each line item from the service tier', async () => {
+    const client = new FakeClient({ tiers });
+    const { items, totalAmount } = await createCheckoutService(client).priceCart(client, [
+      { serviceId: 'pbn-basic', quantity: 2 },
+      { serviceId: 'guest-bronze-gb-1', keywords: '  seo, links ' }
+    ]);
+
+    expect(items.length).toBe(2);
+    expect(items[0].total).toBe(200);
+    expect(items[1].keywords).toBe('seo, links');
+    expect(totalAmount).toBe(225);
+  });
+
+  it('prices a cart in another currency from explicit or converted prices', async () => {
+    const client = new FakeClient({
+      tiers: { ...tiers, 'pbn-basic': { ...tiers['pbn-basic'], prices: { EUR: '89.00' } } },
+      rates: { EUR: '0.925' }
+    });
+    const service = createCheckoutService(client);
+
+    const { items, totalAmount, currency } = await service.priceCart(client, [
+      { serviceId: 'pbn-basic' },
+      { serviceId: 'guest-bronze-gb-1', quantity: 3 }
+    ], 'EUR');
+
+    expect(currency).toBe('EUR');
+    expect(items[0].unitPrice).toBe(89);
+    expect(items[1].unitPrice).toBe(23.13);
+    expect(totalAmount).toBe(158.39);
+    await expect(service.priceCart(client, [{ serviceId: 'pbn-basic' }], 'GBP')).rejects.toThrow(/not supported/);
+  });
+
+  it('rejects unknown tiers and invalid quantities', async () => {
+    const client = new FakeClient({ tiers });
+    const service = createCheckoutService(client);
+
+    await expect(service.priceCart(client, [{ serviceId: 'missing' }])).rejects.toThrow(CheckoutError);
+    await expect(service.priceCart(client, [{ serviceId: 'pbn-basic', quantity: 0 }])).rejects.toThrow(CheckoutError);
+    await expect(service.priceCart(client, [])).rejects.toThrow(CheckoutError);
+  });
+
+  it('updates an existing customer instead of creating a duplicate', async () => {
+    const client = new FakeClient({ customers: [{ id: 7, name: 'Old Name', email: customer.email, website: 'https://old.example.com' }] });
+    const customerId = await createCheckoutService(client).upsertCustomer(client, customer);
+
+    expect(customerId).toBe(7);
+    expect(client.customers.length).toBe(1);
+    expect(client.customers[0].name).toBe(customer.name);
+  });
+
+  it('creates orders, history and payments in one committed transaction', async () => {
+    const client = new FakeClient({ tiers });
+    const result = await createCheckoutService(client).checkout({
+      cart: [{ serviceId: 'pbn-basic' }, { serviceId: 'guest-bronze-gb-1', quantity: 2 }],
+      customer,
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      payment: { method: 'stripe', paymentId: 'pi_test', status: 'paid' }
+    });
+
+    expect(client.transaction).toBe('committed');
+    expect(result.orders.length).toBe(2);
+    expect(result.totalAmount).toBe(150);
+    expect(client.history.length).toBe(2);
+    expect(client.payments.map((p) => p.amount)).toStrictEqual(['100.00', '50.00']);
+    expect(client.payments.every((p) => p.payment_id === 'pi_test')).toBeTruthy();
+  });
+
+  it('rolls back when a step inside the transaction fails', async () => {
+    const client = new FakeClient({ tiers });
+
+    await expect(createCheckoutService(client).checkout({
+        cart: [{ serviceId: 'pbn-basic' }],
+        customer,
+        beforeCommit: async () => {
+          throw new Error('Gateway unavailable');
+        }
+      })).rejects.toThrow(/Gateway unavailable/);
+
+    expect(client.transaction).toBe('rolled back');
+  });
+
+  it('completes a checkout session from the stored cart', async () => {
+    const client = new FakeClient({ sessions: [createSession()] });
+    const result = await createCheckoutService(client).completeSession({
+      method: 'stripe',
+      paymentId: 'pi_session',
+      amount: 100,
+      currency: 'usd'
+    });
+
+    expect(client.transaction).toBe('committed');
+    expect(result.orders.length).toBe(1);
+    expect(result.orders[0].checkout_session_id).toBe('session-1');
+    expect(client.sessions[0].status).toBe('completed');
+    expect(client.payments[0].status).toBe('paid');
+    expect(result.replayed).toBe(false);
+  });
+
+  it('replays a completed session instead of creating orders twice', async () => {
+    const client = new FakeClient({ sessions: [createSession()] });
+    const service = createCheckoutService(client);
+    const payment = { method: 'stripe', paymentId: 'pi_session', amount: 100, currency: 'usd' };
+
+    const first = await service.completeSession(payment);
+    const second = await service.completeSession(payment);
+
+    expect(client.orders.length).toBe(1);
+    expect(client.payments.length).toBe(1);
+    expect(second.replayed).toBe(true);
+    expect(second.orders.map((o) => o.id)).toStrictEqual(first.orders.map((o) => o.id));
+  });
+
+  it('applies the volume bracket reached by the tier quantity across lines', async () => {
+    const client = new FakeClient({
+      tiers,
+      volumeDiscounts: [
+        { tier_id: 'guest-bronze-gb-1', min_quantity: 5, discount_percent: '10.00' },
+        { tier_id: 'guest-bronze-gb-1', min_quantity: 10, discount_percent: '20.00' }
+      ]
+    });
+
+    const { items, listTotal, totalAmount } = await createCheckoutService(client).priceCart(client, [
+      { serviceId: 'guest-bronze-gb-1', quantity: 4, keywords: 'first site' },
+      { serviceId: 'guest-bronze-gb-1', quantity: 2, keywords: 'second site' },
+      { serviceId: 'pbn-basic', quantity: 9 }
+    ]);
+
+    expect(listTotal).toBe(1050);
+    expect(items.map((item) => item.total)).toStrictEqual([90, 45, 900]);
+    expect(items[0].adjustments[0].label).toBe('Volume discount: 5+ units, 10% off');
+    expect(items[2].adjustments).toStrictEqual([]);
+    expect(totalAmount).toBe(1035);
+  });
+
+  it('discounts one unit of each tier per complete bundle', async () => {
+    const client = new FakeClient({
+      tiers,
+      volumeDiscounts: [{ tier_id: 'guest-bronze-gb-1', min_quantity: 3, discount_percent: '20.00' }],
+      bundles: [{ id: 1, name: 'PBN + Guest Post', tier_ids: ['pbn-basic', 'guest-bronze-gb-1'], discount_percent: '10.00' }]
+    });
+
+    const { items, totalAmount } = await createCheckoutService(client).priceCart(client, [
+      { serviceId: 'pbn-basic', quantity: 2 },
+      { serviceId: 'guest-bronze-gb-1', quantity: 3 }
+    ]);
+
+    // Two complete sets: 10% off two PBN units and two (volume-discounted) guest posts
+    expect(items[0].adjustments.map((adj) => adj.amount)).toStrictEqual([-20]);
+    expect(items[1].adjustments.map((adj) => [adj.type, adj.amount])).toStrictEqual([['volume', -15], ['bundle', -4]]);
+    expect(totalAmount).toBe(236);
+  });
+
+  it('stores net, tax and gross amounts and charges the gross', async () => {
+    const client = new FakeClient({ tiers });
+    const result = await createCheckoutService(client).checkout({
+      cart: [{ serviceId: 'pbn-basic' }, { serviceId: 'guest-bronze-gb-1' }],
+      customer: { ...customer, country: 'DE' },
+      payment: { method: 'paypal', paymentId: 'PAYPAL-TAX' }
+    });
+
+    expect([result.netAmount, result.taxAmount, result.totalAmount]).toStrictEqual([125, 23.75, 148.75]);
+    expect(client.orders.map((o) => [o.net_amount, o.tax_amount, o.total_amount])).toStrictEqual([
+      ['100.00', '19.00', '119.00'],
+      ['25.00', '4.75', '29.75']
+    ]);
+    expect(client.payments.map((p) => p.amount)).toStrictEqual(['119.00', '29.75']);
+    expect(client.orders[0].tax_country).toBe('DE');
+  });
+
+  it('invoices paid checkouts with consecutive numbers', async () => {
+    const client = new FakeClient({ tiers });
+    const service = createCheckoutService(client);
+    const year = new Date().getUTCFullYear();
+
+    const pending = await service.checkout({ cart: [{ serviceId: 'pbn-basic' }], customer });
+    const first = await service.checkout({
+      cart: [{ serviceId: 'pbn-basic' }, { serviceId: 'guest-bronze-gb-1' }],
+      customer,
+      status: 'confirmed',
+      paymentStatus: 'paid'
+    });
+    const second = await service.checkout({ cart: [{ serviceId: 'guest-bronze-gb-1' }], customer, status: 'confirmed', paymentStatus: 'paid' });
+
+    expect(pending.invoice).toBe(null);
+    expect(client.invoices.map((i) => i.invoice_number)).toStrictEqual([`INV-${year}-00001`, `INV-${year}-00002`]);
+    expect(first.invoice.total_amount).toBe(125);
+    expect(client.orders.map((o) => o.invoice_id)).toStrictEqual([undefined, 1, 1, 2]);
+    expect(second.invoice.line_items[0].description).toBe('Guest Post Services - Bronze GB-1');
+    expect(first.invoice.pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(first.invoice.pdf.subarray(-6).toString().includes('%%EOF')).toBeTruthy();
+  });
+
+  it('invoices pending orders when their payment is confirmed', async () => {
+    const client = new FakeClient({ tiers });
+    const service = createCheckoutService(client);
+
+    await service.checkout({
+      cart: [{ serviceId: 'pbn-basic' }],
+      customer: { ...customer, country: 'DE' },
+      payment: { method: 'paypal', paymentId: 'PAYPAL-INVOICE' }
+    });
+    expect(client.invoices.length).toBe(0);
+
+    const result = await service.confirmPayment({ method: 'paypal', paymentId: 'PAYPAL-INVOICE', amount: 119, currency: 'USD' });
+
+    expect(result.invoice.id).toBe(1);
+    expect([result.invoice.net_amount, result.invoice.tax_amount, result.invoice.total_amount]).toStrictEqual([100, 19, 119]);
+    expect(client.orders[0].invoice_id).toBe(1);
+  });
+
+  it('spreads a coupon discount over the items it applies to', async () => {
+    const client = new FakeClient({
+      tiers,
+      rates: { EUR: '0.9' },
+      coupons: [
+        createCoupon({ category_ids: ['pbn'] }),
+        createCoupon({ id: 2, code: 'FLAT30', discount_type: 'fixed', discount_value: '30.00' })
+      ]
+    });
+    const service = createCheckoutService(client);
+    const cart = [{ serviceId: 'pbn-basic' }, { serviceId: 'guest-bronze-gb-1', quantity: 2 }];
+
+    const percentage = await service.priceCart(client, cart, 'USD', { couponCode: ' save10 ' });
+    expect(percentage.items.map((item) => item.discount)).toStrictEqual([10, 0]);
+    expect(percentage.subtotal).toBe(150);
+    expect(percentage.totalAmount).toBe(140);
+
+    // Fixed amounts are converted, then split pro rata (90 and 45 EUR items share 27 EUR)
+    const fixed = await service.priceCart(client, cart, 'EUR', { couponCode: 'FLAT30' });
+    expect(fixed.items.map((item) => item.discount)).toStrictEqual([18, 9]);
+    expect(fixed.discountAmount).toBe(27);
+    expect(fixed.totalAmount).toBe(108);
+  });
+
+  it('rejects expired, used up and below-minimum coupons', async () => {
+    const client = new FakeClient({
+      tiers,
+      coupons: [
+        createCoupon({ code: 'OLD', expires_at: new Date(Date.now() - 1000) }),
+        createCoupon({ id: 2, code: 'ONCE', max_uses_per_customer: 1 }),
+        createCoupon({ id: 3, code: 'BIG', min_cart_amount: '500.00' }),
+        createCoupon({ id: 4, code: 'PBNONLY', tier_ids: ['pbn-basic'] })
+      ],
+      redemptions: [{ coupon_id: 2, customer_email: customer.email }]
+    });
+    const service = createCheckoutService(client);
+    const cart = [{ serviceId: 'guest-bronze-gb-1' }];
+    const isCouponError = (pattern) => ({ name: 'CouponError', message: expect.stringMatching(pattern) });
+
+    await expect(service.priceCart(client, cart, 'USD', { couponCode: 'MISSING' })).rejects.toMatchObject(isCouponError(/not valid/));
+    await expect(service.priceCart(client, cart, 'USD', { couponCode: 'OLD' })).rejects.toMatchObject(isCouponError(/expired/));
+    await expect(service.priceCart(client, cart, 'USD', { couponCode: 'ONCE', customerEmail: customer.email })).rejects.toMatchObject(isCouponError(/already used/));
+    await expect(service.priceCart(client, cart, 'USD', { couponCode: 'BIG' })).rejects.toMatchObject(isCouponError(/minimum order of 500.00 USD/));
+    await expect(service.priceCart(client, cart, 'USD', { couponCode: 'PBNONLY' })).rejects.toMatchObject(isCouponError(/does not apply/));
+  });
+
+  it('records the discount on each order and one redemption per checkout', async () => {
+    const client = new FakeClient({ tiers, coupons: [createCoupon({ discount_type: 'fixed', discount_value: '15.00' })] });
+    const result = await createCheckoutService(client).checkout({
+      cart: [{ serviceId: 'pbn-basic' }, { serviceId: 'guest-bronze-gb-1', quantity: 2 }],
+      customer,
+      couponCode: 'SAVE10',
+      payment: { method: 'paypal', paymentId: 'PAYPAL-1' }
+    });
+
+    expect(result.totalAmount).toBe(135);
+    expect(client.orders.map((o) => [o.total_amount, o.discount_amount, o.coupon_code])).toStrictEqual([
+      ['90.00', '10.00', 'SAVE10'],
+      ['45.00', '5.00', 'SAVE10']
+    ]);
+    expect(client.payments.map((p) => p.amount)).toStrictEqual(['90.00', '45.00']);
+    expect(client.orders[0].price_breakdown).toStrictEqual({
+      listTotal: 100,
+      adjustments: [{ type: 'coupon', label: 'Coupon SAVE10', amount: -10 }]
+    });
+    expect(client.redemptions).toStrictEqual([
+      { coupon_id: 1, order_id: 1, customer_email: customer.email, discount_amount: 15, currency: 'USD' }
+    ]);
+  });
+
+  it('completing a discounted session records its redemption', async () => {
+    const session = {
+      ...createSession(),
+      items: [{ ...createSession().items[0], subtotal: 100, discount: 10, total: 90 }],
+      total_amount: '90.00',
+      coupon_id: 1,
+      coupon_code: 'SAVE10',
+      discount_amount: '10.00'
+    };
+    const client = new FakeClient({ sessions: [session] });
+
+    await createCheckoutService(client).completeSession({ method: 'stripe', paymentId: 'pi_session', amount: 90, currency: 'usd' });
+
+    expect(client.orders[0].total_amount).toBe('90.00');
+    expect(client.orders[0].coupon_code).toBe('SAVE10');
+    expect(client.redemptions.length).toBe(1);
+    expect(client.redemptions[0].discount_amount).toBe(10);
+  });
+
+  it('refuses a session payment with a different amount or currency', async () => {
+    const client = new FakeClient({ sessions: [createSession()] });
+    const service = createCheckoutService(client);
+
+    await expect(service.completeSession({ method: 'stripe', paymentId: 'pi_session', amount: 25, currency: 'usd' })).rejects.toThrow(/amount does not match/);
+    await expect(service.completeSession({ method: 'stripe', paymentId: 'pi_session', amount: 100, currency: 'eur' })).rejects.toThrow(/currency does not match/);
+
+    expect(client.orders.length).toBe(0);
+    expect(client.sessions[0].status).toBe('open');
+  });
+});
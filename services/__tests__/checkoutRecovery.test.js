@@ -0,0 +1,76 @@
+import CheckoutRecoveryService, { CheckoutRecoveryError } from '../checkoutRecovery.js';
+import { FakeClient, customer, createSession, createCheckoutService } from './fixtures.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An open abandoned checkout started `hoursAgo` hours ago
+const createAbandonedCheckout = (overrides = {}) => ({
+  id: 1,
+  token: 'token-1',
+  payment_method: 'stripe',
+  payment_id: 'pi_session',
+  customer,
+  customer_email: customer.email,
+  items: [{ serviceId: 'pbn-basic', serviceName: 'PBN Backlinks Services', tierName: 'Basic', quantity: 1, keywords: 'seo', total: 100 }],
+  coupon_code: null,
+  total_amount: '100.00',
+  currency: 'USD',
+  status: 'open',
+  reminders_sent: 0,
+  started_at: new Date(Date.now() - 2 * HOUR_MS),
+  ...overrides
+});
+
+// Recovery service on the fake client with a 1h/24h schedule, recording the reminders it sends
+const createCheckoutRecoveryService = (client, gateways = {}) => {
+  const emails = [];
+  const mailer = {
+    sendAbandonedCheckoutReminder: async (to, data) => emails.push({ to, data })
+  };
+  const service = new CheckoutRecoveryService({ query: (text, params) => client.query(text, params) }, mailer, gateways);
+  service.reminderHours = [1, 24];
+
+  return { service, emails };
+};
+
+describe('checkoutRecovery', () => {
+  it('sends abandoned checkout reminders on schedule until the customer opts out', async () => {
+    const client = new FakeClient({
+      abandonedCheckouts: [
+        createAbandonedCheckout(),
+        createAbandonedCheckout({ id: 2, token: 'token-2', payment_id: 'pi_other', customer_email: 'other@example.com', started_at: new Date(Date.now() - 30 * HOUR_MS) })
+      ]
+    });
+    const { service, emails } = createCheckoutRecoveryService(client);
+
+    // Only the second checkout is old enough for its second reminder
+    expect(await service.sendDueReminders()).toBe(2);
+    expect(await service.sendDueReminders()).toBe(1);
+    expect(await service.sendDueReminders()).toBe(0);
+    expect(client.abandonedCheckouts.map((a) => a.reminders_sent)).toStrictEqual([1, 2]);
+    expect(emails.at(-1).to).toBe('other@example.com');
+    expect(emails.at(-1).data.finalReminder).toBe(true);
+    expect(emails[0].data.resumeUrl).toMatch(/\/checkout\/resume\?token=token-1$/);
+
+    expect(await service.optOut('token-1')).toBe(true);
+    expect(await service.optOut('token-unknown')).toBe(false);
+    expect(await service.sendDueReminders(new Date(Date.now() + 48 * HOUR_MS))).toBe(0);
+  });
+
+  it('marks an abandoned checkout recovered once its payment goes through', async () => {
+    const client = new FakeClient({ sessions: [createSession()], abandonedCheckouts: [createAbandonedCheckout()] });
+    const { service } = createCheckoutRecoveryService(client, {
+      stripe: { getPaymentIntent: async (id) => ({ id, status: 'requires_payment_method', client_secret: 'secret_1' }) }
+    });
+
+    const details = await service.getResumeDetails('token-1');
+    expect(details.cart).toStrictEqual([{ serviceId: 'pbn-basic', quantity: 1, keywords: 'seo' }]);
+    expect(details.payment).toStrictEqual({ paymentIntentId: 'pi_session', clientSecret: 'secret_1' });
+
+    await createCheckoutService(client).completeSession({ method: 'stripe', paymentId: 'pi_session', amount: 100, currency: 'usd' });
+
+    expect(client.abandonedCheckouts[0].status).toBe('recovered');
+    expect(await service.sendDueReminders()).toBe(0);
+    await expect(service.getResumeDetails('token-1')).rejects.toMatchObject({ name: 'CheckoutRecoveryError', status: 409 });
+  });
+});
@@ -0,0 +1,84 @@
+import CustomerAccountService, { CustomerAccountError } from '../customerAccounts.js';
+import { customer } from './fixtures.js';
+
+// Customers and their login tokens for the customer account service
+class FakeAccountClient {
+  constructor() {
+    this.customers = [{ id: 1, ...customer, phone: null }];
+    this.loginTokens = [];
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT id, name, email FROM customers WHERE email')) {
+      return { rows: this.customers.filter((c) => c.email === params[0]) };
+    }
+
+    if (sql.startsWith('SELECT id, name, email, website, phone')) {
+      return { rows: this.customers.filter((c) => c.id === params[0]) };
+    }
+
+    if (sql.startsWith('INSERT INTO customer_login_tokens')) {
+      this.loginTokens.push({ jti: params[0], customer_id: params[1], expires_at: params[2], used_at: null });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE customer_login_tokens SET used_at')) {
+      const token = this.loginTokens.find((t) => t.jti === params[0] && t.customer_id === params[1] && !t.used_at && t.expires_at > new Date());
+      if (!token) {
+        return { rows: [] };
+      }
+      token.used_at = new Date();
+      return { rows: [{ customer_id: token.customer_id }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+describe('customerAccounts', () => {
+  it('logs a customer in once per emailed magic link', async () => {
+    process.env.JWT_SECRET ||= 'test-secret';
+    const client = new FakeAccountClient();
+    const emails = [];
+    const service = new CustomerAccountService(client, {
+      sendMagicLink: async (to, data) => emails.push({ to, data })
+    });
+
+    expect(await service.requestMagicLink('unknown@example.com')).toBe(false);
+    expect(await service.requestMagicLink(customer.email)).toBe(true);
+    expect(emails.length).toBe(1);
+    expect(emails[0].data.expiresInMinutes).toBe(15);
+
+    const token = new URL(emails[0].data.loginUrl, 'https://example.com').searchParams.get('token');
+    const loggedIn = await service.verifyMagicLink(token);
+
+    expect(loggedIn.email).toBe(customer.email);
+    await expect(service.verifyMagicLink(token)).rejects.toMatchObject({
+      name: 'CustomerAccountError',
+      status: 401,
+      message: expect.stringMatching(/already been used/)
+    });
+    await expect(service.verifyMagicLink('not-a-token')).rejects.toThrow(/invalid or has expired/);
+  });
+
+  it('answers a failed magic link email the same way as an unknown email', async () => {
+    process.env.JWT_SECRET ||= 'test-secret';
+    const service = new CustomerAccountService(new FakeAccountClient(), {
+      sendMagicLink: async () => {
+        throw new Error('SMTP connection refused');
+      }
+    });
+
+    expect(await service.requestMagicLink(customer.email)).toBe(false);
+
+    // Nothing is thrown either when the lookup fails, since the route doesn't wait for it
+    const offline = new CustomerAccountService({
+      query: async () => {
+        throw new Error('Connection terminated');
+      }
+    });
+    expect(await offline.requestMagicLink(customer.email)).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+import DashboardService from '../dashboard.js';
+
+// Orders in several currencies for the dashboard service
+class FakeDashboardClient {
+  constructor() {
+    const order = (currency, total_amount, fields = {}) => ({
+      currency,
+      total_amount,
+      status: 'completed',
+      payment_status: 'paid',
+      customer_id: 1,
+      thisMonth: true,
+      today: false,
+      ...fields
+    });
+    this.orders = [
+      order('USD', '100.00'),
+      order('USD', '50.00', { thisMonth: false, customer_id: 2 }),
+      order('EUR', '200.00', { status: 'in_progress', today: true, customer_id: 3 }),
+      order('GBP', '80.00', { status: 'pending', payment_status: 'pending', customer_id: 3 })
+    ];
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    const count = (rows) => ({ rows: [{ count: String(rows.length) }] });
+
+    if (sql === 'SELECT COUNT(*) as count FROM orders') {
+      return count(this.orders);
+    }
+
+    if (sql.startsWith('SELECT COUNT(*) as count FROM orders WHERE status')) {
+      return count(this.orders.filter((o) => o.status === params[0]));
+    }
+
+    if (sql.startsWith('SELECT COUNT(DISTINCT customer_id)')) {
+      return count([...new Set(this.orders.map((o) => o.customer_id))]);
+    }
+
+    if (sql.startsWith('SELECT COUNT(*) as count FROM orders WHERE DATE(created_at)')) {
+      return count(this.orders.filter((o) => o.today));
+    }
+
+    // Sums across currencies unless the query groups by them
+    if (sql.startsWith('SELECT currency, COALESCE(SUM(total_amount), 0) as revenue')) {
+      const groups = new Map();
+      for (const o of this.orders.filter((o) => o.payment_status === params[0])) {
+        const key = sql.includes('GROUP BY currency') ? o.currency : 'ALL';
+        const group = groups.get(key) || { currency: key, revenue: 0, this_month_revenue: 0, orders: 0 };
+        group.revenue += parseFloat(o.total_amount);
+        group.this_month_revenue += o.thisMonth ? parseFloat(o.total_amount) : 0;
+        group.orders += 1;
+        groups.set(key, group);
+      }
+      const rows = [...groups.values()].map((g) => ({
+        ...g,
+        revenue: g.revenue.toFixed(2),
+        this_month_revenue: g.this_month_revenue.toFixed(2),
+        orders: String(g.orders)
+      }));
+      return { rows: rows.sort((a, b) => b.revenue - a.revenue) };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+describe('dashboard', () => {
+  it('reports paid revenue per currency without adding currencies together', async () => {
+    const stats = await new DashboardService(new FakeDashboardClient()).getStats();
+
+    expect(stats.revenueByCurrency).toStrictEqual([
+      { currency: 'EUR', revenue: 200, thisMonthRevenue: 200, paidOrders: 1, avgOrderValue: 200 },
+      { currency: 'USD', revenue: 150, thisMonthRevenue: 100, paidOrders: 2, avgOrderValue: 75 }
+    ]);
+    expect(stats).toMatchObject({ totalOrders: 4, pendingOrders: 1, inProgressOrders: 1, completedOrders: 2, totalCustomers: 3, todayOrders: 1 });
+  });
+});
@@ -0,0 +1,113 @@
+import DeliverableService, { DeliverableError } from '../deliverables.js';
+import FileInspectionService from '../fileInspection.js';
+import { FakeDeliverableClient } from './fixtures.js';
+
+describe('deliverables', () => {
+  it('signs deliverable download links scoped to one deliverable and expiring', async () => {
+    const client = new FakeDeliverableClient();
+    const service = new DeliverableService(client, 'test-secret');
+
+    const link = await service.createDownloadLink(client.deliverables[0]);
+    expect(link.url).toBe(`/api/orders/downloads/${link.token}`);
+    expect(service.verifyDownloadToken(link.token)).toStrictEqual({ linkId: 1, deliverableId: 7, orderId: 3 });
+
+    const signature = link.token.split('.')[1];
+    const forged = Buffer.from(JSON.stringify({ l: 1, d: 8, o: 3, exp: Date.now() + 60000 })).toString('base64url');
+    expect(() => service.verifyDownloadToken(`${forged}.${signature}`)).toThrow(expect.objectContaining({ name: 'DeliverableError', status: 403 }));
+    expect(() => new DeliverableService(client, 'other-secret').verifyDownloadToken(link.token)).toThrow(/Invalid download link/);
+
+    const expired = await service.createDownloadLink(client.deliverables[0], { expiresAt: new Date(Date.now() - 1000) });
+    expect(() => service.verifyDownloadToken(expired.token)).toThrow(expect.objectContaining({ status: 410 }));
+  });
+
+  it('limits and revokes deliverable download links', async () => {
+    const client = new FakeDeliverableClient();
+    const stored = new Set();
+    const service = new DeliverableService(client, 'test-secret', { stat: async (key) => (stored.has(key) ? { size: 3 } : null) });
+
+    const { token } = await service.createDownloadLink(client.deliverables[0], { maxDownloads: 2 });
+
+    // A file missing from storage doesn't use up a download
+    await expect(service.redeemDownloadToken(token)).rejects.toMatchObject({ name: 'DeliverableError', status: 404 });
+    expect(client.links[0].download_count).toBe(0);
+
+    stored.add('report.pdf');
+    expect((await service.redeemDownloadToken(token)).deliverable.file_name).toBe('report.pdf');
+    await service.redeemDownloadToken(token);
+    await expect(service.redeemDownloadToken(token)).rejects.toThrow(/reached its download limit/);
+
+    // Viewing the order again hands out a fresh link once the old one is used up
+    const fresh = await service.getDownloadLink(client.deliverables[0]);
+    expect(fresh.link.id).toBe(2);
+    expect((await service.getDownloadLink(client.deliverables[0])).link.id).toBe(2);
+
+    expect((await service.revokeLink(2, 9)).revoked_by).toBe(9);
+    await expect(service.redeemDownloadToken(fresh.token)).rejects.toMatchObject({
+      name: 'DeliverableError',
+      status: 410,
+      message: expect.stringMatching(/revoked/)
+    });
+  });
+
+  it('versions re-uploaded deliverables and hides internal ones from download links', async () => {
+    const client = new FakeDeliverableClient();
+    const stored = new Map();
+    const service = new DeliverableService(client, 'test-secret', { put: async (key, data) => stored.set(key, data) }, new FileInspectionService(null));
+    const file = (name) => ({ name, data: Buffer.from(`%PDF-1.4 ${name}`), mimetype: 'application/octet-stream', size: name.length });
+
+    const [report, notes] = await service.addDeliverables(3, [file('report.pdf'), file('notes.pdf')], { uploadedBy: 1, visibility: 'internal' });
+    expect(stored.size).toBe(2);
+    expect([...stored.keys()].every((key) => /^deliverables\/3\/[0-9a-f-]{36}\.pdf$/.test(key))).toBeTruthy();
+
+    // Same name: next version, keeping the description, with the old row kept as history
+    expect([report.version, report.previous_version_id, report.description, client.deliverables[0].is_current]).toStrictEqual([2, 7, 'Audit', false]);
+    expect([notes.version, notes.previous_version_id, notes.visibility]).toStrictEqual([1, null, 'internal']);
+    expect([notes.file_type, notes.detected_type, notes.scan_status]).toStrictEqual(['application/pdf', 'pdf', 'skipped']);
+
+    const renamed = await service.addDeliverables(3, [file('report-final.pdf')], { replaces: report.id, description: 'Final audit' });
+    expect([renamed[0].version, renamed[0].visibility, renamed[0].description]).toStrictEqual([3, 'internal', 'Final audit']);
+
+    await expect(service.addDeliverables(3, [file('a.pdf'), file('b.pdf')], { replaces: 7 })).rejects.toThrow(/Only one file/);
+    await expect(service.addDeliverables(3, [file('a.pdf')], { replaces: 7 })).rejects.toMatchObject({ status: 404 });
+    await expect(service.addDeliverables(99, [file('a.pdf')])).rejects.toThrow(/Order not found/);
+
+    const { token } = await service.createDownloadLink(notes);
+    await expect(service.redeemDownloadToken(token)).rejects.toMatchObject({ name: 'DeliverableError', status: 404 });
+  });
+
+  it('deletes the files it stored when adding a batch fails', async () => {
+    const client = new FakeDeliverableClient();
+    const stored = new Map();
+    const files = { put: async (key, data) => stored.set(key, data), delete: async (key) => stored.delete(key) };
+    const service = new DeliverableService(client, 'test-secret', files, new FileInspectionService(null));
+    const file = (name) => ({ name, data: Buffer.from(`%PDF-1.4 ${name}`), mimetype: 'application/pdf', size: name.length });
+
+    const query = client.query.bind(client);
+    let inserts = 0;
+    client.query = async (text, params) => {
+      if (text.includes('INSERT INTO deliverables') && ++inserts === 2) {
+        throw new Error('connection terminated');
+      }
+      return query(text, params);
+    };
+
+    await expect(service.addDeliverables(3, [file('a.pdf'), file('b.pdf')])).rejects.toThrow(/connection terminated/);
+    expect([client.transaction, stored.size]).toStrictEqual(['rolled back', 0]);
+
+    await service.addDeliverables(3, [file('c.pdf')]);
+    expect([client.transaction, stored.size]).toStrictEqual(['committed', 1]);
+  });
+
+  it('estimates delivery from the confirmation date and flags overdue orders', async () => {
+    const service = new DeliverableService({}, 'test-secret');
+    const confirmedAt = new Date('2026-01-01T00:00:00Z');
+
+    const estimate = service.estimateDelivery({ status: 'in_progress', delivery_days: 7 }, confirmedAt, new Date('2026-01-05T00:00:00Z'));
+    expect(estimate.estimatedCompletion.toISOString()).toBe('2026-01-08T00:00:00.000Z');
+    expect(estimate.overdue).toBe(false);
+
+    expect(service.estimateDelivery({ status: 'in_progress', delivery_days: 7 }, confirmedAt, new Date('2026-01-09T00:00:00Z')).overdue).toBe(true);
+    expect(service.estimateDelivery({ status: 'completed', delivery_days: 7 }, confirmedAt, new Date('2026-01-09T00:00:00Z')).overdue).toBe(false);
+    expect(service.estimateDelivery({ status: 'pending', delivery_days: 7 }, null)).toStrictEqual({ confirmedAt: null, estimatedCompletion: null, overdue: false });
+  });
+});
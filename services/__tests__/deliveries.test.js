@@ -0,0 +1,158 @@
+import DeliveryService, { DeliveryError } from '../deliveries.js';
+import { customer } from './fixtures.js';
+
+// Order 3, its deliveries and status history for the delivery service; a rollback restores the state at BEGIN
+class FakeDeliveryClient {
+  constructor() {
+    this.order = { id: 3, status: 'in_progress', tracking_id: 'SEO-3', service_name: 'SEO Audit', customer_name: 'Ann', customer_email: 'Ann@example.com' };
+    this.deliveries = [];
+    this.history = [];
+  }
+
+  snapshot() {
+    this.saved = { status: this.order.status, deliveries: this.deliveries.length, history: this.history.length };
+  }
+
+  restore() {
+    this.order.status = this.saved.status;
+    this.deliveries.length = this.saved.deliveries;
+    this.history.length = this.saved.history;
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT o.*, c.name as customer_name')) {
+      return { rows: Number(params[0]) === 3 ? [{ ...this.order }] : [] };
+    }
+
+    if (sql.startsWith('SELECT id FROM orders WHERE id = $1 FOR UPDATE')) {
+      return { rows: [{ id: 3 }] };
+    }
+
+    if (sql.startsWith('INSERT INTO deliveries')) {
+      const [order_id, message, recipients, method, deliverable_ids, status, error, sent_by] = params;
+      const delivery = { id: this.deliveries.length + 1, order_id, message, recipients: JSON.parse(recipients), method, deliverable_ids: JSON.parse(deliverable_ids), status, error, sent_by };
+      this.deliveries.push(delivery);
+      return { rows: [{ ...delivery }] };
+    }
+
+    if (sql.startsWith("UPDATE orders SET status = 'completed'")) {
+      this.order.status = 'completed';
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO order_status_history')) {
+      this.history.push({ status: params[1], notes: params[2], changed_by: params[3] });
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+// Delivery service on the fake client with one stored deliverable, recording emails, uploads and revoked links
+const createDeliveryService = (client, { failEmail = false } = {}) => {
+  const emails = [];
+  const uploads = [];
+  const revoked = [];
+  const current = [{ id: 7, order_id: 3, file_name: 'report.pdf', file_path: 'deliverables/3/a.pdf', description: 'Audit', version: 2 }];
+  const deliverables = {
+    addDeliverables: async (orderId, files, options) => {
+      uploads.push({ orderId, files, options });
+      current.push(...files.map((file, i) => ({ id: 20 + i, order_id: orderId, file_name: file.name, file_path: `deliverables/3/${file.name}`, file_size: file.size, version: 1 })));
+    },
+    listCurrentForCustomer: async () => current,
+    createDownloadLink: async (deliverable) => ({ link: { id: deliverable.id * 10 }, url: `/api/orders/downloads/token-${deliverable.id}`, expiresAt: new Date('2026-02-01T00:00:00Z') }),
+    revokeLink: async (linkId) => revoked.push(linkId),
+    formatForEmail: (deliverable) => ({ fileName: deliverable.file_name, description: deliverable.description, version: deliverable.version })
+  };
+  const mailer = {
+    sendDeliveryEmail: async (to, data, attachments) => {
+      if (failEmail) {
+        throw new Error('SMTP unavailable');
+      }
+      emails.push({ to, data, attachments });
+    }
+  };
+  const service = new DeliveryService(
+    {
+      query: (text, params) => client.query(text, params),
+      beginTransaction: async () => {
+        client.snapshot();
+        client.transaction = 'open';
+        return client;
+      },
+      commitTransaction: async () => {
+        client.transaction = 'committed';
+      },
+      rollbackTransaction: async () => {
+        client.restore();
+        client.transaction = 'rolled back';
+      }
+    },
+    mailer,
+    deliverables,
+    { get: async (key) => Buffer.from(key) }
+  );
+  service.apiUrl = 'https://api.example.com';
+
+  return { service, emails, uploads, revoked };
+};
+
+describe('deliveries', () => {
+  it('delivers stored and uploaded files and completes the order once the email is sent', async () => {
+    const client = new FakeDeliveryClient();
+    const { service, emails, uploads } = createDeliveryService(client);
+    const file = { name: 'links.xlsx', data: Buffer.from('xlsx'), mimetype: 'application/vnd.ms-excel', size: 4 };
+
+    const { delivery } = await service.deliver(3, { files: [file], message: 'All done', recipients: ['ann@example.com', 'boss@example.com'], adminId: 1 });
+
+    expect(uploads[0].options).toStrictEqual({ uploadedBy: 1, visibility: 'customer' });
+    expect(emails[0].to).toStrictEqual(['ann@example.com', 'boss@example.com']);
+    expect(emails[0].attachments.map((a) => a.filename)).toStrictEqual(['report.pdf', 'links.xlsx']);
+    expect(emails[0].data.deliverables[0].description).toBe('Audit');
+    expect([delivery.status, delivery.method, delivery.message, delivery.deliverable_ids]).toStrictEqual(['sent', 'attachments', 'All done', [7, 20]]);
+    expect(client.order.status).toBe('completed');
+    expect(client.transaction).toBe('committed');
+    expect(client.history[0].changed_by).toBe(1);
+
+    // Links instead of attachments
+    const linked = createDeliveryService(new FakeDeliveryClient());
+    await linked.service.deliver(3, { method: 'links' });
+    expect(linked.emails[0].attachments).toStrictEqual([]);
+    expect(linked.emails[0].data.deliverables[0].downloadUrl).toBe('https://api.example.com/api/orders/downloads/token-7');
+
+    await expect(service.deliver(99)).rejects.toMatchObject({ name: 'DeliveryError', status: 404 });
+  });
+
+  it('sends deliveries over the attachment size limit as download links', async () => {
+    const client = new FakeDeliveryClient();
+    const { service, emails } = createDeliveryService(client);
+    service.maxAttachmentBytes = 1024;
+
+    const file = { name: 'links.zip', data: null, mimetype: 'application/zip', size: 4096 };
+    const { delivery } = await service.deliver(3, { files: [file] });
+
+    expect(delivery.method).toBe('links');
+    expect(emails[0].attachments).toStrictEqual([]);
+    expect(emails[0].data.deliverables.every((deliverable) => deliverable.downloadUrl)).toBeTruthy();
+  });
+
+  it('leaves the order open and records a failed delivery when the email fails', async () => {
+    const client = new FakeDeliveryClient();
+    const { service, revoked } = createDeliveryService(client, { failEmail: true });
+
+    await expect(service.deliver(3, { message: 'All done', method: 'links', adminId: 1 })).rejects.toMatchObject({
+      name: 'DeliveryError',
+      status: 502,
+      message: expect.stringMatching(/SMTP unavailable/)
+    });
+
+    expect(client.transaction).toBe('rolled back');
+    expect(client.order.status).toBe('in_progress');
+    expect(client.history.length).toBe(0);
+    expect(client.deliveries.map((d) => [d.status, d.error])).toStrictEqual([['failed', 'SMTP unavailable']]);
+    expect(revoked).toStrictEqual([70]);
+  });
+});
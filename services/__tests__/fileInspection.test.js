@@ -0,0 +1,231 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import net from 'net';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import DeliverableService, { DeliverableError } from '../deliverables.js';
+import FileInspectionService, { FileInspectionError } from '../fileInspection.js';
+import { LocalStorage } from '../../utils/storage.js';
+import { ClamAVScanner } from '../../utils/clamav.js';
+import { detectFileType, contentMatchesExtension, DELIVERABLE_EXTENSIONS, EXTENSION_MIME_TYPES } from '../../utils/fileType.js';
+import { FakeDeliverableClient } from './fixtures.js';
+
+// ZIP archive of `entries` ({ name, data, deflate, flags, mode, uncompressedSize }); CRCs are left at zero
+const buildZip = (entries) => {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const data = entry.deflate ? zlib.deflateRawSync(entry.data) : entry.data;
+    const method = entry.deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.flags || 0, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(entry.uncompressedSize ?? entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(entry.flags || 0, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(entry.uncompressedSize ?? entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE((entry.mode || 0o100644) * 0x10000, 38);
+    central.writeUInt32LE(offset, 42);
+
+    parts.push(local, name, data);
+    directory.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, centralDirectory, end]);
+};
+
+// clamd stand-in speaking INSTREAM over TCP: anything containing "EICAR" is infected
+const startFakeClamd = async () => {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let received = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      const command = received.subarray(0, received.indexOf(0) + 1).toString();
+      const data = [];
+      let position = command.length;
+
+      while (command && position + 4 <= received.length) {
+        const size = received.readUInt32BE(position);
+
+        if (size === 0) {
+          commands.push(command);
+          socket.end(Buffer.concat(data).includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (position + 4 + size > received.length) {
+          return;
+        }
+        data.push(received.subarray(position + 4, position + 4 + size));
+        position += 4 + size;
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, port: server.address().port, commands };
+};
+
+describe('fileInspection', () => {
+  it('detects file types from their contents rather than their names', async () => {
+    expect(detectFileType(Buffer.from('%PDF-1.7'))).toBe('pdf');
+    expect(detectFileType(buildZip([]))).toBe('zip');
+    expect(detectFileType(Buffer.from('d0cf11e0a1b11ae1', 'hex'))).toBe('ole');
+    expect(detectFileType(Buffer.from('MZ\x90\x00'))).toBe('executable');
+    expect(detectFileType(Buffer.from('#!/bin/sh'))).toBe('executable');
+    expect(detectFileType(Buffer.from('url,anchor\nhttps://example.com,SEO\n'))).toBe('text');
+    expect(detectFileType(Buffer.from([0x00, 0x01, 0x02]))).toBe(null);
+
+    expect(contentMatchesExtension('report.pdf', Buffer.from('%PDF-1.7'))).toBe(true);
+    expect(contentMatchesExtension('links.xlsx', buildZip([]))).toBe(true);
+    expect(contentMatchesExtension('report.pdf', Buffer.from('MZ'))).toBe(false);
+    expect(contentMatchesExtension('setup.exe', Buffer.from('MZ'))).toBe(false);
+    expect(DELIVERABLE_EXTENSIONS.filter((extension) => !EXTENSION_MIME_TYPES[extension])).toStrictEqual([]);
+
+    const service = new FileInspectionService(null);
+    const xlsx = buildZip([
+      { name: '[Content_Types].xml', data: Buffer.from('<Types/>') },
+      { name: 'xl/workbook.xml', data: Buffer.from('<workbook/>'), deflate: true }
+    ]);
+
+    const inspection = await service.inspect({ name: 'links.xlsx', data: xlsx });
+    expect([inspection.detectedType, inspection.mimetype, inspection.scanStatus, inspection.scanResult.zip.entries]).toStrictEqual(['xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'skipped', 2]);
+    await expect(service.inspect({ name: 'links.zip', data: xlsx })).rejects.toThrow(/does not match its \.zip extension \(it looks like xlsx\)/);
+    await expect(service.inspect({ name: 'report.pdf', data: Buffer.from('MZ\x90\x00') })).rejects.toThrow(/Executable files/);
+    await expect(service.inspect({ name: 'report.txt', data: Buffer.from('hello') })).rejects.toThrow(/\.txt files are not allowed/);
+  });
+
+  it('rejects ZIP archives with unsafe paths, executables or zip bomb ratios', async () => {
+    const service = new FileInspectionService(null);
+    const inspectZip = (entries) => service.inspect({ name: 'links.zip', data: buildZip(entries) });
+    const rejected = (pattern) => ({ name: 'FileInspectionError', status: 422, message: expect.stringMatching(pattern) });
+
+    const ok = await inspectZip([{ name: 'reports/', data: Buffer.alloc(0) }, { name: 'reports/links.csv', data: Buffer.from('url\n'), deflate: true }]);
+    expect(ok.detectedType).toBe('zip');
+
+    await expect(inspectZip([{ name: '../../etc/cron.d/job', data: Buffer.from('x') }])).rejects.toMatchObject(rejected(/unsafe path/));
+    await expect(inspectZip([{ name: 'C:\\Windows\\evil.txt', data: Buffer.from('x') }])).rejects.toMatchObject(rejected(/unsafe path/));
+    await expect(inspectZip([{ name: 'link', data: Buffer.from('/etc/passwd'), mode: 0o120777 }])).rejects.toMatchObject(rejected(/symbolic link/));
+    await expect(inspectZip([{ name: 'tools/Setup.EXE', data: Buffer.from('x') }])).rejects.toMatchObject(rejected(/executable: tools\/Setup\.EXE/));
+    await expect(inspectZip([{ name: 'bin/run', data: Buffer.from('\x7fELF\x02\x01'), deflate: true }])).rejects.toMatchObject(rejected(/executable: bin\/run/));
+    await expect(inspectZip([{ name: 'secret.pdf', data: Buffer.from('x'), flags: 1 }])).rejects.toMatchObject(rejected(/encrypted/));
+    await expect(inspectZip([{ name: 'zeros.csv', data: Buffer.alloc(4 * 1024 * 1024), deflate: true }])).rejects.toMatchObject(rejected(/compressed suspiciously well/));
+    await expect(inspectZip([{ name: 'huge.csv', data: Buffer.from('x'), uncompressedSize: 0xfffffffe }])).rejects.toMatchObject(rejected(/expands to more than/));
+    await expect(service.inspect({ name: 'links.zip', data: Buffer.from('PK\x03\x04 truncated') })).rejects.toMatchObject(rejected(/corrupt/));
+
+    service.maxZipEntries = 1;
+    await expect(inspectZip([{ name: 'a.csv', data: Buffer.from('a') }, { name: 'b.csv', data: Buffer.from('b') }])).rejects.toMatchObject(rejected(/more than 1 entries/));
+  });
+
+  it('inspects stored uploads with ranged reads and deletes rejected ones', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'inspection-test-'));
+
+    try {
+      const local = new LocalStorage(root);
+      const zip = buildZip([{ name: 'links.csv', data: Buffer.from('url\n') }]);
+      await local.put('deliverables/3/good.zip', zip);
+      await local.put('deliverables/3/bad.zip', buildZip([{ name: 'run.bat', data: Buffer.from('@echo off') }]));
+
+      expect(await local.getRange('deliverables/3/good.zip', 0, 4)).toStrictEqual(zip.subarray(0, 4));
+      expect(await local.getRange('deliverables/3/good.zip', zip.length - 2, 10)).toStrictEqual(zip.subarray(-2));
+      expect(await local.getRange('deliverables/3/missing.zip', 0, 4)).toBe(null);
+
+      const inspector = new FileInspectionService(null, local);
+      const service = new DeliverableService(new FakeDeliverableClient(), 'test-secret', local, inspector);
+
+      const [added] = await service.addDeliverables(3, [{ name: 'good.zip', size: zip.length, storageKey: 'deliverables/3/good.zip' }]);
+      expect([added.file_path, added.detected_type, added.scan_result.zip.entries]).toStrictEqual(['deliverables/3/good.zip', 'zip', 1]);
+
+      await expect(service.addDeliverables(3, [{ name: 'bad.zip', size: 10, storageKey: 'deliverables/3/bad.zip' }])).rejects.toMatchObject({
+        name: 'DeliverableError',
+        status: 422,
+        message: expect.stringMatching(/^bad\.zip: ZIP archive contains an executable/)
+      });
+      expect(await local.stat('deliverables/3/bad.zip')).toBe(null);
+
+      // Nothing is stored when any file of a batch is rejected
+      await expect(service.addDeliverables(3, [
+          { name: 'a.pdf', data: Buffer.from('%PDF-1.4'), size: 8 },
+          { name: 'b.pdf', data: Buffer.from('not a pdf'), size: 9 }
+        ])).rejects.toThrow(/b\.pdf: File content does not match its \.pdf extension/);
+      expect(await fs.readdir(path.join(root, 'deliverables/3'))).toStrictEqual(['good.zip']);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it('scans files with ClamAV and records scanner failures', async () => {
+    const clamd = await startFakeClamd();
+
+    try {
+      const scanner = new ClamAVScanner({ port: clamd.port });
+      expect(await scanner.scan(Readable.from([Buffer.from('%PDF-1.4 clean')]))).toStrictEqual({ clean: true, signature: null });
+      expect(await scanner.scan(Readable.from([Buffer.from('%PDF-1.4 '), Buffer.from('EICAR')]))).toStrictEqual({ clean: false, signature: 'Eicar-Test-Signature' });
+      expect(clamd.commands).toStrictEqual(['zINSTREAM\0', 'zINSTREAM\0']);
+
+      // clamd answering and hanging up mid-stream ends the upload loop instead of leaving it waiting to write
+      const limited = net.createServer((socket) => socket.once('data', () => socket.end('INSTREAM size limit exceeded. ERROR\0')));
+      await new Promise((resolve) => limited.listen(0, '127.0.0.1', resolve));
+      let streamed = false;
+      const large = {
+        async *[Symbol.asyncIterator]() {
+          try {
+            for (let i = 0; i < 64; i++) {
+              yield Buffer.alloc(1024 * 1024);
+            }
+          } finally {
+            streamed = true;
+          }
+        },
+        destroy() {}
+      };
+
+      await expect(new ClamAVScanner({ port: limited.address().port }).scan(large)).rejects.toThrow(/size limit exceeded/);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(streamed).toBe(true);
+      await new Promise((resolve) => limited.close(resolve));
+
+      const service = new FileInspectionService(scanner);
+      const clean = await service.inspect({ name: 'report.pdf', data: Buffer.from('%PDF-1.4 clean') });
+      expect([clean.scanStatus, clean.scanResult.scanner]).toStrictEqual(['clean', 'clamav']);
+      await expect(service.inspect({ name: 'report.pdf', data: Buffer.from('%PDF-1.4 EICAR') })).rejects.toMatchObject({
+        name: 'FileInspectionError',
+        status: 422,
+        message: expect.stringMatching(/virus scan \(Eicar-Test-Signature\)/)
+      });
+
+      // A scanner that's down lets files through marked as unscanned, unless scanning is required
+      const down = new FileInspectionService({ name: 'clamav', scan: async () => { throw new Error('connect ECONNREFUSED'); } });
+      const unscanned = await down.inspect({ name: 'report.pdf', data: Buffer.from('%PDF-1.4') });
+      expect([unscanned.scanStatus, unscanned.scanResult.error]).toStrictEqual(['error', 'connect ECONNREFUSED']);
+
+      down.scanRequired = true;
+      await expect(down.inspect({ name: 'report.pdf', data: Buffer.from('%PDF-1.4') })).rejects.toMatchObject({ status: 503 });
+    } finally {
+      await new Promise((resolve) => clamd.server.close(resolve));
+    }
+  });
+});
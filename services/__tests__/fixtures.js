@@ -0,0 +1,616 @@
+import CheckoutService from '../checkout.js';
+import CatalogService from '../catalog.js';
+
+// In-memory stand-in for a pg client: answers the queries the checkout service issues
+export class FakeClient {
+  constructor({
+    tiers = {},
+    customers = [],
+    sessions = [],
+    rates = {},
+    coupons = [],
+    redemptions = [],
+    volumeDiscounts = [],
+    bundles = [],
+    taxRates = { DE: '19.00', FR: '20.00', GB: '20.00' },
+    subscriptions = [],
+    abandonedCheckouts = []
+  } = {}) {
+    this.tiers = tiers;
+    this.taxRates = taxRates;
+    this.volumeDiscounts = volumeDiscounts;
+    this.bundles = bundles;
+    this.rates = rates;
+    this.customers = customers;
+    this.sessions = sessions;
+    this.coupons = coupons;
+    this.redemptions = redemptions;
+    this.subscriptions = subscriptions;
+    this.bankTransfers = [];
+    this.abandonedCheckouts = abandonedCheckouts;
+    this.optOuts = [];
+    this.orders = [];
+    this.payments = [];
+    this.history = [];
+    this.invoices = [];
+    this.invoiceSequences = {};
+    this.transaction = null;
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT st.*')) {
+      const tier = this.tiers[params[0]];
+      return { rows: tier ? [{ ...tier, currency_price: tier.prices?.[params[1]] ?? null }] : [] };
+    }
+
+    if (sql.startsWith('SELECT rate FROM exchange_rates')) {
+      return { rows: this.rates[params[0]] ? [{ rate: this.rates[params[0]] }] : [] };
+    }
+
+    if (sql.startsWith('SELECT tier_id, min_quantity, discount_percent FROM tier_volume_discounts')) {
+      const rows = this.volumeDiscounts
+        .filter((v) => params[0].includes(v.tier_id))
+        .sort((a, b) => b.min_quantity - a.min_quantity);
+      return { rows };
+    }
+
+    if (sql.startsWith('SELECT * FROM bundle_rules')) {
+      return { rows: [...this.bundles].sort((a, b) => b.discount_percent - a.discount_percent) };
+    }
+
+    if (sql.startsWith('SELECT country, name, rate FROM tax_rates')) {
+      const rate = this.taxRates[params[0]];
+      return { rows: rate ? [{ country: params[0], name: 'VAT', rate }] : [] };
+    }
+
+    if (sql.startsWith('SELECT * FROM coupons WHERE code')) {
+      return { rows: this.coupons.filter((c) => c.code === params[0]) };
+    }
+
+    if (sql.startsWith('SELECT COUNT(*) AS total_uses')) {
+      const redemptions = this.redemptions.filter((r) => r.coupon_id === params[0]);
+      return {
+        rows: [{
+          total_uses: String(redemptions.length),
+          customer_uses: String(redemptions.filter((r) => r.customer_email === params[1]).length)
+        }]
+      };
+    }
+
+    if (sql.startsWith('INSERT INTO coupon_redemptions')) {
+      const [coupon_id, order_id, customer_email, discount_amount, currency] = params;
+      this.redemptions.push({ coupon_id, order_id, customer_email, discount_amount, currency });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT name, email, website, country, vat_id FROM customers')) {
+      return { rows: this.customers.filter((c) => c.id === params[0]) };
+    }
+
+    if (sql.startsWith('INSERT INTO invoice_sequences')) {
+      this.invoiceSequences[params[0]] = (this.invoiceSequences[params[0]] || 0) + 1;
+      return { rows: [{ last_number: this.invoiceSequences[params[0]] }] };
+    }
+
+    if (sql.startsWith('INSERT INTO invoices')) {
+      const invoice = { id: this.invoices.length + 1, invoice_number: params[0], customer_id: params[1], total_amount: params[8], pdf: params[11] };
+      this.invoices.push(invoice);
+      return { rows: [{ id: invoice.id }] };
+    }
+
+    if (sql.startsWith('UPDATE orders SET invoice_id')) {
+      this.orders.filter((o) => params[1].includes(o.id)).forEach((o) => { o.invoice_id = params[0]; });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT name, email, website FROM customers')) {
+      return { rows: this.customers.filter((c) => c.id === params[0]) };
+    }
+
+    if (sql.startsWith('SELECT * FROM subscriptions WHERE payment_method')) {
+      return { rows: this.subscriptions.filter((s) => s.payment_method === params[0] && s.gateway_subscription_id === params[1]) };
+    }
+
+    if (sql.startsWith('SELECT * FROM subscriptions WHERE id')) {
+      return { rows: this.subscriptions.filter((s) => s.id === params[0]) };
+    }
+
+    if (sql.startsWith('UPDATE subscriptions SET status = CASE')) {
+      const subscription = this.subscriptions.find((s) => s.id === params[2]);
+      if (['pending', 'past_due'].includes(subscription.status)) {
+        subscription.status = 'active';
+      }
+      Object.assign(subscription, { periods_paid: subscription.periods_paid + 1, current_period_start: params[0], current_period_end: params[1] });
+      return { rows: [{ ...subscription }] };
+    }
+
+    if (sql.startsWith("UPDATE subscriptions SET status = 'past_due'")) {
+      const subscription = this.subscriptions.find((s) => s.id === params[0]);
+      subscription.status = 'past_due';
+      return { rows: [{ ...subscription }] };
+    }
+
+    if (sql.startsWith('UPDATE subscriptions SET status = $1')) {
+      const subscription = this.subscriptions.find((s) => s.id === params[2]);
+      subscription.status = params[0];
+      if (params[0] === 'cancelled') {
+        subscription.cancel_reason = params[1];
+      }
+      return { rows: [{ ...subscription }] };
+    }
+
+    if (sql.startsWith('INSERT INTO bank_transfers')) {
+      const transfer = { id: this.bankTransfers.length + 1, reference: params[0], customer_id: params[1], amount: params[2].toFixed(2), currency: params[3], expires_at: params[4], status: 'awaiting' };
+      this.bankTransfers.push(transfer);
+      return { rows: [{ ...transfer }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM bank_transfers WHERE reference')) {
+      return { rows: this.bankTransfers.filter((t) => t.reference === params[0]).map((t) => ({ ...t })) };
+    }
+
+    if (sql.startsWith('SELECT reference FROM bank_transfers')) {
+      return { rows: this.bankTransfers.filter((t) => t.status === 'awaiting' && t.expires_at <= new Date()) };
+    }
+
+    if (sql.startsWith("UPDATE bank_transfers SET status = 'received'")) {
+      const transfer = this.bankTransfers.find((t) => t.id === params[3]);
+      Object.assign(transfer, { status: 'received', received_amount: params[0], received_by: params[1] });
+      return { rows: [{ ...transfer }] };
+    }
+
+    if (sql.startsWith("UPDATE bank_transfers SET status = 'expired'")) {
+      const transfer = this.bankTransfers.find((t) => t.id === params[1]);
+      transfer.status = 'expired';
+      return { rows: [{ ...transfer }] };
+    }
+
+    if (sql.startsWith("UPDATE abandoned_checkouts SET status = 'recovered'")) {
+      for (const checkout of this.abandonedCheckouts) {
+        if (checkout.payment_method === params[0] && checkout.payment_id === params[1] && checkout.status === 'open') {
+          checkout.status = 'recovered';
+        }
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT a.* FROM abandoned_checkouts a')) {
+      return {
+        rows: this.abandonedCheckouts
+          .filter((a) => a.status === 'open' && a.reminders_sent < params[0] && !this.optOuts.includes(a.customer_email))
+          .map((a) => ({ ...a }))
+      };
+    }
+
+    if (sql.startsWith('UPDATE abandoned_checkouts SET reminders_sent')) {
+      const checkout = this.abandonedCheckouts.find((a) => a.id === params[0] && a.status === 'open' && a.reminders_sent === params[1]);
+      if (!checkout) {
+        return { rows: [] };
+      }
+      checkout.reminders_sent++;
+      return { rows: [{ reminders_sent: checkout.reminders_sent }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM abandoned_checkouts WHERE token')) {
+      return { rows: this.abandonedCheckouts.filter((a) => a.token === params[0]).map((a) => ({ ...a })) };
+    }
+
+    if (sql.startsWith('INSERT INTO checkout_reminder_opt_outs')) {
+      if (!this.optOuts.includes(params[0])) {
+        this.optOuts.push(params[0]);
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith("UPDATE orders SET status = 'cancelled'")) {
+      Object.assign(this.orders.find((o) => o.id === params[0]), { status: 'cancelled', payment_status: 'failed' });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT id FROM customers')) {
+      return { rows: this.customers.filter((c) => c.email === params[0]) };
+    }
+
+    if (sql.startsWith('UPDATE customers')) {
+      const customer = this.customers.find((c) => c.id === params[3]);
+      Object.assign(customer, { name: params[0], website: params[1] });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO customers')) {
+      const customer = { id: this.customers.length + 1, name: params[0], email: params[1], website: params[2] };
+      this.customers.push(customer);
+      return { rows: [{ id: customer.id }] };
+    }
+
+    if (sql.startsWith('INSERT INTO orders')) {
+      const id = this.orders.length + 1;
+      const order = {
+        id,
+        tracking_id: `SEO-TEST-${String(id).padStart(4, '0')}`,
+        customer_id: params[0],
+        service_tier_id: params[1],
+        service_name: params[2],
+        service_tier_name: params[3],
+        service_price: params[4],
+        delivery_days: params[5],
+        keywords: params[6],
+        quantity: params[7],
+        total_amount: params[8].toFixed(2),
+        status: params[9],
+        payment_status: params[10],
+        checkout_session_id: params[11],
+        currency: params[12],
+        discount_amount: params[13].toFixed(2),
+        coupon_code: params[14],
+        price_breakdown: params[15] ? JSON.parse(params[15]) : null,
+        net_amount: params[16].toFixed(2),
+        tax_rate: params[17],
+        tax_amount: params[18].toFixed(2),
+        tax_country: params[19],
+        tax_treatment: params[20],
+        customer_vat_id: params[21],
+        subscription_id: params[22]
+      };
+      this.orders.push(order);
+      return { rows: [order] };
+    }
+
+    if (sql.startsWith('INSERT INTO order_status_history')) {
+      this.history.push({ order_id: params[0], status: params[1], notes: params[2] });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO payments')) {
+      this.payments.push({ order_id: params[0], payment_method: params[1], payment_id: params[2], capture_id: params[3], amount: params[5], status: params[7] });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT * FROM checkout_sessions')) {
+      return { rows: this.sessions.filter((s) => s.payment_method === params[0] && s.payment_id === params[1]) };
+    }
+
+    if (sql.startsWith('SELECT * FROM orders WHERE checkout_session_id')) {
+      return { rows: this.orders.filter((o) => o.checkout_session_id === params[0]) };
+    }
+
+    if (sql.startsWith('UPDATE checkout_sessions SET status') && sql.includes('WHERE id')) {
+      const session = this.sessions.find((s) => s.id === params[1]);
+      session.status = params[0];
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE checkout_sessions SET status')) {
+      const sessions = this.sessions.filter((s) => s.payment_method === params[1] && s.payment_id === params[2] && s.status === 'open');
+      sessions.forEach((s) => { s.status = params[0]; });
+      return { rows: sessions.map((s) => ({ id: s.id })) };
+    }
+
+    if (sql.startsWith('UPDATE payments SET status')) {
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT o.*')) {
+      const orderIds = this.payments
+        .filter((p) => p.payment_method === params[0] && p.payment_id === params[1])
+        .map((p) => p.order_id);
+      const rows = this.orders
+        .filter((o) => orderIds.includes(o.id))
+        .map((o) => {
+          const c = this.customers.find((c) => c.id === o.customer_id);
+          return { ...o, customer_name: c.name, customer_email: c.email, customer_website: c.website };
+        });
+      return { rows };
+    }
+
+    if (sql.startsWith('UPDATE orders SET payment_status')) {
+      const order = this.orders.find((o) => o.id === params[2]);
+      Object.assign(order, { payment_status: params[0], status: params[1] });
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+export const tiers = {
+  'pbn-basic': { id: 'pbn-basic', category_id: 'pbn', service_name: 'PBN Backlinks Services', name: 'Basic', price: '100.00', delivery_days: 7 },
+  'guest-bronze-gb-1': { id: 'guest-bronze-gb-1', category_id: 'guest-posts', service_name: 'Guest Post Services', name: 'Bronze GB-1', price: '25.00', delivery_days: 7 }
+};
+
+export const customer = { name: 'Test Customer', email: 'test@example.com', website: 'https://example.com' };
+
+export const createSession = () => ({
+  id: 'session-1',
+  payment_method: 'stripe',
+  payment_id: 'pi_session',
+  customer,
+  items: [
+    { serviceId: 'pbn-basic', serviceName: 'PBN Backlinks Services', tierName: 'Basic', unitPrice: 100, quantity: 1, deliveryDays: 7, keywords: 'seo', total: 100 }
+  ],
+  total_amount: '100.00',
+  currency: 'USD',
+  status: 'open'
+});
+
+// One deliverable of order 3 and its download links for the deliverable service
+export class FakeDeliverableClient {
+  constructor() {
+    this.deliverables = [
+      { id: 7, order_id: 3, file_name: 'report.pdf', file_path: 'report.pdf', description: 'Audit', visibility: 'customer', version: 1, previous_version_id: null, is_current: true }
+    ];
+    this.links = [];
+  }
+
+  // Also stands in for the transaction helpers, recording how the transaction ended
+  async beginTransaction() {
+    this.transaction = 'open';
+    return this;
+  }
+
+  async commitTransaction() {
+    this.transaction = 'committed';
+  }
+
+  async rollbackTransaction() {
+    this.transaction = 'rolled back';
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    const usable = (l) => !l.revoked_at && l.expires_at > new Date() && (l.max_downloads === null || l.download_count < l.max_downloads);
+
+    if (sql.startsWith('INSERT INTO download_links')) {
+      const link = { id: this.links.length + 1, deliverable_id: params[0], order_id: params[1], expires_at: params[2], max_downloads: params[3], download_count: 0, revoked_at: null, revoked_by: null };
+      this.links.push(link);
+      return { rows: [{ ...link }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM download_links WHERE deliverable_id')) {
+      const links = this.links.filter((l) => l.deliverable_id === params[0] && usable(l) && l.expires_at > params[1]);
+      return { rows: links.slice(-1).map((l) => ({ ...l })) };
+    }
+
+    if (sql.startsWith('UPDATE download_links SET download_count')) {
+      const link = this.links.find((l) => l.id === params[0] && l.deliverable_id === params[1] && l.order_id === params[2] && usable(l));
+      if (!link) {
+        return { rows: [] };
+      }
+      link.download_count++;
+      return { rows: [{ ...link }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM download_links WHERE id')) {
+      return { rows: this.links.filter((l) => l.id === params[0]).map((l) => ({ ...l })) };
+    }
+
+    if (sql.startsWith('UPDATE download_links SET revoked_at = COALESCE')) {
+      const link = this.links.find((l) => l.id === params[0]);
+      if (!link) {
+        return { rows: [] };
+      }
+      link.revoked_at ||= new Date();
+      link.revoked_by ??= params[1];
+      return { rows: [{ ...link }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM deliverables WHERE id')) {
+      return { rows: this.deliverables.filter((d) => d.id === params[0] && d.order_id === params[1]) };
+    }
+
+    if (sql.startsWith('SELECT id FROM orders WHERE id')) {
+      return { rows: Number(params[0]) === 3 ? [{ id: 3 }] : [] };
+    }
+
+    if (sql.startsWith('SELECT * FROM deliverables WHERE order_id = $1 AND file_name')) {
+      return { rows: this.deliverables.filter((d) => d.order_id === params[0] && d.file_name === params[1] && d.is_current) };
+    }
+
+    if (sql.startsWith('UPDATE deliverables SET is_current = false')) {
+      this.deliverables.find((d) => d.id === params[0]).is_current = false;
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO deliverables')) {
+      const [order_id, file_name, file_path, file_type, file_size, description, visibility, version, previous_version_id, detected_type, scan_status, scan_result, uploaded_by] = params;
+      const deliverable = { id: this.deliverables.length + 7, order_id, file_name, file_path, file_type, file_size, description, visibility, version, previous_version_id, is_current: true, detected_type, scan_status, scan_result: JSON.parse(scan_result), uploaded_by };
+      this.deliverables.push(deliverable);
+      return { rows: [{ ...deliverable }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+// Checkout service whose transaction helpers record commit/rollback on the fake client
+export const createCheckoutService = (client) =>
+  new CheckoutService({
+    query: (text, params) => client.query(text, params),
+    beginTransaction: async () => {
+      client.transaction = 'open';
+      return client;
+    },
+    commitTransaction: async () => {
+      client.transaction = 'committed';
+    },
+    rollbackTransaction: async () => {
+      client.transaction = 'rolled back';
+    }
+  });
+
+// Catalog and pricing rows for the catalog service and the storefront catalog route.
+// CURRENT_TIMESTAMP is the transaction's start, as in Postgres, and every update
+// moves the catalog's last change on by a minute.
+export class FakeCatalogClient {
+  constructor() {
+    const row = (fields) => ({ sort_order: 0, is_active: true, deleted_at: null, ...fields });
+    this.tables = {
+      service_categories: [row({ id: 'seo', name: 'SEO' }), row({ id: 'content', name: 'Content', sort_order: 1 })],
+      services: [
+        row({ id: 'pbn', category_id: 'seo', name: 'PBN Backlinks Services', features: '[]' }),
+        row({ id: 'guest-posts', category_id: 'seo', name: 'Guest Posts', sort_order: 1 }),
+        row({ id: 'articles', category_id: 'content', name: 'Articles' })
+      ],
+      service_tiers: [
+        row({ id: 'pbn-basic', service_id: 'pbn', price: '49.00' }),
+        row({ id: 'pbn-pro', service_id: 'pbn', price: '99.00', sort_order: 1 }),
+        row({ id: 'articles-basic', service_id: 'articles', price: '25.00' })
+      ]
+    };
+    this.tierPrices = [{ tier_id: 'pbn-basic', currency: 'EUR', price: '45.00' }];
+    this.volumeDiscounts = [{ tier_id: 'pbn-basic', min_quantity: 5, discount_percent: '10.00' }];
+    this.bundles = [{ id: 1, name: 'PBN starter', tier_ids: ['pbn-basic', 'articles-basic'], discount_percent: '15.00' }];
+    this.exchangeRates = [{ currency: 'EUR', rate: '0.9000' }];
+    this.lastModified = new Date('2026-10-01T09:00:00Z');
+    this.transactions = 0;
+    this.transaction = null;
+  }
+
+  get now() {
+    return `transaction ${this.transactions}`;
+  }
+
+  // The WHERE clauses of the rows deleted and restored with a catalog row
+  childMatches(where, row, id) {
+    if (where.startsWith('service_id IN')) {
+      return this.tables.services.some((service) => service.id === row.service_id && service.category_id === id);
+    }
+    return row[where.split(' ')[0]] === id;
+  }
+
+  // Rows getCatalog lists: not deleted, active unless inactive ones are asked for, in the category if one is given
+  listed(table, sql, params, categoryOf) {
+    return this.tables[table].filter(
+      (r) => !r.deleted_at && (r.is_active || !sql.includes('is_active = true')) && (!params[0] || categoryOf(r) === params[0])
+    );
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT id, name, description, icon, sort_order, is_active FROM service_categories')) {
+      return { rows: this.listed('service_categories', sql, params, (category) => category.id) };
+    }
+
+    if (sql.startsWith('SELECT s.id, s.category_id')) {
+      return { rows: this.listed('services', sql, params, (service) => service.category_id) };
+    }
+
+    if (sql.startsWith('SELECT st.id, st.service_id')) {
+      const services = this.listed('services', sql, params, (service) => service.category_id);
+      const tiers = this.listed('service_tiers', sql, [], () => null);
+      return { rows: tiers.filter((tier) => services.some((service) => service.id === tier.service_id)) };
+    }
+
+    if (sql.startsWith('SELECT tier_id, currency, price FROM service_tier_prices')) {
+      return { rows: this.tierPrices };
+    }
+
+    if (sql.startsWith('SELECT tier_id, min_quantity, discount_percent FROM tier_volume_discounts')) {
+      return { rows: this.volumeDiscounts };
+    }
+
+    if (sql.startsWith('SELECT id, name, tier_ids, discount_percent FROM bundle_rules')) {
+      return { rows: this.bundles };
+    }
+
+    if (sql.startsWith('SELECT currency, rate FROM exchange_rates')) {
+      return { rows: this.exchangeRates };
+    }
+
+    if (sql.startsWith('SELECT GREATEST(')) {
+      return { rows: [{ last_modified: this.lastModified }] };
+    }
+
+    const [, table] = /^(?:UPDATE|SELECT .+? FROM) (\w+)/.exec(sql) || [];
+    const rows = this.tables[table];
+    const find = (id) => rows.find((r) => r.id === id);
+
+    if (sql.startsWith('UPDATE')) {
+      this.lastModified = new Date(this.lastModified.getTime() + 60 * 1000);
+    }
+
+    if (sql.startsWith(`SELECT id FROM ${table} WHERE id = ANY($1) AND deleted_at IS NULL`)) {
+      return { rows: rows.filter((r) => params[0].includes(r.id) && !r.deleted_at).map(({ id }) => ({ id })) };
+    }
+
+    if (sql.startsWith(`SELECT id FROM ${table} WHERE id = $1 AND deleted_at IS NULL`)) {
+      return { rows: find(params[0])?.deleted_at === null ? [{ id: params[0] }] : [] };
+    }
+
+    if (sql.startsWith(`SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL`)) {
+      return { rows: find(params[0])?.deleted_at ? [{ ...find(params[0]) }] : [] };
+    }
+
+    if (sql.startsWith(`UPDATE ${table} SET sort_order = $1`)) {
+      find(params[1]).sort_order = params[0];
+      return { rows: [] };
+    }
+
+    if (sql.startsWith(`UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, is_active = false WHERE id = $1`)) {
+      const found = find(params[0]);
+      if (!found || found.deleted_at) {
+        return { rows: [] };
+      }
+      Object.assign(found, { deleted_at: this.now, is_active: false });
+      return { rows: [{ id: found.id }] };
+    }
+
+    if (sql.startsWith(`UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, is_active = false WHERE deleted_at IS NULL AND `)) {
+      const where = sql.slice(sql.indexOf('deleted_at IS NULL AND ') + 'deleted_at IS NULL AND '.length);
+      for (const r of rows.filter((r) => !r.deleted_at && this.childMatches(where, r, params[0]))) {
+        Object.assign(r, { deleted_at: this.now, is_active: false });
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith(`UPDATE ${table} SET deleted_at = NULL WHERE deleted_at = (SELECT deleted_at FROM `)) {
+      const [, parentTable, where] = /FROM (\w+) WHERE id = \$1\) AND (.+)$/.exec(sql);
+      const deletedAt = this.tables[parentTable].find((r) => r.id === params[0]).deleted_at;
+      for (const r of rows.filter((r) => r.deleted_at === deletedAt && this.childMatches(where, r, params[0]))) {
+        r.deleted_at = null;
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith(`UPDATE ${table} SET deleted_at = NULL WHERE id = $1`)) {
+      find(params[0]).deleted_at = null;
+      return { rows: [{ ...find(params[0]) }] };
+    }
+
+    // buildCatalogUpdate
+    const update = /^UPDATE \w+ SET (.+), updated_at = CURRENT_TIMESTAMP WHERE id = \$(\d+) AND deleted_at IS NULL RETURNING \*$/.exec(sql);
+    if (update) {
+      const found = find(params[update[2] - 1]);
+      if (!found || found.deleted_at) {
+        return { rows: [] };
+      }
+      for (const clause of update[1].split(', ')) {
+        const [column, param] = clause.split(' = $');
+        found[column] = params[param - 1];
+      }
+      return { rows: [{ ...found }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+// Catalog service whose transaction helpers count transactions on the fake client
+export const createCatalogService = (client) =>
+  new CatalogService({
+    query: (text, params) => client.query(text, params),
+    beginTransaction: async () => {
+      client.transactions += 1;
+      client.transaction = 'open';
+      return client;
+    },
+    commitTransaction: async () => {
+      client.transaction = 'committed';
+    },
+    rollbackTransaction: async () => {
+      client.transaction = 'rolled back';
+    }
+  });
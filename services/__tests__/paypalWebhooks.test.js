@@ -0,0 +1,90 @@
+import PayPalWebhookService from '../paypalWebhooks.js';
+import { FakeClient, tiers, customer, createCheckoutService } from './fixtures.js';
+
+describe('paypalWebhooks', () => {
+  it('rejects PayPal events that fail or cannot be verified', async () => {
+    const webhooks = new PayPalWebhookService(null, { verifyWebhook: async () => false }, null);
+    const previousWebhookId = process.env.PAYPAL_WEBHOOK_ID;
+
+    try {
+      delete process.env.PAYPAL_WEBHOOK_ID;
+      expect(await webhooks.verifyEvent({}, { id: 'WH-EVENT-1' })).toBe(false);
+
+      process.env.PAYPAL_WEBHOOK_ID = 'WH-TEST';
+      expect(await webhooks.verifyEvent({}, { id: 'WH-EVENT-1' })).toBe(false);
+    } finally {
+      if (previousWebhookId === undefined) {
+        delete process.env.PAYPAL_WEBHOOK_ID;
+      } else {
+        process.env.PAYPAL_WEBHOOK_ID = previousWebhookId;
+      }
+    }
+  });
+
+  it('a PayPal capture webhook confirms pending orders once', async () => {
+    const client = new FakeClient({ tiers });
+    const service = createCheckoutService(client);
+    const webhooks = new PayPalWebhookService(service, {}, client);
+
+    await service.checkout({
+      cart: [{ serviceId: 'pbn-basic' }],
+      customer,
+      payment: { method: 'paypal', paymentId: 'PAYPAL-ORDER-1' }
+    });
+
+    const event = {
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: 'CAPTURE-1',
+        amount: { value: '100.00', currency_code: 'USD' },
+        supplementary_data: { related_ids: { order_id: 'PAYPAL-ORDER-1' } }
+      }
+    };
+
+    const first = await webhooks.handleEvent(event);
+    const second = await webhooks.handleEvent(event);
+
+    expect(first.replayed).toBe(false);
+    expect(second.replayed).toBe(true);
+    expect(client.orders[0].payment_status).toBe('paid');
+    expect(client.history.filter((h) => h.status === 'confirmed').length).toBe(1);
+  });
+
+  it('records partial PayPal refunds and refunds the orders once the capture is fully refunded', async () => {
+    const recorded = [];
+    const updates = [];
+    const checkout = { updatePaymentStatus: async (update) => updates.push(update.paymentStatus) };
+    const db = { query: async () => ({ rows: [{ total: '100.00' }] }) };
+    const refunds = { recordGatewayRefund: async (refund) => recorded.push(refund) };
+    const webhooks = new PayPalWebhookService(checkout, {}, db, null, refunds);
+    const refundEvent = (id, value, total, customId) => ({
+      event_type: 'PAYMENT.CAPTURE.REFUNDED',
+      resource: {
+        id,
+        status: 'COMPLETED',
+        custom_id: customId,
+        amount: { value, currency_code: 'USD' },
+        seller_payable_breakdown: { total_refunded_amount: { value: total } },
+        links: [{ rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAPTURE-1' }]
+      }
+    });
+
+    await webhooks.handleEvent(refundEvent('REFUND-1', '30.00', '30.00', 'refund-4'));
+    expect(updates).toStrictEqual([]);
+
+    // A refund PayPal could not complete refunds nothing, even without a breakdown
+    const failed = refundEvent('REFUND-FAILED', '100.00', '100.00');
+    failed.resource.status = 'FAILED';
+    delete failed.resource.seller_payable_breakdown;
+    await webhooks.handleEvent(failed);
+    expect(updates).toStrictEqual([]);
+
+    await webhooks.handleEvent(refundEvent('REFUND-2', '70.00', '100.00'));
+    expect(updates).toStrictEqual(['refunded']);
+    expect(recorded.map((r) => [r.gatewayRefundId, r.refundId, r.amount, r.status, r.captureId])).toStrictEqual([
+      ['REFUND-1', 4, 30, 'succeeded', 'CAPTURE-1'],
+      ['REFUND-FAILED', null, 100, 'failed', 'CAPTURE-1'],
+      ['REFUND-2', null, 70, 'succeeded', 'CAPTURE-1']
+    ]);
+  });
+});
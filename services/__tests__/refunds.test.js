@@ -0,0 +1,248 @@
+import RefundService, { RefundError } from '../refunds.js';
+import { customer } from './fixtures.js';
+
+// One paid order with its payment, refunds and history for the refund service
+class FakeRefundClient {
+  constructor(payment) {
+    this.order = { id: 1, tracking_id: 'SEO-TEST-0001', service_name: 'PBN Backlinks Services', status: 'confirmed', payment_status: 'paid', customer_name: customer.name, customer_email: customer.email };
+    this.payment = { id: 10, order_id: 1, status: 'paid', currency: 'USD', ...payment };
+    this.refunds = [];
+    this.history = [];
+    this.transaction = null;
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT o.*')) {
+      return { rows: params[0] === this.order.id ? [{ ...this.order }] : [] };
+    }
+
+    if (sql.startsWith('SELECT * FROM payments WHERE payment_method')) {
+      const matches = params[1] === this.payment.payment_id || params[2] === this.payment.capture_id;
+      return { rows: matches ? [{ ...this.payment }] : [] };
+    }
+
+    if (sql.startsWith('SELECT * FROM payments WHERE id')) {
+      return { rows: [{ ...this.payment }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM payments')) {
+      return { rows: ['paid', 'partially_refunded'].includes(this.payment.status) ? [{ ...this.payment }] : [] };
+    }
+
+    if (sql.startsWith('SELECT * FROM orders')) {
+      return { rows: [{ ...this.order }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM refunds WHERE gateway_refund_id')) {
+      return { rows: this.refunds.filter((r) => r.gateway_refund_id === params[0]).map((r) => ({ ...r })) };
+    }
+
+    if (sql.startsWith('INSERT INTO refunds (payment_id, order_id, gateway_refund_id')) {
+      this.refunds.push({
+        id: this.refunds.length + 1,
+        payment_id: params[0],
+        order_id: params[1],
+        gateway_refund_id: params[2],
+        amount: params[3],
+        currency: params[4],
+        status: params[5],
+        created_by: null
+      });
+      return { rows: [{ id: this.refunds.length }] };
+    }
+
+    if (sql.startsWith('SELECT COALESCE(SUM(amount), 0) AS total FROM refunds')) {
+      const counted = this.refunds.filter((r) => ['succeeded', 'pending'].includes(r.status));
+      return { rows: [{ total: counted.reduce((sum, r) => sum + r.amount, 0).toFixed(2) }] };
+    }
+
+    if (sql.startsWith('INSERT INTO refunds')) {
+      this.refunds.push({
+        id: this.refunds.length + 1,
+        payment_id: params[0],
+        order_id: params[1],
+        gateway_refund_id: null,
+        amount: params[2],
+        currency: params[3],
+        status: 'pending',
+        created_by: params[5]
+      });
+      return { rows: [{ id: this.refunds.length }] };
+    }
+
+    if (sql.startsWith('UPDATE refunds SET gateway_refund_id = $1 WHERE id = $2 AND gateway_refund_id IS NULL')) {
+      const refund = this.refunds.find((r) => r.id === params[1] && r.gateway_refund_id === null);
+      if (refund) {
+        refund.gateway_refund_id = params[0];
+      }
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE refunds SET gateway_refund_id')) {
+      const refund = this.refunds.find((r) => r.id === params[3]);
+      Object.assign(refund, { gateway_refund_id: params[0], status: refund.status === 'pending' ? params[1] : refund.status });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE refunds SET status = $1')) {
+      this.refunds.find((r) => r.id === params[2]).status = params[0];
+      return { rows: [] };
+    }
+
+    if (sql.startsWith("UPDATE refunds SET status = 'failed'")) {
+      this.refunds.find((r) => r.id === params[1]).status = 'failed';
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE payments')) {
+      this.payment.status = params[0];
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE orders')) {
+      this.order.payment_status = params[0];
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO order_status_history')) {
+      this.history.push({ status: params[1], notes: params[2], changed_by: params[3] });
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+const createRefundService = (client, gateways) =>
+  new RefundService(
+    {
+      query: (text, params) => client.query(text, params),
+      beginTransaction: async () => {
+        client.transaction = 'open';
+        return client;
+      },
+      commitTransaction: async () => {
+        client.transaction = 'committed';
+      },
+      rollbackTransaction: async () => {
+        client.transaction = 'rolled back';
+      }
+    },
+    gateways
+  );
+
+describe('refunds', () => {
+  it('refunds part of a Stripe payment and then the rest', async () => {
+    const client = new FakeRefundClient({ payment_method: 'stripe', payment_id: 'pi_paid', amount: '100.00' });
+    const refundCalls = [];
+    const stripe = {
+      refundPayment: async (paymentIntentId, amount, reason, { idempotencyKey }) => {
+        // The reservation is committed before the gateway is called
+        refundCalls.push({ paymentIntentId, amount, idempotencyKey, transaction: client.transaction });
+        return { id: `re_${refundCalls.length}`, status: 'succeeded', amount, currency: 'usd' };
+      }
+    };
+    const service = createRefundService(client, { stripe });
+
+    const partial = await service.refundOrder(1, { amount: 30, reason: 'Fewer links delivered', adminId: 5 });
+    expect(partial.paymentStatus).toBe('partially_refunded');
+    expect(partial.refundable).toBe(70);
+
+    const rest = await service.refundOrder(1, { adminId: 5 });
+    expect(rest.paymentStatus).toBe('refunded');
+    expect(rest.fullRefund).toBe(true);
+    expect(refundCalls).toStrictEqual([
+      { paymentIntentId: 'pi_paid', amount: 30, idempotencyKey: 'refund-1', transaction: 'committed' },
+      { paymentIntentId: 'pi_paid', amount: 70, idempotencyKey: 'refund-2', transaction: 'committed' }
+    ]);
+    expect(client.refunds.map((r) => [r.gateway_refund_id, r.status])).toStrictEqual([['re_1', 'succeeded'], ['re_2', 'succeeded']]);
+    expect(client.order.payment_status).toBe('refunded');
+    expect(client.history.length).toBe(2);
+    expect(client.history[0].notes).toMatch(/Refunded 30\.00 USD via Stripe \(Fewer links delivered\)/);
+
+    await expect(service.refundOrder(1, { amount: 1 })).rejects.toThrow(/no refundable payment/);
+  });
+
+  it('refuses to refund more than was paid through PayPal', async () => {
+    const client = new FakeRefundClient({ payment_method: 'paypal', payment_id: 'PAYPAL-ORDER-1', capture_id: 'CAPTURE-1', amount: '50.00' });
+    let called = false;
+    const paypal = {
+      refundPayment: async () => {
+        called = true;
+      }
+    };
+
+    await expect(createRefundService(client, { paypal }).refundOrder(1, { amount: 60 })).rejects.toMatchObject({ name: 'RefundError', status: 400 });
+    expect(called).toBe(false);
+    expect(client.transaction).toBe('rolled back');
+    expect(client.refunds.length).toBe(0);
+  });
+
+  it('gives back the reserved amount when the gateway refuses a refund', async () => {
+    const client = new FakeRefundClient({ payment_method: 'stripe', payment_id: 'pi_paid', amount: '100.00' });
+    let fail = true;
+    const stripe = {
+      refundPayment: async (paymentIntentId, amount) => {
+        if (fail) {
+          throw new Error('Card issuer unavailable');
+        }
+        return { id: 're_1', status: 'pending', amount, currency: 'usd' };
+      }
+    };
+    const service = createRefundService(client, { stripe });
+
+    await expect(service.refundOrder(1, { amount: 40 })).rejects.toMatchObject({ name: 'RefundError', status: 502 });
+    expect([client.refunds[0].status, client.payment.status, client.history.length]).toStrictEqual(['failed', 'paid', 0]);
+
+    fail = false;
+    const retry = await service.refundOrder(1);
+    expect([retry.refund.amount, retry.refund.status, retry.paymentStatus]).toStrictEqual([100, 'pending', 'refunded']);
+  });
+
+  it('records refunds reported by the gateway once and sets the payment status from them', async () => {
+    const client = new FakeRefundClient({ payment_method: 'paypal', payment_id: 'PAYPAL-ORDER-1', capture_id: 'CAPTURE-1', amount: '50.00' });
+    const paypal = {
+      refundPayment: async (captureId, amount) => ({ id: 'REFUND-ADMIN', status: 'COMPLETED', amount })
+    };
+    const service = createRefundService(client, { paypal });
+    const refund = (gatewayRefundId, amount, refundId = null) =>
+      service.recordGatewayRefund({ method: 'paypal', captureId: 'CAPTURE-1', gatewayRefundId, refundId, amount, currency: 'USD', status: 'succeeded' });
+
+    // Made in the PayPal dashboard, then redelivered
+    expect((await refund('REFUND-1', 20)).paymentStatus).toBe('partially_refunded');
+    expect(await refund('REFUND-1', 20)).toBe(null);
+    expect([client.refunds.length, client.order.payment_status, client.history[0].notes]).toStrictEqual([1, 'partially_refunded', 'Refunded 20.00 USD via PayPal']);
+
+    // Issued from the admin, with the webhook arriving before refundOrder stored the
+    // gateway's ID: the webhook only links that ID to the row
+    await service.refundOrder(1, { amount: 10 });
+    client.refunds[1].gateway_refund_id = null;
+    expect(await refund('REFUND-ADMIN', 10, 2)).toBe(null);
+    expect([client.refunds.length, client.refunds[1].gateway_refund_id, client.history.length]).toStrictEqual([2, 'REFUND-ADMIN', 2]);
+
+    expect((await refund('REFUND-2', 20)).paymentStatus).toBe('refunded');
+    expect(client.payment.status).toBe('refunded');
+  });
+
+  it('gives back the amount of a pending refund the gateway later reports as failed', async () => {
+    const client = new FakeRefundClient({ payment_method: 'stripe', payment_id: 'pi_paid', amount: '100.00' });
+    const stripe = {
+      refundPayment: async (paymentIntentId, amount) => ({ id: `re_${client.refunds.length}`, status: 'pending', amount, currency: 'usd' })
+    };
+    const service = createRefundService(client, { stripe });
+    const failed = () =>
+      service.recordGatewayRefund({ method: 'stripe', paymentId: 'pi_paid', gatewayRefundId: 're_1', refundId: 1, amount: 40, currency: 'usd', status: 'failed' });
+
+    expect((await service.refundOrder(1, { amount: 40 })).paymentStatus).toBe('partially_refunded');
+
+    expect(await failed()).toStrictEqual({ totalRefunded: 0, paymentStatus: 'paid', fullRefund: false });
+    expect(await failed()).toBe(null);
+    expect([client.refunds[0].status, client.payment.status, client.order.payment_status]).toStrictEqual(['failed', 'paid', 'paid']);
+    expect(client.history.map((h) => h.notes)).toStrictEqual(['Refunded 40.00 USD via Stripe', 'Refund of 40.00 USD via Stripe failed']);
+
+    const retry = await service.refundOrder(1);
+    expect([retry.refund.amount, retry.paymentStatus]).toStrictEqual([100, 'refunded']);
+  });
+});
@@ -0,0 +1,84 @@
+import StripeWebhookService from '../stripeWebhooks.js';
+import { FakeClient, createSession, createCheckoutService } from './fixtures.js';
+
+describe('stripeWebhooks', () => {
+  it('webhook and browser confirmation create the orders only once', async () => {
+    const client = new FakeClient({ sessions: [createSession()] });
+    const service = createCheckoutService(client);
+    const webhooks = new StripeWebhookService(service);
+
+    const fromWebhook = await webhooks.handleEvent({
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_session', amount: 10000, amount_received: 10000, currency: 'usd', status: 'succeeded', metadata: { checkoutSessionId: 'session-1' } } }
+    });
+    const fromBrowser = await service.completeSession({ method: 'stripe', paymentId: 'pi_session', amount: 100, currency: 'usd' });
+
+    expect(fromWebhook.replayed).toBe(false);
+    expect(fromBrowser.replayed).toBe(true);
+    expect(client.orders.length).toBe(1);
+  });
+
+  it('a failed attempt can be followed by a successful retry', async () => {
+    const client = new FakeClient({ sessions: [createSession()] });
+    const webhooks = new StripeWebhookService(createCheckoutService(client));
+    const paymentIntent = { id: 'pi_session', amount: 10000, currency: 'usd', metadata: { checkoutSessionId: 'session-1' } };
+
+    await webhooks.handleEvent({
+      type: 'payment_intent.payment_failed',
+      data: { object: { ...paymentIntent, status: 'requires_payment_method', last_payment_error: { code: 'card_declined', message: 'Declined' } } }
+    });
+    expect(client.sessions[0].status).toBe('failed');
+
+    await webhooks.handleEvent({
+      type: 'payment_intent.succeeded',
+      data: { object: { ...paymentIntent, amount_received: 10000, status: 'succeeded' } }
+    });
+    expect(client.sessions[0].status).toBe('completed');
+    expect(client.orders.length).toBe(1);
+  });
+
+  it('leaves subscription invoice payments to invoice.paid', async () => {
+    const client = new FakeClient({ sessions: [createSession()] });
+    const webhooks = new StripeWebhookService(createCheckoutService(client));
+    const paymentIntent = { amount: 10000, amount_received: 10000, currency: 'usd', status: 'succeeded' };
+
+    for (const object of [
+      { ...paymentIntent, id: 'pi_invoice', invoice: 'in_1' },
+      { ...paymentIntent, id: 'pi_subscription', metadata: { subscriptionReference: 'ref-1' } },
+      { ...paymentIntent, id: 'pi_unlinked', metadata: {} }
+    ]) {
+      expect(await webhooks.handleEvent({ type: 'payment_intent.succeeded', data: { object } })).toBe(null);
+    }
+    expect([client.sessions[0].status, client.orders.length]).toStrictEqual(['open', 0]);
+  });
+
+  it('records each refund of a charge and refunds the orders once it is fully refunded', async () => {
+    const recorded = [];
+    const updates = [];
+    const checkout = { updatePaymentStatus: async (update) => updates.push(update.paymentStatus) };
+    const stripe = {
+      listRefunds: async () => [
+        { id: 're_2', amount: 2500, currency: 'usd', status: 'pending', metadata: {} },
+        { id: 're_1', amount: 3000, currency: 'usd', status: 'succeeded', metadata: { refundId: '4' } }
+      ]
+    };
+    const refunds = { recordGatewayRefund: async (refund) => recorded.push(refund) };
+    const webhooks = new StripeWebhookService(checkout, null, stripe, refunds);
+    const charge = { id: 'ch_1', payment_intent: 'pi_paid', amount_refunded: 5500, currency: 'usd', refunded: false };
+
+    await webhooks.handleEvent({ type: 'charge.refunded', data: { object: charge } });
+    expect(recorded.map((r) => [r.gatewayRefundId, r.refundId, r.amount, r.status])).toStrictEqual([
+      ['re_2', null, 25, 'pending'],
+      ['re_1', 4, 30, 'succeeded']
+    ]);
+    expect(updates).toStrictEqual([]);
+
+    await webhooks.handleEvent({ type: 'charge.refunded', data: { object: { ...charge, amount_refunded: 10000, refunded: true } } });
+    expect(updates).toStrictEqual(['refunded']);
+
+    // The pending refund fails later
+    const failed = { id: 're_2', payment_intent: 'pi_paid', amount: 2500, currency: 'usd', status: 'failed', metadata: {} };
+    await webhooks.handleEvent({ type: 'refund.failed', data: { object: failed } });
+    expect(recorded.map((r) => [r.gatewayRefundId, r.paymentId, r.status]).at(-1)).toStrictEqual(['re_2', 'pi_paid', 'failed']);
+  });
+});
@@ -0,0 +1,124 @@
+import SubscriptionService, { SubscriptionError } from '../subscriptions.js';
+import { FakeClient, customer, createCheckoutService } from './fixtures.js';
+
+const createSubscription = (overrides = {}) => ({
+  id: 1,
+  reference: '5f0c7a52-8a5e-4d3b-9b0e-2f1d1c9a7e11',
+  customer_id: 1,
+  service_tier_id: 'pbn-basic',
+  item: { serviceId: 'pbn-basic', serviceName: 'PBN Backlinks Services', tierName: 'Basic', unitPrice: 100, quantity: 1, deliveryDays: 7, keywords: 'seo', total: 100 },
+  tax: null,
+  billing_interval: 'month',
+  total_amount: '100.00',
+  currency: 'USD',
+  payment_method: 'stripe',
+  gateway_subscription_id: 'sub_1',
+  status: 'pending',
+  periods_paid: 0,
+  ...overrides
+});
+
+// Subscription service on the fake client, recording gateway calls and emails
+const createSubscriptionService = (client) => {
+  const calls = [];
+  const emails = [];
+  const gateway = {
+    pauseSubscription: async (id) => calls.push(['pause', id]),
+    resumeSubscription: async (id) => calls.push(['resume', id]),
+    cancelSubscription: async (id) => calls.push(['cancel', id])
+  };
+  const mailer = {
+    sendSubscriptionRenewal: async (to, data, attachments) => emails.push({ type: 'renewal', to, data, attachments }),
+    sendSubscriptionPaymentFailed: async (to, data) => emails.push({ type: 'failed', to, data })
+  };
+  const service = new SubscriptionService(
+    {
+      query: (text, params) => client.query(text, params),
+      beginTransaction: async () => {
+        client.transaction = 'open';
+        return client;
+      },
+      commitTransaction: async () => {
+        client.transaction = 'committed';
+      },
+      rollbackTransaction: async () => {
+        client.transaction = 'rolled back';
+      }
+    },
+    { stripe: gateway },
+    createCheckoutService(client),
+    mailer
+  );
+
+  return { service, calls, emails };
+};
+
+describe('subscriptions', () => {
+  it('creates an invoiced order for each paid subscription period', async () => {
+    const client = new FakeClient({
+      customers: [{ id: 1, ...customer }],
+      subscriptions: [createSubscription()]
+    });
+    const { service, emails } = createSubscriptionService(client);
+    const payment = { method: 'stripe', gatewaySubscriptionId: 'sub_1', amount: 100, currency: 'usd' };
+
+    const first = await service.recordPayment({ ...payment, paymentId: 'pi_period_1' });
+    const second = await service.recordPayment({ ...payment, paymentId: 'pi_period_2' });
+    const replay = await service.recordPayment({ ...payment, paymentId: 'pi_period_1' });
+
+    expect(client.orders.length).toBe(2);
+    expect(first.orders[0].subscription_id).toBe(1);
+    expect(first.orders[0].payment_status).toBe('paid');
+    expect(client.history[1].notes).toMatch(/Subscription period 2 paid via Stripe/);
+    expect(client.invoices.length).toBe(2);
+    expect(second.subscription.status).toBe('active');
+    expect(second.subscription.periods_paid).toBe(2);
+    expect(replay.replayed).toBe(true);
+    expect(replay.orders[0].id).toBe(first.orders[0].id);
+
+    expect(emails.map((e) => e.data.firstPeriod)).toStrictEqual([true, false]);
+    expect(emails[0].attachments[0].filename).toBe(first.invoice.invoice_number + '.pdf');
+
+    await expect(service.recordPayment({ ...payment, paymentId: 'pi_period_3', amount: 90 })).rejects.toMatchObject({
+      name: 'SubscriptionError',
+      message: expect.stringMatching(/amount/)
+    });
+    expect(client.transaction).toBe('rolled back');
+  });
+
+  it('marks an active subscription past due when a renewal fails', async () => {
+    const client = new FakeClient({
+      customers: [{ id: 1, ...customer }],
+      subscriptions: [createSubscription({ status: 'active', periods_paid: 3 })]
+    });
+    const { service, emails } = createSubscriptionService(client);
+
+    const updated = await service.recordFailure({ method: 'stripe', gatewaySubscriptionId: 'sub_1', reason: 'card_declined' });
+
+    expect(updated.status).toBe('past_due');
+    expect(emails.length).toBe(1);
+    expect(emails[0].type).toBe('failed');
+    expect(emails[0].to).toBe(customer.email);
+    expect(await service.recordFailure({ method: 'stripe', gatewaySubscriptionId: 'sub_unknown' })).toBe(null);
+
+    // The next successful charge settles it again
+    const paid = await service.recordPayment({ method: 'stripe', gatewaySubscriptionId: 'sub_1', paymentId: 'pi_retry', amount: 100, currency: 'USD' });
+    expect(paid.subscription.status).toBe('active');
+  });
+
+  it('pauses, resumes and cancels a subscription at the gateway', async () => {
+    const client = new FakeClient({ subscriptions: [createSubscription({ status: 'active' })] });
+    const { service, calls } = createSubscriptionService(client);
+
+    expect((await service.changeStatus(1, 'pause')).status).toBe('paused');
+    await expect(service.changeStatus(1, 'pause')).rejects.toMatchObject({ name: 'SubscriptionError', status: 409 });
+    expect((await service.changeStatus(1, 'resume')).status).toBe('active');
+    const cancelled = await service.changeStatus(1, 'cancel', { reason: 'No longer needed' });
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancel_reason).toBe('No longer needed');
+    expect(calls).toStrictEqual([['pause', 'sub_1'], ['resume', 'sub_1'], ['cancel', 'sub_1']]);
+    await expect(service.changeStatus(1, 'resume')).rejects.toThrow(/Cannot resume a subscription that is cancelled/);
+    await expect(service.changeStatus(2, 'cancel')).rejects.toThrow(/not found/);
+  });
+});
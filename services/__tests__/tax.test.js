@@ -0,0 +1,20 @@
+import TaxService from '../tax.js';
+import { FakeClient } from './fixtures.js';
+
+describe('tax', () => {
+  it('taxes consumers at their country rate and reverse charges foreign businesses', async () => {
+    const client = new FakeClient();
+    const taxService = new TaxService({ query: (text, params) => client.query(text, params) }, 'GB');
+
+    const consumer = await taxService.determineTax(client, { country: 'de' });
+    expect([consumer.treatment, consumer.rate]).toStrictEqual(['standard', 19]);
+
+    const business = await taxService.determineTax(client, { country: 'FR', vatId: 'fr 12.345.678.901' });
+    expect([business.treatment, business.rate, business.vatId]).toStrictEqual(['reverse_charge', 0, 'FR12345678901']);
+
+    // Domestic and malformed business IDs still pay VAT; countries without a rate pay none
+    expect((await taxService.determineTax(client, { country: 'GB', vatId: 'GB123456789' })).treatment).toBe('standard');
+    expect((await taxService.determineTax(client, { country: 'DE', vatId: 'FR12345678901' })).treatment).toBe('standard');
+    expect((await taxService.determineTax(client, { country: 'US' })).treatment).toBe('none');
+  });
+});
@@ -0,0 +1,162 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+import UploadSessionService, { UploadSessionError } from '../uploadSessions.js';
+import { LocalStorage } from '../../utils/storage.js';
+
+// upload_sessions rows for the upload session service (order 3 exists)
+class FakeUploadClient {
+  constructor() {
+    this.sessions = [];
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    const find = (id) => this.sessions.find((session) => session.id === id);
+
+    if (sql.startsWith('SELECT id FROM orders WHERE id')) {
+      return { rows: Number(params[0]) === 3 ? [{ id: 3 }] : [] };
+    }
+
+    if (sql.startsWith('INSERT INTO upload_sessions')) {
+      const [id, order_id, file_name, file_type, file_size, part_size, storage_key, storage_upload_id, description, visibility, replaces, created_by, expires_at] = params;
+      const session = { id, order_id, file_name, file_type, file_size, part_size, storage_key, storage_upload_id, parts: {}, joined: false, description, visibility, replaces, status: 'open', deliverable_id: null, created_by, expires_at };
+      this.sessions.push(session);
+      return { rows: [{ ...session }] };
+    }
+
+    if (sql.startsWith('SELECT * FROM upload_sessions WHERE id')) {
+      return { rows: find(params[0]) ? [{ ...find(params[0]) }] : [] };
+    }
+
+    if (sql.startsWith('UPDATE upload_sessions SET parts')) {
+      const session = find(params[0]);
+      if (session?.status !== 'open') {
+        return { rows: [] };
+      }
+      session.parts = { ...session.parts, [params[1]]: { etag: params[2], size: params[3] } };
+      return { rows: [{ ...session }] };
+    }
+
+    if (sql.startsWith("UPDATE upload_sessions SET status = 'completed'") || sql.startsWith("UPDATE upload_sessions SET status = 'aborted'")) {
+      const session = find(params[0]);
+      if (session?.status !== 'open') {
+        return { rows: [] };
+      }
+      session.status = sql.includes("'completed'") ? 'completed' : 'aborted';
+      return { rows: [{ ...session }] };
+    }
+
+    if (sql.startsWith('UPDATE upload_sessions SET status = $2')) {
+      find(params[0]).status = params[1];
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE upload_sessions SET joined = true')) {
+      find(params[0]).joined = true;
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE upload_sessions SET deliverable_id')) {
+      find(params[0]).deliverable_id = params[1];
+      return { rows: [{ ...find(params[0]) }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+describe('uploadSessions', () => {
+  it('takes a large deliverable in resumable parts and records it once complete', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+
+    try {
+      const client = new FakeUploadClient();
+      const local = new LocalStorage(root);
+      const added = [];
+      const deliverables = {
+        storageKey: (orderId, fileName) => `deliverables/${orderId}/fixed-${fileName}`,
+        getForOrder: async () => null,
+        addDeliverables: async (orderId, files, options) => {
+          added.push({ orderId, files, options });
+          return [{ id: 40, order_id: orderId, file_name: files[0].name }];
+        }
+      };
+      const service = new UploadSessionService(client, local, deliverables);
+      service.partSize = 4;
+
+      const session = await service.create(3, { fileName: 'pbn links.zip', fileType: 'application/zip', fileSize: 10, visibility: 'internal', adminId: 1 });
+      expect([session.file_name, service.partCount(session)]).toStrictEqual(['pbn_links.zip', 3]);
+
+      await service.putPart(session.id, 2, Buffer.from('5678'));
+      await service.putPart(session.id, 3, Readable.from([Buffer.from('9'), Buffer.from('0')]));
+      await expect(service.putPart(session.id, 1, Buffer.from('12'))).rejects.toThrow(/must be 4 bytes/);
+      await expect(service.putPart(session.id, 1, Readable.from([Buffer.from('12345')]))).rejects.toMatchObject({
+        name: 'UploadSessionError',
+        status: 413
+      });
+      await expect(service.putPart(session.id, 4, Buffer.from('x'))).rejects.toThrow(/between 1 and 3/);
+      await expect(service.complete(session.id)).rejects.toThrow(/Missing parts: 1/);
+
+      // Resuming: the session says which parts are still to send
+      expect(service.formatSession(await service.get(session.id)).receivedParts).toStrictEqual([2, 3]);
+      await service.putPart(session.id, 1, Buffer.from('1234'));
+
+      const { session: completed, deliverable } = await service.complete(session.id);
+      expect(completed.deliverable_id).toBe(deliverable.id);
+      expect((await local.get('deliverables/3/fixed-pbn_links.zip')).toString()).toBe('1234567890');
+      expect(added[0].files[0]).toStrictEqual({ name: 'pbn_links.zip', mimetype: 'application/zip', size: 10, storageKey: 'deliverables/3/fixed-pbn_links.zip' });
+      expect(added[0].options.visibility).toBe('internal');
+      expect(await fs.readdir(path.join(root, 'multipart'))).toStrictEqual([]);
+      await expect(service.complete(session.id)).rejects.toMatchObject({ status: 409 });
+
+      await expect(service.create(3, { fileName: 'setup.exe', fileSize: 10 })).rejects.toThrow(/can be uploaded/);
+      await expect(service.create(99, { fileName: 'a.zip', fileSize: 10 })).rejects.toMatchObject({ status: 404 });
+
+      const abandoned = await service.create(3, { fileName: 'a.zip', fileSize: 10 });
+      await service.putPart(abandoned.id, 1, Buffer.from('1234'));
+      expect((await service.abort(abandoned.id)).status).toBe('aborted');
+      await expect(fs.stat(path.join(root, 'multipart', abandoned.storage_upload_id))).rejects.toThrow();
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it('deletes the joined file when a session that failed after joining is aborted', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+
+    try {
+      const client = new FakeUploadClient();
+      const local = new LocalStorage(root);
+      let joins = 0;
+      const completeMultipart = local.completeMultipart.bind(local);
+      local.completeMultipart = async (...args) => {
+        joins++;
+        return completeMultipart(...args);
+      };
+      const deliverables = {
+        storageKey: (orderId, fileName) => `deliverables/${orderId}/${fileName}`,
+        getForOrder: async () => null,
+        addDeliverables: async () => {
+          throw new Error('connection terminated');
+        }
+      };
+      const service = new UploadSessionService(client, local, deliverables);
+      service.partSize = 4;
+
+      const session = await service.create(3, { fileName: 'report.pdf', fileSize: 4 });
+      await service.putPart(session.id, 1, Buffer.from('%PDF'));
+      await expect(service.complete(session.id)).rejects.toThrow(/connection terminated/);
+      await expect(service.complete(session.id)).rejects.toThrow(/connection terminated/);
+
+      // Reopened for a retry, which doesn't join the parts a second time
+      expect([(await service.get(session.id)).status, (await service.get(session.id)).joined, joins]).toStrictEqual(['open', true, 1]);
+
+      expect((await service.abort(session.id)).status).toBe('aborted');
+      expect(await local.stat('deliverables/3/report.pdf')).toBe(null);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,108 @@
+import WebhookInboxService, { WebhookInboxError } from '../webhookInbox.js';
+
+// In-memory webhook_events table for the inbox service
+class FakeInboxDb {
+  constructor() {
+    this.events = [];
+  }
+
+  async query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO webhook_events')) {
+      const [provider, event_id, event_type, verified, headers, payload, status] = params;
+      const duplicate = sql.includes('ON CONFLICT') &&
+        this.events.some((e) => e.verified && e.provider === provider && e.event_id === event_id);
+      if (duplicate) {
+        return { rows: [] };
+      }
+      const event = { id: this.events.length + 1, provider, event_id, event_type, verified, headers, payload: JSON.parse(payload), status, attempts: 0, last_error: null };
+      this.events.push(event);
+      return { rows: [event] };
+    }
+
+    if (sql.startsWith('SELECT * FROM webhook_events WHERE provider')) {
+      return { rows: this.events.filter((e) => e.verified && e.provider === params[0] && e.event_id === params[1]) };
+    }
+
+    if (sql.startsWith('SELECT * FROM webhook_events WHERE id')) {
+      return { rows: this.events.filter((e) => e.id === params[0]) };
+    }
+
+    if (sql.startsWith("UPDATE webhook_events SET status = 'processing'")) {
+      const event = this.events.find((e) => e.id === params[0] && e.verified && ['received', 'failed'].includes(e.status));
+      if (!event) {
+        return { rows: [] };
+      }
+      Object.assign(event, { status: 'processing', attempts: event.attempts + 1 });
+      return { rows: [event] };
+    }
+
+    if (sql.startsWith("UPDATE webhook_events SET status = 'processed'")) {
+      Object.assign(this.events.find((e) => e.id === params[0]), { status: 'processed', last_error: null });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith("UPDATE webhook_events SET status = 'failed'")) {
+      Object.assign(this.events.find((e) => e.id === params[1]), { status: 'failed', last_error: params[0] });
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+describe('webhookInbox', () => {
+  it('applies a redelivered webhook event only once', async () => {
+    const inbox = new WebhookInboxService(new FakeInboxDb());
+    let applied = 0;
+    inbox.registerHandler('stripe', async () => {
+      applied++;
+    });
+
+    const delivery = { eventId: 'evt_1', eventType: 'payment_intent.succeeded', payload: { id: 'evt_1' } };
+    const first = await inbox.record('stripe', delivery);
+    await inbox.process(first.event);
+    const second = await inbox.record('stripe', delivery);
+    const outcome = await inbox.process(second.event);
+
+    expect(second.duplicate).toBe(true);
+    expect(outcome.skipped).toBe(true);
+    expect(applied).toBe(1);
+  });
+
+  it('keeps a failed webhook event for replay', async () => {
+    const db = new FakeInboxDb();
+    const inbox = new WebhookInboxService(db);
+    let available = false;
+    inbox.registerHandler('paypal', async () => {
+      if (!available) {
+        throw new Error('Database unavailable');
+      }
+    });
+
+    const { event } = await inbox.record('paypal', { eventId: 'WH-1', eventType: 'PAYMENT.CAPTURE.REFUNDED', payload: {} });
+    await expect(inbox.process(event)).rejects.toThrow(/Database unavailable/);
+    expect(db.events[0].status).toBe('failed');
+    expect(db.events[0].last_error).toBe('Database unavailable');
+
+    available = true;
+    const replayed = await inbox.replay(event.id);
+    expect(replayed.status).toBe('processed');
+    expect(replayed.attempts).toBe(2);
+
+    await expect(inbox.replay(event.id)).rejects.toThrow(WebhookInboxError);
+  });
+
+  it('does not let an unverified event block the real one', async () => {
+    const inbox = new WebhookInboxService(new FakeInboxDb());
+    const delivery = { eventId: 'WH-2', eventType: 'PAYMENT.CAPTURE.COMPLETED', payload: {} };
+
+    const forged = await inbox.record('paypal', { ...delivery, verified: false });
+    const real = await inbox.record('paypal', delivery);
+
+    expect(forged.event.status).toBe('rejected');
+    expect(real.duplicate).toBe(false);
+    await expect(inbox.replay(forged.event.id)).rejects.toThrow(WebhookInboxError);
+  });
+});
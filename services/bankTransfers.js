@@ -0,0 +1,389 @@
+import crypto from "crypto";
+import {
+  query,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "../config/database.js";
+import { checkoutService } from "./checkout.js";
+import { emailService } from "./email.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// No 0/O or 1/I, so references survive being typed into a banking app
+const REFERENCE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Error raised when a bank transfer cannot be created or settled (maps to a 4xx)
+export class BankTransferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BankTransferError";
+    this.status = status;
+  }
+}
+
+// "BT-" plus 8 random characters
+export const generateReference = () => {
+  const bytes = crypto.randomBytes(8);
+  let reference = "BT-";
+  for (const byte of bytes) {
+    reference += REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length];
+  }
+  return reference;
+};
+
+// Account the customer pays into
+const defaultAccount = () => ({
+  accountName: process.env.BANK_TRANSFER_ACCOUNT_NAME || null,
+  bankName: process.env.BANK_TRANSFER_BANK_NAME || null,
+  iban: process.env.BANK_TRANSFER_IBAN || null,
+  bic: process.env.BANK_TRANSFER_BIC || null,
+});
+
+/**
+ * Checkout paid by bank transfer. Orders are created pending with a unique
+ * reference the customer quotes on the transfer; an admin marks the transfer
+ * received (confirming and invoicing the orders) or it expires after
+ * BANK_TRANSFER_EXPIRY_DAYS and the orders are cancelled.
+ */
+class BankTransferService {
+  // Database helpers, checkout service and mailer are injectable so the service can run against fakes
+  constructor(
+    db = { query, beginTransaction, commitTransaction, rollbackTransaction },
+    checkout = checkoutService,
+    mailer = emailService,
+    account = defaultAccount()
+  ) {
+    this.db = db;
+    this.checkout = checkout;
+    this.mailer = mailer;
+    this.account = account;
+    this.expiryDays = parseInt(process.env.BANK_TRANSFER_EXPIRY_DAYS) || 7;
+    this.expiryTimer = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.account.accountName && this.account.iban);
+  }
+
+  // What the customer needs to make the transfer
+  instructions(transfer) {
+    return {
+      reference: transfer.reference,
+      amount: parseFloat(transfer.amount),
+      currency: transfer.currency,
+      accountName: this.account.accountName,
+      bankName: this.account.bankName,
+      iban: this.account.iban,
+      bic: this.account.bic,
+      expiresAt: transfer.expires_at,
+    };
+  }
+
+  /**
+   * Place pending orders for the cart and email the payment instructions.
+   * Returns the checkout result with the transfer and its instructions.
+   */
+  async createTransfer({ cart, customer, currency, couponCode = null }) {
+    if (!this.isEnabled()) {
+      throw new BankTransferError("Bank transfer payments are not available", 503);
+    }
+
+    const reference = generateReference();
+    const expiresAt = new Date(Date.now() + this.expiryDays * DAY_MS);
+    let transfer;
+
+    const result = await this.checkout.checkout({
+      cart,
+      customer,
+      currency,
+      couponCode,
+      historyNote: "Order created, awaiting bank transfer",
+      payment: { method: "bank_transfer", paymentId: reference, status: "pending" },
+      beforeCommit: async (client, placed) => {
+        const transferResult = await client.query(
+          `INSERT INTO bank_transfers (reference, customer_id, amount, currency, expires_at)
+           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+          [reference, placed.customerId, placed.totalAmount, placed.currency, expiresAt]
+        );
+        transfer = transferResult.rows[0];
+      },
+    });
+
+    const instructions = this.instructions(transfer);
+
+    try {
+      await this.mailer.sendBankTransferInstructions(customer.email, {
+        ...instructions,
+        customerName: customer.name,
+        amount: instructions.amount.toFixed(2),
+        trackingIds: result.orders.map((order) => order.tracking_id),
+      });
+    } catch (emailError) {
+      console.error("Failed to send bank transfer instructions email:", emailError);
+    }
+
+    return { ...result, transfer, instructions };
+  }
+
+  // Lock a transfer and the orders it pays for
+  async lockTransfer(client, reference) {
+    const transferResult = await client.query(
+      "SELECT * FROM bank_transfers WHERE reference = $1 FOR UPDATE",
+      [reference]
+    );
+    const transfer = transferResult.rows[0];
+
+    if (!transfer) {
+      throw new BankTransferError("Bank transfer not found", 404);
+    }
+
+    const ordersResult = await client.query(
+      `SELECT o.* FROM orders o
+       WHERE o.id IN (SELECT order_id FROM payments WHERE payment_method = $1 AND payment_id = $2)
+       ORDER BY o.id ASC
+       FOR UPDATE OF o`,
+      ["bank_transfer", reference]
+    );
+
+    return { transfer, orders: ordersResult.rows };
+  }
+
+  async getCustomer(client, customerId) {
+    const result = await client.query(
+      "SELECT name, email, website FROM customers WHERE id = $1",
+      [customerId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record the transfer as received and confirm and invoice its orders.
+   * `amount` defaults to the amount due; less than that is refused.
+   */
+  async markReceived(reference, { amount = null, adminId = null, notes = null } = {}) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const { transfer, orders } = await this.lockTransfer(client, reference);
+
+      if (transfer.status !== "awaiting") {
+        throw new BankTransferError(`Bank transfer has already been ${transfer.status}`, 409);
+      }
+
+      const due = parseFloat(transfer.amount);
+      const received = amount === null ? due : parseFloat(amount);
+
+      if (received < due - 0.01) {
+        throw new BankTransferError(
+          `Received amount is less than the ${due.toFixed(2)} ${transfer.currency} due`
+        );
+      }
+
+      const invoice = await this.checkout.markOrdersPaid(client, orders, {
+        method: "bank_transfer",
+        paymentId: reference,
+        currency: transfer.currency,
+        gatewayResponse: { receivedAmount: received, receivedBy: adminId, notes },
+        historyNote: "Bank transfer received",
+      });
+
+      const updateResult = await client.query(
+        `UPDATE bank_transfers
+         SET status = 'received', received_at = CURRENT_TIMESTAMP, received_amount = $1, received_by = $2,
+             notes = COALESCE($3, notes), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 RETURNING *`,
+        [received, adminId, notes, transfer.id]
+      );
+      const customer = await this.getCustomer(client, transfer.customer_id);
+
+      await this.db.commitTransaction(client);
+
+      return {
+        transfer: updateResult.rows[0],
+        customer,
+        orders: orders.map((order) => ({ ...order, status: "confirmed", payment_status: "paid" })),
+        totalAmount: due,
+        invoice,
+      };
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Cancel an unpaid transfer's orders and (unless `notify` is false) let the customer know
+  async expire(reference, { notes = null, notify = true } = {}) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const { transfer, orders } = await this.lockTransfer(client, reference);
+
+      if (transfer.status !== "awaiting") {
+        throw new BankTransferError(`Bank transfer has already been ${transfer.status}`, 409);
+      }
+
+      const historyNote = notes || `Cancelled: bank transfer not received within ${this.expiryDays} days`;
+
+      for (const order of orders) {
+        await client.query(
+          "UPDATE orders SET status = 'cancelled', payment_status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+          [order.id]
+        );
+        await client.query(
+          "INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)",
+          [order.id, "cancelled", historyNote]
+        );
+      }
+
+      await client.query(
+        "UPDATE payments SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE payment_method = 'bank_transfer' AND payment_id = $1",
+        [reference]
+      );
+
+      const updateResult = await client.query(
+        `UPDATE bank_transfers
+         SET status = 'expired', expired_at = CURRENT_TIMESTAMP, notes = COALESCE($1, notes), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 RETURNING *`,
+        [notes, transfer.id]
+      );
+      const customer = await this.getCustomer(client, transfer.customer_id);
+
+      await this.db.commitTransaction(client);
+
+      if (notify) {
+        try {
+          await this.mailer.sendBankTransferExpired(customer.email, {
+            customerName: customer.name,
+            reference,
+            amount: parseFloat(transfer.amount).toFixed(2),
+            currency: transfer.currency,
+            trackingIds: orders.map((order) => order.tracking_id),
+          });
+        } catch (emailError) {
+          console.error("Failed to send bank transfer expiry email:", emailError);
+        }
+      }
+
+      return updateResult.rows[0];
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Expire every transfer past its deadline; returns the number expired
+  async expireOverdue() {
+    const result = await this.db.query(
+      "SELECT reference FROM bank_transfers WHERE status = 'awaiting' AND expires_at <= CURRENT_TIMESTAMP ORDER BY expires_at ASC"
+    );
+    let expired = 0;
+
+    for (const { reference } of result.rows) {
+      try {
+        await this.expire(reference);
+        expired++;
+      } catch (error) {
+        // Received (or expired by hand) since the scan
+        if (error instanceof BankTransferError && error.status === 409) {
+          continue;
+        }
+        console.error(`Bank transfer ${reference} expiry error:`, error);
+      }
+    }
+
+    return expired;
+  }
+
+  // Check for overdue transfers every `intervalMs` until stopped
+  startExpiryJob(intervalMs = 60 * 60 * 1000) {
+    if (this.expiryTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const expired = await this.expireOverdue();
+        if (expired > 0) {
+          console.log(`⏰ Expired ${expired} unpaid bank transfer(s)`);
+        }
+      } catch (error) {
+        console.error("Bank transfer expiry job error:", error);
+      }
+    };
+
+    this.expiryTimer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for this job
+    this.expiryTimer.unref();
+    run();
+  }
+
+  stopExpiryJob() {
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+
+  async listTransfers({ status, search, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`t.status = $${params.length}`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(
+        `(t.reference ILIKE $${params.length} OR c.name ILIKE $${params.length} OR c.email ILIKE $${params.length})`
+      );
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const [transfersResult, countResult] = await Promise.all([
+      this.db.query(
+        `SELECT t.*, c.name as customer_name, c.email as customer_email,
+                (SELECT array_agg(o.tracking_id ORDER BY o.id) FROM orders o
+                 JOIN payments p ON p.order_id = o.id
+                 WHERE p.payment_method = 'bank_transfer' AND p.payment_id = t.reference) as tracking_ids
+         FROM bank_transfers t
+         JOIN customers c ON t.customer_id = c.id
+         ${whereClause}
+         ORDER BY t.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(
+        `SELECT COUNT(*) as total FROM bank_transfers t JOIN customers c ON t.customer_id = c.id ${whereClause}`,
+        params
+      ),
+    ]);
+
+    return {
+      transfers: transfersResult.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  // Shape a bank_transfers row for API responses
+  formatTransfer(transfer) {
+    return {
+      id: transfer.id,
+      reference: transfer.reference,
+      status: transfer.status,
+      amount: parseFloat(transfer.amount),
+      currency: transfer.currency,
+      expiresAt: transfer.expires_at,
+      receivedAt: transfer.received_at,
+      receivedAmount: transfer.received_amount ? parseFloat(transfer.received_amount) : null,
+      expiredAt: transfer.expired_at,
+      notes: transfer.notes,
+      createdAt: transfer.created_at,
+    };
+  }
+}
+
+export const bankTransferService = new BankTransferService();
+export default BankTransferService;
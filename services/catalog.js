@@ -0,0 +1,414 @@
+import crypto from "crypto";
+import { query, beginTransaction, commitTransaction, rollbackTransaction } from "../config/database.js";
+import { currencyService } from "./currency.js";
+
+export class CatalogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CatalogError";
+    this.status = status;
+  }
+}
+
+// Request body field -> column for each catalog table
+const CATALOG_FIELDS = {
+  service_categories: {
+    name: "name",
+    description: "description",
+    icon: "icon",
+    sortOrder: "sort_order",
+    isActive: "is_active",
+  },
+  services: {
+    categoryId: "category_id",
+    name: "name",
+    shortDescription: "short_description",
+    description: "description",
+    features: "features",
+    sortOrder: "sort_order",
+    isActive: "is_active",
+  },
+  service_tiers: {
+    serviceId: "service_id",
+    name: "name",
+    price: "price",
+    deliveryDays: "delivery_days",
+    features: "features",
+    isPopular: "is_popular",
+    sortOrder: "sort_order",
+    isActive: "is_active",
+    billingInterval: "billing_interval",
+  },
+};
+
+const CATALOG_NAMES = {
+  service_categories: "category",
+  services: "service",
+  service_tiers: "service tier",
+};
+
+// Rows soft-deleted and restored together with a catalog row ($1 = its id)
+const CATALOG_CHILDREN = {
+  service_categories: [
+    { table: "service_tiers", where: "service_id IN (SELECT id FROM services WHERE category_id = $1)" },
+    { table: "services", where: "category_id = $1" },
+  ],
+  services: [{ table: "service_tiers", where: "service_id = $1" }],
+  service_tiers: [],
+};
+
+// Parent a catalog row can only be restored under
+const CATALOG_PARENTS = {
+  services: { table: "service_categories", column: "category_id" },
+  service_tiers: { table: "services", column: "service_id" },
+};
+
+// Build a partial UPDATE for the catalog fields present in the request body
+export const buildCatalogUpdate = (table, id, data) => {
+  const setClauses = [];
+  const queryParams = [];
+  let paramIndex = 1;
+
+  for (const [field, column] of Object.entries(CATALOG_FIELDS[table])) {
+    if (data[field] === undefined) continue;
+
+    setClauses.push(`${column} = $${paramIndex++}`);
+    queryParams.push(column === "features" ? JSON.stringify(data[field]) : data[field]);
+  }
+
+  if (setClauses.length === 0) {
+    return null;
+  }
+
+  queryParams.push(id);
+
+  return {
+    text: `UPDATE ${table} SET ${setClauses.join(", ")}, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $${paramIndex} AND deleted_at IS NULL RETURNING *`,
+    params: queryParams,
+  };
+};
+
+class CatalogService {
+  constructor(db = { query, beginTransaction, commitTransaction, rollbackTransaction }) {
+    this.db = db;
+  }
+
+  /**
+   * Build the categories -> services -> tiers tree used by the storefront.
+   * Each tier carries its price in every enabled currency (explicit tier
+   * prices first, converted base prices otherwise) and its volume brackets;
+   * active bundle rules are listed alongside.
+   */
+  async getCatalog({ categoryId = null, includeInactive = false } = {}) {
+    const categoryConditions = ["deleted_at IS NULL"];
+    const serviceConditions = ["s.deleted_at IS NULL"];
+    const tierConditions = ["st.deleted_at IS NULL", "s.deleted_at IS NULL"];
+    const params = [];
+
+    if (!includeInactive) {
+      categoryConditions.push("is_active = true");
+      serviceConditions.push("s.is_active = true");
+      tierConditions.push("st.is_active = true", "s.is_active = true");
+    }
+
+    if (categoryId) {
+      params.push(categoryId);
+      categoryConditions.push("id = $1");
+      serviceConditions.push("s.category_id = $1");
+      tierConditions.push("s.category_id = $1");
+    }
+
+    const [
+      categoriesResult,
+      servicesResult,
+      tiersResult,
+      tierPricesResult,
+      volumeDiscountsResult,
+      bundlesResult,
+      rates,
+      lastModified,
+    ] = await Promise.all([
+      this.db.query(
+        `SELECT id, name, description, icon, sort_order, is_active
+         FROM service_categories
+         WHERE ${categoryConditions.join(" AND ")}
+         ORDER BY sort_order ASC, name ASC`,
+        params
+      ),
+      this.db.query(
+        `SELECT s.id, s.category_id, s.name, s.short_description, s.description, s.features,
+                s.sort_order, s.is_active
+         FROM services s
+         WHERE ${serviceConditions.join(" AND ")}
+         ORDER BY s.sort_order ASC, s.name ASC`,
+        params
+      ),
+      this.db.query(
+        `SELECT st.id, st.service_id, st.name, st.price, st.delivery_days, st.features,
+                st.is_popular, st.sort_order, st.is_active, st.billing_interval
+         FROM service_tiers st
+         JOIN services s ON st.service_id = s.id
+         WHERE ${tierConditions.join(" AND ")}
+         ORDER BY st.sort_order ASC, st.price ASC`,
+        params
+      ),
+      this.db.query("SELECT tier_id, currency, price FROM service_tier_prices"),
+      this.db.query(
+        "SELECT tier_id, min_quantity, discount_percent FROM tier_volume_discounts ORDER BY min_quantity ASC"
+      ),
+      this.db.query(
+        "SELECT id, name, tier_ids, discount_percent FROM bundle_rules WHERE is_active = true ORDER BY discount_percent DESC, id ASC"
+      ),
+      currencyService.getRates(this.db),
+      this.getLastModified(),
+    ]);
+
+    const explicitPrices = new Map();
+    for (const row of tierPricesResult.rows) {
+      if (!explicitPrices.has(row.tier_id)) {
+        explicitPrices.set(row.tier_id, {});
+      }
+      explicitPrices.get(row.tier_id)[row.currency] = parseFloat(row.price);
+    }
+
+    const volumeDiscounts = new Map();
+    for (const row of volumeDiscountsResult.rows) {
+      if (!volumeDiscounts.has(row.tier_id)) {
+        volumeDiscounts.set(row.tier_id, []);
+      }
+      volumeDiscounts.get(row.tier_id).push({
+        minQuantity: row.min_quantity,
+        discountPercent: parseFloat(row.discount_percent),
+      });
+    }
+
+    const currencies = Object.keys(rates);
+
+    const tiersByService = new Map();
+    for (const tier of tiersResult.rows) {
+      if (!tiersByService.has(tier.service_id)) {
+        tiersByService.set(tier.service_id, []);
+      }
+
+      const basePrice = parseFloat(tier.price);
+      const tierPrices = explicitPrices.get(tier.id) || {};
+      const prices = {};
+      for (const currency of currencies) {
+        prices[currency] =
+          tierPrices[currency] ?? currencyService.convert(basePrice, rates[currency]);
+      }
+
+      tiersByService.get(tier.service_id).push({
+        id: tier.id,
+        name: tier.name,
+        price: basePrice,
+        prices,
+        volumeDiscounts: volumeDiscounts.get(tier.id) || [],
+        deliveryDays: tier.delivery_days,
+        features: tier.features || [],
+        isPopular: tier.is_popular,
+        isActive: tier.is_active,
+        sortOrder: tier.sort_order,
+        billingInterval: tier.billing_interval,
+      });
+    }
+
+    const servicesByCategory = new Map();
+    for (const service of servicesResult.rows) {
+      if (!servicesByCategory.has(service.category_id)) {
+        servicesByCategory.set(service.category_id, []);
+      }
+      servicesByCategory.get(service.category_id).push({
+        id: service.id,
+        name: service.name,
+        shortDescription: service.short_description,
+        description: service.description,
+        features: service.features || [],
+        isActive: service.is_active,
+        sortOrder: service.sort_order,
+        tiers: tiersByService.get(service.id) || [],
+      });
+    }
+
+    const categories = categoriesResult.rows.map((category) => ({
+      id: category.id,
+      name: category.name,
+      description: category.description,
+      icon: category.icon,
+      isActive: category.is_active,
+      sortOrder: category.sort_order,
+      services: servicesByCategory.get(category.id) || [],
+    }));
+
+    const bundles = bundlesResult.rows.map((bundle) => ({
+      id: bundle.id,
+      name: bundle.name,
+      tierIds: bundle.tier_ids,
+      discountPercent: parseFloat(bundle.discount_percent),
+    }));
+
+    return { categories, bundles, currencies, lastModified };
+  }
+
+  // Latest change across the catalog and pricing tables (soft deletes bump updated_at too)
+  async getLastModified() {
+    const result = await this.db.query(
+      `SELECT GREATEST(
+         (SELECT MAX(updated_at) FROM service_categories),
+         (SELECT MAX(updated_at) FROM services),
+         (SELECT MAX(updated_at) FROM service_tiers),
+         (SELECT MAX(updated_at) FROM service_tier_prices),
+         (SELECT MAX(updated_at) FROM exchange_rates),
+         (SELECT MAX(updated_at) FROM bundle_rules)
+       ) AS last_modified`
+    );
+
+    return result.rows[0].last_modified || new Date(0);
+  }
+
+  // Check that a catalog row exists and has not been deleted
+  async rowExists(table, id) {
+    const result = await this.db.query(
+      `SELECT id FROM ${table} WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Assign sort_order from the position of each id in the list; false if any of them is missing
+  async reorderRows(table, ids) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const existing = await client.query(
+        `SELECT id FROM ${table} WHERE id = ANY($1) AND deleted_at IS NULL`,
+        [ids]
+      );
+
+      if (existing.rows.length !== new Set(ids).size) {
+        await this.db.rollbackTransaction(client);
+        return false;
+      }
+
+      for (let i = 0; i < ids.length; i++) {
+        await client.query(
+          `UPDATE ${table} SET sort_order = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [i, ids[i]]
+        );
+      }
+
+      await this.db.commitTransaction(client);
+      return true;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete a catalog row together with its services and tiers, returning
+   * false if there is no such row. They all get the same deleted_at
+   * (CURRENT_TIMESTAMP is the transaction's start time), which is how
+   * restoreRow tells them from rows deleted on their own earlier.
+   */
+  async deleteRow(table, id) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const result = await client.query(
+        `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, is_active = false
+         WHERE id = $1 AND deleted_at IS NULL RETURNING id`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        await this.db.rollbackTransaction(client);
+        return false;
+      }
+
+      for (const child of CATALOG_CHILDREN[table]) {
+        await client.query(
+          `UPDATE ${child.table} SET deleted_at = CURRENT_TIMESTAMP, is_active = false
+           WHERE deleted_at IS NULL AND ${child.where}`,
+          [id]
+        );
+      }
+
+      await this.db.commitTransaction(client);
+      return true;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo deleteRow for a catalog row and the rows deleted with it. Restored
+   * rows stay inactive until they are activated again, and a service or tier
+   * can't be restored under a deleted parent. Returns the restored row, or
+   * null if there is no deleted row with this id.
+   */
+  async restoreRow(table, id) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const result = await client.query(
+        `SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+        [id]
+      );
+      const row = result.rows[0];
+
+      if (!row) {
+        await this.db.rollbackTransaction(client);
+        return null;
+      }
+
+      const parent = CATALOG_PARENTS[table];
+      if (parent) {
+        const parentResult = await client.query(
+          `SELECT id FROM ${parent.table} WHERE id = $1 AND deleted_at IS NULL`,
+          [row[parent.column]]
+        );
+
+        if (parentResult.rows.length === 0) {
+          throw new CatalogError(
+            `The ${CATALOG_NAMES[parent.table]} of this ${CATALOG_NAMES[table]} is deleted; restore it first`,
+            409
+          );
+        }
+      }
+
+      for (const child of CATALOG_CHILDREN[table]) {
+        await client.query(
+          `UPDATE ${child.table} SET deleted_at = NULL
+           WHERE deleted_at = (SELECT deleted_at FROM ${table} WHERE id = $1) AND ${child.where}`,
+          [id]
+        );
+      }
+
+      const restored = await client.query(
+        `UPDATE ${table} SET deleted_at = NULL WHERE id = $1 RETURNING *`,
+        [id]
+      );
+
+      await this.db.commitTransaction(client);
+      return restored.rows[0];
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Strong ETag for a catalog payload
+  buildETag(payload) {
+    const hash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(payload))
+      .digest("base64url");
+    return `"${hash}"`;
+  }
+}
+
+export const catalogService = new CatalogService();
+export default CatalogService;
@@ -0,0 +1,877 @@
+import { v4 as uuidv4 } from "uuid";
+import {
+  query,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "../config/database.js";
+import { currencyService, BASE_CURRENCY, roundAmount } from "./currency.js";
+import { couponService } from "./coupons.js";
+import { pricingService } from "./pricing.js";
+import { taxService } from "./tax.js";
+import { invoiceService } from "./invoices.js";
+import { checkoutRecoveryService } from "./checkoutRecovery.js";
+
+const DEFAULT_KEYWORDS = "SEO optimization, digital marketing";
+const MAX_QUANTITY = 100;
+
+// Error raised for problems with the submitted cart or customer (maps to a 4xx)
+export class CheckoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CheckoutError";
+    this.status = status;
+  }
+}
+
+// Re-exported for the routes and services that already import it from here
+export { roundAmount };
+
+class CheckoutService {
+  // The database helpers are injectable so the service can run against a fake client
+  constructor(
+    db = { query, beginTransaction, commitTransaction, rollbackTransaction }
+  ) {
+    this.db = db;
+  }
+
+  /**
+   * Turn a cart into priced line items using the active service tiers. Prices
+   * come from the tier's price in `currency` if one is set, otherwise from the
+   * base price converted at the currency's exchange rate. Volume and bundle
+   * rules come next; a coupon code, if given, is validated for
+   * `customerEmail` and taken off last. Each item's adjustments list every
+   * discount applied to it. VAT for `country`/`vatId` is then added, so
+   * totalAmount is the gross amount to charge.
+   */
+  async priceCart(
+    client,
+    cart,
+    currency = BASE_CURRENCY,
+    {
+      couponCode = null,
+      customerEmail = null,
+      lockCoupon = false,
+      country = null,
+      vatId = null,
+    } = {}
+  ) {
+    if (!Array.isArray(cart) || cart.length === 0) {
+      throw new CheckoutError(
+        "Cart is required and must contain at least one item"
+      );
+    }
+
+    const rate = await currencyService.getRate(currency, client);
+
+    if (rate === null) {
+      throw new CheckoutError(`Currency ${currency} is not supported`);
+    }
+
+    let items = [];
+
+    for (const cartItem of cart) {
+      const { serviceId, quantity = 1, keywords } = cartItem || {};
+      const parsedQuantity = Number(quantity);
+
+      if (
+        !Number.isInteger(parsedQuantity) ||
+        parsedQuantity < 1 ||
+        parsedQuantity > MAX_QUANTITY
+      ) {
+        throw new CheckoutError(
+          `Quantity for ${serviceId} must be between 1 and ${MAX_QUANTITY}`
+        );
+      }
+
+      // serviceId is the service tier id from the frontend
+      const serviceTierResult = await client.query(
+        `SELECT st.*, s.name as service_name, s.category_id, stp.price as currency_price
+         FROM service_tiers st
+         JOIN services s ON st.service_id = s.id
+         LEFT JOIN service_tier_prices stp ON stp.tier_id = st.id AND stp.currency = $2
+         WHERE st.id = $1 AND st.is_active = true AND s.is_active = true`,
+        [serviceId, currency]
+      );
+
+      if (serviceTierResult.rows.length === 0) {
+        throw new CheckoutError(`Invalid service selected: ${serviceId}`);
+      }
+
+      const serviceTier = serviceTierResult.rows[0];
+      const unitPrice =
+        serviceTier.currency_price !== null && serviceTier.currency_price !== undefined
+          ? parseFloat(serviceTier.currency_price)
+          : currencyService.convert(parseFloat(serviceTier.price), rate);
+      const itemTotal = roundAmount(unitPrice * parsedQuantity);
+
+      items.push({
+        serviceId: serviceTier.id,
+        categoryId: serviceTier.category_id,
+        serviceName: serviceTier.service_name,
+        tierName: serviceTier.name,
+        unitPrice,
+        quantity: parsedQuantity,
+        deliveryDays: serviceTier.delivery_days,
+        keywords:
+          typeof keywords === "string" && keywords.trim()
+            ? keywords.trim()
+            : DEFAULT_KEYWORDS,
+        subtotal: itemTotal,
+        discount: 0,
+        total: itemTotal,
+      });
+    }
+
+    items = await pricingService.applyRules(client, items);
+
+    let coupon = null;
+    let discountAmount = 0;
+
+    if (couponCode) {
+      ({ coupon, items, discountAmount } = await couponService.applyCoupon(client, {
+        code: couponCode,
+        items,
+        currency,
+        rate,
+        customerEmail,
+        lock: lockCoupon,
+      }));
+
+      items = items.map((item) =>
+        item.discount > 0
+          ? {
+              ...item,
+              adjustments: [
+                ...item.adjustments,
+                { type: "coupon", label: `Coupon ${coupon.code}`, amount: -item.discount },
+              ],
+            }
+          : item
+      );
+    }
+
+    const sumOf = (field) => roundAmount(items.reduce((sum, item) => sum + item[field], 0));
+    const subtotal = sumOf("subtotal");
+
+    if (roundAmount(subtotal - discountAmount) <= 0) {
+      throw new CheckoutError("Order total after discount must be greater than zero");
+    }
+
+    const tax = await taxService.determineTax(client, { country, vatId });
+    const taxed = taxService.applyTax(items, tax);
+
+    return {
+      items: taxed.items,
+      listTotal: sumOf("listTotal"),
+      subtotal,
+      discountAmount,
+      netAmount: taxed.netAmount,
+      taxAmount: taxed.taxAmount,
+      totalAmount: taxed.totalAmount,
+      currency,
+      coupon,
+      tax,
+    };
+  }
+
+  // Price a cart outside of a transaction (e.g. before a payment intent exists)
+  async quote(cart, currency = BASE_CURRENCY, options = {}) {
+    return this.priceCart({ query: this.db.query }, cart, currency, options);
+  }
+
+  // Find the customer by email and refresh their details, or create them
+  async upsertCustomer(client, customer) {
+    if (!customer || !customer.name || !customer.email || !customer.website) {
+      throw new CheckoutError("Customer name, email, and website are required");
+    }
+
+    if (customer.name.length < 2 || customer.name.length > 255) {
+      throw new CheckoutError(
+        "Customer name must be between 2 and 255 characters"
+      );
+    }
+
+    const existingCustomer = await client.query(
+      "SELECT id FROM customers WHERE email = $1",
+      [customer.email]
+    );
+
+    if (existingCustomer.rows.length > 0) {
+      const customerId = existingCustomer.rows[0].id;
+      await client.query(
+        `UPDATE customers SET name = $1, website = $2, phone = COALESCE($3, phone),
+           country = COALESCE($5, country), vat_id = COALESCE($6, vat_id), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [
+          customer.name,
+          customer.website,
+          customer.phone || null,
+          customerId,
+          taxService.normalizeCountry(customer.country),
+          taxService.normalizeVatId(customer.vatId),
+        ]
+      );
+      return customerId;
+    }
+
+    const newCustomerResult = await client.query(
+      "INSERT INTO customers (name, email, website, phone, country, vat_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id",
+      [
+        customer.name,
+        customer.email,
+        customer.website,
+        customer.phone || null,
+        taxService.normalizeCountry(customer.country),
+        taxService.normalizeVatId(customer.vatId),
+      ]
+    );
+    return newCustomerResult.rows[0].id;
+  }
+
+  // Insert one order (plus its first status history entry) per priced line item
+  async createOrders(
+    client,
+    {
+      customerId,
+      items,
+      status = "pending",
+      paymentStatus = "pending",
+      historyNote = "Order created",
+      checkoutSessionId = null,
+      currency = BASE_CURRENCY,
+      couponCode = null,
+      tax = null,
+      subscriptionId = null,
+    }
+  ) {
+    const orders = [];
+
+    for (const item of items) {
+      const orderResult = await client.query(
+        `INSERT INTO orders (customer_id, service_tier_id, service_name, service_tier_name, service_price, delivery_days, keywords, quantity, total_amount, status, payment_status, checkout_session_id, currency, discount_amount, coupon_code, price_breakdown, net_amount, tax_rate, tax_amount, tax_country, tax_treatment, customer_vat_id, subscription_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23) RETURNING *`,
+        [
+          customerId,
+          item.serviceId,
+          item.serviceName,
+          item.tierName,
+          item.unitPrice,
+          item.deliveryDays,
+          item.keywords,
+          item.quantity,
+          item.total,
+          status,
+          paymentStatus,
+          checkoutSessionId,
+          currency,
+          item.discount || 0,
+          item.discount ? couponCode : null,
+          // Sessions stored before pricing rules existed have no breakdown
+          item.adjustments
+            ? JSON.stringify({ listTotal: item.listTotal, adjustments: item.adjustments })
+            : null,
+          item.netTotal ?? item.total,
+          tax?.rate || 0,
+          item.taxAmount || 0,
+          tax?.country || null,
+          tax?.treatment || "none",
+          tax?.vatId || null,
+          subscriptionId,
+        ]
+      );
+
+      const order = orderResult.rows[0];
+
+      await client.query(
+        "INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)",
+        [order.id, status, historyNote]
+      );
+
+      orders.push(order);
+    }
+
+    return orders;
+  }
+
+  // Record a gateway payment against each order, for that order's amount
+  async recordPayments(
+    client,
+    orders,
+    {
+      method,
+      paymentId,
+      captureId = null,
+      payerId = null,
+      currency = BASE_CURRENCY,
+      status = "pending",
+      gatewayResponse = null,
+    }
+  ) {
+    for (const order of orders) {
+      await client.query(
+        `INSERT INTO payments (order_id, payment_method, payment_id, capture_id, payer_id, amount, currency, status, gateway_response)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          order.id,
+          method,
+          paymentId,
+          captureId,
+          payerId,
+          order.total_amount,
+          currency,
+          status,
+          gatewayResponse ? JSON.stringify(gatewayResponse) : null,
+        ]
+      );
+    }
+  }
+
+  /**
+   * Confirm existing pending orders once their payment has been received and
+   * invoice them. Returns the invoice.
+   */
+  async markOrdersPaid(
+    client,
+    orders,
+    {
+      method,
+      paymentId,
+      captureId = null,
+      payerId = null,
+      currency = BASE_CURRENCY,
+      gatewayResponse = null,
+      historyNote = "Payment received and confirmed",
+    }
+  ) {
+    for (const order of orders) {
+      await client.query(
+        "UPDATE orders SET payment_status = $1, status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
+        ["paid", "confirmed", order.id]
+      );
+
+      const paymentResult = await client.query(
+        `UPDATE payments SET status = $1, payer_id = COALESCE($2, payer_id), capture_id = COALESCE($7, capture_id), gateway_response = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE order_id = $4 AND payment_method = $5 AND payment_id = $6 RETURNING id`,
+        [
+          "paid",
+          payerId,
+          gatewayResponse ? JSON.stringify(gatewayResponse) : null,
+          order.id,
+          method,
+          paymentId,
+          captureId,
+        ]
+      );
+
+      // Orders created before pending payment rows were recorded
+      if (paymentResult.rows.length === 0) {
+        await this.recordPayments(client, [order], {
+          method,
+          paymentId,
+          captureId,
+          payerId,
+          currency,
+          status: "paid",
+          gatewayResponse,
+        });
+      }
+
+      await client.query(
+        "INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)",
+        [order.id, "confirmed", historyNote]
+      );
+    }
+
+    await checkoutRecoveryService.markRecovered(client, method, paymentId);
+
+    return invoiceService.createInvoice(client, { orders });
+  }
+
+  /**
+   * Upsert the customer, create an order per line item and record the payment.
+   * A coupon ({ id, code }) is recorded against the first order as one
+   * redemption of `discountAmount`. Orders placed as paid are invoiced
+   * together; the invoice is null otherwise.
+   */
+  async placeOrders(
+    client,
+    {
+      items,
+      customer,
+      status,
+      paymentStatus,
+      historyNote,
+      payment = null,
+      checkoutSessionId = null,
+      currency = BASE_CURRENCY,
+      coupon = null,
+      discountAmount = 0,
+      tax = null,
+    }
+  ) {
+    const customerId = await this.upsertCustomer(client, customer);
+    const orders = await this.createOrders(client, {
+      customerId,
+      items,
+      status,
+      paymentStatus,
+      historyNote,
+      checkoutSessionId,
+      currency,
+      couponCode: coupon?.code,
+      tax,
+    });
+
+    if (coupon) {
+      await couponService.recordRedemption(client, {
+        couponId: coupon.id,
+        orderId: orders[0].id,
+        customerEmail: customer.email,
+        discountAmount,
+        currency,
+      });
+    }
+
+    if (payment) {
+      await this.recordPayments(client, orders, payment);
+    }
+
+    const invoice =
+      paymentStatus === "paid"
+        ? await invoiceService.createInvoice(client, { orders, checkoutSessionId })
+        : null;
+
+    return { customerId, orders, invoice };
+  }
+
+  /**
+   * Price the cart, upsert the customer and create its orders in one transaction.
+   * `payment` (if given) is recorded against every order; `beforeCommit` runs
+   * inside the transaction with the created orders, so a failing gateway call
+   * there rolls everything back.
+   */
+  async checkout({
+    cart,
+    customer,
+    status = "pending",
+    paymentStatus = "pending",
+    historyNote = "Order created",
+    currency = BASE_CURRENCY,
+    couponCode = null,
+    payment = null,
+    beforeCommit = null,
+  }) {
+    currency = currencyService.normalize(currency);
+    const client = await this.db.beginTransaction();
+
+    try {
+      // The coupon row stays locked until commit so usage limits hold under concurrency
+      const priced = await this.priceCart(client, cart, currency, {
+        couponCode,
+        customerEmail: customer?.email,
+        lockCoupon: true,
+        country: customer?.country,
+        vatId: customer?.vatId,
+      });
+      const { customerId, orders, invoice } = await this.placeOrders(client, {
+        items: priced.items,
+        customer,
+        status,
+        paymentStatus,
+        historyNote,
+        payment: payment && { currency, ...payment },
+        currency,
+        coupon: priced.coupon,
+        discountAmount: priced.discountAmount,
+        tax: priced.tax,
+      });
+
+      const result = { ...priced, customerId, orders, invoice };
+
+      if (beforeCommit) {
+        await beforeCommit(client, result);
+      }
+
+      await this.db.commitTransaction(client);
+      return result;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  /**
+   * Price the cart and persist it so the payment can later be matched to it.
+   * The coupon is validated now; its redemption is recorded when the session
+   * completes.
+   */
+  async createSession({
+    method,
+    cart,
+    customer,
+    currency = BASE_CURRENCY,
+    couponCode = null,
+  }) {
+    if (!customer || !customer.name || !customer.email || !customer.website) {
+      throw new CheckoutError("Customer name, email, and website are required");
+    }
+
+    currency = currencyService.normalize(currency);
+    const priced = await this.quote(cart, currency, {
+      couponCode,
+      customerEmail: customer.email,
+      country: customer.country,
+      vatId: customer.vatId,
+    });
+    const sessionCustomer = {
+      name: customer.name,
+      email: customer.email,
+      website: customer.website,
+      phone: customer.phone || null,
+      country: customer.country || null,
+      vatId: customer.vatId || null,
+    };
+
+    const result = await this.db.query(
+      `INSERT INTO checkout_sessions (id, payment_method, customer, items, total_amount, currency, coupon_id, coupon_code, discount_amount, tax)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [
+        uuidv4(),
+        method,
+        JSON.stringify(sessionCustomer),
+        JSON.stringify(priced.items),
+        priced.totalAmount,
+        currency,
+        priced.coupon?.id ?? null,
+        priced.coupon?.code ?? null,
+        priced.discountAmount,
+        JSON.stringify(priced.tax),
+      ]
+    );
+
+    return { ...priced, session: result.rows[0] };
+  }
+
+  // Link the gateway payment (e.g. Stripe PaymentIntent) to its checkout session
+  async attachPaymentId(sessionId, paymentId) {
+    await this.db.query(
+      "UPDATE checkout_sessions SET payment_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+      [paymentId, sessionId]
+    );
+  }
+
+  // Reject payments whose amount or currency differ from the stored session
+  verifyPaymentAmount(session, amount, currency) {
+    if (Math.abs(parseFloat(amount) - parseFloat(session.total_amount)) > 0.01) {
+      throw new CheckoutError("Payment amount does not match checkout");
+    }
+
+    if (String(currency).toUpperCase() !== session.currency.toUpperCase()) {
+      throw new CheckoutError("Payment currency does not match checkout");
+    }
+  }
+
+  /**
+   * Create the orders for a paid checkout session. Orders come only from the
+   * cart stored at intent time, never from the client, and the session row is
+   * locked so two confirmations cannot both create orders.
+   */
+  async completeSession({
+    method,
+    paymentId,
+    amount,
+    currency,
+    gatewayResponse = null,
+    historyNote = "Order created and paid",
+  }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const sessionResult = await client.query(
+        "SELECT * FROM checkout_sessions WHERE payment_method = $1 AND payment_id = $2 FOR UPDATE",
+        [method, paymentId]
+      );
+
+      if (sessionResult.rows.length === 0) {
+        throw new CheckoutError("Checkout session not found", 404);
+      }
+
+      const session = sessionResult.rows[0];
+
+      // Replayed confirmation: hand back the orders created the first time
+      if (session.status === "completed") {
+        const orders = await this.getSessionOrders(client, session.id);
+        await this.db.commitTransaction(client);
+
+        return {
+          session,
+          customer: session.customer,
+          customerId: orders[0]?.customer_id,
+          items: session.items,
+          totalAmount: parseFloat(session.total_amount),
+          orders,
+          replayed: true,
+        };
+      }
+
+      // A failed attempt can still be followed by a successful retry on the same intent
+      if (!["open", "failed"].includes(session.status)) {
+        throw new CheckoutError(
+          `Checkout session is already ${session.status}`,
+          409
+        );
+      }
+
+      this.verifyPaymentAmount(session, amount, currency);
+
+      const { customerId, orders, invoice } = await this.placeOrders(client, {
+        items: session.items,
+        customer: session.customer,
+        status: "confirmed",
+        paymentStatus: "paid",
+        historyNote,
+        checkoutSessionId: session.id,
+        currency: session.currency,
+        // Honor the discount priced into the session even if the coupon has since run out
+        coupon: session.coupon_id
+          ? { id: session.coupon_id, code: session.coupon_code }
+          : null,
+        discountAmount: parseFloat(session.discount_amount || 0),
+        tax: session.tax,
+        payment: {
+          method,
+          paymentId,
+          currency: session.currency,
+          status: "paid",
+          gatewayResponse,
+        },
+      });
+
+      await client.query(
+        "UPDATE checkout_sessions SET status = $1, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        ["completed", session.id]
+      );
+      await checkoutRecoveryService.markRecovered(client, method, paymentId);
+
+      await this.db.commitTransaction(client);
+
+      return {
+        session,
+        customer: session.customer,
+        customerId,
+        items: session.items,
+        totalAmount: parseFloat(session.total_amount),
+        orders,
+        invoice,
+        replayed: false,
+      };
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Record a failed payment attempt; returns false if the session is unknown
+  async failSession({ method, paymentId, gatewayResponse = null }) {
+    const result = await this.db.query(
+      "UPDATE checkout_sessions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE payment_method = $2 AND payment_id = $3 AND status = 'open' RETURNING id",
+      ["failed", method, paymentId]
+    );
+
+    await this.db.query(
+      `UPDATE payments SET status = $1, gateway_response = COALESCE($2, gateway_response), updated_at = CURRENT_TIMESTAMP
+       WHERE payment_method = $3 AND payment_id = $4 AND status = 'pending'`,
+      [
+        "failed",
+        gatewayResponse ? JSON.stringify(gatewayResponse) : null,
+        method,
+        paymentId,
+      ]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Mark the unpaid orders behind a gateway payment as paid, for payments
+   * confirmed outside the browser flow (e.g. a PayPal capture webhook).
+   * Orders that are already paid are returned untouched with replayed: true.
+   */
+  async confirmPayment({
+    method,
+    paymentId,
+    captureId = null,
+    payerId = null,
+    amount = null,
+    currency = BASE_CURRENCY,
+    gatewayResponse = null,
+    historyNote = "Payment received and confirmed",
+  }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const orderResult = await client.query(
+        `SELECT o.*, c.name as customer_name, c.email as customer_email, c.website as customer_website
+         FROM orders o
+         JOIN customers c ON o.customer_id = c.id
+         WHERE o.id IN (SELECT order_id FROM payments WHERE payment_method = $1 AND payment_id = $2)
+         ORDER BY o.id ASC
+         FOR UPDATE OF o`,
+        [method, paymentId]
+      );
+
+      const orders = orderResult.rows;
+
+      if (orders.length === 0) {
+        throw new CheckoutError("No orders found for payment", 404);
+      }
+
+      const totalAmount = roundAmount(
+        orders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0)
+      );
+      const customer = {
+        name: orders[0].customer_name,
+        email: orders[0].customer_email,
+        website: orders[0].customer_website,
+      };
+      const unpaid = orders.filter((order) =>
+        ["pending", "failed"].includes(order.payment_status)
+      );
+
+      if (unpaid.length === 0) {
+        await this.db.commitTransaction(client);
+        return { customer, orders, totalAmount, replayed: true };
+      }
+
+      if (amount !== null && Math.abs(parseFloat(amount) - totalAmount) > 0.01) {
+        throw new CheckoutError("Payment amount does not match orders");
+      }
+
+      if (String(currency).toUpperCase() !== (orders[0].currency || BASE_CURRENCY)) {
+        throw new CheckoutError("Payment currency does not match orders");
+      }
+
+      const invoice = await this.markOrdersPaid(client, unpaid, {
+        method,
+        paymentId,
+        captureId,
+        payerId,
+        currency,
+        gatewayResponse,
+        historyNote,
+      });
+
+      await this.db.commitTransaction(client);
+
+      return {
+        customer,
+        orders: orders.map((order) =>
+          unpaid.includes(order)
+            ? { ...order, status: "confirmed", payment_status: "paid" }
+            : order
+        ),
+        totalAmount,
+        invoice,
+        replayed: false,
+      };
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  /**
+   * Move every order paid by a gateway payment to a new payment status
+   * (refunded, disputed, ...) and note the change in each order's history.
+   * Returns the updated orders.
+   */
+  async updatePaymentStatus({
+    method,
+    paymentId = null,
+    captureId = null,
+    paymentStatus,
+    historyNote,
+    gatewayResponse = null,
+  }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      // Merge the event details into the stored gateway response rather than replacing it
+      const paymentResult = await client.query(
+        `UPDATE payments SET status = $1, gateway_response = COALESCE(gateway_response, '{}'::jsonb) || COALESCE($2::jsonb, '{}'::jsonb), updated_at = CURRENT_TIMESTAMP
+         WHERE payment_method = $3 AND (payment_id = $4 OR capture_id = $5) AND status <> $1
+         RETURNING order_id`,
+        [
+          paymentStatus,
+          gatewayResponse ? JSON.stringify(gatewayResponse) : null,
+          method,
+          paymentId,
+          captureId,
+        ]
+      );
+
+      const orderIds = paymentResult.rows.map((row) => row.order_id);
+      const orders = [];
+
+      if (orderIds.length > 0) {
+        const orderResult = await client.query(
+          "UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2) RETURNING *",
+          [paymentStatus, orderIds]
+        );
+
+        for (const order of orderResult.rows) {
+          await client.query(
+            "INSERT INTO order_status_history (order_id, status, notes) VALUES ($1, $2, $3)",
+            [order.id, order.status, historyNote]
+          );
+          orders.push(order);
+        }
+      }
+
+      await this.db.commitTransaction(client);
+      return orders;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Orders created from a checkout session, in creation order
+  async getSessionOrders(client, sessionId) {
+    const result = await client.query(
+      "SELECT * FROM orders WHERE checkout_session_id = $1 ORDER BY id ASC",
+      [sessionId]
+    );
+    return result.rows;
+  }
+
+  // Shape an order row for API responses and confirmation emails
+  formatOrder(order) {
+    return {
+      id: order.id,
+      trackingId: order.tracking_id,
+      serviceName: order.service_name,
+      serviceTierName: order.service_tier_name,
+      quantity: order.quantity,
+      totalAmount: parseFloat(order.total_amount),
+      listTotal: order.price_breakdown
+        ? order.price_breakdown.listTotal
+        : roundAmount(parseFloat(order.service_price) * order.quantity),
+      adjustments: order.price_breakdown?.adjustments || [],
+      netAmount: parseFloat(order.net_amount ?? order.total_amount),
+      taxRate: parseFloat(order.tax_rate || 0),
+      taxAmount: parseFloat(order.tax_amount || 0),
+      taxTreatment: order.tax_treatment || "none",
+      discountAmount: parseFloat(order.discount_amount || 0),
+      couponCode: order.coupon_code || null,
+      currency: order.currency,
+      deliveryDays: order.delivery_days,
+      status: order.status,
+      paymentStatus: order.payment_status,
+    };
+  }
+}
+
+export const checkoutService = new CheckoutService();
+export default CheckoutService;
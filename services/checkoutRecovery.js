@@ -0,0 +1,416 @@
+import crypto from "crypto";
+import { query } from "../config/database.js";
+import { emailService } from "./email.js";
+import { stripeService } from "./stripe.js";
+import { paypalService } from "./paypal.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Checkouts older than this are never picked up (e.g. on the first run after deploying)
+const DETECTION_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+// Stripe PaymentIntent statuses the customer can still pay from
+const RESUMABLE_STRIPE_STATUSES = ["requires_payment_method", "requires_confirmation", "requires_action"];
+
+// Error raised for unknown or already paid recovery links (maps to a 4xx)
+export class CheckoutRecoveryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CheckoutRecoveryError";
+    this.status = status;
+  }
+}
+
+// "1,24,72" -> [1, 24, 72]: hours after the checkout started that each reminder goes out
+const parseReminderHours = (value) =>
+  value
+    .split(",")
+    .map((hours) => parseFloat(hours))
+    .filter((hours) => hours > 0)
+    .sort((a, b) => a - b);
+
+/**
+ * Finds Stripe and PayPal checkouts that were started but never paid, emails
+ * the customer a link back to their cart on the ABANDONED_CHECKOUT_REMINDER_HOURS
+ * schedule and records which of them were paid in the end.
+ */
+class CheckoutRecoveryService {
+  constructor(
+    db = { query },
+    mailer = emailService,
+    gateways = { stripe: stripeService, paypal: paypalService }
+  ) {
+    this.db = db;
+    this.mailer = mailer;
+    this.gateways = gateways;
+    this.reminderHours = parseReminderHours(process.env.ABANDONED_CHECKOUT_REMINDER_HOURS || "1,24,72");
+    this.reminderTimer = null;
+  }
+
+  resumeUrl(token) {
+    return `${process.env.FRONTEND_URL}/checkout/resume?token=${token}`;
+  }
+
+  optOutUrl(token) {
+    return `${process.env.FRONTEND_URL}/checkout/unsubscribe?token=${token}`;
+  }
+
+  /**
+   * Record unpaid checkouts whose first reminder is due: open or failed
+   * Stripe sessions, and PayPal orders created via /create but never
+   * captured. Returns the number recorded.
+   */
+  async detectAbandoned(now = new Date()) {
+    if (this.reminderHours.length === 0) {
+      return 0;
+    }
+
+    const startedBefore = new Date(now.getTime() - this.reminderHours[0] * HOUR_MS);
+    const startedAfter = new Date(now.getTime() - DETECTION_WINDOW_MS);
+
+    const [sessionsResult, paypalResult] = await Promise.all([
+      this.db.query(
+        `SELECT s.payment_method, s.payment_id, s.customer, s.items, s.coupon_code, s.total_amount, s.currency, s.created_at AS started_at
+         FROM checkout_sessions s
+         WHERE s.status IN ('open', 'failed') AND s.payment_id IS NOT NULL
+           AND s.created_at <= $1 AND s.created_at > $2
+           AND NOT EXISTS (
+             SELECT 1 FROM abandoned_checkouts a
+             WHERE a.payment_method = s.payment_method AND a.payment_id = s.payment_id
+           )`,
+        [startedBefore, startedAfter]
+      ),
+      this.db.query(
+        `SELECT p.payment_method, p.payment_id,
+                json_build_object('name', MIN(c.name), 'email', MIN(c.email), 'website', MIN(c.website), 'country', MIN(c.country), 'vatId', MIN(c.vat_id)) AS customer,
+                json_agg(json_build_object(
+                  'serviceId', o.service_tier_id, 'serviceName', o.service_name, 'tierName', o.service_tier_name,
+                  'quantity', o.quantity, 'keywords', o.keywords, 'total', o.total_amount
+                ) ORDER BY o.id) AS items,
+                MAX(o.coupon_code) AS coupon_code, SUM(o.total_amount) AS total_amount,
+                MIN(o.currency) AS currency, MIN(o.created_at) AS started_at
+         FROM payments p
+         JOIN orders o ON o.id = p.order_id
+         JOIN customers c ON c.id = o.customer_id
+         WHERE p.payment_method = 'paypal' AND p.status = 'pending' AND o.status = 'pending'
+           AND NOT EXISTS (
+             SELECT 1 FROM abandoned_checkouts a
+             WHERE a.payment_method = p.payment_method AND a.payment_id = p.payment_id
+           )
+         GROUP BY p.payment_method, p.payment_id
+         HAVING MIN(o.created_at) <= $1 AND MIN(o.created_at) > $2`,
+        [startedBefore, startedAfter]
+      ),
+    ]);
+
+    let recorded = 0;
+
+    for (const checkout of [...sessionsResult.rows, ...paypalResult.rows]) {
+      const result = await this.db.query(
+        `INSERT INTO abandoned_checkouts (token, payment_method, payment_id, customer, customer_email, items, coupon_code, total_amount, currency, started_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (payment_method, payment_id) DO NOTHING
+         RETURNING id`,
+        [
+          crypto.randomBytes(24).toString("hex"),
+          checkout.payment_method,
+          checkout.payment_id,
+          JSON.stringify(checkout.customer),
+          checkout.customer.email,
+          JSON.stringify(checkout.items),
+          checkout.coupon_code,
+          checkout.total_amount,
+          checkout.currency,
+          checkout.started_at,
+        ]
+      );
+      recorded += result.rows.length;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Email every open checkout whose next reminder is due. Customers who opted
+   * out or have paid for a newer order since are skipped. Returns the number
+   * of reminders sent.
+   */
+  async sendDueReminders(now = new Date()) {
+    const result = await this.db.query(
+      `SELECT a.* FROM abandoned_checkouts a
+       WHERE a.status = 'open' AND a.reminders_sent < $1
+         AND NOT EXISTS (SELECT 1 FROM checkout_reminder_opt_outs x WHERE x.email = a.customer_email)
+         AND NOT EXISTS (
+           SELECT 1 FROM orders o JOIN customers c ON c.id = o.customer_id
+           WHERE c.email = a.customer_email AND o.payment_status = 'paid' AND o.created_at > a.started_at
+         )
+       ORDER BY a.started_at ASC`,
+      [this.reminderHours.length]
+    );
+    let sent = 0;
+
+    for (const checkout of result.rows) {
+      const dueAt = new Date(checkout.started_at).getTime() + this.reminderHours[checkout.reminders_sent] * HOUR_MS;
+
+      if (dueAt > now.getTime()) {
+        continue;
+      }
+
+      // Claim the reminder first so two job runs never send it twice
+      const claimed = await this.db.query(
+        `UPDATE abandoned_checkouts SET reminders_sent = reminders_sent + 1, last_reminder_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'open' AND reminders_sent = $2 RETURNING reminders_sent`,
+        [checkout.id, checkout.reminders_sent]
+      );
+
+      if (claimed.rows.length === 0) {
+        continue;
+      }
+
+      const reminderNumber = claimed.rows[0].reminders_sent;
+
+      try {
+        await this.mailer.sendAbandonedCheckoutReminder(checkout.customer_email, {
+          customerName: checkout.customer.name,
+          items: checkout.items,
+          totalAmount: parseFloat(checkout.total_amount).toFixed(2),
+          currency: checkout.currency,
+          resumeUrl: this.resumeUrl(checkout.token),
+          optOutUrl: this.optOutUrl(checkout.token),
+          finalReminder: reminderNumber === this.reminderHours.length,
+        });
+        sent++;
+      } catch (emailError) {
+        console.error("Failed to send abandoned checkout reminder:", emailError);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Mark the abandoned checkout behind a payment as recovered. Runs inside the
+   * transaction that confirms the payment; payments for checkouts that were
+   * never abandoned match nothing.
+   */
+  async markRecovered(client, method, paymentId) {
+    await client.query(
+      `UPDATE abandoned_checkouts SET status = 'recovered', recovered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE payment_method = $1 AND payment_id = $2 AND status = 'open'`,
+      [method, paymentId]
+    );
+  }
+
+  async getByToken(token) {
+    const result = await this.db.query("SELECT * FROM abandoned_checkouts WHERE token = $1", [token]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The cart behind a recovery link, plus what the customer needs to pay the
+   * original gateway payment if it can still be used (a Stripe client secret
+   * or a PayPal approval URL). Without it the frontend starts a new checkout
+   * from the cart.
+   */
+  async getResumeDetails(token) {
+    const checkout = await this.getByToken(token);
+
+    if (!checkout) {
+      throw new CheckoutRecoveryError("Checkout not found", 404);
+    }
+
+    if (checkout.status === "recovered") {
+      throw new CheckoutRecoveryError("This checkout has already been paid", 409);
+    }
+
+    let payment = null;
+
+    try {
+      if (checkout.payment_method === "stripe") {
+        const paymentIntent = await this.gateways.stripe.getPaymentIntent(checkout.payment_id);
+        if (RESUMABLE_STRIPE_STATUSES.includes(paymentIntent.status)) {
+          payment = { paymentIntentId: paymentIntent.id, clientSecret: paymentIntent.client_secret };
+        }
+      } else {
+        const paypalOrder = await this.gateways.paypal.getOrderDetails(checkout.payment_id);
+        const approveLink = paypalOrder.links?.find((link) => ["approve", "payer-action"].includes(link.rel));
+        if (["CREATED", "PAYER_ACTION_REQUIRED"].includes(paypalOrder.status) && approveLink) {
+          payment = { paypalOrderId: paypalOrder.id, approvalUrl: approveLink.href };
+        } else if (paypalOrder.status === "APPROVED") {
+          payment = { paypalOrderId: paypalOrder.id, approved: true };
+        }
+      }
+    } catch (error) {
+      // Expired or unknown at the gateway: the customer checks out again from the cart
+      console.error("Checkout recovery gateway lookup error:", error.message);
+    }
+
+    return {
+      paymentMethod: checkout.payment_method,
+      customer: checkout.customer,
+      items: checkout.items,
+      cart: checkout.items.map((item) => ({
+        serviceId: item.serviceId,
+        quantity: item.quantity,
+        keywords: item.keywords,
+      })),
+      couponCode: checkout.coupon_code,
+      totalAmount: parseFloat(checkout.total_amount),
+      currency: checkout.currency,
+      payment,
+    };
+  }
+
+  // Stop reminders to the email behind a recovery link; returns false for unknown tokens
+  async optOut(token) {
+    const checkout = await this.getByToken(token);
+
+    if (!checkout) {
+      return false;
+    }
+
+    await this.db.query(
+      "INSERT INTO checkout_reminder_opt_outs (email) VALUES ($1) ON CONFLICT (email) DO NOTHING",
+      [checkout.customer_email]
+    );
+    return true;
+  }
+
+  async listAbandoned({ status, search, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`a.status = $${params.length}`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`a.customer_email ILIKE $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const [checkoutsResult, countResult] = await Promise.all([
+      this.db.query(
+        `SELECT a.*, EXISTS (SELECT 1 FROM checkout_reminder_opt_outs x WHERE x.email = a.customer_email) AS opted_out
+         FROM abandoned_checkouts a
+         ${whereClause}
+         ORDER BY a.started_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(`SELECT COUNT(*) as total FROM abandoned_checkouts a ${whereClause}`, params),
+    ]);
+
+    return {
+      checkouts: checkoutsResult.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  /**
+   * Recovery figures for checkouts started in [from, to): how many were
+   * abandoned, how many of those were paid after all, and the amounts per
+   * currency.
+   */
+  async getReport({ from, to }) {
+    const [summaryResult, currencyResult] = await Promise.all([
+      this.db.query(
+        `SELECT COUNT(*) AS abandoned,
+                COUNT(*) FILTER (WHERE status = 'recovered') AS recovered,
+                COUNT(*) FILTER (WHERE reminders_sent > 0) AS reminded,
+                COUNT(*) FILTER (WHERE status = 'recovered' AND reminders_sent > 0) AS recovered_after_reminder,
+                COUNT(*) FILTER (WHERE customer_email IN (SELECT email FROM checkout_reminder_opt_outs)) AS opted_out
+         FROM abandoned_checkouts
+         WHERE started_at >= $1 AND started_at < $2`,
+        [from, to]
+      ),
+      this.db.query(
+        `SELECT currency,
+                COALESCE(SUM(total_amount) FILTER (WHERE status = 'recovered'), 0) AS recovered_amount,
+                COALESCE(SUM(total_amount) FILTER (WHERE status = 'open'), 0) AS open_amount
+         FROM abandoned_checkouts
+         WHERE started_at >= $1 AND started_at < $2
+         GROUP BY currency
+         ORDER BY currency`,
+        [from, to]
+      ),
+    ]);
+
+    const summary = summaryResult.rows[0];
+    const abandoned = parseInt(summary.abandoned);
+    const recovered = parseInt(summary.recovered);
+
+    return {
+      from,
+      to,
+      abandoned,
+      recovered,
+      reminded: parseInt(summary.reminded),
+      recoveredAfterReminder: parseInt(summary.recovered_after_reminder),
+      optedOut: parseInt(summary.opted_out),
+      recoveryRate: abandoned > 0 ? Math.round((recovered / abandoned) * 1000) / 10 : 0,
+      amounts: currencyResult.rows.map((row) => ({
+        currency: row.currency,
+        recovered: parseFloat(row.recovered_amount),
+        open: parseFloat(row.open_amount),
+      })),
+    };
+  }
+
+  // Shape an abandoned_checkouts row for API responses
+  formatCheckout(checkout) {
+    return {
+      id: checkout.id,
+      paymentMethod: checkout.payment_method,
+      paymentId: checkout.payment_id,
+      customerName: checkout.customer.name,
+      customerEmail: checkout.customer_email,
+      items: checkout.items,
+      couponCode: checkout.coupon_code,
+      totalAmount: parseFloat(checkout.total_amount),
+      currency: checkout.currency,
+      status: checkout.status,
+      remindersSent: checkout.reminders_sent,
+      lastReminderAt: checkout.last_reminder_at,
+      optedOut: Boolean(checkout.opted_out),
+      startedAt: checkout.started_at,
+      recoveredAt: checkout.recovered_at,
+    };
+  }
+
+  // Look for abandoned checkouts and send due reminders every `intervalMs` until stopped
+  startReminderJob(intervalMs = 15 * 60 * 1000) {
+    if (this.reminderTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const detected = await this.detectAbandoned();
+        const sent = await this.sendDueReminders();
+        if (detected > 0 || sent > 0) {
+          console.log(`🛒 Abandoned checkouts: ${detected} new, ${sent} reminder(s) sent`);
+        }
+      } catch (error) {
+        console.error("Abandoned checkout job error:", error);
+      }
+    };
+
+    this.reminderTimer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for this job
+    this.reminderTimer.unref();
+    run();
+  }
+
+  stopReminderJob() {
+    clearInterval(this.reminderTimer);
+    this.reminderTimer = null;
+  }
+}
+
+export const checkoutRecoveryService = new CheckoutRecoveryService();
+export default CheckoutRecoveryService;
@@ -0,0 +1,334 @@
+import { query } from "../config/database.js";
+import { currencyService, BASE_CURRENCY, roundAmount } from "./currency.js";
+
+// Error raised when a coupon cannot be applied or saved (maps to a 4xx)
+export class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CouponError";
+    this.status = status;
+  }
+}
+
+// Request fields an admin may set, mapped to their coupons column
+const COUPON_FIELDS = {
+  description: "description",
+  discountType: "discount_type",
+  discountValue: "discount_value",
+  tierIds: "tier_ids",
+  categoryIds: "category_ids",
+  minCartAmount: "min_cart_amount",
+  maxUses: "max_uses",
+  maxUsesPerCustomer: "max_uses_per_customer",
+  startsAt: "starts_at",
+  expiresAt: "expires_at",
+  isActive: "is_active",
+};
+
+const JSON_COLUMNS = ["tier_ids", "category_ids"];
+
+class CouponService {
+  constructor(db = { query }) {
+    this.db = db;
+  }
+
+  // Codes are matched case-insensitively and stored upper-case
+  normalizeCode(code) {
+    return String(code || "").trim().toUpperCase();
+  }
+
+  async findByCode(client, code, { forUpdate = false } = {}) {
+    const result = await client.query(
+      `SELECT * FROM coupons WHERE code = $1 AND deleted_at IS NULL${
+        forUpdate ? " FOR UPDATE" : ""
+      }`,
+      [this.normalizeCode(code)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a coupon's redemptions overall and for one customer. Checkouts whose
+   * orders were cancelled or never paid do not use up the coupon.
+   */
+  async countRedemptions(client, couponId, customerEmail = null) {
+    const result = await client.query(
+      `SELECT COUNT(*) AS total_uses,
+              COUNT(*) FILTER (WHERE LOWER(r.customer_email) = LOWER($2)) AS customer_uses
+       FROM coupon_redemptions r
+       JOIN orders o ON o.id = r.order_id
+       WHERE r.coupon_id = $1 AND o.status <> 'cancelled' AND o.payment_status <> 'failed'`,
+      [couponId, customerEmail]
+    );
+
+    return {
+      totalUses: parseInt(result.rows[0].total_uses),
+      customerUses: parseInt(result.rows[0].customer_uses),
+    };
+  }
+
+  // Whether a coupon's tier/category restrictions cover a line item
+  appliesTo(coupon, item) {
+    const tierIds = coupon.tier_ids || [];
+    const categoryIds = coupon.category_ids || [];
+
+    if (tierIds.length === 0 && categoryIds.length === 0) {
+      return true;
+    }
+
+    return tierIds.includes(item.serviceId) || categoryIds.includes(item.categoryId);
+  }
+
+  /**
+   * Check a coupon against priced line items and spread its discount over the
+   * items it applies to. Fixed amounts and the minimum cart value are set in
+   * the base currency and converted at `rate`. Returns { coupon, items,
+   * discountAmount } where each item's total has its share taken off.
+   */
+  async applyCoupon(
+    client,
+    { code, items, currency = BASE_CURRENCY, rate = 1, customerEmail = null, lock = false }
+  ) {
+    const coupon = await this.findByCode(client, code, { forUpdate: lock });
+
+    if (!coupon || !coupon.is_active) {
+      throw new CouponError("Coupon code is not valid");
+    }
+
+    const now = new Date();
+
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+      throw new CouponError("Coupon is not active yet");
+    }
+
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      throw new CouponError("Coupon has expired");
+    }
+
+    if (coupon.max_uses !== null || coupon.max_uses_per_customer !== null) {
+      const { totalUses, customerUses } = await this.countRedemptions(
+        client,
+        coupon.id,
+        customerEmail
+      );
+
+      if (coupon.max_uses !== null && totalUses >= coupon.max_uses) {
+        throw new CouponError("Coupon usage limit has been reached");
+      }
+
+      if (
+        customerEmail &&
+        coupon.max_uses_per_customer !== null &&
+        customerUses >= coupon.max_uses_per_customer
+      ) {
+        throw new CouponError("You have already used this coupon");
+      }
+    }
+
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+    if (coupon.min_cart_amount !== null) {
+      const minimum = currencyService.convert(parseFloat(coupon.min_cart_amount), rate);
+
+      if (subtotal < minimum) {
+        throw new CouponError(
+          `Coupon requires a minimum order of ${minimum.toFixed(2)} ${currency}`
+        );
+      }
+    }
+
+    const eligible = items.filter((item) => this.appliesTo(coupon, item));
+
+    if (eligible.length === 0) {
+      throw new CouponError("Coupon does not apply to any item in the cart");
+    }
+
+    const eligibleSubtotal = roundAmount(
+      eligible.reduce((sum, item) => sum + item.subtotal, 0)
+    );
+    const discountValue = parseFloat(coupon.discount_value);
+    const discount =
+      coupon.discount_type === "percentage"
+        ? roundAmount((eligibleSubtotal * Math.min(discountValue, 100)) / 100)
+        : Math.min(currencyService.convert(discountValue, rate), eligibleSubtotal);
+
+    // Pro-rata shares rounded to cents; the last eligible item absorbs the remainder
+    const shares = new Map();
+    let remaining = discount;
+    eligible.forEach((item, index) => {
+      const share =
+        index === eligible.length - 1
+          ? Math.min(roundAmount(remaining), item.subtotal)
+          : Math.min(roundAmount((discount * item.subtotal) / eligibleSubtotal), item.subtotal);
+      shares.set(item, share);
+      remaining -= share;
+    });
+
+    const discountedItems = items.map((item) => {
+      const share = shares.get(item) || 0;
+      return { ...item, discount: share, total: roundAmount(item.subtotal - share) };
+    });
+
+    return {
+      coupon,
+      items: discountedItems,
+      discountAmount: roundAmount(
+        discountedItems.reduce((sum, item) => sum + item.discount, 0)
+      ),
+    };
+  }
+
+  // Count a checkout against the coupon's usage limits
+  async recordRedemption(
+    client,
+    { couponId, orderId, customerEmail, discountAmount, currency = BASE_CURRENCY }
+  ) {
+    await client.query(
+      `INSERT INTO coupon_redemptions (coupon_id, order_id, customer_email, discount_amount, currency)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [couponId, orderId, customerEmail, discountAmount, currency]
+    );
+  }
+
+  // Public summary of an applied coupon
+  formatCoupon(coupon) {
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discount_type,
+      discountValue: parseFloat(coupon.discount_value),
+    };
+  }
+
+  async listCoupons({ search, isActive, page = 1, limit = 20 } = {}) {
+    const conditions = ["c.deleted_at IS NULL"];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(
+        `(c.code ILIKE $${params.length} OR c.description ILIKE $${params.length})`
+      );
+    }
+
+    if (isActive !== undefined) {
+      params.push(isActive);
+      conditions.push(`c.is_active = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(" AND ")}`;
+    const offset = (page - 1) * limit;
+
+    const [couponsResult, countResult] = await Promise.all([
+      this.db.query(
+        `SELECT c.*,
+                (SELECT COUNT(*) FROM coupon_redemptions r WHERE r.coupon_id = c.id) AS redemption_count
+         FROM coupons c
+         ${whereClause}
+         ORDER BY c.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(`SELECT COUNT(*) as total FROM coupons c ${whereClause}`, params),
+    ]);
+
+    return {
+      coupons: couponsResult.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  // A coupon with its redemption history
+  async getCoupon(id) {
+    const couponResult = await this.db.query(
+      "SELECT * FROM coupons WHERE id = $1 AND deleted_at IS NULL",
+      [id]
+    );
+
+    if (couponResult.rows.length === 0) {
+      return null;
+    }
+
+    const redemptionsResult = await this.db.query(
+      `SELECT r.*, o.tracking_id, o.status as order_status, o.payment_status
+       FROM coupon_redemptions r
+       LEFT JOIN orders o ON o.id = r.order_id
+       WHERE r.coupon_id = $1
+       ORDER BY r.created_at DESC`,
+      [id]
+    );
+
+    return { coupon: couponResult.rows[0], redemptions: redemptionsResult.rows };
+  }
+
+  async createCoupon(data) {
+    const columns = ["code"];
+    const values = [this.normalizeCode(data.code)];
+
+    for (const [field, column] of Object.entries(COUPON_FIELDS)) {
+      if (data[field] === undefined) continue;
+      columns.push(column);
+      values.push(JSON_COLUMNS.includes(column) ? JSON.stringify(data[field]) : data[field]);
+    }
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO coupons (${columns.join(", ")})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")}) RETURNING *`,
+        values
+      );
+      return result.rows[0];
+    } catch (error) {
+      // 23505 = unique_violation (duplicate code)
+      if (error.code === "23505") {
+        throw new CouponError("A coupon with this code already exists", 409);
+      }
+      throw error;
+    }
+  }
+
+  // Partial update; the code itself cannot change once customers may have it
+  async updateCoupon(id, data) {
+    const setClauses = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(COUPON_FIELDS)) {
+      if (data[field] === undefined) continue;
+      params.push(JSON_COLUMNS.includes(column) ? JSON.stringify(data[field]) : data[field]);
+      setClauses.push(`${column} = $${params.length}`);
+    }
+
+    if (setClauses.length === 0) {
+      throw new CouponError("No fields to update");
+    }
+
+    params.push(id);
+    const result = await this.db.query(
+      `UPDATE coupons SET ${setClauses.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length} AND deleted_at IS NULL RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      throw new CouponError("Coupon not found", 404);
+    }
+
+    return result.rows[0];
+  }
+
+  // Soft delete so redemptions and order history keep their coupon
+  async deleteCoupon(id) {
+    const result = await this.db.query(
+      `UPDATE coupons SET deleted_at = CURRENT_TIMESTAMP, is_active = false
+       WHERE id = $1 AND deleted_at IS NULL RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new CouponError("Coupon not found", 404);
+    }
+  }
+}
+
+export const couponService = new CouponService();
+export default CouponService;
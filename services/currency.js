@@ -0,0 +1,78 @@
+import { query } from "../config/database.js";
+
+// service_tiers.price is stored in this currency; everything else converts from it
+export const BASE_CURRENCY = "USD";
+
+// Gateways are sent amounts in minor units (cents), so only two-decimal currencies work
+export const ZERO_DECIMAL_CURRENCIES = [
+  "BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA",
+  "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF",
+];
+
+// Round to cents to avoid floating point drift when summing prices
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class CurrencyService {
+  constructor(db = { query }) {
+    this.db = db;
+  }
+
+  // Upper-case a currency code, falling back to the base currency
+  normalize(currency) {
+    return String(currency || BASE_CURRENCY).trim().toUpperCase();
+  }
+
+  // Rate from the base currency, or null when the currency is not enabled
+  async getRate(currency, client = this.db) {
+    if (currency === BASE_CURRENCY) {
+      return 1;
+    }
+
+    const result = await client.query(
+      "SELECT rate FROM exchange_rates WHERE currency = $1 AND is_active = true",
+      [currency]
+    );
+
+    return result.rows.length > 0 ? parseFloat(result.rows[0].rate) : null;
+  }
+
+  // Rates for every enabled currency, base currency included
+  async getRates(client = this.db) {
+    const result = await client.query(
+      "SELECT currency, rate FROM exchange_rates WHERE is_active = true ORDER BY currency ASC"
+    );
+
+    const rates = { [BASE_CURRENCY]: 1 };
+    for (const row of result.rows) {
+      rates[row.currency] = parseFloat(row.rate);
+    }
+    return rates;
+  }
+
+  // Convert a base-currency amount, rounded to cents
+  convert(amount, rate) {
+    return Math.round(amount * rate * 100) / 100;
+  }
+
+  async listRates() {
+    const result = await this.db.query(
+      "SELECT currency, rate, is_active, updated_at FROM exchange_rates ORDER BY currency ASC"
+    );
+    return result.rows;
+  }
+
+  async setRate(currency, { rate, isActive = true }) {
+    const result = await this.db.query(
+      `INSERT INTO exchange_rates (currency, rate, is_active)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (currency) DO UPDATE
+         SET rate = EXCLUDED.rate, is_active = EXCLUDED.is_active, updated_at = CURRENT_TIMESTAMP
+       RETURNING currency, rate, is_active, updated_at`,
+      [currency, rate, isActive]
+    );
+    return result.rows[0];
+  }
+}
+
+export const currencyService = new CurrencyService();
+export default CurrencyService;
@@ -0,0 +1,235 @@
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { query } from "../config/database.js";
+import { emailService } from "./email.js";
+
+// Claim that marks a signed token as a login link rather than a session
+const MAGIC_LINK_PURPOSE = "customer-login";
+
+// Error raised for invalid login links or missing customer records (maps to a 4xx)
+export class CustomerAccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CustomerAccountError";
+    this.status = status;
+  }
+}
+
+/**
+ * Passwordless customer accounts. A customer asks for a login link, which
+ * carries a short-lived signed token that can be exchanged once for a session
+ * (see generateCustomerToken); the session gives access to every order placed
+ * under their email.
+ */
+class CustomerAccountService {
+  constructor(db = { query }, mailer = emailService) {
+    this.db = db;
+    this.mailer = mailer;
+    this.linkTtlMinutes = parseInt(process.env.CUSTOMER_MAGIC_LINK_TTL_MINUTES) || 15;
+  }
+
+  /**
+   * Email a login link to the customer with this email. Returns whether one
+   * was sent: false for unknown emails, and also when looking up, creating or
+   * sending the link fails, which is logged rather than thrown so callers can
+   * run it without waiting for it and don't reveal which emails have accounts.
+   */
+  async requestMagicLink(email) {
+    try {
+      const result = await this.db.query("SELECT id, name, email FROM customers WHERE email = $1", [email]);
+      const customer = result.rows[0];
+
+      if (!customer) {
+        return false;
+      }
+
+      const jti = uuidv4();
+      const expiresAt = new Date(Date.now() + this.linkTtlMinutes * 60 * 1000);
+
+      await this.db.query(
+        "INSERT INTO customer_login_tokens (jti, customer_id, expires_at) VALUES ($1, $2, $3)",
+        [jti, customer.id, expiresAt]
+      );
+
+      const token = jwt.sign(
+        { customerId: customer.id, purpose: MAGIC_LINK_PURPOSE },
+        process.env.JWT_SECRET,
+        { jwtid: jti, expiresIn: this.linkTtlMinutes * 60 }
+      );
+
+      await this.mailer.sendMagicLink(customer.email, {
+        customerName: customer.name,
+        loginUrl: `${process.env.FRONTEND_URL}/account/login?token=${token}`,
+        expiresInMinutes: this.linkTtlMinutes,
+      });
+    } catch (error) {
+      console.error("Magic link email error:", error);
+      return false;
+    }
+
+    return true;
+  }
+
+  // Exchange a login link token for its customer; each link works once
+  async verifyMagicLink(token) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new CustomerAccountError("This login link is invalid or has expired", 401);
+    }
+
+    if (decoded.purpose !== MAGIC_LINK_PURPOSE || !decoded.jti) {
+      throw new CustomerAccountError("This login link is invalid or has expired", 401);
+    }
+
+    const result = await this.db.query(
+      `UPDATE customer_login_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE jti = $1 AND customer_id = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING customer_id`,
+      [decoded.jti, decoded.customerId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new CustomerAccountError("This login link has already been used", 401);
+    }
+
+    const customer = await this.getCustomer(decoded.customerId);
+
+    if (!customer) {
+      throw new CustomerAccountError("Customer not found", 404);
+    }
+
+    return customer;
+  }
+
+  async getCustomer(customerId) {
+    const result = await this.db.query(
+      "SELECT id, name, email, website, phone, country, vat_id, created_at FROM customers WHERE id = $1",
+      [customerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Update the fields customers may change themselves (website and phone)
+  async updateProfile(customerId, { website, phone }) {
+    const updates = [];
+    const params = [];
+
+    if (website !== undefined) {
+      params.push(website);
+      updates.push(`website = $${params.length}`);
+    }
+
+    if (phone !== undefined) {
+      params.push(phone || null);
+      updates.push(`phone = $${params.length}`);
+    }
+
+    if (updates.length === 0) {
+      return this.getCustomer(customerId);
+    }
+
+    params.push(customerId);
+    const result = await this.db.query(
+      `UPDATE customers SET ${updates.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length}
+       RETURNING id, name, email, website, phone, country, vat_id, created_at`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  async listOrders(customerId, { status, page = 1, limit = 20 } = {}) {
+    const conditions = ["o.customer_id = $1"];
+    const params = [customerId];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`o.status = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(" AND ")}`;
+    const offset = (page - 1) * limit;
+
+    const [ordersResult, countResult] = await Promise.all([
+      this.db.query(
+        `SELECT o.*, i.invoice_number
+         FROM orders o
+         LEFT JOIN invoices i ON o.invoice_id = i.id
+         ${whereClause}
+         ORDER BY o.created_at DESC, o.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(`SELECT COUNT(*) as total FROM orders o ${whereClause}`, params),
+    ]);
+
+    return {
+      orders: ordersResult.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  // One of the customer's orders with its status history and current deliverables; null if it isn't theirs
+  async getOrder(customerId, trackingId) {
+    const orderResult = await this.db.query(
+      `SELECT o.*, i.invoice_number, i.issued_at as invoice_issued_at
+       FROM orders o
+       LEFT JOIN invoices i ON o.invoice_id = i.id
+       WHERE o.tracking_id = $1 AND o.customer_id = $2`,
+      [trackingId, customerId]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      return null;
+    }
+
+    const [historyResult, deliverablesResult] = await Promise.all([
+      this.db.query(
+        "SELECT status, notes, created_at FROM order_status_history WHERE order_id = $1 ORDER BY created_at DESC",
+        [order.id]
+      ),
+      this.db.query(
+        `SELECT id, file_name, file_type, file_size, description, version, created_at
+         FROM deliverables
+         WHERE order_id = $1 AND is_current AND visibility = 'customer'
+         ORDER BY created_at ASC`,
+        [order.id]
+      ),
+    ]);
+
+    return { order, history: historyResult.rows, deliverables: deliverablesResult.rows };
+  }
+
+  // The current version of a customer-visible deliverable of one of the customer's orders; null otherwise
+  async getDeliverable(customerId, trackingId, deliverableId) {
+    const result = await this.db.query(
+      `SELECT d.* FROM deliverables d
+       JOIN orders o ON d.order_id = o.id
+       WHERE d.id = $1 AND o.tracking_id = $2 AND o.customer_id = $3
+         AND d.visibility = 'customer' AND d.is_current`,
+      [deliverableId, trackingId, customerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Shape a customers row for API responses
+  formatCustomer(customer) {
+    return {
+      id: customer.id,
+      name: customer.name,
+      email: customer.email,
+      website: customer.website,
+      phone: customer.phone,
+      country: customer.country,
+      vatId: customer.vat_id,
+      createdAt: customer.created_at,
+    };
+  }
+}
+
+export const customerAccountService = new CustomerAccountService();
+export default CustomerAccountService;
@@ -0,0 +1,68 @@
+import { query } from "../config/database.js";
+
+class DashboardService {
+  constructor(db = { query }) {
+    this.db = db;
+  }
+
+  /**
+   * Order counts for the admin dashboard, with paid revenue, this month's
+   * paid revenue and average paid order value per currency. Amounts in
+   * different currencies are never summed together.
+   */
+  async getStats() {
+    const [
+      totalOrdersResult,
+      pendingOrdersResult,
+      inProgressOrdersResult,
+      completedOrdersResult,
+      revenueResult,
+      totalCustomersResult,
+      todayOrdersResult,
+    ] = await Promise.all([
+      this.db.query("SELECT COUNT(*) as count FROM orders"),
+      this.db.query("SELECT COUNT(*) as count FROM orders WHERE status = $1", ["pending"]),
+      this.db.query("SELECT COUNT(*) as count FROM orders WHERE status = $1", ["in_progress"]),
+      this.db.query("SELECT COUNT(*) as count FROM orders WHERE status = $1", ["completed"]),
+      this.db.query(
+        `SELECT currency,
+           COALESCE(SUM(total_amount), 0) as revenue,
+           COALESCE(SUM(total_amount) FILTER (
+             WHERE DATE_TRUNC('month', created_at) = DATE_TRUNC('month', CURRENT_DATE)
+           ), 0) as this_month_revenue,
+           COUNT(*) as orders
+         FROM orders
+         WHERE payment_status = $1
+         GROUP BY currency
+         ORDER BY revenue DESC`,
+        ["paid"]
+      ),
+      this.db.query("SELECT COUNT(DISTINCT customer_id) as count FROM orders"),
+      this.db.query("SELECT COUNT(*) as count FROM orders WHERE DATE(created_at) = CURRENT_DATE"),
+    ]);
+
+    return {
+      totalOrders: parseInt(totalOrdersResult.rows[0].count),
+      pendingOrders: parseInt(pendingOrdersResult.rows[0].count),
+      inProgressOrders: parseInt(inProgressOrdersResult.rows[0].count),
+      completedOrders: parseInt(completedOrdersResult.rows[0].count),
+      totalCustomers: parseInt(totalCustomersResult.rows[0].count),
+      todayOrders: parseInt(todayOrdersResult.rows[0].count),
+      revenueByCurrency: revenueResult.rows.map((row) => {
+        const revenue = parseFloat(row.revenue);
+        const orders = parseInt(row.orders);
+
+        return {
+          currency: row.currency,
+          revenue,
+          thisMonthRevenue: parseFloat(row.this_month_revenue),
+          paidOrders: orders,
+          avgOrderValue: orders > 0 ? revenue / orders : 0,
+        };
+      }),
+    };
+  }
+}
+
+export const dashboardService = new DashboardService();
+export default DashboardService;
@@ -0,0 +1,517 @@
+import crypto from "crypto";
+import path from "path";
+import { query, beginTransaction, commitTransaction, rollbackTransaction } from "../config/database.js";
+import { storage } from "../utils/storage.js";
+import { fileInspectionService, FileInspectionError } from "./fileInspection.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Orders in these statuses can no longer be late
+const FINISHED_STATUSES = ["completed", "cancelled"];
+
+export const DELIVERABLE_VISIBILITIES = ["customer", "internal"];
+
+// Error raised for invalid or expired download links (maps to a 4xx)
+export class DeliverableError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "DeliverableError";
+    this.status = status;
+  }
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * Deliverable files attached to orders and the signed, expiring links
+ * customers download them with. A link token is `<payload>.<signature>`, where
+ * the payload names the download_links row, its deliverable and order and
+ * when it expires, and the signature is an HMAC of it keyed with
+ * DOWNLOAD_LINK_SECRET. The row holds the download count and revocation, so
+ * links can be limited to DOWNLOAD_LINK_MAX_DOWNLOADS uses and revoked by an
+ * admin before they expire.
+ *
+ * Uploading a file with the same name as one of the order's current
+ * deliverables adds a new version of it: the old row stays as history with
+ * is_current false. Internal deliverables are kept for the team and never
+ * listed, linked or sent to the customer.
+ *
+ * Every file is inspected (type, ZIP contents, virus scan; see
+ * services/fileInspection.js) before it's kept, and the result is recorded on
+ * its row.
+ */
+class DeliverableService {
+  constructor(
+    db = { query, beginTransaction, commitTransaction, rollbackTransaction },
+    secret = process.env.DOWNLOAD_LINK_SECRET || process.env.JWT_SECRET,
+    files = storage,
+    inspector = fileInspectionService
+  ) {
+    this.db = db;
+    this.secret = secret;
+    this.files = files;
+    this.inspector = inspector;
+    this.linkTtlHours = parseInt(process.env.DOWNLOAD_LINK_TTL_HOURS) || 24;
+    this.maxDownloads = parseInt(process.env.DOWNLOAD_LINK_MAX_DOWNLOADS) || null;
+  }
+
+  sign(payload) {
+    return crypto.createHmac("sha256", this.secret).update(payload).digest("base64url");
+  }
+
+  // Token and URL for a download_links row
+  signLink(link) {
+    const payload = base64url(
+      JSON.stringify({
+        l: link.id,
+        d: link.deliverable_id,
+        o: link.order_id,
+        exp: new Date(link.expires_at).getTime(),
+      })
+    );
+    const token = `${payload}.${this.sign(payload)}`;
+
+    return {
+      token,
+      url: `/api/orders/downloads/${token}`,
+      expiresAt: link.expires_at,
+    };
+  }
+
+  // New link to one deliverable, valid until `expiresAt` for up to `maxDownloads` downloads
+  async createDownloadLink(
+    deliverable,
+    {
+      expiresAt = new Date(Date.now() + this.linkTtlHours * HOUR_MS),
+      maxDownloads = this.maxDownloads,
+    } = {}
+  ) {
+    const result = await this.db.query(
+      `INSERT INTO download_links (deliverable_id, order_id, expires_at, max_downloads)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [deliverable.id, deliverable.order_id, expiresAt, maxDownloads]
+    );
+    return { link: result.rows[0], ...this.signLink(result.rows[0]) };
+  }
+
+  /**
+   * A link to the deliverable that can still be used for at least an hour,
+   * reusing the newest one if there is one so viewing an order repeatedly
+   * doesn't mint a link each time.
+   */
+  async getDownloadLink(deliverable) {
+    const result = await this.db.query(
+      `SELECT * FROM download_links
+       WHERE deliverable_id = $1 AND revoked_at IS NULL AND expires_at > $2
+         AND (max_downloads IS NULL OR download_count < max_downloads)
+       ORDER BY expires_at DESC
+       LIMIT 1`,
+      [deliverable.id, new Date(Date.now() + HOUR_MS)]
+    );
+
+    if (result.rows[0]) {
+      return { link: result.rows[0], ...this.signLink(result.rows[0]) };
+    }
+
+    return this.createDownloadLink(deliverable);
+  }
+
+  // The link, deliverable and order a token was signed for; throws if it was tampered with or has expired
+  verifyDownloadToken(token, now = new Date()) {
+    const [payload, signature] = String(token).split(".");
+
+    if (!payload || !signature) {
+      throw new DeliverableError("Invalid download link", 403);
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new DeliverableError("Invalid download link", 403);
+    }
+
+    const { l, d, o, exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+    if (exp <= now.getTime()) {
+      throw new DeliverableError("This download link has expired", 410);
+    }
+
+    return { linkId: l, deliverableId: d, orderId: o };
+  }
+
+  /**
+   * Count one download against the link behind `token`. Throws if the link is
+   * invalid, expired, revoked or used up, or if its file is missing from
+   * storage (which doesn't use up a download); returns the link and
+   * deliverable.
+   */
+  async redeemDownloadToken(token) {
+    const { linkId, deliverableId, orderId } = this.verifyDownloadToken(token);
+    const deliverable = await this.getForOrder(deliverableId, orderId);
+
+    if (!deliverable || deliverable.visibility === "internal" || !(await this.files.stat(deliverable.file_path))) {
+      throw new DeliverableError("Deliverable not found", 404);
+    }
+
+    const result = await this.db.query(
+      `UPDATE download_links SET download_count = download_count + 1
+       WHERE id = $1 AND deliverable_id = $2 AND order_id = $3
+         AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         AND (max_downloads IS NULL OR download_count < max_downloads)
+       RETURNING *`,
+      [linkId, deliverableId, orderId]
+    );
+
+    if (result.rows.length === 0) {
+      const linkResult = await this.db.query("SELECT * FROM download_links WHERE id = $1", [linkId]);
+      const link = linkResult.rows[0];
+
+      if (!link) {
+        throw new DeliverableError("Deliverable not found", 404);
+      }
+      if (link.revoked_at) {
+        throw new DeliverableError("This download link has been revoked", 410);
+      }
+      if (link.max_downloads !== null && link.download_count >= link.max_downloads) {
+        throw new DeliverableError("This download link has reached its download limit", 410);
+      }
+      throw new DeliverableError("This download link has expired", 410);
+    }
+
+    return { link: result.rows[0], deliverable };
+  }
+
+  // Record a file served, through a link (`linkId`) or to a logged-in customer (`customerId`)
+  async logDownload({ deliverableId, linkId = null, customerId = null, ipAddress = null, userAgent = null }) {
+    await this.db.query(
+      `INSERT INTO deliverable_downloads (deliverable_id, link_id, customer_id, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [deliverableId, linkId, customerId, ipAddress, userAgent]
+    );
+  }
+
+  // Revoke one link; returns null if it doesn't exist
+  async revokeLink(linkId, adminId = null) {
+    const result = await this.db.query(
+      `UPDATE download_links SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP), revoked_by = COALESCE(revoked_by, $2)
+       WHERE id = $1 RETURNING *`,
+      [linkId, adminId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Revoke every live link to a deliverable; returns the number revoked
+  async revokeDeliverableLinks(deliverableId, adminId = null) {
+    const result = await this.db.query(
+      `UPDATE download_links SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+       WHERE deliverable_id = $1 AND revoked_at IS NULL RETURNING id`,
+      [deliverableId, adminId]
+    );
+    return result.rows.length;
+  }
+
+  // An order's links with how often and when they were last used
+  async listOrderLinks(orderId) {
+    const result = await this.db.query(
+      `SELECT l.*, d.file_name,
+              (SELECT MAX(downloaded_at) FROM deliverable_downloads dd WHERE dd.link_id = l.id) as last_downloaded_at
+       FROM download_links l
+       JOIN deliverables d ON l.deliverable_id = d.id
+       WHERE l.order_id = $1
+       ORDER BY l.created_at DESC`,
+      [orderId]
+    );
+    return result.rows;
+  }
+
+  // Download log for an order, newest first
+  async listOrderDownloads(orderId, limit = 100) {
+    const result = await this.db.query(
+      `SELECT dd.*, d.file_name
+       FROM deliverable_downloads dd
+       JOIN deliverables d ON dd.deliverable_id = d.id
+       WHERE d.order_id = $1
+       ORDER BY dd.downloaded_at DESC
+       LIMIT $2`,
+      [orderId, limit]
+    );
+    return result.rows;
+  }
+
+  // Random storage key so files can't be guessed from the upload time or original name
+  storageKey(orderId, fileName) {
+    return `deliverables/${orderId}/${crypto.randomUUID()}${path.extname(fileName)}`;
+  }
+
+  /**
+   * Store uploaded files (`{ name, data, mimetype, size }`) as deliverables of
+   * an order; files already in storage (from a chunked upload) give their
+   * `storageKey` instead of `data`. A file named like a current deliverable
+   * becomes its next version, as does a single file uploaded with `replaces`
+   * (the ID of the deliverable it supersedes, for renamed files). New versions
+   * keep the description and visibility of the one they replace unless others
+   * are given.
+   *
+   * All files are inspected before any is stored, so one rejected file stores
+   * none. A rejected file that was already in storage is deleted. The rows
+   * are added in one transaction; if it fails, the files stored for them are
+   * deleted again.
+   */
+  async addDeliverables(orderId, files, { uploadedBy = null, description, visibility, replaces } = {}) {
+    if (files.length === 0) {
+      throw new DeliverableError("No files were uploaded");
+    }
+    if (replaces && files.length > 1) {
+      throw new DeliverableError("Only one file can replace an existing deliverable");
+    }
+
+    const orderResult = await this.db.query("SELECT id FROM orders WHERE id = $1", [orderId]);
+    if (orderResult.rows.length === 0) {
+      throw new DeliverableError("Order not found", 404);
+    }
+
+    let replaced = null;
+    if (replaces) {
+      replaced = await this.getForOrder(replaces, orderId);
+
+      if (!replaced || !replaced.is_current) {
+        throw new DeliverableError("The deliverable to replace is not a current deliverable of this order", 404);
+      }
+    }
+
+    const inspections = [];
+
+    for (const file of files) {
+      inspections.push(await this.inspectFile(file));
+    }
+
+    const stored = [];
+    const client = await this.db.beginTransaction();
+
+    try {
+      const created = [];
+
+      for (const [i, file] of files.entries()) {
+        const inspection = inspections[i];
+        const previous =
+          replaced ||
+          (
+            await client.query(
+              "SELECT * FROM deliverables WHERE order_id = $1 AND file_name = $2 AND is_current",
+              [orderId, file.name]
+            )
+          ).rows[0];
+
+        let storageKey = file.storageKey;
+        if (!storageKey) {
+          storageKey = this.storageKey(orderId, file.name);
+          await this.files.put(storageKey, file.data, { contentType: inspection.mimetype });
+          stored.push(storageKey);
+        }
+
+        if (previous) {
+          await client.query("UPDATE deliverables SET is_current = false WHERE id = $1", [previous.id]);
+        }
+
+        const result = await client.query(
+          `INSERT INTO deliverables
+             (order_id, file_name, file_path, file_type, file_size, description, visibility,
+              version, previous_version_id, is_current, detected_type, scan_status, scan_result,
+              scanned_at, uploaded_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, $10, $11, $12, CURRENT_TIMESTAMP, $13)
+           RETURNING *`,
+          [
+            orderId,
+            file.name,
+            storageKey,
+            inspection.mimetype,
+            file.size,
+            description ?? previous?.description ?? null,
+            visibility || previous?.visibility || "customer",
+            previous ? previous.version + 1 : 1,
+            previous?.id || null,
+            inspection.detectedType,
+            inspection.scanStatus,
+            JSON.stringify(inspection.scanResult),
+            uploadedBy,
+          ]
+        );
+        created.push(result.rows[0]);
+      }
+
+      await this.db.commitTransaction(client);
+      return created;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+
+      for (const key of stored) {
+        try {
+          await this.files.delete(key);
+        } catch (deleteError) {
+          console.error(`Failed to delete stored file ${key}:`, deleteError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Inspect one file for addDeliverables, as a DeliverableError naming the file if it's rejected
+  async inspectFile(file) {
+    try {
+      return await this.inspector.inspect(file);
+    } catch (error) {
+      if (!(error instanceof FileInspectionError)) {
+        throw error;
+      }
+
+      // Keep a file that only couldn't be scanned yet, so completing its upload can be retried
+      if (file.storageKey && error.status === 422) {
+        await this.files.delete(file.storageKey);
+      }
+      throw new DeliverableError(`${file.name}: ${error.message}`, error.status);
+    }
+  }
+
+  // Change a deliverable's description or visibility; returns null if it doesn't exist
+  async updateDeliverable(deliverableId, { description, visibility }) {
+    const result = await this.db.query(
+      `UPDATE deliverables
+       SET description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+           visibility = COALESCE($4::deliverable_visibility, visibility)
+       WHERE id = $1 RETURNING *`,
+      [deliverableId, description !== undefined, description ?? null, visibility || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * An order's deliverables, oldest first. `currentOnly` leaves out versions
+   * that have been replaced and `customerOnly` leaves out internal files.
+   */
+  async listForOrder(orderId, { currentOnly = false, customerOnly = false } = {}) {
+    const conditions = ["order_id = $1"];
+    if (currentOnly) {
+      conditions.push("is_current");
+    }
+    if (customerOnly) {
+      conditions.push("visibility = 'customer'");
+    }
+
+    const result = await this.db.query(
+      `SELECT * FROM deliverables WHERE ${conditions.join(" AND ")} ORDER BY created_at ASC, id ASC`,
+      [orderId]
+    );
+    return result.rows;
+  }
+
+  // What the customer should currently see: the latest version of each customer-visible file
+  async listCurrentForCustomer(orderId) {
+    return this.listForOrder(orderId, { currentOnly: true, customerOnly: true });
+  }
+
+  async getForOrder(deliverableId, orderId) {
+    const result = await this.db.query(
+      "SELECT * FROM deliverables WHERE id = $1 AND order_id = $2",
+      [deliverableId, orderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // When the order was first confirmed (i.e. paid for), or null if it hasn't been
+  async getConfirmedAt(orderId) {
+    const result = await this.db.query(
+      "SELECT MIN(created_at) AS confirmed_at FROM order_status_history WHERE order_id = $1 AND status = 'confirmed'",
+      [orderId]
+    );
+    return result.rows[0]?.confirmed_at || null;
+  }
+
+  /**
+   * Expected completion: `delivery_days` after the order was confirmed. An
+   * order is overdue once that has passed and it is neither completed nor
+   * cancelled. Unconfirmed orders have no estimate yet.
+   */
+  estimateDelivery(order, confirmedAt, now = new Date()) {
+    if (!confirmedAt) {
+      return { confirmedAt: null, estimatedCompletion: null, overdue: false };
+    }
+
+    const estimatedCompletion = new Date(
+      new Date(confirmedAt).getTime() + (order.delivery_days || 7) * DAY_MS
+    );
+
+    return {
+      confirmedAt,
+      estimatedCompletion,
+      overdue: estimatedCompletion < now && !FINISHED_STATUSES.includes(order.status),
+    };
+  }
+
+  // Shape a deliverables row for API responses, with a download link
+  async formatDeliverable(deliverable) {
+    const link = await this.getDownloadLink(deliverable);
+
+    return {
+      id: deliverable.id,
+      fileName: deliverable.file_name,
+      fileType: deliverable.file_type,
+      fileSize: deliverable.file_size,
+      description: deliverable.description,
+      version: deliverable.version,
+      uploadedAt: deliverable.created_at,
+      downloadUrl: link.url,
+      downloadExpiresAt: link.expiresAt,
+    };
+  }
+
+  // Shape a deliverables row for admin responses, including version history fields
+  formatForAdmin(deliverable) {
+    return {
+      id: deliverable.id,
+      fileName: deliverable.file_name,
+      fileType: deliverable.file_type,
+      fileSize: deliverable.file_size,
+      description: deliverable.description,
+      visibility: deliverable.visibility,
+      version: deliverable.version,
+      previousVersionId: deliverable.previous_version_id,
+      isCurrent: deliverable.is_current,
+      detectedType: deliverable.detected_type,
+      scanStatus: deliverable.scan_status,
+      scanResult: deliverable.scan_result,
+      scannedAt: deliverable.scanned_at,
+      uploadedBy: deliverable.uploaded_by,
+      uploadedAt: deliverable.created_at,
+    };
+  }
+
+  // How the delivery emails list a deliverable
+  formatForEmail(deliverable) {
+    return {
+      fileName: deliverable.file_name,
+      description: deliverable.description,
+      version: deliverable.version,
+    };
+  }
+
+  // Shape a download_links row for admin responses
+  formatLink(link) {
+    return {
+      id: link.id,
+      deliverableId: link.deliverable_id,
+      fileName: link.file_name,
+      expiresAt: link.expires_at,
+      maxDownloads: link.max_downloads,
+      downloadCount: link.download_count,
+      lastDownloadedAt: link.last_downloaded_at || null,
+      revokedAt: link.revoked_at,
+      revokedBy: link.revoked_by,
+      createdAt: link.created_at,
+    };
+  }
+}
+
+export const deliverableService = new DeliverableService();
+export default DeliverableService;
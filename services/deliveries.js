@@ -0,0 +1,250 @@
+import {
+  query,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "../config/database.js";
+import { emailService } from "./email.js";
+import { deliverableService } from "./deliverables.js";
+import { storage } from "../utils/storage.js";
+
+export const DELIVERY_METHODS = ["attachments", "links"];
+
+// Error raised when an order cannot be delivered (maps to a 4xx, or 502 when the email fails)
+export class DeliveryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "DeliveryError";
+    this.status = status;
+  }
+}
+
+/**
+ * Delivering an order: store any new files as deliverables, email the
+ * customer the current customer-visible deliverables (attached, or as signed
+ * download links) and mark the order completed. Every attempt is recorded in
+ * `deliveries` with its message and recipients.
+ *
+ * New files are stored before anything is sent, so they're kept if the email
+ * fails and the delivery can be retried. The delivery record, order status and
+ * status history are written in one transaction that is only committed once
+ * the email has gone out; a failed email rolls them back and is recorded as a
+ * failed delivery instead.
+ *
+ * Deliverables totalling more than DELIVERY_ATTACHMENT_MAX_MB are sent as
+ * download links even when attachments were asked for, since mail servers
+ * reject messages much over 10-25MB.
+ */
+class DeliveryService {
+  // Database helpers, mailer, deliverable service and storage are injectable so the service can run against fakes
+  constructor(
+    db = { query, beginTransaction, commitTransaction, rollbackTransaction },
+    mailer = emailService,
+    deliverables = deliverableService,
+    files = storage
+  ) {
+    this.db = db;
+    this.mailer = mailer;
+    this.deliverables = deliverables;
+    this.files = files;
+    // Download links in emails point at the API, which is often served from the frontend's domain
+    this.apiUrl = process.env.API_URL || process.env.FRONTEND_URL || "";
+    this.maxAttachmentBytes = (parseFloat(process.env.DELIVERY_ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+  }
+
+  /**
+   * Deliver an order. `files` are uploads ({ name, data, mimetype, size }) to
+   * store first; `recipients` are addresses copied in besides the customer.
+   */
+  async deliver(
+    orderId,
+    { files = [], message = null, recipients = [], method = "attachments", adminId = null } = {}
+  ) {
+    if (!DELIVERY_METHODS.includes(method)) {
+      throw new DeliveryError(`Delivery method must be one of: ${DELIVERY_METHODS.join(", ")}`);
+    }
+
+    const order = await this.getOrder(this.db, orderId);
+
+    if (!order) {
+      throw new DeliveryError("Order not found", 404);
+    }
+    if (order.status === "cancelled") {
+      throw new DeliveryError("Cancelled orders cannot be delivered", 409);
+    }
+
+    if (files.length > 0) {
+      await this.deliverables.addDeliverables(orderId, files, {
+        uploadedBy: adminId,
+        visibility: "customer",
+      });
+    }
+
+    const deliverables = await this.deliverables.listCurrentForCustomer(orderId);
+
+    if (deliverables.length === 0) {
+      throw new DeliveryError("No deliverables found for this order");
+    }
+
+    const totalSize = deliverables.reduce((sum, deliverable) => sum + (deliverable.file_size || 0), 0);
+    const sendAs = method === "attachments" && totalSize > this.maxAttachmentBytes ? "links" : method;
+
+    const to = [...new Set([order.customer_email, ...recipients].map((email) => email.toLowerCase()))];
+    const { attachments, listed, links } = await this.prepareContent(deliverables, sendAs);
+    const details = {
+      message,
+      recipients: to,
+      method: sendAs,
+      deliverableIds: deliverables.map((deliverable) => deliverable.id),
+      adminId,
+    };
+
+    const client = await this.db.beginTransaction();
+    let delivery;
+
+    try {
+      // Lock the order so two admins delivering at once send one email each, in turn
+      await client.query("SELECT id FROM orders WHERE id = $1 FOR UPDATE", [orderId]);
+
+      delivery = await this.recordDelivery(client, orderId, { ...details, status: "sent" });
+
+      await client.query(
+        "UPDATE orders SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [orderId]
+      );
+      await client.query(
+        "INSERT INTO order_status_history (order_id, status, notes, changed_by) VALUES ($1, $2, $3, $4)",
+        [
+          orderId,
+          "completed",
+          `Deliverables sent to ${to.join(", ")}: ${deliverables.map((d) => d.file_name).join(", ")}`,
+          adminId,
+        ]
+      );
+
+      await this.mailer.sendDeliveryEmail(
+        to,
+        {
+          trackingId: order.tracking_id,
+          customerName: order.customer_name,
+          serviceName: order.service_name,
+          message,
+          deliverables: listed,
+        },
+        attachments
+      );
+
+      await this.db.commitTransaction(client);
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+
+      // Links nobody received shouldn't stay usable
+      for (const link of links) {
+        await this.deliverables.revokeLink(link.id, adminId);
+      }
+
+      if (!delivery) {
+        throw error;
+      }
+
+      await this.recordDelivery(this.db, orderId, { ...details, status: "failed", error: error.message });
+      throw new DeliveryError(`Failed to send delivery email: ${error.message}`, 502);
+    }
+
+    return { delivery, order: { ...order, status: "completed" }, deliverables };
+  }
+
+  // Attachments or download links for the email, and how the email lists each deliverable
+  async prepareContent(deliverables, method) {
+    if (method === "links") {
+      const links = [];
+      const listed = [];
+
+      for (const deliverable of deliverables) {
+        const { link, url, expiresAt } = await this.deliverables.createDownloadLink(deliverable);
+        links.push(link);
+        listed.push({
+          ...this.deliverables.formatForEmail(deliverable),
+          downloadUrl: `${this.apiUrl}${url}`,
+          downloadExpiresAt: expiresAt,
+        });
+      }
+
+      return { attachments: [], listed, links };
+    }
+
+    const attachments = await Promise.all(
+      deliverables.map(async (deliverable) => ({
+        filename: deliverable.file_name,
+        content: await this.files.get(deliverable.file_path),
+      }))
+    );
+
+    if (attachments.some((attachment) => !attachment.content)) {
+      throw new DeliveryError("Some deliverable files are missing from storage", 500);
+    }
+
+    return {
+      attachments,
+      listed: deliverables.map((deliverable) => this.deliverables.formatForEmail(deliverable)),
+      links: [],
+    };
+  }
+
+  async getOrder(db, orderId) {
+    const result = await db.query(
+      `SELECT o.*, c.name as customer_name, c.email as customer_email
+       FROM orders o
+       JOIN customers c ON o.customer_id = c.id
+       WHERE o.id = $1`,
+      [orderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async recordDelivery(db, orderId, { message, recipients, method, deliverableIds, adminId, status, error = null }) {
+    const result = await db.query(
+      `INSERT INTO deliveries (order_id, message, recipients, method, deliverable_ids, status, error, sent_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        orderId,
+        message,
+        JSON.stringify(recipients),
+        method,
+        JSON.stringify(deliverableIds),
+        status,
+        error,
+        adminId,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  // An order's delivery attempts, newest first
+  async listForOrder(orderId) {
+    const result = await this.db.query(
+      "SELECT * FROM deliveries WHERE order_id = $1 ORDER BY created_at DESC, id DESC",
+      [orderId]
+    );
+    return result.rows;
+  }
+
+  // Shape a deliveries row for admin responses
+  formatDelivery(delivery) {
+    return {
+      id: delivery.id,
+      orderId: delivery.order_id,
+      message: delivery.message,
+      recipients: delivery.recipients,
+      method: delivery.method,
+      deliverableIds: delivery.deliverable_ids,
+      status: delivery.status,
+      error: delivery.error,
+      sentBy: delivery.sent_by,
+      createdAt: delivery.created_at,
+    };
+  }
+}
+
+export const deliveryService = new DeliveryService();
+export default DeliveryService;
@@ -1,8 +1,29 @@
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { roundAmount } from "./currency.js";
+import { invoiceService } from "./invoices.js";
 
 dotenv.config();
 
+// "$49.00" for USD as before, "49.00 EUR" for any other currency
+const formatAmount = (amount, currency = "USD") =>
+  currency === "USD" ? `$${amount}` : `${amount} ${currency}`;
+
+// <li> per deliverable: file name (linked when sent as a download link), version (once re-uploaded) and description
+const formatDeliverableList = (deliverables = []) =>
+  deliverables
+    .map(
+      (deliverable) =>
+        `<li><strong>${
+          deliverable.downloadUrl
+            ? `<a href="${deliverable.downloadUrl}">${deliverable.fileName}</a>`
+            : deliverable.fileName
+        }</strong>${deliverable.version > 1 ? ` (version ${deliverable.version})` : ""}${
+          deliverable.description ? ` &ndash; ${deliverable.description}` : ""
+        }</li>`
+    )
+    .join("");
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -95,8 +116,17 @@ class EmailService {
   }
 
   async sendOrderConfirmation(customerEmail, orderData) {
-    const { customerName, orders, totalAmount, website, orderCount } =
-      orderData;
+    const {
+      customerName,
+      orders,
+      netAmount,
+      taxAmount,
+      taxTreatment = "none",
+      totalAmount,
+      currency,
+      website,
+      orderCount,
+    } = orderData;
 
     // For single order, use the tracking ID, for multiple orders, use a summary
     const subject =
@@ -138,7 +168,7 @@ class EmailService {
               <p><strong>Service:</strong> ${serviceName}</p>
               <p><strong>Website:</strong> ${website}</p>
               <p><strong>Keywords:</strong> ${keywords}</p>
-              <p><strong>Total Amount:</strong> <span class="amount">$${totalAmount}</span></p>
+              <p><strong>Total Amount:</strong> <span class="amount">${formatAmount(totalAmount, currency)}</span></p>
             </div>
             
             <h3>What's Next?</h3>
@@ -164,9 +194,59 @@ class EmailService {
     return this.sendEmail(customerEmail, subject, html);
   }
 
+  /**
+   * Send the checkout confirmation for formatted orders (see
+   * checkoutService.formatOrder), attaching the invoice PDF if one was
+   * issued. Failures are logged rather than thrown.
+   */
+  async sendCheckoutConfirmation(customer, orders, totalAmount, invoice = null) {
+    try {
+      await this.sendMultipleOrderConfirmation(customer.email, {
+        customerName: customer.name,
+        orders: orders.map((order) => ({
+          ...order,
+          listTotal: order.listTotal.toFixed(2),
+          adjustments: order.adjustments.map((adjustment) => ({
+            ...adjustment,
+            amount: Math.abs(adjustment.amount).toFixed(2),
+          })),
+          netAmount: order.netAmount.toFixed(2),
+          taxAmount: order.taxAmount.toFixed(2),
+          totalAmount: order.totalAmount.toFixed(2),
+        })),
+        netAmount: roundAmount(
+          orders.reduce((sum, order) => sum + order.netAmount, 0)
+        ).toFixed(2),
+        taxAmount: roundAmount(
+          orders.reduce((sum, order) => sum + order.taxAmount, 0)
+        ).toFixed(2),
+        taxTreatment: orders[0]?.taxTreatment || "none",
+        totalAmount: parseFloat(totalAmount).toFixed(2),
+        currency: orders[0]?.currency || "USD",
+        website: customer.website,
+        orderCount: orders.length,
+        invoiceNumber: invoice?.invoice_number || null,
+        attachments: invoice ? [invoiceService.toAttachment(invoice)] : [],
+      });
+    } catch (emailError) {
+      console.error("Failed to send confirmation email:", emailError);
+    }
+  }
+
   async sendMultipleOrderConfirmation(customerEmail, orderData) {
-    const { customerName, orders, totalAmount, website, orderCount } =
-      orderData;
+    const {
+      customerName,
+      orders,
+      netAmount,
+      taxAmount,
+      taxTreatment = "none",
+      totalAmount,
+      currency,
+      website,
+      orderCount,
+      invoiceNumber = null,
+      attachments = [],
+    } = orderData;
 
     const subject =
       orderCount === 1
@@ -207,7 +287,22 @@ class EmailService {
               <h3>Order Information</h3>
               <p><strong>Website:</strong> ${website}</p>
               <p><strong>Total Orders:</strong> ${orderCount}</p>
-              <p><strong>Total Amount:</strong> <span class="total-amount">$${totalAmount}</span></p>
+              ${
+                taxTreatment === "none"
+                  ? ""
+                  : `<p><strong>Net Amount:</strong> ${formatAmount(netAmount, currency)}</p>
+              <p><strong>VAT:</strong> ${
+                taxTreatment === "reverse_charge"
+                  ? "Reverse charge - VAT to be accounted for by the customer"
+                  : formatAmount(taxAmount, currency)
+              }</p>`
+              }
+              <p><strong>Total Amount:</strong> <span class="total-amount">${formatAmount(totalAmount, currency)}</span></p>
+              ${
+                invoiceNumber
+                  ? `<p><strong>Invoice:</strong> ${invoiceNumber} (PDF attached)</p>`
+                  : ""
+              }
               
               <h4>Your Orders:</h4>
               ${orders
@@ -216,7 +311,23 @@ class EmailService {
                 <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 15px; margin: 10px 0;">
                   <p><strong>Tracking ID:</strong> <span style="color: #3b82f6; font-family: monospace; font-size: 16px;">${order.trackingId}</span></p>
                   <p><strong>Service:</strong> ${order.serviceName} - ${order.serviceTierName}</p>
-                  <p><strong>Amount:</strong> <span style="color: #059669; font-weight: bold;">$${order.totalAmount}</span></p>
+                  ${
+                    order.adjustments && order.adjustments.length > 0
+                      ? `<p><strong>List Price:</strong> ${formatAmount(order.listTotal, currency)} (${order.quantity} &times; ${order.serviceTierName})</p>
+                  ${order.adjustments
+                    .map(
+                      (adjustment) =>
+                        `<p style="color: #6b7280; margin: 2px 0 2px 12px;">${adjustment.label}: -${formatAmount(adjustment.amount, currency)}</p>`
+                    )
+                    .join("")}`
+                      : ""
+                  }
+                  ${
+                    order.taxAmount > 0
+                      ? `<p><strong>Net:</strong> ${formatAmount(order.netAmount, currency)} + <strong>VAT ${order.taxRate}%:</strong> ${formatAmount(order.taxAmount, currency)}</p>`
+                      : ""
+                  }
+                  <p><strong>Amount:</strong> <span style="color: #059669; font-weight: bold;">${formatAmount(order.totalAmount, currency)}</span></p>
                   <p><strong>Delivery:</strong> ${order.deliveryDays} days</p>
                 </div>
               `
@@ -248,7 +359,7 @@ class EmailService {
       </html>
     `;
 
-    return this.sendEmail(customerEmail, subject, html);
+    return this.sendEmail(customerEmail, subject, html, attachments);
   }
 
   async sendStatusUpdate(customerEmail, orderData, newStatus, notes = "") {
@@ -329,68 +440,137 @@ class EmailService {
     return this.sendEmail(customerEmail, subject, html);
   }
 
-  async sendDeliverable(customerEmail, orderData, attachments) {
-    const { trackingId, customerName, serviceName } = orderData;
-
-    const subject = `SEO Deliverables - ${trackingId} - ${serviceName}`;
+  async sendRefundNotice(customerEmail, refundData) {
+    const {
+      trackingId,
+      customerName,
+      serviceName,
+      amount,
+      currency,
+      totalRefunded,
+      fullRefund,
+      reason,
+    } = refundData;
+
+    const subject = `Refund Issued - ${trackingId}`;
     const html = `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>SEO Deliverables</title>
+        <title>Refund Issued</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #059669; color: white; padding: 20px; text-align: center; }
+          .header { background: #3b82f6; color: white; padding: 20px; text-align: center; }
           .content { padding: 20px; background: #f9f9f9; }
-          .deliverable-info { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; }
+          .refund-details { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #3b82f6; }
           .footer { text-align: center; padding: 20px; color: #666; }
           .tracking-id { font-size: 18px; font-weight: bold; color: #3b82f6; }
-          .completed { font-size: 20px; font-weight: bold; color: #059669; }
+          .amount { font-size: 16px; font-weight: bold; color: #059669; }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="header">
-            <h1>🎉 Your SEO Project is Complete!</h1>
+            <h1>Refund Issued</h1>
           </div>
           
           <div class="content">
             <h2>Hello ${customerName},</h2>
-            <p class="completed">Great news! Your SEO project has been completed.</p>
+            <p>We have issued a ${fullRefund ? "full" : "partial"} refund for your SEO order:</p>
             
-            <div class="deliverable-info">
+            <div class="refund-details">
               <p><strong>Tracking ID:</strong> <span class="tracking-id">${trackingId}</span></p>
               <p><strong>Service:</strong> ${serviceName}</p>
-              <p><strong>Deliverables:</strong> Please find your SEO analysis and recommendations in the attached files.</p>
-              
-              <h3>What's Included:</h3>
-              <ul>
-                <li>Comprehensive SEO audit report</li>
-                <li>Keyword analysis and recommendations</li>
-                <li>Technical SEO findings</li>
-                <li>Action plan for improvements</li>
-                <li>Performance metrics and benchmarks</li>
-              </ul>
+              <p><strong>Refund Amount:</strong> <span class="amount">${formatAmount(amount, currency)}</span></p>
+              ${
+                fullRefund
+                  ? ""
+                  : `<p><strong>Total Refunded So Far:</strong> ${formatAmount(totalRefunded, currency)}</p>`
+              }
+              ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
             </div>
             
-            <p><strong>Next Steps:</strong></p>
-            <ul>
-              <li>Review the attached reports carefully</li>
-              <li>Implement the recommended changes</li>
-              <li>Monitor your website's performance</li>
-              <li>Contact us if you need clarification on any recommendations</li>
-            </ul>
-            
-            <p>Thank you for choosing SEO by Amanda. We hope our analysis helps improve your website's search engine performance!</p>
+            <p>The refund goes back to your original payment method. Depending on your bank or PayPal account it may take 5-10 business days to appear.</p>
           </div>
           
           <div class="footer">
             <p>Best regards,<br>SEO by Amanda Team</p>
             <p>Email: ${process.env.FROM_EMAIL}</p>
-            <p>Need help? Reply to this email or contact us anytime.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(customerEmail, subject, html);
+  }
+
+  // Sent for every paid subscription period, the first one included
+  async sendSubscriptionRenewal(customerEmail, subscriptionData, attachments = []) {
+    const {
+      customerName,
+      serviceName,
+      trackingId,
+      amount,
+      currency,
+      interval,
+      periodEnd,
+      firstPeriod,
+      invoiceNumber,
+    } = subscriptionData;
+
+    const subject = firstPeriod
+      ? `Subscription Started - ${serviceName}`
+      : `Subscription Renewed - ${trackingId}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${firstPeriod ? "Subscription Started" : "Subscription Renewed"}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .subscription-details { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #3b82f6; }
+          .footer { text-align: center; padding: 20px; color: #666; }
+          .tracking-id { font-size: 18px; font-weight: bold; color: #3b82f6; }
+          .amount { font-size: 16px; font-weight: bold; color: #059669; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${firstPeriod ? "Subscription Started" : "Subscription Renewed"}</h1>
+          </div>
+
+          <div class="content">
+            <h2>Hello ${customerName},</h2>
+            <p>${
+              firstPeriod
+                ? `Thank you for subscribing! Your ${interval}ly ${serviceName} subscription is active and we've started on your first order:`
+                : `Your ${interval}ly ${serviceName} subscription has renewed and we've started on this ${interval}'s order:`
+            }</p>
+
+            <div class="subscription-details">
+              <p><strong>Tracking ID:</strong> <span class="tracking-id">${trackingId}</span></p>
+              <p><strong>Service:</strong> ${serviceName}</p>
+              <p><strong>Amount Charged:</strong> <span class="amount">${formatAmount(amount, currency)}</span></p>
+              <p><strong>Next Renewal:</strong> ${new Date(periodEnd).toDateString()}</p>
+              ${invoiceNumber ? `<p><strong>Invoice:</strong> ${invoiceNumber} (PDF attached)</p>` : ""}
+            </div>
+
+            <p>You can pause or cancel your subscription at any time before the next renewal.</p>
+          </div>
+
+          <div class="footer">
+            <p>Best regards,<br>SEO by Amanda Team</p>
+            <p>Email: ${process.env.FROM_EMAIL}</p>
           </div>
         </div>
       </body>
@@ -400,8 +580,298 @@ class EmailService {
     return this.sendEmail(customerEmail, subject, html, attachments);
   }
 
-  async sendDeliveryEmail(customerEmail, orderData, attachment) {
-    const { trackingId, customerName, serviceName, message } = orderData;
+  async sendSubscriptionPaymentFailed(customerEmail, subscriptionData) {
+    const { customerName, serviceName, amount, currency, reason } = subscriptionData;
+
+    const subject = `Subscription Payment Failed - ${serviceName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Subscription Payment Failed</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #dc2626; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .subscription-details { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #dc2626; }
+          .footer { text-align: center; padding: 20px; color: #666; }
+          .amount { font-size: 16px; font-weight: bold; color: #dc2626; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Subscription Payment Failed</h1>
+          </div>
+
+          <div class="content">
+            <h2>Hello ${customerName},</h2>
+            <p>We couldn't take the latest payment for your ${serviceName} subscription, so no new order has been started.</p>
+
+            <div class="subscription-details">
+              <p><strong>Service:</strong> ${serviceName}</p>
+              <p><strong>Amount Due:</strong> <span class="amount">${formatAmount(amount, currency)}</span></p>
+              ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+            </div>
+
+            <p>The payment will be retried automatically over the next few days. Please check that your card or PayPal account is up to date so your subscription continues.</p>
+          </div>
+
+          <div class="footer">
+            <p>Best regards,<br>SEO by Amanda Team</p>
+            <p>Email: ${process.env.FROM_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(customerEmail, subject, html);
+  }
+
+  async sendBankTransferInstructions(customerEmail, transferData) {
+    const {
+      customerName,
+      reference,
+      amount,
+      currency,
+      trackingIds,
+      accountName,
+      bankName,
+      iban,
+      bic,
+      expiresAt,
+    } = transferData;
+
+    const subject = `Payment Instructions - ${reference}`;
+    const dueDate = new Date(expiresAt).toLocaleDateString();
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Bank Transfer Instructions</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .bank-details { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #3b82f6; }
+          .footer { text-align: center; padding: 20px; color: #666; }
+          .reference { font-size: 18px; font-weight: bold; color: #3b82f6; }
+          .amount { font-size: 16px; font-weight: bold; color: #059669; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Order is Reserved</h1>
+          </div>
+
+          <div class="content">
+            <h2>Hello ${customerName},</h2>
+            <p>Thank you for your order. Work starts as soon as we receive your bank transfer.</p>
+
+            <div class="bank-details">
+              <p><strong>Amount:</strong> <span class="amount">${formatAmount(amount, currency)}</span></p>
+              <p><strong>Payment Reference:</strong> <span class="reference">${reference}</span></p>
+              <p><strong>Account Holder:</strong> ${accountName}</p>
+              ${bankName ? `<p><strong>Bank:</strong> ${bankName}</p>` : ""}
+              <p><strong>IBAN / Account Number:</strong> ${iban}</p>
+              ${bic ? `<p><strong>BIC / SWIFT:</strong> ${bic}</p>` : ""}
+              <p><strong>Orders:</strong> ${trackingIds.join(", ")}</p>
+            </div>
+
+            <p>Please quote the payment reference exactly so we can match your transfer. If we haven't received it by <strong>${dueDate}</strong>, the order will be cancelled.</p>
+          </div>
+
+          <div class="footer">
+            <p>Best regards,<br>SEO by Amanda Team</p>
+            <p>Email: ${process.env.FROM_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(customerEmail, subject, html);
+  }
+
+  async sendBankTransferExpired(customerEmail, transferData) {
+    const { customerName, reference, amount, currency, trackingIds } = transferData;
+
+    const subject = `Order Cancelled - ${reference}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Order Cancelled</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #6b7280; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .order-details { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; }
+          .footer { text-align: center; padding: 20px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Order Cancelled</h1>
+          </div>
+
+          <div class="content">
+            <h2>Hello ${customerName},</h2>
+            <p>We didn't receive your bank transfer in time, so your order has been cancelled.</p>
+
+            <div class="order-details">
+              <p><strong>Payment Reference:</strong> ${reference}</p>
+              <p><strong>Amount:</strong> ${formatAmount(amount, currency)}</p>
+              <p><strong>Orders:</strong> ${trackingIds.join(", ")}</p>
+            </div>
+
+            <p>If you have already sent the payment, please reply to this email and we'll sort it out. You're welcome to place a new order at any time.</p>
+          </div>
+
+          <div class="footer">
+            <p>Best regards,<br>SEO by Amanda Team</p>
+            <p>Email: ${process.env.FROM_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(customerEmail, subject, html);
+  }
+
+  async sendAbandonedCheckoutReminder(customerEmail, checkoutData) {
+    const {
+      customerName,
+      items,
+      totalAmount,
+      currency,
+      resumeUrl,
+      optOutUrl,
+      finalReminder,
+    } = checkoutData;
+
+    const subject = finalReminder
+      ? "Last Chance to Complete Your Order"
+      : "You Left Something in Your Cart";
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Complete Your Order</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .order-details { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; }
+          .resume { display: inline-block; background: #059669; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+          .footer { text-align: center; padding: 20px; color: #666; }
+          .opt-out { font-size: 12px; color: #999; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Order is Waiting</h1>
+          </div>
+
+          <div class="content">
+            <h2>Hello ${customerName},</h2>
+            <p>You started an order with us but didn't finish paying for it. Your cart has been saved, so you can pick up where you left off.</p>
+
+            <div class="order-details">
+              ${items
+                .map(
+                  (item) =>
+                    `<p><strong>${item.serviceName} - ${item.tierName}</strong> x ${item.quantity}</p>`
+                )
+                .join("")}
+              <p><strong>Total:</strong> ${formatAmount(totalAmount, currency)}</p>
+            </div>
+
+            <p style="text-align: center;"><a class="resume" href="${resumeUrl}">Complete My Order</a></p>
+            ${finalReminder ? "<p>This is the last reminder we'll send about this order.</p>" : ""}
+          </div>
+
+          <div class="footer">
+            <p>Best regards,<br>SEO by Amanda Team</p>
+            <p>Email: ${process.env.FROM_EMAIL}</p>
+            <p class="opt-out">Don't want these reminders? <a href="${optOutUrl}">Unsubscribe</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(customerEmail, subject, html);
+  }
+
+  async sendMagicLink(customerEmail, loginData) {
+    const { customerName, loginUrl, expiresInMinutes } = loginData;
+
+    const subject = "Your Login Link";
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Login Link</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .login { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+          .footer { text-align: center; padding: 20px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Log In to Your Account</h1>
+          </div>
+
+          <div class="content">
+            <h2>Hello ${customerName},</h2>
+            <p>Use the button below to log in and see all your orders, deliverables and invoices.</p>
+
+            <p style="text-align: center;"><a class="login" href="${loginUrl}">Log In</a></p>
+
+            <p>This link works once and expires in ${expiresInMinutes} minutes. If you didn't ask to log in, you can safely ignore this email.</p>
+          </div>
+
+          <div class="footer">
+            <p>Best regards,<br>SEO by Amanda Team</p>
+            <p>Email: ${process.env.FROM_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(customerEmail, subject, html);
+  }
+
+  // Deliverables are either attached or listed with download links (`downloadUrl`, `downloadExpiresAt`)
+  async sendDeliveryEmail(to, orderData, attachments = []) {
+    const { trackingId, customerName, serviceName, message, deliverables = [] } = orderData;
+    const linkExpiry = deliverables.find((deliverable) => deliverable.downloadExpiresAt)?.downloadExpiresAt;
 
     const subject = `Order Delivered - ${trackingId} - ${serviceName}`;
     const html = `
@@ -438,17 +908,28 @@ class EmailService {
               <p><strong>Service:</strong> ${serviceName}</p>
               <p><strong>Delivery Date:</strong> ${new Date().toLocaleDateString()}</p>
               
-              <div class="message-box">
+              ${
+                message
+                  ? `<div class="message-box">
                 <h4>Message from our team:</h4>
                 <p>${message}</p>
-              </div>
+              </div>`
+                  : ""
+              }
               
-              <p><strong>Deliverables:</strong> Please find your completed work in the attached Excel file.</p>
+              <p><strong>Deliverables:</strong> ${
+                linkExpiry
+                  ? `Download your completed work using the links below. The links expire on ${new Date(linkExpiry).toLocaleDateString()}.`
+                  : "Please find your completed work in the attached files."
+              }</p>
+              <ul>
+                ${formatDeliverableList(deliverables)}
+              </ul>
             </div>
             
             <p><strong>What's Next:</strong></p>
             <ul>
-              <li>Download and review the attached Excel file</li>
+              <li>Download and review your files</li>
               <li>Implement the recommendations provided</li>
               <li>Monitor your website's performance improvements</li>
               <li>Contact us if you have any questions about the deliverables</li>
@@ -469,15 +950,16 @@ class EmailService {
       </html>
     `;
 
-    const attachments = [
-      {
+    return this.sendEmail(
+      to,
+      subject,
+      html,
+      attachments.map((attachment) => ({
         filename: attachment.filename,
         // Support both content (Buffer) and path (file path)
         ...(attachment.content ? { content: attachment.content } : { path: attachment.path }),
-      },
-    ];
-
-    return this.sendEmail(customerEmail, subject, html, attachments);
+      }))
+    );
   }
 
   async testConnection() {
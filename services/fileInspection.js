@@ -0,0 +1,290 @@
+import path from "path";
+import zlib from "zlib";
+import { Readable } from "stream";
+import { storage } from "../utils/storage.js";
+import { createScanner } from "../utils/clamav.js";
+import {
+  EXTENSION_TYPES,
+  EXTENSION_MIME_TYPES,
+  EXECUTABLE_EXTENSIONS,
+  detectFileType,
+} from "../utils/fileType.js";
+
+const MB = 1024 * 1024;
+
+// Enough of the start of a file to recognize it
+const HEAD_BYTES = 4100;
+// End of central directory record: 22 bytes plus a comment of up to 64KB
+const EOCD_MAX_BYTES = 22 + 0xffff;
+
+// Error raised for files that are rejected (422), or that couldn't be scanned when scanning is required (503)
+export class FileInspectionError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = "FileInspectionError";
+    this.status = status;
+  }
+}
+
+/**
+ * Checks on deliverable files before they're kept or sent:
+ *
+ * - The file's first bytes must be the type its extension says. Office Open
+ *   XML files (.xlsx, .docx) must be ZIPs with the matching parts.
+ * - ZIP archives are read from their central directory and rejected if an
+ *   entry's path is absolute, climbs out with "..", or is a symlink; if an
+ *   entry is an executable; if entries are encrypted (so can't be checked);
+ *   or if they look like a zip bomb (too many entries, too much uncompressed
+ *   data, or an entry compressed more than ZIP_MAX_COMPRESSION_RATIO to 1).
+ * - The file is passed to the virus scanner, if one is configured (see
+ *   utils/clamav.js). A scanner that fails lets the file through with scan
+ *   status "error" unless FILE_SCAN_REQUIRED is "true".
+ *
+ * Files are read through a source ({ size, read(start, length), stream() }),
+ * so a large file already in storage is inspected with ranged reads and
+ * scanned as a stream rather than loaded whole.
+ */
+class FileInspectionService {
+  // Scanner and storage are injectable so the service can run against fakes
+  constructor(scanner = createScanner(), files = storage) {
+    this.scanner = scanner;
+    this.files = files;
+    this.scanRequired = process.env.FILE_SCAN_REQUIRED === "true";
+    this.maxZipEntries = parseInt(process.env.ZIP_MAX_ENTRIES) || 10000;
+    this.maxZipUncompressedBytes = (parseInt(process.env.ZIP_MAX_UNCOMPRESSED_MB) || 2048) * MB;
+    this.maxZipRatio = parseInt(process.env.ZIP_MAX_COMPRESSION_RATIO) || 100;
+  }
+
+  bufferSource(buffer) {
+    return {
+      size: buffer.length,
+      read: async (start, length) => buffer.subarray(start, start + length),
+      stream: async () => Readable.from([buffer]),
+    };
+  }
+
+  async storageSource(key) {
+    const stats = await this.files.stat(key);
+
+    if (!stats) {
+      throw new FileInspectionError("Uploaded file is missing from storage", 404);
+    }
+
+    return {
+      size: stats.size,
+      read: async (start, length) => (await this.files.getRange(key, start, length)) || Buffer.alloc(0),
+      stream: () => this.files.getStream(key),
+    };
+  }
+
+  /**
+   * Inspect a file (`{ name, data }`, or `{ name, storageKey }` for one
+   * already in storage). Throws FileInspectionError if it's rejected; returns
+   * what was found for the deliverables row otherwise, with the content type
+   * to store in place of the one the client sent.
+   */
+  async inspect(file) {
+    const source = file.storageKey ? await this.storageSource(file.storageKey) : this.bufferSource(file.data);
+    const extension = path.extname(file.name).toLowerCase();
+    const expected = EXTENSION_TYPES[extension];
+
+    if (!expected) {
+      throw new FileInspectionError(`${extension || "Extensionless"} files are not allowed`);
+    }
+
+    let detectedType = detectFileType(await source.read(0, HEAD_BYTES));
+    let zip = null;
+
+    if (detectedType === "executable") {
+      throw new FileInspectionError("Executable files are not allowed");
+    }
+
+    if (detectedType === "zip") {
+      const entries = await this.inspectZip(source);
+      const names = new Set(entries.map((entry) => entry.name));
+
+      if (names.has("[Content_Types].xml") && names.has("xl/workbook.xml")) {
+        detectedType = "xlsx";
+      } else if (names.has("[Content_Types].xml") && names.has("word/document.xml")) {
+        detectedType = "docx";
+      }
+
+      zip = {
+        entries: entries.length,
+        uncompressedSize: entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0),
+      };
+    }
+
+    if (detectedType !== expected) {
+      throw new FileInspectionError(
+        `File content does not match its ${extension} extension${detectedType ? ` (it looks like ${detectedType})` : ""}`
+      );
+    }
+
+    const scan = await this.scan(source);
+
+    return {
+      detectedType,
+      mimetype: EXTENSION_MIME_TYPES[extension],
+      scanStatus: scan.status,
+      scanResult: {
+        scanner: scan.scanner,
+        error: scan.error || null,
+        zip,
+      },
+    };
+  }
+
+  /**
+   * The entries of a ZIP archive, from its central directory. Throws if the
+   * archive is malformed or any entry is unsafe (see the class comment).
+   */
+  async inspectZip(source) {
+    const tailLength = Math.min(source.size, EOCD_MAX_BYTES);
+    const tail = await source.read(source.size - tailLength, tailLength);
+    const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+
+    if (eocd < 0 || eocd + 22 > tail.length) {
+      throw new FileInspectionError("ZIP archive is corrupt");
+    }
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    // Deliverables stay under 2GB, so a ZIP64 archive would be hiding something
+    if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      throw new FileInspectionError("ZIP64 archives are not supported");
+    }
+    if (count > this.maxZipEntries) {
+      throw new FileInspectionError(`ZIP archive has more than ${this.maxZipEntries} entries`);
+    }
+    if (directoryOffset + directorySize > source.size) {
+      throw new FileInspectionError("ZIP archive is corrupt");
+    }
+
+    const directory = await source.read(directoryOffset, directorySize);
+    const entries = [];
+    let position = 0;
+    let totalSize = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (position + 46 > directory.length || directory.readUInt32LE(position) !== 0x02014b50) {
+        throw new FileInspectionError("ZIP archive is corrupt");
+      }
+
+      const nameLength = directory.readUInt16LE(position + 28);
+      const entry = {
+        flags: directory.readUInt16LE(position + 8),
+        method: directory.readUInt16LE(position + 10),
+        compressedSize: directory.readUInt32LE(position + 20),
+        uncompressedSize: directory.readUInt32LE(position + 24),
+        // Unix mode in the high 16 bits of the external attributes
+        mode: directory.readUInt32LE(position + 38) >>> 16,
+        localOffset: directory.readUInt32LE(position + 42),
+        name: directory.toString("utf8", position + 46, position + 46 + nameLength),
+      };
+      position +=
+        46 + nameLength + directory.readUInt16LE(position + 30) + directory.readUInt16LE(position + 32);
+
+      totalSize += entry.uncompressedSize;
+      if (totalSize > this.maxZipUncompressedBytes) {
+        throw new FileInspectionError(
+          `ZIP archive expands to more than ${this.maxZipUncompressedBytes / MB}MB`
+        );
+      }
+
+      await this.checkZipEntry(source, entry);
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  async checkZipEntry(source, entry) {
+    const name = entry.name.replace(/\\/g, "/");
+
+    if (name.startsWith("/") || /^[a-zA-Z]:/.test(name) || name.split("/").includes("..")) {
+      throw new FileInspectionError(`ZIP entry "${entry.name}" has an unsafe path`);
+    }
+    if ((entry.mode & 0o170000) === 0o120000) {
+      throw new FileInspectionError(`ZIP entry "${entry.name}" is a symbolic link`);
+    }
+    if (entry.flags & 0x1) {
+      throw new FileInspectionError(`ZIP entry "${entry.name}" is encrypted and can't be checked`);
+    }
+    if (EXECUTABLE_EXTENSIONS.includes(path.posix.extname(name).toLowerCase())) {
+      throw new FileInspectionError(`ZIP archive contains an executable: ${entry.name}`);
+    }
+
+    const ratio = entry.uncompressedSize / Math.max(entry.compressedSize, 1);
+    if (entry.uncompressedSize > MB && ratio > this.maxZipRatio) {
+      throw new FileInspectionError(`ZIP entry "${entry.name}" is compressed suspiciously well (${Math.round(ratio)}:1)`);
+    }
+
+    // Files without an extension are what Unix runs directly, so look at
+    // their contents too. The rest are opened by their extension, which the
+    // check above covers without a read per entry.
+    if (!name.endsWith("/") && !path.posix.extname(name) && entry.compressedSize > 0) {
+      const head = await this.readZipEntryHead(source, entry);
+
+      if (head && detectFileType(head) === "executable") {
+        throw new FileInspectionError(`ZIP archive contains an executable: ${entry.name}`);
+      }
+    }
+  }
+
+  // The first bytes of an entry's data, or null for compression methods other than stored and deflate
+  async readZipEntryHead(source, entry) {
+    const header = await source.read(entry.localOffset, 30);
+
+    if (header.length < 30 || header.readUInt32LE(0) !== 0x04034b50) {
+      throw new FileInspectionError("ZIP archive is corrupt");
+    }
+
+    const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = await source.read(dataStart, Math.min(entry.compressedSize, 512));
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method !== 8) {
+      return null;
+    }
+
+    try {
+      // Inflating only a prefix of the data bounds how much it can expand to
+      return zlib.inflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch {
+      throw new FileInspectionError(`ZIP entry "${entry.name}" is corrupt`);
+    }
+  }
+
+  // Run the virus scanner over the file: { status, scanner, error }
+  async scan(source) {
+    if (!this.scanner) {
+      return { status: "skipped", scanner: null };
+    }
+
+    let result;
+    try {
+      result = await this.scanner.scan(await source.stream());
+    } catch (error) {
+      console.error("File scan error:", error);
+
+      if (this.scanRequired) {
+        throw new FileInspectionError("The file could not be scanned for viruses, try again later", 503);
+      }
+      return { status: "error", scanner: this.scanner.name, error: error.message };
+    }
+
+    if (!result.clean) {
+      throw new FileInspectionError(`The file failed the virus scan (${result.signature})`);
+    }
+
+    return { status: "clean", scanner: this.scanner.name };
+  }
+}
+
+export const fileInspectionService = new FileInspectionService();
+export default FileInspectionService;
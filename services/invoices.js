@@ -0,0 +1,331 @@
+import { query } from "../config/database.js";
+import { BASE_CURRENCY, roundAmount } from "./currency.js";
+import { taxService } from "./tax.js";
+import PdfDocument from "../utils/pdf.js";
+
+// Printed on the invoice (the seller's legal details, not the storefront name)
+const defaultSeller = () => ({
+  name: process.env.INVOICE_SELLER_NAME || process.env.FROM_NAME || "SEO by Amanda",
+  address: (process.env.INVOICE_SELLER_ADDRESS || "")
+    .split("|")
+    .map((line) => line.trim())
+    .filter(Boolean),
+  vatId: process.env.INVOICE_SELLER_VAT_ID || null,
+  email: process.env.FROM_EMAIL || null,
+});
+
+const MARGIN = 50;
+const PAGE_BOTTOM = 780;
+
+// Right edges of the line item columns; the description fills the space to their left
+const COLUMNS = {
+  quantity: 265,
+  listTotal: 325,
+  discount: 385,
+  net: 440,
+  tax: 490,
+  total: 545,
+};
+
+class InvoiceService {
+  constructor(db = { query }, seller = defaultSeller()) {
+    this.db = db;
+    this.seller = seller;
+    this.prefix = process.env.INVOICE_NUMBER_PREFIX || "INV";
+  }
+
+  /**
+   * Take the next number in the issue year's sequence. The sequence row stays
+   * locked until the surrounding transaction ends and a rollback releases the
+   * number again, so issued invoices never leave gaps.
+   */
+  async nextNumber(client, issuedAt) {
+    const year = issuedAt.getUTCFullYear();
+    const result = await client.query(
+      `INSERT INTO invoice_sequences (year, last_number) VALUES ($1, 1)
+       ON CONFLICT (year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+       RETURNING last_number`,
+      [year]
+    );
+
+    return `${this.prefix}-${year}-${String(result.rows[0].last_number).padStart(5, "0")}`;
+  }
+
+  // One invoice line per order, using the amounts stored on the order
+  buildLineItems(orders) {
+    return orders.map((order) => {
+      const totalAmount = parseFloat(order.total_amount);
+      const netAmount = parseFloat(order.net_amount ?? order.total_amount);
+      const listTotal = order.price_breakdown
+        ? order.price_breakdown.listTotal
+        : roundAmount(parseFloat(order.service_price) * order.quantity);
+
+      return {
+        orderId: order.id,
+        trackingId: order.tracking_id,
+        description: `${order.service_name} - ${order.service_tier_name}`,
+        quantity: order.quantity,
+        unitPrice: parseFloat(order.service_price),
+        listTotal,
+        discountAmount: roundAmount(listTotal - netAmount),
+        netAmount,
+        taxAmount: parseFloat(order.tax_amount || 0),
+        totalAmount,
+      };
+    });
+  }
+
+  /**
+   * Issue one invoice covering the given paid orders (all from the same
+   * checkout) and link the orders to it. Runs inside the caller's transaction.
+   * Returns the invoice row including its PDF, or the existing invoice if the
+   * orders were already invoiced.
+   */
+  async createInvoice(client, { orders, checkoutSessionId = null }) {
+    if (orders.length === 0) {
+      return null;
+    }
+
+    if (orders[0].invoice_id) {
+      return this.getInvoice(orders[0].invoice_id, client);
+    }
+
+    const customerResult = await client.query(
+      "SELECT name, email, website, country, vat_id FROM customers WHERE id = $1",
+      [orders[0].customer_id]
+    );
+    const customerRow = customerResult.rows[0] || {};
+    const first = orders[0];
+
+    const customer = {
+      name: customerRow.name,
+      email: customerRow.email,
+      website: customerRow.website,
+      country: first.tax_country || customerRow.country || null,
+      // Only reverse-charged orders print the VAT ID they were charged against
+      vatId: first.customer_vat_id || null,
+    };
+
+    const lineItems = this.buildLineItems(orders);
+    const sumOf = (field) =>
+      roundAmount(lineItems.reduce((sum, item) => sum + item[field], 0));
+
+    const issuedAt = new Date();
+    const invoice = {
+      invoice_number: await this.nextNumber(client, issuedAt),
+      customer_id: first.customer_id,
+      checkout_session_id: checkoutSessionId ?? first.checkout_session_id ?? null,
+      customer,
+      line_items: lineItems,
+      currency: first.currency || BASE_CURRENCY,
+      net_amount: sumOf("netAmount"),
+      tax_amount: sumOf("taxAmount"),
+      total_amount: sumOf("totalAmount"),
+      tax_rate: parseFloat(first.tax_rate || 0),
+      tax_treatment: first.tax_treatment || "none",
+      issued_at: issuedAt,
+    };
+    invoice.pdf = this.renderPdf(invoice);
+
+    const result = await client.query(
+      `INSERT INTO invoices (invoice_number, customer_id, checkout_session_id, customer, line_items, currency, net_amount, tax_amount, total_amount, tax_rate, tax_treatment, pdf, issued_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id`,
+      [
+        invoice.invoice_number,
+        invoice.customer_id,
+        invoice.checkout_session_id,
+        JSON.stringify(customer),
+        JSON.stringify(lineItems),
+        invoice.currency,
+        invoice.net_amount,
+        invoice.tax_amount,
+        invoice.total_amount,
+        invoice.tax_rate,
+        invoice.tax_treatment,
+        invoice.pdf,
+        issuedAt,
+      ]
+    );
+
+    invoice.id = result.rows[0].id;
+
+    await client.query("UPDATE orders SET invoice_id = $1 WHERE id = ANY($2)", [
+      invoice.id,
+      orders.map((order) => order.id),
+    ]);
+
+    return invoice;
+  }
+
+  async getInvoice(id, client = this.db) {
+    const result = await client.query("SELECT * FROM invoices WHERE id = $1", [id]);
+    return result.rows[0] || null;
+  }
+
+  // The invoice an order was billed on, or null while it is unpaid
+  async getOrderInvoice(orderId, client = this.db) {
+    const result = await client.query(
+      "SELECT i.* FROM invoices i JOIN orders o ON o.invoice_id = i.id WHERE o.id = $1",
+      [orderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Invoice summary for API responses (without the PDF)
+  formatInvoice(invoice) {
+    return {
+      id: invoice.id,
+      invoiceNumber: invoice.invoice_number,
+      issuedAt: invoice.issued_at,
+      currency: invoice.currency,
+      netAmount: parseFloat(invoice.net_amount),
+      taxAmount: parseFloat(invoice.tax_amount),
+      totalAmount: parseFloat(invoice.total_amount),
+      taxTreatment: invoice.tax_treatment,
+    };
+  }
+
+  // Nodemailer attachment for an invoice
+  toAttachment(invoice) {
+    return {
+      filename: `${invoice.invoice_number}.pdf`,
+      content: invoice.pdf,
+      contentType: "application/pdf",
+    };
+  }
+
+  // Lay out the invoice as an A4 PDF
+  renderPdf(invoice) {
+    const doc = new PdfDocument({ title: `Invoice ${invoice.invoice_number}` });
+    const { customer, currency } = invoice;
+    const right = COLUMNS.total;
+    const money = (amount) => Number(amount).toFixed(2);
+    const gray = [0.42, 0.45, 0.5];
+
+    // Seller and invoice details
+    doc.text("INVOICE", MARGIN, 70, { size: 22, font: "bold" });
+    doc.text(this.seller.name, MARGIN, 95, { font: "bold" });
+    let y = 109;
+    for (const line of this.seller.address) {
+      doc.text(line, MARGIN, y);
+      y += 14;
+    }
+    if (this.seller.vatId) {
+      doc.text(`VAT ID: ${this.seller.vatId}`, MARGIN, y);
+      y += 14;
+    }
+    if (this.seller.email) {
+      doc.text(this.seller.email, MARGIN, y);
+      y += 14;
+    }
+
+    const issued = new Date(invoice.issued_at).toISOString().slice(0, 10);
+    doc.text(`Invoice number: ${invoice.invoice_number}`, right, 95, { align: "right", font: "bold" });
+    doc.text(`Issue date: ${issued}`, right, 109, { align: "right" });
+    doc.text(`Currency: ${currency}`, right, 123, { align: "right" });
+    doc.text("Status: Paid", right, 137, { align: "right" });
+
+    // Customer
+    y = Math.max(y, 151) + 20;
+    doc.text("Bill to", MARGIN, y, { font: "bold" });
+    y += 14;
+    const customerLines = [
+      customer.name,
+      customer.email,
+      customer.website,
+      customer.country ? `Country: ${customer.country}` : null,
+      customer.vatId ? `VAT ID: ${customer.vatId}` : null,
+    ].filter(Boolean);
+    for (const line of customerLines) {
+      doc.text(line, MARGIN, y);
+      y += 14;
+    }
+
+    // Line items
+    const tableHeader = (top) => {
+      doc.text("Description", MARGIN, top, { size: 9, font: "bold" });
+      doc.text("Qty", COLUMNS.quantity, top, { size: 9, font: "bold", align: "right" });
+      doc.text("List", COLUMNS.listTotal, top, { size: 9, font: "bold", align: "right" });
+      doc.text("Discount", COLUMNS.discount, top, { size: 9, font: "bold", align: "right" });
+      doc.text("Net", COLUMNS.net, top, { size: 9, font: "bold", align: "right" });
+      doc.text("VAT", COLUMNS.tax, top, { size: 9, font: "bold", align: "right" });
+      doc.text("Total", COLUMNS.total, top, { size: 9, font: "bold", align: "right" });
+      doc.line(MARGIN, top + 6, right, top + 6);
+      return top + 20;
+    };
+
+    const showTax = invoice.tax_treatment === "standard";
+    y = tableHeader(y + 20);
+
+    for (const item of invoice.line_items) {
+      const descriptionLines = doc.wrapText(item.description, COLUMNS.quantity - MARGIN - 25, {
+        size: 9,
+      });
+      const height = descriptionLines.length * 12 + 12;
+
+      if (y + height > PAGE_BOTTOM) {
+        doc.addPage();
+        y = tableHeader(70);
+      }
+
+      descriptionLines.forEach((line, index) => {
+        doc.text(line, MARGIN, y + index * 12, { size: 9 });
+      });
+      doc.text(String(item.quantity), COLUMNS.quantity, y, { size: 9, align: "right" });
+      doc.text(money(item.listTotal), COLUMNS.listTotal, y, { size: 9, align: "right" });
+      doc.text(item.discountAmount > 0 ? `-${money(item.discountAmount)}` : "-", COLUMNS.discount, y, {
+        size: 9,
+        align: "right",
+      });
+      doc.text(money(item.netAmount), COLUMNS.net, y, { size: 9, align: "right" });
+      doc.text(showTax ? money(item.taxAmount) : "-", COLUMNS.tax, y, { size: 9, align: "right" });
+      doc.text(money(item.totalAmount), COLUMNS.total, y, { size: 9, align: "right" });
+      doc.text(`Order ${item.trackingId}`, MARGIN, y + descriptionLines.length * 12, {
+        size: 8,
+        color: gray,
+      });
+      y += height + 6;
+    }
+
+    // Totals
+    if (y + 110 > PAGE_BOTTOM) {
+      doc.addPage();
+      y = 70;
+    }
+
+    doc.line(MARGIN, y - 6, right, y - 6);
+    y += 10;
+    const totalLine = (label, amount, options = {}) => {
+      doc.text(label, COLUMNS.net, y, { align: "right", ...options });
+      doc.text(amount, right, y, { align: "right", ...options });
+      y += 16;
+    };
+
+    totalLine("Net total", `${money(invoice.net_amount)} ${currency}`);
+    totalLine(
+      invoice.tax_treatment === "standard"
+        ? `VAT ${invoice.tax_rate}%`
+        : `VAT (${taxService.treatmentLabel(invoice.tax_treatment).toLowerCase()})`,
+      `${money(invoice.tax_amount)} ${currency}`
+    );
+    totalLine("Total paid", `${money(invoice.total_amount)} ${currency}`, { font: "bold", size: 12 });
+
+    y += 10;
+    if (invoice.tax_treatment === "reverse_charge") {
+      doc.text(
+        "Reverse charge: VAT to be accounted for by the recipient (Article 196, Council Directive 2006/112/EC).",
+        MARGIN,
+        y,
+        { size: 8 }
+      );
+      y += 12;
+    }
+
+    doc.text("Thank you for your business.", MARGIN, y + 10, { size: 9, color: gray });
+
+    return doc.toBuffer();
+  }
+}
+
+export const invoiceService = new InvoiceService();
+export default InvoiceService;
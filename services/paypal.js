@@ -51,17 +51,27 @@ class PayPalService {
   async createOrder(orderData) {
     try {
       const accessToken = await this.getAccessToken();
-      const { amount, currency = 'USD', orderId, description } = orderData;
+      const { amount, netAmount, taxAmount = 0, currency = 'USD', orderId, description } = orderData;
+
+      const purchaseAmount = {
+        currency_code: currency,
+        value: amount.toFixed(2)
+      };
+
+      // Itemize VAT so it shows separately to the buyer; value stays the gross amount
+      if (taxAmount > 0) {
+        purchaseAmount.breakdown = {
+          item_total: { currency_code: currency, value: netAmount.toFixed(2) },
+          tax_total: { currency_code: currency, value: taxAmount.toFixed(2) }
+        };
+      }
 
       const requestBody = {
         intent: 'CAPTURE',
         purchase_units: [{
           reference_id: orderId,
           description: description,
-          amount: {
-            currency_code: currency,
-            value: amount.toFixed(2)
-          }
+          amount: purchaseAmount
         }],
         application_context: {
           return_url: `${process.env.FRONTEND_URL}/order-success`,
@@ -136,7 +146,8 @@ class PayPalService {
     }
   }
 
-  async refundPayment(captureId, amount, currency = 'USD') {
+  // A repeated requestId returns the first refund; customId comes back on the refund's webhook
+  async refundPayment(captureId, amount, currency = 'USD', { requestId = null, customId = null } = {}) {
     try {
       const accessToken = await this.getAccessToken();
 
@@ -144,7 +155,8 @@ class PayPalService {
         amount: {
           currency_code: currency,
           value: amount.toFixed(2)
-        }
+        },
+        ...(customId ? { custom_id: customId } : {})
       };
 
       const response = await axios.post(
@@ -153,7 +165,8 @@ class PayPalService {
         {
           headers: {
             'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...(requestId ? { 'PayPal-Request-Id': requestId } : {})
           }
         }
       );
@@ -166,6 +179,159 @@ class PayPalService {
     }
   }
 
+  // Catalog product for a service tier, created the first time the tier is subscribed to
+  async ensureProduct(productId, name) {
+    const accessToken = await this.getAccessToken();
+    const headers = {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    };
+
+    try {
+      const response = await axios.get(`${this.baseURL}/v1/catalogs/products/${productId}`, { headers });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('❌ PayPal get product error:', error.response?.data || error.message);
+        throw new Error('Failed to get PayPal product');
+      }
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/v1/catalogs/products`,
+        { id: productId, name: name.substring(0, 127), type: 'SERVICE' },
+        { headers }
+      );
+
+      console.log('✅ PayPal product created:', response.data.id);
+      return response.data;
+    } catch (error) {
+      console.error('❌ PayPal create product error:', error.response?.data || error.message);
+      throw new Error('Failed to create PayPal product');
+    }
+  }
+
+  // Billing plan charging a fixed amount every week or month until cancelled
+  async createPlan(planData) {
+    try {
+      const accessToken = await this.getAccessToken();
+      const { productId, name, amount, currency = 'USD', interval } = planData;
+
+      const requestBody = {
+        product_id: productId,
+        name: name.substring(0, 127),
+        status: 'ACTIVE',
+        billing_cycles: [{
+          frequency: { interval_unit: interval.toUpperCase(), interval_count: 1 },
+          tenure_type: 'REGULAR',
+          sequence: 1,
+          total_cycles: 0, // Renew until cancelled
+          pricing_scheme: {
+            fixed_price: { currency_code: currency, value: amount.toFixed(2) }
+          }
+        }],
+        payment_preferences: {
+          auto_bill_outstanding: true,
+          payment_failure_threshold: 3
+        }
+      };
+
+      const response = await axios.post(
+        `${this.baseURL}/v1/billing/plans`,
+        requestBody,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log('✅ PayPal billing plan created:', response.data.id);
+      return response.data;
+    } catch (error) {
+      console.error('❌ PayPal create plan error:', error.response?.data || error.message);
+      throw new Error('Failed to create PayPal billing plan');
+    }
+  }
+
+  // Subscription the customer approves at the returned "approve" link
+  async createSubscription(subscriptionData) {
+    try {
+      const accessToken = await this.getAccessToken();
+      const { planId, customId, customerName, customerEmail } = subscriptionData;
+
+      const requestBody = {
+        plan_id: planId,
+        custom_id: customId,
+        subscriber: {
+          name: { given_name: customerName },
+          email_address: customerEmail
+        },
+        application_context: {
+          return_url: `${process.env.FRONTEND_URL}/subscription-success`,
+          cancel_url: `${process.env.FRONTEND_URL}/checkout`,
+          brand_name: 'SEO by Amanda',
+          user_action: 'SUBSCRIBE_NOW'
+        }
+      };
+
+      const response = await axios.post(
+        `${this.baseURL}/v1/billing/subscriptions`,
+        requestBody,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            'PayPal-Request-Id': `${customId}-subscription`
+          }
+        }
+      );
+
+      console.log('✅ PayPal subscription created:', response.data.id);
+      return response.data;
+    } catch (error) {
+      console.error('❌ PayPal create subscription error:', error.response?.data || error.message);
+      throw new Error('Failed to create PayPal subscription');
+    }
+  }
+
+  // action is 'suspend', 'activate' or 'cancel'; PayPal requires a reason for each
+  async updateSubscriptionStatus(subscriptionId, action, reason) {
+    try {
+      const accessToken = await this.getAccessToken();
+
+      await axios.post(
+        `${this.baseURL}/v1/billing/subscriptions/${subscriptionId}/${action}`,
+        { reason: reason.substring(0, 128) },
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`✅ PayPal subscription ${action}:`, subscriptionId);
+    } catch (error) {
+      console.error(`❌ PayPal ${action} subscription error:`, error.response?.data || error.message);
+      throw new Error(`Failed to ${action} PayPal subscription`);
+    }
+  }
+
+  async suspendSubscription(subscriptionId, reason = 'Paused at customer request') {
+    return this.updateSubscriptionStatus(subscriptionId, 'suspend', reason);
+  }
+
+  async activateSubscription(subscriptionId, reason = 'Resumed at customer request') {
+    return this.updateSubscriptionStatus(subscriptionId, 'activate', reason);
+  }
+
+  async cancelSubscription(subscriptionId, reason = 'Cancelled at customer request') {
+    return this.updateSubscriptionStatus(subscriptionId, 'cancel', reason);
+  }
+
   async verifyWebhook(headers, body, webhookId) {
     try {
       const accessToken = await this.getAccessToken();
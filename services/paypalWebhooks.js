@@ -0,0 +1,290 @@
+import { query } from '../config/database.js';
+import { paypalService } from './paypal.js';
+import { checkoutService } from './checkout.js';
+import { subscriptionService } from './subscriptions.js';
+import { refundService } from './refunds.js';
+
+// PayPal refund statuses as stored on refunds rows
+const REFUND_STATUSES = { COMPLETED: 'succeeded', FAILED: 'failed', CANCELLED: 'failed' };
+
+// Headers PayPal signs the event with, kept alongside the raw payload
+const TRANSMISSION_HEADERS = [
+  'paypal-auth-algo',
+  'paypal-cert-id',
+  'paypal-transmission-id',
+  'paypal-transmission-sig',
+  'paypal-transmission-time'
+];
+
+// Refund and reversal resources point back to their capture via related IDs or an "up" link
+const relatedCaptureId = (resource) => {
+  const relatedIds = resource.supplementary_data?.related_ids;
+  if (relatedIds?.capture_id) {
+    return relatedIds.capture_id;
+  }
+
+  const captureLink = resource.links?.find(
+    (link) => link.rel === 'up' && link.href.includes('/captures/')
+  );
+  return captureLink ? captureLink.href.split('/captures/')[1].split('/')[0] : null;
+};
+
+class PayPalWebhookService {
+  constructor(
+    checkout = checkoutService,
+    paypal = paypalService,
+    db = { query },
+    subscriptions = subscriptionService,
+    refunds = refundService
+  ) {
+    this.checkout = checkout;
+    this.paypal = paypal;
+    this.db = db;
+    this.subscriptions = subscriptions;
+    this.refunds = refunds;
+  }
+
+  // Verify an event's signature against the configured PAYPAL_WEBHOOK_ID
+  async verifyEvent(headers, event) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+
+    if (!webhookId) {
+      console.error('❌ PAYPAL_WEBHOOK_ID is not configured; rejecting PayPal webhook');
+      return false;
+    }
+
+    return this.paypal.verifyWebhook(headers, event, webhookId);
+  }
+
+  // The signature headers worth keeping alongside the stored event
+  transmissionHeaders(headers) {
+    const signedHeaders = {};
+    for (const name of TRANSMISSION_HEADERS) {
+      if (headers[name]) {
+        signedHeaders[name] = headers[name];
+      }
+    }
+    return signedHeaders;
+  }
+
+  /**
+   * Apply a verified PayPal event. Returns the checkout result when the event
+   * confirmed (or replayed) orders, otherwise null.
+   */
+  async handleEvent(event) {
+    const resource = event.resource;
+
+    switch (event.event_type) {
+      case 'CHECKOUT.ORDER.APPROVED':
+        // Order approved but not yet captured
+        if (process.env.NODE_ENV !== 'production') {
+          console.log('PayPal order approved:', resource.id);
+        }
+        return null;
+
+      case 'CHECKOUT.ORDER.COMPLETED':
+        return this.handleOrderCompleted(resource);
+
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return this.handleCaptureCompleted(resource);
+
+      case 'PAYMENT.CAPTURE.DENIED':
+        await this.handleCaptureDenied(resource);
+        return null;
+
+      case 'PAYMENT.CAPTURE.REFUNDED':
+        await this.handleCaptureRefunded(resource);
+        return null;
+
+      case 'PAYMENT.CAPTURE.REVERSED':
+        await this.handleCaptureReversed(resource);
+        return null;
+
+      // Subscription emails are sent by the subscription service itself
+      case 'PAYMENT.SALE.COMPLETED':
+        await this.handleSaleCompleted(resource);
+        return null;
+
+      case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED':
+        await this.subscriptions.recordFailure({
+          method: 'paypal',
+          gatewaySubscriptionId: resource.id,
+          reason: resource.billing_info?.last_failed_payment?.reason_code || null
+        });
+        return null;
+
+      case 'BILLING.SUBSCRIPTION.SUSPENDED':
+        await this.subscriptions.syncStatus({
+          method: 'paypal',
+          gatewaySubscriptionId: resource.id,
+          status: 'paused'
+        });
+        return null;
+
+      case 'BILLING.SUBSCRIPTION.CANCELLED':
+      case 'BILLING.SUBSCRIPTION.EXPIRED':
+        await this.subscriptions.syncStatus({
+          method: 'paypal',
+          gatewaySubscriptionId: resource.id,
+          status: 'cancelled'
+        });
+        return null;
+
+      default:
+        if (process.env.NODE_ENV !== 'production') {
+          console.log('Unhandled webhook event:', event.event_type);
+        }
+        return null;
+    }
+  }
+
+  async handleOrderCompleted(order) {
+    const paymentInfo = this.paypal.extractPaymentInfo(order);
+
+    return this.checkout.confirmPayment({
+      method: 'paypal',
+      paymentId: order.id,
+      captureId: paymentInfo.captureId,
+      payerId: paymentInfo.payerId,
+      amount: paymentInfo.amount,
+      currency: paymentInfo.currency,
+      gatewayResponse: order,
+      historyNote: 'Payment confirmed via PayPal webhook'
+    });
+  }
+
+  async handleCaptureCompleted(capture) {
+    const paypalOrderId = capture.supplementary_data?.related_ids?.order_id;
+
+    if (!paypalOrderId) {
+      console.error('PayPal capture without related order ID:', capture.id);
+      return null;
+    }
+
+    return this.checkout.confirmPayment({
+      method: 'paypal',
+      paymentId: paypalOrderId,
+      captureId: capture.id,
+      amount: capture.amount?.value ?? null,
+      currency: capture.amount?.currency_code,
+      gatewayResponse: capture,
+      historyNote: 'Payment confirmed via PayPal webhook'
+    });
+  }
+
+  async handleCaptureDenied(capture) {
+    await this.checkout.updatePaymentStatus({
+      method: 'paypal',
+      paymentId: capture.supplementary_data?.related_ids?.order_id || null,
+      captureId: capture.id,
+      paymentStatus: 'failed',
+      historyNote: 'Payment denied by PayPal',
+      gatewayResponse: { denial: { captureId: capture.id, status: capture.status } }
+    });
+  }
+
+  async handleCaptureRefunded(refund) {
+    const captureId = relatedCaptureId(refund);
+    const paypalOrderId = refund.supplementary_data?.related_ids?.order_id || null;
+
+    if (!captureId && !paypalOrderId) {
+      console.error('PayPal refund without related capture:', refund.id);
+      return;
+    }
+
+    // Refunds issued from the admin carry their refunds row as custom_id
+    const ownRefund = /^refund-(\d+)$/.exec(refund.custom_id || '');
+
+    await this.refunds.recordGatewayRefund({
+      method: 'paypal',
+      paymentId: paypalOrderId,
+      captureId,
+      gatewayRefundId: refund.id,
+      refundId: ownRefund ? parseInt(ownRefund[1]) : null,
+      amount: parseFloat(refund.amount?.value ?? 0),
+      currency: refund.amount?.currency_code,
+      status: REFUND_STATUSES[refund.status] || 'pending',
+      gatewayResponse: refund
+    });
+
+    if (refund.status !== 'COMPLETED') {
+      return;
+    }
+
+    // One PayPal order can pay several orders; a full refund of it refunds them all
+    const paidResult = await this.db.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM payments
+       WHERE payment_method = 'paypal' AND (payment_id = $1 OR capture_id = $2)`,
+      [paypalOrderId, captureId]
+    );
+    const paidAmount = parseFloat(paidResult.rows[0].total);
+    const refundedAmount = parseFloat(
+      refund.seller_payable_breakdown?.total_refunded_amount?.value ?? refund.amount?.value ?? 0
+    );
+
+    if (refundedAmount < paidAmount - 0.01) {
+      return;
+    }
+
+    await this.checkout.updatePaymentStatus({
+      method: 'paypal',
+      paymentId: paypalOrderId,
+      captureId,
+      paymentStatus: 'refunded',
+      historyNote: 'Payment refunded via PayPal',
+      gatewayResponse: {
+        refund: {
+          refundId: refund.id,
+          captureId,
+          amountRefunded: refundedAmount,
+          currency: refund.amount?.currency_code
+        }
+      }
+    });
+  }
+
+  // Subscription charges arrive as sales against the billing agreement (the subscription ID)
+  async handleSaleCompleted(sale) {
+    if (!sale.billing_agreement_id) {
+      return;
+    }
+
+    await this.subscriptions.recordPayment({
+      method: 'paypal',
+      gatewaySubscriptionId: sale.billing_agreement_id,
+      paymentId: sale.id,
+      amount: sale.amount?.total,
+      currency: sale.amount?.currency,
+      gatewayResponse: sale
+    });
+  }
+
+  // A reversal returns the funds to the buyer (e.g. after a chargeback)
+  async handleCaptureReversed(reversal) {
+    const captureId = relatedCaptureId(reversal);
+
+    if (!captureId) {
+      console.error('PayPal reversal without related capture:', reversal.id);
+      return;
+    }
+
+    await this.checkout.updatePaymentStatus({
+      method: 'paypal',
+      captureId,
+      paymentStatus: 'refunded',
+      historyNote: 'Payment reversed by PayPal',
+      gatewayResponse: {
+        reversal: {
+          reversalId: reversal.id,
+          captureId,
+          amount: reversal.amount?.value,
+          currency: reversal.amount?.currency_code,
+          status: reversal.status
+        }
+      }
+    });
+  }
+}
+
+export const paypalWebhookService = new PayPalWebhookService();
+export default PayPalWebhookService;
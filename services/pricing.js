@@ -0,0 +1,215 @@
+import { query } from "../config/database.js";
+import { roundAmount } from "./currency.js";
+
+// Request fields an admin may set on a bundle, mapped to their bundle_rules column
+const BUNDLE_FIELDS = {
+  name: "name",
+  tierIds: "tier_ids",
+  discountPercent: "discount_percent",
+  isActive: "is_active",
+};
+
+/**
+ * Volume brackets and bundle rules. Both are percentages, so they apply the
+ * same way whatever currency the cart is priced in.
+ */
+class PricingService {
+  constructor(db = { query }) {
+    this.db = db;
+  }
+
+  // Brackets for the given tiers, keyed by tier id, largest minimum first
+  async getVolumeDiscounts(client, tierIds) {
+    const result = await client.query(
+      `SELECT tier_id, min_quantity, discount_percent FROM tier_volume_discounts
+       WHERE tier_id = ANY($1)
+       ORDER BY min_quantity DESC`,
+      [tierIds]
+    );
+
+    const brackets = new Map();
+    for (const row of result.rows) {
+      if (!brackets.has(row.tier_id)) {
+        brackets.set(row.tier_id, []);
+      }
+      brackets.get(row.tier_id).push({
+        minQuantity: row.min_quantity,
+        discountPercent: parseFloat(row.discount_percent),
+      });
+    }
+    return brackets;
+  }
+
+  async getActiveBundles(client) {
+    const result = await client.query(
+      "SELECT * FROM bundle_rules WHERE is_active = true ORDER BY discount_percent DESC, id ASC"
+    );
+    return result.rows;
+  }
+
+  /**
+   * Apply volume brackets, then bundle rules, to priced line items. Each item
+   * gains listTotal (unit price x quantity), adjustments ({ type, label,
+   * amount } with negative amounts) and a subtotal after them; total is set to
+   * the subtotal.
+   *
+   * A tier's bracket is picked from its quantity across all cart lines. Each
+   * complete set of a bundle's tiers takes the bundle discount on one unit of
+   * every tier in it; bundles are tried best discount first and a unit only
+   * counts towards one bundle.
+   */
+  async applyRules(client, items) {
+    const tierIds = [...new Set(items.map((item) => item.serviceId))];
+    const [brackets, bundles] = await Promise.all([
+      this.getVolumeDiscounts(client, tierIds),
+      this.getActiveBundles(client),
+    ]);
+
+    const tierQuantities = new Map();
+    for (const item of items) {
+      tierQuantities.set(
+        item.serviceId,
+        (tierQuantities.get(item.serviceId) || 0) + item.quantity
+      );
+    }
+
+    const lines = items.map((item) => {
+      const listTotal = roundAmount(item.unitPrice * item.quantity);
+      const adjustments = [];
+      const bracket = (brackets.get(item.serviceId) || []).find(
+        (entry) => tierQuantities.get(item.serviceId) >= entry.minQuantity
+      );
+
+      if (bracket) {
+        adjustments.push({
+          type: "volume",
+          label: `Volume discount: ${bracket.minQuantity}+ units, ${bracket.discountPercent}% off`,
+          amount: -roundAmount((listTotal * bracket.discountPercent) / 100),
+        });
+      }
+
+      return { item, listTotal, adjustments, unbundled: item.quantity };
+    });
+
+    for (const bundle of bundles) {
+      const bundleTiers = [...new Set(bundle.tier_ids || [])];
+      if (bundleTiers.length === 0) continue;
+
+      const sets = Math.min(
+        ...bundleTiers.map((tierId) =>
+          lines
+            .filter((line) => line.item.serviceId === tierId)
+            .reduce((sum, line) => sum + line.unbundled, 0)
+        )
+      );
+      if (sets === 0) continue;
+
+      const percent = parseFloat(bundle.discount_percent);
+
+      for (const tierId of bundleTiers) {
+        let needed = sets;
+
+        for (const line of lines) {
+          if (needed === 0) break;
+          if (line.item.serviceId !== tierId || line.unbundled === 0) continue;
+
+          const units = Math.min(needed, line.unbundled);
+          const volumeAmount = line.adjustments.reduce((sum, adj) => sum + adj.amount, 0);
+          const unitPrice = (line.listTotal + volumeAmount) / line.item.quantity;
+
+          line.adjustments.push({
+            type: "bundle",
+            label: `Bundle discount: ${bundle.name}, ${percent}% off`,
+            amount: -roundAmount((unitPrice * units * percent) / 100),
+          });
+          line.unbundled -= units;
+          needed -= units;
+        }
+      }
+    }
+
+    return lines.map(({ item, listTotal, adjustments }) => {
+      const subtotal = roundAmount(
+        listTotal + adjustments.reduce((sum, adj) => sum + adj.amount, 0)
+      );
+      return { ...item, listTotal, adjustments, subtotal, total: subtotal };
+    });
+  }
+
+  // Replace a tier's volume brackets ([{ minQuantity, discountPercent }])
+  async saveVolumeDiscounts(client, tierId, brackets) {
+    await client.query("DELETE FROM tier_volume_discounts WHERE tier_id = $1", [tierId]);
+    // Bump the tier so catalog Last-Modified notices removed brackets too
+    await client.query(
+      "UPDATE service_tiers SET updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [tierId]
+    );
+
+    for (const { minQuantity, discountPercent } of brackets) {
+      await client.query(
+        `INSERT INTO tier_volume_discounts (tier_id, min_quantity, discount_percent)
+         VALUES ($1, $2, $3)`,
+        [tierId, minQuantity, discountPercent]
+      );
+    }
+
+    const result = await client.query(
+      "SELECT min_quantity, discount_percent FROM tier_volume_discounts WHERE tier_id = $1 ORDER BY min_quantity ASC",
+      [tierId]
+    );
+    return result.rows;
+  }
+
+  async listBundles() {
+    const result = await this.db.query(
+      "SELECT * FROM bundle_rules ORDER BY is_active DESC, discount_percent DESC, id ASC"
+    );
+    return result.rows;
+  }
+
+  async createBundle({ name, tierIds, discountPercent, isActive = true }) {
+    const result = await this.db.query(
+      `INSERT INTO bundle_rules (name, tier_ids, discount_percent, is_active)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [name, JSON.stringify(tierIds), discountPercent, isActive]
+    );
+    return result.rows[0];
+  }
+
+  // Partial update; returns null when the bundle does not exist
+  async updateBundle(id, data) {
+    const setClauses = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(BUNDLE_FIELDS)) {
+      if (data[field] === undefined) continue;
+      params.push(column === "tier_ids" ? JSON.stringify(data[field]) : data[field]);
+      setClauses.push(`${column} = $${params.length}`);
+    }
+
+    if (setClauses.length === 0) {
+      const existing = await this.db.query("SELECT * FROM bundle_rules WHERE id = $1", [id]);
+      return existing.rows[0] || null;
+    }
+
+    params.push(id);
+    const result = await this.db.query(
+      `UPDATE bundle_rules SET ${setClauses.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  // Orders keep their adjustment labels, so bundles can be removed outright
+  async deleteBundle(id) {
+    const result = await this.db.query(
+      "DELETE FROM bundle_rules WHERE id = $1 RETURNING id",
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+export const pricingService = new PricingService();
+export default PricingService;
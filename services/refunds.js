@@ -0,0 +1,397 @@
+import {
+  query,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "../config/database.js";
+import { stripeService } from "./stripe.js";
+import { paypalService } from "./paypal.js";
+import { roundAmount } from "./checkout.js";
+
+// Error raised when a refund cannot be issued (maps to a 4xx/5xx)
+export class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RefundError";
+    this.status = status;
+  }
+}
+
+const METHOD_NAMES = { stripe: "Stripe", paypal: "PayPal" };
+
+class RefundService {
+  // Database helpers and gateways are injectable so the service can run against fakes
+  constructor(
+    db = { query, beginTransaction, commitTransaction, rollbackTransaction },
+    gateways = { stripe: stripeService, paypal: paypalService }
+  ) {
+    this.db = db;
+    this.gateways = gateways;
+  }
+
+  /**
+   * Refund an order through the gateway that took its payment. Omitting the
+   * amount refunds whatever is still refundable.
+   *
+   * The refund is first recorded as pending, which reserves its amount so an
+   * overlapping refund sees less left to refund, and committed; the gateway
+   * is then called with an idempotency key made from that row, so no lock is
+   * held while waiting on it and a repeated call can't refund twice.
+   */
+  async refundOrder(orderId, { amount = null, reason = null, adminId = null } = {}) {
+    const { order, payment, refundId, refundAmount } = await this.reserveRefund(orderId, { amount, reason, adminId });
+
+    let refund;
+    try {
+      refund = await this.issueGatewayRefund(payment, refundAmount, reason, refundId);
+    } catch (error) {
+      // Nothing was refunded, so give the reserved amount back
+      await this.db
+        .query("UPDATE refunds SET status = 'failed', gateway_response = $1 WHERE id = $2", [
+          JSON.stringify({ error: error.message }),
+          refundId,
+        ])
+        .catch((updateError) => {
+          console.error("Failed to mark refund as failed:", updateError);
+        });
+      throw error;
+    }
+
+    const client = await this.db.beginTransaction();
+
+    try {
+      // A refund webhook may have recorded the gateway's ID on this row already,
+      // and a status it reported is newer than the one the gateway answered with
+      await client.query(
+        `UPDATE refunds
+         SET gateway_refund_id = $1, status = CASE WHEN status = 'pending' THEN $2 ELSE status END, gateway_response = $3
+         WHERE id = $4`,
+        [refund.id, refund.status, JSON.stringify(refund.gatewayResponse), refundId]
+      );
+
+      const { totalRefunded, paymentStatus, fullRefund } = await this.applyRefunds(client, order, payment, {
+        historyNote: `Refunded ${refundAmount.toFixed(2)} ${payment.currency} via ${
+          METHOD_NAMES[payment.payment_method]
+        }${reason ? ` (${reason})` : ""}`,
+        adminId,
+      });
+
+      await this.db.commitTransaction(client);
+
+      return {
+        order: { ...order, payment_status: paymentStatus },
+        customer: { name: order.customer_name, email: order.customer_email },
+        refund: {
+          id: refund.id,
+          status: refund.status,
+          amount: refundAmount,
+          currency: payment.currency,
+          reason,
+        },
+        totalRefunded,
+        refundable: roundAmount(parseFloat(payment.amount) - totalRefunded),
+        fullRefund,
+        paymentStatus,
+      };
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Check the amount against what's left to refund and record the refund as pending; returns the refunds row ID
+  async reserveRefund(orderId, { amount, reason, adminId }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const orderResult = await client.query(
+        `SELECT o.*, c.name as customer_name, c.email as customer_email
+         FROM orders o
+         JOIN customers c ON o.customer_id = c.id
+         WHERE o.id = $1
+         FOR UPDATE OF o`,
+        [orderId]
+      );
+
+      if (orderResult.rows.length === 0) {
+        throw new RefundError("Order not found", 404);
+      }
+
+      const order = orderResult.rows[0];
+
+      const paymentResult = await client.query(
+        `SELECT * FROM payments
+         WHERE order_id = $1 AND status IN ('paid', 'partially_refunded')
+         ORDER BY id DESC LIMIT 1
+         FOR UPDATE`,
+        [orderId]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        throw new RefundError("Order has no refundable payment", 409);
+      }
+
+      const payment = paymentResult.rows[0];
+
+      if (!this.gateways[payment.payment_method]) {
+        throw new RefundError(
+          `Refunds are not supported for ${payment.payment_method} payments`,
+          409
+        );
+      }
+
+      const refundable = roundAmount(parseFloat(payment.amount) - (await this.refundedTotal(client, payment)));
+      const refundAmount = roundAmount(amount === null ? refundable : parseFloat(amount));
+
+      if (refundable <= 0) {
+        throw new RefundError("Payment has already been fully refunded", 409);
+      }
+
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new RefundError(
+          `Refund amount must be between 0.01 and ${refundable.toFixed(2)}`
+        );
+      }
+
+      const refundResult = await client.query(
+        `INSERT INTO refunds (payment_id, order_id, amount, currency, status, reason, created_by)
+         VALUES ($1, $2, $3, $4, 'pending', $5, $6)
+         RETURNING id`,
+        [payment.id, order.id, refundAmount, payment.currency, reason, adminId]
+      );
+
+      await this.db.commitTransaction(client);
+
+      return { order, payment, refundId: refundResult.rows[0].id, refundAmount };
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Amount refunded or being refunded from a payment
+  async refundedTotal(client, payment) {
+    const result = await client.query(
+      "SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE payment_id = $1 AND status IN ('succeeded', 'pending')",
+      [payment.id]
+    );
+    return parseFloat(result.rows[0].total);
+  }
+
+  /**
+   * Set the payment's and order's status from the payment's refunds: refunded
+   * once they add up to the amount paid, partially refunded before that, and
+   * paid again if every refund failed. Records the change in the order
+   * history. Runs inside the caller's transaction, with the payment row locked.
+   */
+  async applyRefunds(client, order, payment, { historyNote, adminId = null }) {
+    const totalRefunded = roundAmount(await this.refundedTotal(client, payment));
+    const fullRefund = totalRefunded >= parseFloat(payment.amount) - 0.01;
+    const paymentStatus = fullRefund ? "refunded" : totalRefunded > 0 ? "partially_refunded" : "paid";
+
+    await client.query(
+      "UPDATE payments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+      [paymentStatus, payment.id]
+    );
+
+    await client.query(
+      "UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+      [paymentStatus, order.id]
+    );
+
+    await client.query(
+      "INSERT INTO order_status_history (order_id, status, notes, changed_by) VALUES ($1, $2, $3, $4)",
+      [order.id, order.status, historyNote, adminId]
+    );
+
+    return { totalRefunded, paymentStatus, fullRefund };
+  }
+
+  /**
+   * Record a refund reported by a gateway webhook. Refunds issued here are
+   * matched by `refundId` (our refunds row, sent to the gateway with the
+   * refund) and get the gateway's ID; refunds made elsewhere, such as the
+   * gateway's dashboard, are added and update the payment's status like
+   * refundOrder does. A refund already recorded under `gatewayRefundId` takes
+   * the reported status if it changed (a pending refund that failed gives its
+   * amount back), and is skipped otherwise. When one gateway payment paid
+   * several orders, an outside refund goes against the first order with
+   * enough left to refund.
+   */
+  async recordGatewayRefund({
+    method,
+    paymentId = null,
+    captureId = null,
+    gatewayRefundId,
+    refundId = null,
+    amount,
+    currency,
+    status,
+    gatewayResponse = null,
+  }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      if (refundId) {
+        await client.query(
+          "UPDATE refunds SET gateway_refund_id = $1 WHERE id = $2 AND gateway_refund_id IS NULL",
+          [gatewayRefundId, refundId]
+        );
+      }
+
+      const existing = await client.query(
+        "SELECT * FROM refunds WHERE gateway_refund_id = $1 FOR UPDATE",
+        [gatewayRefundId]
+      );
+
+      if (existing.rows.length > 0) {
+        const result = await this.updateRefundStatus(client, existing.rows[0], { method, status, gatewayResponse });
+        await this.db.commitTransaction(client);
+        return result;
+      }
+
+      const paymentResult = await client.query(
+        `SELECT * FROM payments
+         WHERE payment_method = $1 AND (payment_id = $2 OR capture_id = $3)
+         ORDER BY id ASC
+         FOR UPDATE`,
+        [method, paymentId, captureId]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        await this.db.commitTransaction(client);
+        return null;
+      }
+
+      let payment = null;
+      for (const candidate of paymentResult.rows) {
+        if (parseFloat(candidate.amount) - (await this.refundedTotal(client, candidate)) >= amount - 0.01) {
+          payment = candidate;
+          break;
+        }
+      }
+      payment = payment || paymentResult.rows[0];
+
+      const inserted = await client.query(
+        `INSERT INTO refunds (payment_id, order_id, gateway_refund_id, amount, currency, status, gateway_response)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (gateway_refund_id) DO NOTHING
+         RETURNING id`,
+        [
+          payment.id,
+          payment.order_id,
+          gatewayRefundId,
+          amount,
+          (currency || payment.currency).toUpperCase(),
+          status,
+          gatewayResponse ? JSON.stringify(gatewayResponse) : null,
+        ]
+      );
+
+      if (inserted.rows.length === 0 || status === "failed") {
+        await this.db.commitTransaction(client);
+        return null;
+      }
+
+      const orderResult = await client.query(
+        "SELECT * FROM orders WHERE id = $1 FOR UPDATE",
+        [payment.order_id]
+      );
+      const result = await this.applyRefunds(client, orderResult.rows[0], payment, {
+        historyNote: `Refunded ${amount.toFixed(2)} ${payment.currency} via ${METHOD_NAMES[method]}`,
+      });
+
+      await this.db.commitTransaction(client);
+      return result;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Move a recorded refund to the status its gateway reports and update the payment's status from it
+  async updateRefundStatus(client, refund, { method, status, gatewayResponse }) {
+    if (refund.status === status) {
+      return null;
+    }
+
+    await client.query(
+      "UPDATE refunds SET status = $1, gateway_response = COALESCE($2, gateway_response) WHERE id = $3",
+      [status, gatewayResponse ? JSON.stringify(gatewayResponse) : null, refund.id]
+    );
+
+    const paymentResult = await client.query("SELECT * FROM payments WHERE id = $1 FOR UPDATE", [refund.payment_id]);
+    const orderResult = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [refund.order_id]);
+    const amount = `${parseFloat(refund.amount).toFixed(2)} ${refund.currency}`;
+
+    return this.applyRefunds(client, orderResult.rows[0], paymentResult.rows[0], {
+      historyNote:
+        status === "succeeded"
+          ? `Refunded ${amount} via ${METHOD_NAMES[method]}`
+          : `Refund of ${amount} via ${METHOD_NAMES[method]} ${status}`,
+    });
+  }
+
+  /**
+   * Call the payment's gateway; returns { id, status, gatewayResponse }. The
+   * refunds row ID is the idempotency key, and is stored with the gateway's
+   * refund so its webhook finds the row.
+   */
+  async issueGatewayRefund(payment, amount, reason, refundId) {
+    const idempotencyKey = `refund-${refundId}`;
+
+    try {
+      if (payment.payment_method === "stripe") {
+        const refund = await this.gateways.stripe.refundPayment(
+          payment.payment_id,
+          amount,
+          reason,
+          { idempotencyKey, refundId }
+        );
+
+        if (refund.status === "failed" || refund.status === "canceled") {
+          throw new Error(`Stripe refund ${refund.status}`);
+        }
+
+        return {
+          id: refund.id,
+          status: refund.status === "succeeded" ? "succeeded" : "pending",
+          gatewayResponse: refund,
+        };
+      }
+
+      // Older PayPal payments were stored before capture IDs were recorded
+      let captureId = payment.capture_id;
+      if (!captureId) {
+        const details = await this.gateways.paypal.getOrderDetails(payment.payment_id);
+        captureId = this.gateways.paypal.extractPaymentInfo(details).captureId;
+      }
+
+      if (!captureId) {
+        throw new Error("PayPal capture not found");
+      }
+
+      const refund = await this.gateways.paypal.refundPayment(
+        captureId,
+        amount,
+        payment.currency,
+        { requestId: idempotencyKey, customId: idempotencyKey }
+      );
+
+      if (refund.status === "FAILED" || refund.status === "CANCELLED") {
+        throw new Error(`PayPal refund ${refund.status.toLowerCase()}`);
+      }
+
+      return {
+        id: refund.id,
+        status: refund.status === "COMPLETED" ? "succeeded" : "pending",
+        gatewayResponse: refund,
+      };
+    } catch (error) {
+      throw new RefundError(`Refund failed: ${error.message}`, 502);
+    }
+  }
+}
+
+export const refundService = new RefundService();
+export default RefundService;
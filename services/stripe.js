@@ -59,6 +59,7 @@ class StripeService {
         orderId,
         description,
         customerEmail,
+        metadata = {},
       } = orderData;
 
       if (!this.stripe) {
@@ -70,6 +71,7 @@ class StripeService {
         amount: Math.round(amount * 100), // Convert to cents
         currency: currency.toLowerCase(),
         metadata: {
+          ...metadata,
           orderId: orderId,
           description: description,
         },
@@ -136,6 +138,177 @@ class StripeService {
     }
   }
 
+  // The idempotency key makes a repeated call return the first refund; refundId ties the refund to our refunds row
+  async refundPayment(paymentIntentId, amount, reason = null, { idempotencyKey = null, refundId = null } = {}) {
+    try {
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      // Stripe's own reason field only takes fixed codes, so free text goes in metadata
+      const refund = await this.stripe.refunds.create(
+        {
+          payment_intent: paymentIntentId,
+          amount: Math.round(amount * 100), // Convert to cents
+          metadata: {
+            ...(reason ? { reason } : {}),
+            ...(refundId ? { refundId: String(refundId) } : {}),
+          },
+        },
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
+
+      console.log("✅ Stripe refund processed:", refund.id);
+      return {
+        id: refund.id,
+        status: refund.status,
+        amount: refund.amount / 100, // Convert back to dollars
+        currency: refund.currency,
+      };
+    } catch (error) {
+      console.error("Stripe refund error:", error);
+      throw new Error(`Failed to process Stripe refund: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a subscription charging `amount` every `interval` (week or month).
+   * The first invoice stays open until the customer confirms it with the
+   * returned client secret; later invoices are charged automatically.
+   */
+  async createSubscription(subscriptionData) {
+    try {
+      const {
+        amount,
+        currency = "usd",
+        interval,
+        description,
+        customerEmail,
+        customerName,
+        metadata = {},
+      } = subscriptionData;
+
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      const customer = await this.stripe.customers.create({
+        email: customerEmail,
+        name: customerName,
+      });
+
+      // One price per subscription keeps the amount priced (and taxed) at sign-up
+      const price = await this.stripe.prices.create({
+        unit_amount: Math.round(amount * 100), // Convert to cents
+        currency: currency.toLowerCase(),
+        recurring: { interval },
+        product_data: { name: description },
+      });
+
+      const subscription = await this.stripe.subscriptions.create({
+        customer: customer.id,
+        items: [{ price: price.id }],
+        payment_behavior: "default_incomplete",
+        payment_settings: { save_default_payment_method: "on_subscription" },
+        metadata,
+        expand: ["latest_invoice.confirmation_secret"],
+      });
+
+      return {
+        subscriptionId: subscription.id,
+        customerId: customer.id,
+        clientSecret: subscription.latest_invoice?.confirmation_secret?.client_secret,
+        status: subscription.status,
+      };
+    } catch (error) {
+      console.error("Stripe subscription creation error:", error);
+      throw new Error(`Failed to create subscription: ${error.message}`);
+    }
+  }
+
+  // Stop charging without cancelling; invoices due while paused are voided
+  async pauseSubscription(subscriptionId) {
+    try {
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      return await this.stripe.subscriptions.update(subscriptionId, {
+        pause_collection: { behavior: "void" },
+      });
+    } catch (error) {
+      console.error("Stripe subscription pause error:", error);
+      throw new Error(`Failed to pause subscription: ${error.message}`);
+    }
+  }
+
+  async resumeSubscription(subscriptionId) {
+    try {
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      return await this.stripe.subscriptions.update(subscriptionId, {
+        pause_collection: "",
+      });
+    } catch (error) {
+      console.error("Stripe subscription resume error:", error);
+      throw new Error(`Failed to resume subscription: ${error.message}`);
+    }
+  }
+
+  async cancelSubscription(subscriptionId) {
+    try {
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      return await this.stripe.subscriptions.cancel(subscriptionId);
+    } catch (error) {
+      console.error("Stripe subscription cancel error:", error);
+      throw new Error(`Failed to cancel subscription: ${error.message}`);
+    }
+  }
+
+  // The PaymentIntent that paid a subscription invoice, or null if it was paid some other way
+  async getInvoicePaymentIntentId(invoiceId) {
+    try {
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      const payments = await this.stripe.invoicePayments.list({
+        invoice: invoiceId,
+        status: "paid",
+      });
+      const paymentIntent = payments.data[0]?.payment?.payment_intent;
+
+      return typeof paymentIntent === "string" ? paymentIntent : paymentIntent?.id || null;
+    } catch (error) {
+      console.error("Stripe invoice payment lookup error:", error);
+      throw new Error(`Failed to retrieve invoice payment: ${error.message}`);
+    }
+  }
+
+  // Refunds of a PaymentIntent (charge.refunded events no longer include them)
+  async listRefunds(paymentIntentId) {
+    try {
+      if (!this.stripe) {
+        throw new Error("Stripe not initialized");
+      }
+
+      const refunds = await this.stripe.refunds.list({
+        payment_intent: paymentIntentId,
+        limit: 100,
+      });
+
+      return refunds.data;
+    } catch (error) {
+      console.error("Stripe refund list error:", error);
+      throw new Error(`Failed to list refunds: ${error.message}`);
+    }
+  }
+
   async getPaymentIntent(paymentIntentId) {
     try {
       if (!this.stripe) {
@@ -0,0 +1,250 @@
+import { checkoutService } from "./checkout.js";
+import { stripeService } from "./stripe.js";
+import { subscriptionService } from "./subscriptions.js";
+import { refundService } from "./refunds.js";
+
+// Stripe refund statuses as stored on refunds rows
+const REFUND_STATUSES = { succeeded: "succeeded", failed: "failed", canceled: "failed" };
+
+// Subscription an invoice belongs to (moved under invoice.parent in newer API versions)
+const invoiceSubscriptionId = (invoice) => {
+  const subscription =
+    invoice.parent?.subscription_details?.subscription ?? invoice.subscription;
+  return typeof subscription === "string" ? subscription : subscription?.id || null;
+};
+
+// Subscription invoices are paid by PaymentIntents too; those are recorded from invoice.paid.
+// Newer API versions no longer link a PaymentIntent to its invoice, so anything
+// without the checkout session our own PaymentIntents carry is skipped as well
+const isCheckoutPayment = (paymentIntent) =>
+  !paymentIntent.invoice &&
+  !paymentIntent.metadata?.subscriptionReference &&
+  Boolean(paymentIntent.metadata?.checkoutSessionId);
+
+class StripeWebhookService {
+  constructor(
+    checkout = checkoutService,
+    subscriptions = subscriptionService,
+    stripe = stripeService,
+    refunds = refundService
+  ) {
+    this.checkout = checkout;
+    this.subscriptions = subscriptions;
+    this.stripe = stripe;
+    this.refunds = refunds;
+  }
+
+  /**
+   * Apply a verified Stripe event. Returns the checkout result when the event
+   * created (or replayed) orders, otherwise null.
+   */
+  async handleEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        return this.handlePaymentSucceeded(object);
+
+      case "payment_intent.payment_failed":
+        await this.handlePaymentFailed(object);
+        return null;
+
+      case "charge.refunded":
+        await this.handleChargeRefunded(object);
+        return null;
+
+      // A pending refund may still fail or be canceled after charge.refunded
+      case "charge.refund.updated":
+      case "refund.updated":
+      case "refund.failed":
+        await this.handleRefundUpdated(object);
+        return null;
+
+      case "charge.dispute.created":
+        await this.handleDisputeCreated(object);
+        return null;
+
+      // Subscription emails are sent by the subscription service itself
+      case "invoice.paid":
+        await this.handleInvoicePaid(object);
+        return null;
+
+      case "invoice.payment_failed":
+        await this.handleInvoicePaymentFailed(object);
+        return null;
+
+      case "customer.subscription.deleted":
+        await this.subscriptions.syncStatus({
+          method: "stripe",
+          gatewaySubscriptionId: object.id,
+          status: "cancelled",
+        });
+        return null;
+
+      default:
+        if (process.env.NODE_ENV !== "production") {
+          console.log(`Unhandled Stripe event type: ${event.type}`);
+        }
+        return null;
+    }
+  }
+
+  // Same path as /confirm-stripe-payment; the session lock lets only one create orders
+  async handlePaymentSucceeded(paymentIntent) {
+    if (!isCheckoutPayment(paymentIntent)) {
+      return null;
+    }
+
+    return this.checkout.completeSession({
+      method: "stripe",
+      paymentId: paymentIntent.id,
+      amount: (paymentIntent.amount_received ?? paymentIntent.amount) / 100,
+      currency: paymentIntent.currency,
+      gatewayResponse: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        amount: paymentIntent.amount / 100,
+        currency: paymentIntent.currency,
+        paymentMethod: paymentIntent.payment_method,
+        created: paymentIntent.created,
+      },
+      historyNote: "Order created and paid via Stripe webhook",
+    });
+  }
+
+  async handlePaymentFailed(paymentIntent) {
+    const error = paymentIntent.last_payment_error;
+
+    await this.checkout.failSession({
+      method: "stripe",
+      paymentId: paymentIntent.id,
+      gatewayResponse: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        error: error ? { code: error.code, message: error.message } : null,
+      },
+    });
+  }
+
+  // Record each refund of the charge; refunds issued from the admin are already recorded
+  async handleChargeRefunded(charge) {
+    if (!charge.payment_intent) {
+      return;
+    }
+
+    const refunds = charge.refunds?.data ?? (await this.stripe.listRefunds(charge.payment_intent));
+
+    for (const refund of refunds) {
+      await this.recordRefund(charge.payment_intent, refund);
+    }
+
+    // One PaymentIntent can pay several orders; a full refund of it refunds them all
+    if (charge.refunded) {
+      await this.checkout.updatePaymentStatus({
+        method: "stripe",
+        paymentId: charge.payment_intent,
+        paymentStatus: "refunded",
+        historyNote: "Payment refunded via Stripe",
+        gatewayResponse: {
+          refund: {
+            chargeId: charge.id,
+            amountRefunded: charge.amount_refunded / 100,
+            currency: charge.currency,
+          },
+        },
+      });
+    }
+  }
+
+  async handleRefundUpdated(refund) {
+    if (!refund.payment_intent) {
+      return;
+    }
+
+    await this.recordRefund(refund.payment_intent, refund);
+  }
+
+  recordRefund(paymentIntentId, refund) {
+    return this.refunds.recordGatewayRefund({
+      method: "stripe",
+      paymentId: paymentIntentId,
+      gatewayRefundId: refund.id,
+      refundId: parseInt(refund.metadata?.refundId) || null,
+      amount: refund.amount / 100,
+      currency: refund.currency,
+      status: REFUND_STATUSES[refund.status] || "pending",
+      gatewayResponse: refund,
+    });
+  }
+
+  async handleDisputeCreated(dispute) {
+    if (!dispute.payment_intent) {
+      return;
+    }
+
+    await this.checkout.updatePaymentStatus({
+      method: "stripe",
+      paymentId: dispute.payment_intent,
+      paymentStatus: "disputed",
+      historyNote: `Payment disputed via Stripe (${dispute.reason})`,
+      gatewayResponse: {
+        dispute: {
+          disputeId: dispute.id,
+          chargeId: dispute.charge,
+          amount: dispute.amount / 100,
+          currency: dispute.currency,
+          reason: dispute.reason,
+          status: dispute.status,
+        },
+      },
+    });
+  }
+
+  // Each paid subscription invoice becomes the order for that billing period
+  async handleInvoicePaid(invoice) {
+    const subscriptionId = invoiceSubscriptionId(invoice);
+
+    if (!subscriptionId || invoice.amount_paid === 0) {
+      return;
+    }
+
+    // Store the PaymentIntent so refunds and disputes find the order's payment
+    const paymentIntentId = await this.stripe.getInvoicePaymentIntentId(invoice.id);
+    const period = invoice.lines?.data?.[0]?.period;
+
+    await this.subscriptions.recordPayment({
+      method: "stripe",
+      gatewaySubscriptionId: subscriptionId,
+      paymentId: paymentIntentId || invoice.id,
+      amount: invoice.amount_paid / 100,
+      currency: invoice.currency,
+      periodStart: period ? new Date(period.start * 1000) : null,
+      periodEnd: period ? new Date(period.end * 1000) : null,
+      gatewayResponse: {
+        invoiceId: invoice.id,
+        subscriptionId,
+        paymentIntentId,
+        amount: invoice.amount_paid / 100,
+        currency: invoice.currency,
+        billingReason: invoice.billing_reason,
+      },
+    });
+  }
+
+  async handleInvoicePaymentFailed(invoice) {
+    const subscriptionId = invoiceSubscriptionId(invoice);
+
+    if (!subscriptionId) {
+      return;
+    }
+
+    await this.subscriptions.recordFailure({
+      method: "stripe",
+      gatewaySubscriptionId: subscriptionId,
+      reason: invoice.last_finalization_error?.message || null,
+    });
+  }
+}
+
+export const stripeWebhookService = new StripeWebhookService();
+export default StripeWebhookService;
@@ -0,0 +1,530 @@
+import { v4 as uuidv4, validate as isUuid } from "uuid";
+import {
+  query,
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "../config/database.js";
+import { currencyService, BASE_CURRENCY } from "./currency.js";
+import { checkoutService } from "./checkout.js";
+import { invoiceService } from "./invoices.js";
+import { emailService } from "./email.js";
+import { stripeService } from "./stripe.js";
+import { paypalService } from "./paypal.js";
+
+// Error raised when a subscription cannot be created or changed (maps to a 4xx)
+export class SubscriptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SubscriptionError";
+    this.status = status;
+  }
+}
+
+const METHOD_NAMES = { stripe: "Stripe", paypal: "PayPal" };
+
+// Statuses each management action may start from, and the status it leads to
+const TRANSITIONS = {
+  pause: { from: ["active", "past_due"], to: "paused" },
+  resume: { from: ["paused"], to: "active" },
+  cancel: { from: ["pending", "active", "paused", "past_due"], to: "cancelled" },
+};
+
+// Start of the next period
+export const addInterval = (date, interval) => {
+  const next = new Date(date);
+  if (interval === "week") {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+};
+
+/**
+ * Recurring billing for tiers with a billing interval. Stripe and PayPal run
+ * the schedule; every payment they report creates (and invoices) one order for
+ * that period from the line item priced at sign-up.
+ */
+class SubscriptionService {
+  // Database helpers, gateways and mailer are injectable so the service can run against fakes
+  constructor(
+    db = { query, beginTransaction, commitTransaction, rollbackTransaction },
+    gateways = { stripe: stripeService, paypal: paypalService },
+    checkout = checkoutService,
+    mailer = emailService
+  ) {
+    this.db = db;
+    this.gateways = gateways;
+    this.checkout = checkout;
+    this.mailer = mailer;
+  }
+
+  /**
+   * Price the tier for the customer, store a pending subscription and open it
+   * with the gateway. Returns the subscription with the Stripe client secret
+   * (to confirm the first payment) or the PayPal approval URL.
+   */
+  async createSubscription({
+    method,
+    tierId,
+    quantity = 1,
+    keywords,
+    customer,
+    currency = BASE_CURRENCY,
+  }) {
+    if (!this.gateways[method]) {
+      throw new SubscriptionError(`Subscriptions cannot be paid with ${method}`);
+    }
+
+    currency = currencyService.normalize(currency);
+    const client = await this.db.beginTransaction();
+
+    try {
+      const tierResult = await client.query(
+        "SELECT billing_interval FROM service_tiers WHERE id = $1 AND deleted_at IS NULL",
+        [tierId]
+      );
+
+      if (!tierResult.rows[0]?.billing_interval) {
+        throw new SubscriptionError("This service is not available as a subscription");
+      }
+
+      const interval = tierResult.rows[0].billing_interval;
+      const priced = await this.checkout.priceCart(
+        client,
+        [{ serviceId: tierId, quantity, keywords }],
+        currency,
+        { country: customer?.country, vatId: customer?.vatId }
+      );
+      const customerId = await this.checkout.upsertCustomer(client, customer);
+      const item = priced.items[0];
+      const reference = uuidv4();
+
+      const insertResult = await client.query(
+        `INSERT INTO subscriptions (reference, customer_id, service_tier_id, item, tax, billing_interval, total_amount, currency, payment_method)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [
+          reference,
+          customerId,
+          tierId,
+          JSON.stringify(item),
+          JSON.stringify(priced.tax),
+          interval,
+          priced.totalAmount,
+          currency,
+          method,
+        ]
+      );
+
+      const description = `${item.serviceName} - ${item.tierName}`;
+      let gatewaySubscriptionId;
+      let gatewayPlanId = null;
+      let clientSecret = null;
+      let approvalUrl = null;
+
+      // A failing gateway call rolls the pending subscription back
+      if (method === "stripe") {
+        const stripeSubscription = await this.gateways.stripe.createSubscription({
+          amount: priced.totalAmount,
+          currency,
+          interval,
+          description,
+          customerEmail: customer.email,
+          customerName: customer.name,
+          metadata: { subscriptionReference: reference },
+        });
+        gatewaySubscriptionId = stripeSubscription.subscriptionId;
+        clientSecret = stripeSubscription.clientSecret;
+      } else {
+        await this.gateways.paypal.ensureProduct(`SEO-TIER-${tierId}`, item.serviceName);
+        const plan = await this.gateways.paypal.createPlan({
+          productId: `SEO-TIER-${tierId}`,
+          name: description,
+          amount: priced.totalAmount,
+          currency,
+          interval,
+        });
+        const paypalSubscription = await this.gateways.paypal.createSubscription({
+          planId: plan.id,
+          customId: reference,
+          customerName: customer.name,
+          customerEmail: customer.email,
+        });
+        gatewaySubscriptionId = paypalSubscription.id;
+        gatewayPlanId = plan.id;
+        approvalUrl = paypalSubscription.links?.find((link) => link.rel === "approve")?.href;
+      }
+
+      const result = await client.query(
+        "UPDATE subscriptions SET gateway_subscription_id = $1, gateway_plan_id = $2 WHERE id = $3 RETURNING *",
+        [gatewaySubscriptionId, gatewayPlanId, insertResult.rows[0].id]
+      );
+
+      await this.db.commitTransaction(client);
+
+      return { ...priced, subscription: result.rows[0], clientSecret, approvalUrl };
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  async findByGatewayId(client, method, gatewaySubscriptionId) {
+    const result = await client.query(
+      "SELECT * FROM subscriptions WHERE payment_method = $1 AND gateway_subscription_id = $2 FOR UPDATE",
+      [method, gatewaySubscriptionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create the order for a paid period. Replayed payment notifications return
+   * the order created the first time with replayed: true. The period defaults
+   * to one interval from now when the gateway does not report it.
+   */
+  async recordPayment({
+    method,
+    gatewaySubscriptionId,
+    paymentId,
+    amount,
+    currency,
+    periodStart = null,
+    periodEnd = null,
+    gatewayResponse = null,
+  }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const subscription = await this.findByGatewayId(client, method, gatewaySubscriptionId);
+
+      if (!subscription) {
+        throw new SubscriptionError("Subscription not found", 404);
+      }
+
+      const existingResult = await client.query(
+        `SELECT o.* FROM orders o
+         JOIN payments p ON p.order_id = o.id
+         WHERE p.payment_method = $1 AND p.payment_id = $2`,
+        [method, paymentId]
+      );
+
+      if (existingResult.rows.length > 0) {
+        await this.db.commitTransaction(client);
+        return { subscription, orders: existingResult.rows, replayed: true };
+      }
+
+      if (Math.abs(parseFloat(amount) - parseFloat(subscription.total_amount)) > 0.01) {
+        throw new SubscriptionError("Payment amount does not match subscription");
+      }
+
+      if (String(currency).toUpperCase() !== subscription.currency.toUpperCase()) {
+        throw new SubscriptionError("Payment currency does not match subscription");
+      }
+
+      const period = subscription.periods_paid + 1;
+      const orders = await this.checkout.createOrders(client, {
+        customerId: subscription.customer_id,
+        items: [subscription.item],
+        status: "confirmed",
+        paymentStatus: "paid",
+        historyNote: `Subscription period ${period} paid via ${METHOD_NAMES[method]}`,
+        currency: subscription.currency,
+        tax: subscription.tax,
+        subscriptionId: subscription.id,
+      });
+
+      await this.checkout.recordPayments(client, orders, {
+        method,
+        paymentId,
+        currency: subscription.currency,
+        status: "paid",
+        gatewayResponse,
+      });
+
+      const invoice = await invoiceService.createInvoice(client, { orders });
+      const start = periodStart ? new Date(periodStart) : new Date();
+      const end = periodEnd ? new Date(periodEnd) : addInterval(start, subscription.billing_interval);
+
+      // A payment settles a pending or past-due subscription; pauses and cancellations stand
+      const updateResult = await client.query(
+        `UPDATE subscriptions
+         SET status = CASE WHEN status IN ('pending', 'past_due') THEN 'active'::subscription_status ELSE status END,
+             periods_paid = periods_paid + 1, current_period_start = $1, current_period_end = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 RETURNING *`,
+        [start, end, subscription.id]
+      );
+
+      const customer = await this.getCustomer(client, subscription.customer_id);
+
+      await this.db.commitTransaction(client);
+
+      const result = {
+        subscription: updateResult.rows[0],
+        customer,
+        orders,
+        invoice,
+        totalAmount: parseFloat(subscription.total_amount),
+        replayed: false,
+      };
+
+      await this.sendRenewalEmail(result);
+      return result;
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Mark an active subscription past due after a failed charge and tell the customer
+  async recordFailure({ method, gatewaySubscriptionId, reason = null }) {
+    const client = await this.db.beginTransaction();
+
+    try {
+      const subscription = await this.findByGatewayId(client, method, gatewaySubscriptionId);
+
+      // The first charge of a pending subscription fails in the customer's browser instead
+      if (!subscription || subscription.status !== "active") {
+        await this.db.commitTransaction(client);
+        return null;
+      }
+
+      const updateResult = await client.query(
+        "UPDATE subscriptions SET status = 'past_due', updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+        [subscription.id]
+      );
+      const customer = await this.getCustomer(client, subscription.customer_id);
+
+      await this.db.commitTransaction(client);
+
+      try {
+        await this.mailer.sendSubscriptionPaymentFailed(customer.email, {
+          customerName: customer.name,
+          serviceName: subscription.item.serviceName,
+          amount: parseFloat(subscription.total_amount).toFixed(2),
+          currency: subscription.currency,
+          reason,
+        });
+      } catch (emailError) {
+        console.error("Failed to send subscription payment failure email:", emailError);
+      }
+
+      return updateResult.rows[0];
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Apply a status change made at the gateway (e.g. cancelled from the Stripe dashboard)
+  async syncStatus({ method, gatewaySubscriptionId, status }) {
+    const result = await this.db.query(
+      `UPDATE subscriptions
+       SET status = $1,
+           paused_at = CASE WHEN $1 = 'paused' THEN CURRENT_TIMESTAMP ELSE paused_at END,
+           cancelled_at = CASE WHEN $1 = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE payment_method = $2 AND gateway_subscription_id = $3 AND status NOT IN ($1, 'cancelled')
+       RETURNING *`,
+      [status, method, gatewaySubscriptionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Pause, resume or cancel a subscription at the gateway and record the new
+   * status. The row stays locked while the gateway is called.
+   */
+  async changeStatus(id, action, { reason = null } = {}) {
+    const transition = TRANSITIONS[action];
+    const client = await this.db.beginTransaction();
+
+    try {
+      const subscriptionResult = await client.query(
+        "SELECT * FROM subscriptions WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      const subscription = subscriptionResult.rows[0];
+
+      if (!subscription) {
+        throw new SubscriptionError("Subscription not found", 404);
+      }
+
+      if (!transition.from.includes(subscription.status)) {
+        throw new SubscriptionError(
+          `Cannot ${action} a subscription that is ${subscription.status.replace("_", " ")}`,
+          409
+        );
+      }
+
+      // Pending subscriptions the customer never approved only exist locally
+      if (subscription.gateway_subscription_id && subscription.status !== "pending") {
+        await this.callGateway(subscription, action, reason);
+      }
+
+      const result = await client.query(
+        `UPDATE subscriptions
+         SET status = $1,
+             paused_at = CASE WHEN $1 = 'paused' THEN CURRENT_TIMESTAMP WHEN $1 = 'active' THEN NULL ELSE paused_at END,
+             cancelled_at = CASE WHEN $1 = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+             cancel_reason = CASE WHEN $1 = 'cancelled' THEN $2 ELSE cancel_reason END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 RETURNING *`,
+        [transition.to, reason, subscription.id]
+      );
+
+      await this.db.commitTransaction(client);
+      return result.rows[0];
+    } catch (error) {
+      await this.db.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  async callGateway(subscription, action, reason) {
+    const id = subscription.gateway_subscription_id;
+
+    if (subscription.payment_method === "stripe") {
+      const stripe = this.gateways.stripe;
+      if (action === "pause") return stripe.pauseSubscription(id);
+      if (action === "resume") return stripe.resumeSubscription(id);
+      return stripe.cancelSubscription(id);
+    }
+
+    const paypal = this.gateways.paypal;
+    if (action === "pause") return paypal.suspendSubscription(id, reason || undefined);
+    if (action === "resume") return paypal.activateSubscription(id, reason || undefined);
+    return paypal.cancelSubscription(id, reason || undefined);
+  }
+
+  async getCustomer(client, customerId) {
+    const result = await client.query(
+      "SELECT name, email, website FROM customers WHERE id = $1",
+      [customerId]
+    );
+    return result.rows[0];
+  }
+
+  // Email the customer about a paid period without failing the payment
+  async sendRenewalEmail({ subscription, customer, orders, invoice }) {
+    try {
+      await this.mailer.sendSubscriptionRenewal(
+        customer.email,
+        {
+          customerName: customer.name,
+          serviceName: subscription.item.serviceName,
+          trackingId: orders[0].tracking_id,
+          amount: parseFloat(subscription.total_amount).toFixed(2),
+          currency: subscription.currency,
+          interval: subscription.billing_interval,
+          periodEnd: subscription.current_period_end,
+          firstPeriod: subscription.periods_paid === 1,
+          invoiceNumber: invoice?.invoice_number,
+        },
+        invoice ? [invoiceService.toAttachment(invoice)] : []
+      );
+    } catch (emailError) {
+      console.error("Failed to send subscription renewal email:", emailError);
+    }
+  }
+
+  async getSubscription(id) {
+    const result = await this.db.query(
+      `SELECT s.*, c.name as customer_name, c.email as customer_email
+       FROM subscriptions s
+       JOIN customers c ON s.customer_id = c.id
+       WHERE s.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // A customer's subscription, found by its reference and their email
+  async getByReference(reference, email) {
+    if (!isUuid(reference)) {
+      return null;
+    }
+
+    const result = await this.db.query(
+      `SELECT s.* FROM subscriptions s
+       JOIN customers c ON s.customer_id = c.id
+       WHERE s.reference = $1 AND c.email = $2`,
+      [reference, email]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getOrders(subscriptionId) {
+    const result = await this.db.query(
+      `SELECT id, tracking_id, status, payment_status, total_amount, currency, created_at
+       FROM orders WHERE subscription_id = $1 ORDER BY created_at DESC`,
+      [subscriptionId]
+    );
+    return result.rows;
+  }
+
+  async listSubscriptions({ status, search, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`s.status = $${params.length}`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(
+        `(c.name ILIKE $${params.length} OR c.email ILIKE $${params.length} OR s.gateway_subscription_id ILIKE $${params.length})`
+      );
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const [subscriptionsResult, countResult] = await Promise.all([
+      this.db.query(
+        `SELECT s.*, c.name as customer_name, c.email as customer_email
+         FROM subscriptions s
+         JOIN customers c ON s.customer_id = c.id
+         ${whereClause}
+         ORDER BY s.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(
+        `SELECT COUNT(*) as total FROM subscriptions s JOIN customers c ON s.customer_id = c.id ${whereClause}`,
+        params
+      ),
+    ]);
+
+    return {
+      subscriptions: subscriptionsResult.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  // Shape a subscription row for API responses
+  formatSubscription(subscription) {
+    return {
+      id: subscription.id,
+      reference: subscription.reference,
+      status: subscription.status,
+      serviceName: subscription.item.serviceName,
+      tierName: subscription.item.tierName,
+      quantity: subscription.item.quantity,
+      interval: subscription.billing_interval,
+      totalAmount: parseFloat(subscription.total_amount),
+      currency: subscription.currency,
+      paymentMethod: subscription.payment_method,
+      periodsPaid: subscription.periods_paid,
+      currentPeriodEnd: subscription.current_period_end,
+      pausedAt: subscription.paused_at,
+      cancelledAt: subscription.cancelled_at,
+      createdAt: subscription.created_at,
+    };
+  }
+}
+
+export const subscriptionService = new SubscriptionService();
+export default SubscriptionService;
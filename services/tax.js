@@ -0,0 +1,138 @@
+import { query } from "../config/database.js";
+import { roundAmount } from "./currency.js";
+
+// VAT ID prefixes that differ from the ISO country code
+const VAT_ID_PREFIXES = { GR: "EL" };
+
+// Shown on orders, invoices and emails for each treatment
+const TREATMENT_LABELS = {
+  none: "No VAT",
+  standard: "VAT",
+  reverse_charge: "Reverse charge",
+};
+
+/**
+ * VAT for EU and UK customers. Prices in the catalog are net; the rate comes
+ * from the customer's country (tax_rates holds one row per taxable country)
+ * and business customers outside the seller's country with a VAT ID are
+ * reverse charged. VAT IDs are checked for format only, not against VIES.
+ */
+class TaxService {
+  constructor(db = { query }, sellerCountry = process.env.TAX_SELLER_COUNTRY) {
+    this.db = db;
+    this.sellerCountry = sellerCountry ? sellerCountry.toUpperCase() : null;
+  }
+
+  normalizeCountry(country) {
+    return country ? String(country).trim().toUpperCase() : null;
+  }
+
+  // "de 123.456.789" -> "DE123456789"
+  normalizeVatId(vatId) {
+    return vatId ? String(vatId).replace(/[\s.-]/g, "").toUpperCase() : null;
+  }
+
+  // Two-letter prefix matching the customer's country, then 2-13 letters/digits
+  isValidVatId(vatId, country) {
+    const prefix = VAT_ID_PREFIXES[country] || country;
+    return Boolean(
+      vatId && prefix && vatId.startsWith(prefix) && /^[A-Z]{2}[0-9A-Z+*]{2,13}$/.test(vatId)
+    );
+  }
+
+  async getRate(country, client = this.db) {
+    const result = await client.query(
+      "SELECT country, name, rate FROM tax_rates WHERE country = $1 AND is_active = true",
+      [country]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Work out how a customer is taxed. Returns { country, vatId, rate,
+   * treatment, label } where treatment is none (outside EU/UK VAT),
+   * standard or reverse_charge.
+   */
+  async determineTax(client, { country, vatId = null } = {}) {
+    country = this.normalizeCountry(country);
+    vatId = this.normalizeVatId(vatId);
+
+    const taxRate = country ? await this.getRate(country, client) : null;
+
+    if (!taxRate) {
+      return { country, vatId, rate: 0, treatment: "none", label: TREATMENT_LABELS.none };
+    }
+
+    // Domestic B2B sales still carry VAT; cross-border B2B is reverse charged
+    if (this.isValidVatId(vatId, country) && country !== this.sellerCountry) {
+      return {
+        country,
+        vatId,
+        rate: 0,
+        treatment: "reverse_charge",
+        label: TREATMENT_LABELS.reverse_charge,
+      };
+    }
+
+    const rate = parseFloat(taxRate.rate);
+    return {
+      country,
+      vatId: null,
+      rate,
+      treatment: "standard",
+      label: `${taxRate.name || TREATMENT_LABELS.standard} ${rate}%`,
+    };
+  }
+
+  /**
+   * Add tax to priced line items. Each item's current total becomes its
+   * netTotal, gains a taxAmount, and total becomes the gross amount.
+   */
+  applyTax(items, tax) {
+    const taxedItems = items.map((item) => {
+      const taxAmount = roundAmount((item.total * tax.rate) / 100);
+      return {
+        ...item,
+        netTotal: item.total,
+        taxAmount,
+        total: roundAmount(item.total + taxAmount),
+      };
+    });
+
+    const sumOf = (field) =>
+      roundAmount(taxedItems.reduce((sum, item) => sum + item[field], 0));
+
+    return {
+      items: taxedItems,
+      netAmount: sumOf("netTotal"),
+      taxAmount: sumOf("taxAmount"),
+      totalAmount: sumOf("total"),
+    };
+  }
+
+  treatmentLabel(treatment) {
+    return TREATMENT_LABELS[treatment] || TREATMENT_LABELS.none;
+  }
+
+  async listRates() {
+    const result = await this.db.query(
+      "SELECT country, name, rate, is_active, updated_at FROM tax_rates ORDER BY country ASC"
+    );
+    return result.rows;
+  }
+
+  async setRate(country, { name = "VAT", rate, isActive = true }) {
+    const result = await this.db.query(
+      `INSERT INTO tax_rates (country, name, rate, is_active)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (country) DO UPDATE
+         SET name = EXCLUDED.name, rate = EXCLUDED.rate, is_active = EXCLUDED.is_active, updated_at = CURRENT_TIMESTAMP
+       RETURNING country, name, rate, is_active, updated_at`,
+      [country, name, rate, isActive]
+    );
+    return result.rows[0];
+  }
+}
+
+export const taxService = new TaxService();
+export default TaxService;
@@ -0,0 +1,350 @@
+import crypto from "crypto";
+import path from "path";
+import { query } from "../config/database.js";
+import { deliverableService, DeliverableError } from "./deliverables.js";
+import { storage } from "../utils/storage.js";
+import { DELIVERABLE_EXTENSIONS } from "../utils/fileType.js";
+
+const MB = 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Error raised for invalid parts or sessions that can't take them (maps to a 4xx)
+export class UploadSessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UploadSessionError";
+    this.status = status;
+  }
+}
+
+// Read a request body into a buffer, refusing more than `maxBytes`. The rest of
+// an oversized body is drained rather than the stream destroyed, so the
+// request can still be answered.
+export const readPart = (stream, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.removeListener("data", onData);
+        stream.resume();
+        reject(new UploadSessionError(`Part is larger than the expected ${maxBytes} bytes`, 413));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    stream.on("data", onData);
+    stream.once("end", () => resolve(Buffer.concat(chunks, size)));
+    stream.once("error", reject);
+  });
+
+/**
+ * Chunked, resumable uploads of large deliverables. The admin opens a session
+ * with the file's name and size, PUTs it in numbered parts of `part_size`
+ * bytes (the last may be smaller) and completes it, which joins the parts in
+ * storage and records the deliverable once the joined file passes inspection
+ * (a rejected file is deleted and the session aborted). Parts can be sent in
+ * any order and re-sent; the session lists the ones received so an
+ * interrupted upload resumes by sending the rest. Only one part is ever held in memory, and the
+ * upload never goes through express-fileupload.
+ *
+ * Sessions left open past UPLOAD_SESSION_TTL_HOURS are aborted and their
+ * parts deleted.
+ */
+class UploadSessionService {
+  constructor(db = { query }, files = storage, deliverables = deliverableService) {
+    this.db = db;
+    this.files = files;
+    this.deliverables = deliverables;
+    // S3 needs every part but the last to be at least 5MB
+    this.partSize = Math.max(parseInt(process.env.UPLOAD_PART_SIZE_MB) || 8, 5) * MB;
+    // file_size is an INTEGER column, so stay under 2GB
+    this.maxFileSize = Math.min(parseInt(process.env.UPLOAD_MAX_SIZE_MB) || 1024, 2047) * MB;
+    this.ttlHours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+    this.cleanupTimer = null;
+  }
+
+  partCount(session) {
+    return Math.max(1, Math.ceil(session.file_size / session.part_size));
+  }
+
+  // Every part is `part_size` bytes except the last, which holds the rest
+  expectedPartSize(session, partNumber) {
+    const count = this.partCount(session);
+    return partNumber < count ? session.part_size : session.file_size - session.part_size * (count - 1);
+  }
+
+  // Open a session for a file of `fileSize` bytes that will become a deliverable of the order
+  async create(
+    orderId,
+    { fileName, fileType = null, fileSize, description = null, visibility = null, replaces = null, adminId = null }
+  ) {
+    const name = String(fileName).replace(/[^a-zA-Z0-9.-]/g, "_");
+
+    if (!DELIVERABLE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+      throw new UploadSessionError(`Only ${DELIVERABLE_EXTENSIONS.join(", ")} files can be uploaded`);
+    }
+    if (!(fileSize > 0) || fileSize > this.maxFileSize) {
+      throw new UploadSessionError(`File size must be between 1 byte and ${this.maxFileSize / MB}MB`);
+    }
+
+    const orderResult = await this.db.query("SELECT id FROM orders WHERE id = $1", [orderId]);
+    if (orderResult.rows.length === 0) {
+      throw new UploadSessionError("Order not found", 404);
+    }
+
+    if (replaces) {
+      const replaced = await this.deliverables.getForOrder(replaces, orderId);
+      if (!replaced || !replaced.is_current) {
+        throw new UploadSessionError("The deliverable to replace is not a current deliverable of this order", 404);
+      }
+    }
+
+    const storageKey = this.deliverables.storageKey(orderId, name);
+    const uploadId = await this.files.createMultipart(storageKey, {
+      contentType: fileType || "application/octet-stream",
+    });
+
+    const result = await this.db.query(
+      `INSERT INTO upload_sessions
+         (id, order_id, file_name, file_type, file_size, part_size, storage_key, storage_upload_id,
+          description, visibility, replaces, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        crypto.randomUUID(),
+        orderId,
+        name,
+        fileType,
+        fileSize,
+        this.partSize,
+        storageKey,
+        uploadId,
+        description,
+        visibility,
+        replaces,
+        adminId,
+        new Date(Date.now() + this.ttlHours * HOUR_MS),
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async get(sessionId) {
+    const result = await this.db.query("SELECT * FROM upload_sessions WHERE id = $1", [sessionId]);
+    return result.rows[0] || null;
+  }
+
+  // The session if it can still take parts; throws otherwise
+  async getOpen(sessionId) {
+    const session = await this.get(sessionId);
+
+    if (!session) {
+      throw new UploadSessionError("Upload session not found", 404);
+    }
+    if (session.status !== "open") {
+      throw new UploadSessionError(`Upload session has already been ${session.status}`, 409);
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+      throw new UploadSessionError("Upload session has expired", 410);
+    }
+
+    return session;
+  }
+
+  /**
+   * Store part `partNumber` (1-based) from `body`, a buffer or a readable
+   * stream such as the request. Sending a part again replaces it.
+   */
+  async putPart(sessionId, partNumber, body) {
+    const session = await this.getOpen(sessionId);
+    const count = this.partCount(session);
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > count) {
+      throw new UploadSessionError(`Part number must be between 1 and ${count}`);
+    }
+
+    const expected = this.expectedPartSize(session, partNumber);
+    const data = Buffer.isBuffer(body) ? body : await readPart(body, expected);
+
+    if (data.length !== expected) {
+      throw new UploadSessionError(`Part ${partNumber} must be ${expected} bytes, got ${data.length}`);
+    }
+
+    const { etag } = await this.files.putPart(session.storage_key, session.storage_upload_id, partNumber, data);
+
+    const result = await this.db.query(
+      `UPDATE upload_sessions
+       SET parts = parts || jsonb_build_object($2::text, jsonb_build_object('etag', $3::text, 'size', $4::int))
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [sessionId, partNumber, etag, data.length]
+    );
+
+    if (result.rows.length === 0) {
+      throw new UploadSessionError("Upload session is no longer open", 409);
+    }
+
+    return result.rows[0];
+  }
+
+  // Join the parts and record the file as a deliverable; returns the session and deliverable
+  async complete(sessionId) {
+    const session = await this.getOpen(sessionId);
+    const count = this.partCount(session);
+    const missing = [];
+
+    for (let partNumber = 1; partNumber <= count; partNumber++) {
+      if (!session.parts[partNumber]) {
+        missing.push(partNumber);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new UploadSessionError(`Missing parts: ${missing.join(", ")}`);
+    }
+
+    // Claim the session so completing twice can't create two deliverables
+    const claimResult = await this.db.query(
+      "UPDATE upload_sessions SET status = 'completed' WHERE id = $1 AND status = 'open' RETURNING *",
+      [sessionId]
+    );
+
+    if (claimResult.rows.length === 0) {
+      throw new UploadSessionError("Upload session has already been completed", 409);
+    }
+
+    try {
+      // An earlier attempt may have joined the parts before failing; the multipart upload is gone then
+      if (!claimResult.rows[0].joined) {
+        await this.files.completeMultipart(
+          session.storage_key,
+          session.storage_upload_id,
+          Array.from({ length: count }, (_, i) => ({ partNumber: i + 1, etag: session.parts[i + 1].etag }))
+        );
+        await this.db.query("UPDATE upload_sessions SET joined = true WHERE id = $1", [sessionId]);
+      }
+
+      const [deliverable] = await this.deliverables.addDeliverables(
+        session.order_id,
+        [{ name: session.file_name, mimetype: session.file_type, size: session.file_size, storageKey: session.storage_key }],
+        {
+          uploadedBy: session.created_by,
+          description: session.description ?? undefined,
+          visibility: session.visibility,
+          replaces: session.replaces,
+        }
+      );
+
+      const result = await this.db.query(
+        "UPDATE upload_sessions SET deliverable_id = $2 WHERE id = $1 RETURNING *",
+        [sessionId, deliverable.id]
+      );
+
+      return { session: result.rows[0], deliverable };
+    } catch (error) {
+      // A file rejected by inspection has been deleted, so there is nothing left to retry
+      const status = error instanceof DeliverableError && error.status === 422 ? "aborted" : "open";
+      await this.db.query("UPDATE upload_sessions SET status = $2 WHERE id = $1", [sessionId, status]);
+      throw error;
+    }
+  }
+
+  // Abort an open session and delete its parts, or the joined file if it got that far; returns null if it doesn't exist
+  async abort(sessionId) {
+    const session = await this.get(sessionId);
+
+    if (!session) {
+      return null;
+    }
+    if (session.status !== "open") {
+      throw new UploadSessionError(`Upload session has already been ${session.status}`, 409);
+    }
+
+    if (session.joined) {
+      await this.files.delete(session.storage_key);
+    } else {
+      await this.files.abortMultipart(session.storage_key, session.storage_upload_id);
+    }
+
+    const result = await this.db.query(
+      "UPDATE upload_sessions SET status = 'aborted' WHERE id = $1 AND status = 'open' RETURNING *",
+      [sessionId]
+    );
+    return result.rows[0] || { ...session, status: "aborted" };
+  }
+
+  // Abort every open session past its expiry; returns the number aborted
+  async abortExpired() {
+    const result = await this.db.query(
+      "SELECT id FROM upload_sessions WHERE status = 'open' AND expires_at <= CURRENT_TIMESTAMP"
+    );
+
+    let aborted = 0;
+    for (const { id } of result.rows) {
+      try {
+        await this.abort(id);
+        aborted++;
+      } catch (error) {
+        console.error(`Failed to abort upload session ${id}:`, error);
+      }
+    }
+    return aborted;
+  }
+
+  startCleanupJob(intervalMs = 60 * 60 * 1000) {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const aborted = await this.abortExpired();
+        if (aborted > 0) {
+          console.log(`🧹 Aborted ${aborted} expired upload session(s)`);
+        }
+      } catch (error) {
+        console.error("Upload session cleanup job error:", error);
+      }
+    };
+
+    this.cleanupTimer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for this job
+    this.cleanupTimer.unref();
+    run();
+  }
+
+  stopCleanupJob() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+
+  // Shape an upload_sessions row for admin responses
+  formatSession(session) {
+    const receivedParts = Object.keys(session.parts || {})
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    return {
+      id: session.id,
+      orderId: session.order_id,
+      fileName: session.file_name,
+      fileType: session.file_type,
+      fileSize: session.file_size,
+      partSize: session.part_size,
+      partCount: this.partCount(session),
+      receivedParts,
+      receivedBytes: Object.values(session.parts || {}).reduce((sum, part) => sum + part.size, 0),
+      status: session.status,
+      deliverableId: session.deliverable_id,
+      expiresAt: session.expires_at,
+      createdAt: session.created_at,
+    };
+  }
+}
+
+export const uploadSessionService = new UploadSessionService();
+export default UploadSessionService;
@@ -0,0 +1,203 @@
+import { query } from "../config/database.js";
+
+// An event left in 'processing' this long is assumed to have crashed and may be retried
+const STALE_PROCESSING_MINUTES = 10;
+
+// Error raised when an inbox event cannot be (re)processed (maps to a 4xx)
+export class WebhookInboxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WebhookInboxError";
+    this.status = status;
+  }
+}
+
+/**
+ * Stores every gateway webhook event before it is applied, so a failed event
+ * can be inspected and replayed and a redelivered event is not applied twice.
+ */
+class WebhookInboxService {
+  constructor(db = { query }) {
+    this.db = db;
+    this.handlers = {};
+  }
+
+  // The webhook routes register how each provider's events are applied
+  registerHandler(provider, handler) {
+    this.handlers[provider] = handler;
+  }
+
+  /**
+   * Store an incoming event. Verified events are deduped on provider + event
+   * ID; returns { event, duplicate } where event is the stored row.
+   */
+  async record(
+    provider,
+    { eventId, eventType, payload, headers = null, verified = true }
+  ) {
+    const values = [
+      provider,
+      eventId || null,
+      eventType || null,
+      verified,
+      headers ? JSON.stringify(headers) : null,
+      JSON.stringify(payload || {}),
+      verified ? "received" : "rejected",
+    ];
+
+    if (!verified) {
+      const rejected = await this.db.query(
+        `INSERT INTO webhook_events (provider, event_id, event_type, verified, headers, payload, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        values
+      );
+      return { event: rejected.rows[0], duplicate: false };
+    }
+
+    const inserted = await this.db.query(
+      `INSERT INTO webhook_events (provider, event_id, event_type, verified, headers, payload, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (provider, event_id) WHERE verified DO NOTHING
+       RETURNING *`,
+      values
+    );
+
+    if (inserted.rows.length > 0) {
+      return { event: inserted.rows[0], duplicate: false };
+    }
+
+    const existing = await this.db.query(
+      "SELECT * FROM webhook_events WHERE provider = $1 AND event_id = $2 AND verified",
+      [provider, eventId]
+    );
+    return { event: existing.rows[0], duplicate: true };
+  }
+
+  // Take an event for processing; null if it is already processed or in progress
+  async claim(id) {
+    const result = await this.db.query(
+      `UPDATE webhook_events SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND verified AND (
+         status IN ('received', 'failed')
+         OR (status = 'processing' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_PROCESSING_MINUTES} minutes')
+       )
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Apply a stored event with its provider's handler. Returns
+   * { skipped, result }; skipped is true when another delivery already
+   * handled (or is handling) the event. Handler errors are saved on the
+   * event and rethrown.
+   */
+  async process(event) {
+    const handler = this.handlers[event.provider];
+
+    if (!handler) {
+      throw new Error(`No webhook handler registered for ${event.provider}`);
+    }
+
+    const claimed = await this.claim(event.id);
+
+    if (!claimed) {
+      return { skipped: true, result: null };
+    }
+
+    try {
+      const result = await handler(claimed.payload);
+
+      await this.db.query(
+        `UPDATE webhook_events SET status = 'processed', last_error = NULL, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [event.id]
+      );
+
+      return { skipped: false, result };
+    } catch (error) {
+      await this.db.query(
+        "UPDATE webhook_events SET status = 'failed', last_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [error.message, event.id]
+      );
+      throw error;
+    }
+  }
+
+  // Re-run a failed event on request from an admin
+  async replay(id) {
+    const result = await this.db.query(
+      "SELECT * FROM webhook_events WHERE id = $1",
+      [id]
+    );
+    const event = result.rows[0];
+
+    if (!event) {
+      throw new WebhookInboxError("Webhook event not found", 404);
+    }
+
+    if (!event.verified) {
+      throw new WebhookInboxError("Unverified webhook events cannot be replayed", 409);
+    }
+
+    const outcome = await this.process(event);
+
+    if (outcome.skipped) {
+      throw new WebhookInboxError(`Webhook event is already ${event.status}`, 409);
+    }
+
+    return this.getEvent(id);
+  }
+
+  async getEvent(id) {
+    const result = await this.db.query(
+      "SELECT * FROM webhook_events WHERE id = $1",
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Page through stored events, newest first, without their payloads
+  async listEvents({ status, provider, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (provider) {
+      params.push(provider);
+      conditions.push(`provider = $${params.length}`);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const [eventsResult, countResult] = await Promise.all([
+      this.db.query(
+        `SELECT id, provider, event_id, event_type, verified, status, attempts, last_error, received_at, processed_at, updated_at
+         FROM webhook_events
+         ${whereClause}
+         ORDER BY received_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(
+        `SELECT COUNT(*) as total FROM webhook_events ${whereClause}`,
+        params
+      ),
+    ]);
+
+    return {
+      events: eventsResult.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+}
+
+export const webhookInbox = new WebhookInboxService();
+export default WebhookInboxService;
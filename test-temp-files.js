@@ -1,5 +1,4 @@
 import { tempFileManager } from './utils/tempFileManager.js';
-import fs from 'fs/promises';
 
 async function testTempFileSystem() {
   console.log('🧪 Testing temporary file system...\n');
@@ -12,23 +11,23 @@ async function testTempFileSystem() {
     console.log('1. Saving test file temporarily...');
     const tempFileInfo = await tempFileManager.saveTemp(testContent, testFileName);
     console.log('   ✅ Temp file saved:', tempFileInfo.tempFileName);
-    console.log('   📁 Path:', tempFileInfo.tempPath);
+    console.log('   📁 Key:', tempFileInfo.tempKey);
 
     console.log('\n2. Checking file exists...');
-    const fileInfo = await tempFileManager.getTempFileInfo(tempFileInfo.tempPath);
+    const fileInfo = await tempFileManager.getTempFileInfo(tempFileInfo.tempKey);
     console.log('   ✅ File exists:', fileInfo.exists);
     console.log('   📊 File size:', fileInfo.size, 'bytes');
 
     console.log('\n3. Reading file content...');
-    const readContent = await fs.readFile(tempFileInfo.tempPath);
+    const readContent = await tempFileManager.readTemp(tempFileInfo.tempKey);
     console.log('   ✅ Content matches:', readContent.toString() === testContent.toString());
 
     console.log('\n4. Deleting temp file...');
-    const deleted = await tempFileManager.deleteTemp(tempFileInfo.tempPath);
+    const deleted = await tempFileManager.deleteTemp(tempFileInfo.tempKey);
     console.log('   ✅ File deleted:', deleted);
 
     console.log('\n5. Verifying file is gone...');
-    const fileInfoAfter = await tempFileManager.getTempFileInfo(tempFileInfo.tempPath);
+    const fileInfoAfter = await tempFileManager.getTempFileInfo(tempFileInfo.tempKey);
     console.log('   ✅ File no longer exists:', !fileInfoAfter.exists);
 
     console.log('\n🎉 All tests passed! Temporary file system is working correctly.');
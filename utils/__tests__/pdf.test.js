@@ -0,0 +1,20 @@
+import PdfDocument from '../pdf.js';
+
+describe('pdf', () => {
+  it('writes PDFs whose cross-reference table points at each object', async () => {
+    const doc = new PdfDocument({ title: 'Test' });
+    doc.text('Total: 12.50 €', 50, 50, { font: 'bold', align: 'right' });
+    doc.addPage().line(50, 60, 200, 60);
+
+    const pdf = doc.toBuffer().toString('latin1');
+    const startxref = parseInt(pdf.match(/startxref\n(\d+)/)[1]);
+    const entries = pdf.slice(startxref).split('\n').slice(3).filter((line) => line.endsWith(' n '));
+
+    expect(pdf.slice(startxref).startsWith('xref')).toBeTruthy();
+    expect(pdf.includes('/Count 2')).toBeTruthy();
+    entries.forEach((entry, index) => {
+      expect(pdf.startsWith(`${index + 1} 0 obj`, parseInt(entry))).toBeTruthy();
+    });
+    expect(doc.widthOf('AV', { size: 10 })).toBe(13.34);
+  });
+});
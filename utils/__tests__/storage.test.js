@@ -0,0 +1,179 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { LocalStorage, S3Storage, StorageError } from '../storage.js';
+
+// In-memory stand-in for an S3-compatible server (path-style, like MinIO), rejecting unsigned requests
+const startS3StandIn = () => {
+  const objects = new Map();
+  const uploads = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const chunks = [];
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      if (!/^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/us-east-1\/s3\/aws4_request, /.test(req.headers.authorization || '')) {
+        res.writeHead(403).end();
+        return;
+      }
+
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        const prefix = `/bucket/${url.searchParams.get('prefix')}`;
+        const contents = [...objects.entries()]
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([key, object]) => `<Contents><Key>${key.slice('/bucket/'.length)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified><Size>${object.body.length}</Size></Contents>`);
+        res.writeHead(200, { 'Content-Type': 'application/xml' }).end(`<ListBucketResult><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+        return;
+      }
+
+      const key = decodeURIComponent(url.pathname);
+      const object = objects.get(key);
+
+      // Multipart uploads: parts are kept per upload ID until completed or aborted
+      if (req.method === 'POST' && url.searchParams.has('uploads')) {
+        const uploadId = `upload-${uploads.size + 1}`;
+        uploads.set(uploadId, new Map());
+        res.writeHead(200).end(`<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        return;
+      }
+
+      if (url.searchParams.has('uploadId')) {
+        const uploadId = url.searchParams.get('uploadId');
+        const parts = uploads.get(uploadId);
+
+        if (!parts) {
+          res.writeHead(404).end();
+        } else if (req.method === 'PUT') {
+          const partNumber = Number(url.searchParams.get('partNumber'));
+          parts.set(partNumber, Buffer.concat(chunks));
+          res.writeHead(200, { ETag: `"etag-${partNumber}"` }).end();
+        } else if (req.method === 'POST') {
+          const listed = [...String(Buffer.concat(chunks)).matchAll(/<Part>(.*?)<\/Part>/g)].map(([, part]) => [
+            part.match(/<PartNumber>(\d+)<\/PartNumber>/)[1],
+            part.match(/<ETag>(?:"|&quot;)etag-(\d+)(?:"|&quot;)<\/ETag>/)[1]
+          ]);
+          if (listed.length !== parts.size || listed.some(([number, etag]) => number !== etag || !parts.has(Number(number)))) {
+            // Like S3, report the failure in the body of a 200
+            res.writeHead(200).end('<Error><Code>InvalidPart</Code></Error>');
+            return;
+          }
+          objects.set(key, { body: Buffer.concat(listed.map(([number]) => parts.get(Number(number)))), lastModified: new Date() });
+          uploads.delete(uploadId);
+          res.writeHead(200).end('<CompleteMultipartUploadResult></CompleteMultipartUploadResult>');
+        } else {
+          uploads.delete(uploadId);
+          res.writeHead(204).end();
+        }
+        return;
+      }
+
+      if (req.method === 'PUT') {
+        objects.set(key, { body: Buffer.concat(chunks), lastModified: new Date() });
+        res.writeHead(200).end();
+      } else if (!object) {
+        res.writeHead(404).end();
+      } else if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204).end();
+      } else {
+        res.writeHead(200, { 'Content-Length': object.body.length, 'Last-Modified': object.lastModified.toUTCString() });
+        res.end(req.method === 'HEAD' ? undefined : object.body);
+      }
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, objects, uploads })));
+};
+
+describe('storage', () => {
+  it('stores, lists and deletes files in an S3-compatible bucket', async () => {
+    const { server, objects } = await startS3StandIn();
+
+    try {
+      const s3 = new S3Storage({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket: 'bucket',
+        accessKeyId: 'test-key',
+        secretAccessKey: 'test-secret'
+      });
+
+      await s3.put('deliverables/3/report final.pdf', Buffer.from('PDF'), { contentType: 'application/pdf' });
+      expect(objects.has('/bucket/deliverables/3/report final.pdf')).toBeTruthy();
+      expect((await s3.get('deliverables/3/report final.pdf')).toString()).toBe('PDF');
+      expect((await s3.stat('deliverables/3/report final.pdf')).size).toBe(3);
+      expect((await s3.getRange('deliverables/3/report final.pdf', 1, 1)).toString()).toBe('D');
+      expect((await s3.list('deliverables/3/')).map((file) => file.key)).toStrictEqual(['deliverables/3/report final.pdf']);
+
+      const chunks = [];
+      for await (const chunk of await s3.getStream('deliverables/3/report final.pdf')) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('PDF');
+
+      expect(await s3.delete('deliverables/3/report final.pdf')).toBe(true);
+      expect(await s3.delete('deliverables/3/report final.pdf')).toBe(false);
+      expect(await s3.get('deliverables/3/report final.pdf')).toBe(null);
+
+      const unsigned = new S3Storage({ endpoint: `http://127.0.0.1:${server.address().port}`, bucket: 'bucket', accessKeyId: 'wrong-key', secretAccessKey: 'x' });
+      await expect(unsigned.put('a.txt', 'x')).rejects.toMatchObject({ name: 'StorageError', message: expect.stringMatching(/status 403/) });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('uploads files to an S3-compatible bucket in parts', async () => {
+    const { server, objects, uploads } = await startS3StandIn();
+
+    try {
+      const s3 = new S3Storage({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket: 'bucket',
+        accessKeyId: 'test-key',
+        secretAccessKey: 'test-secret'
+      });
+
+      const uploadId = await s3.createMultipart('deliverables/3/big.zip', { contentType: 'application/zip' });
+      const second = await s3.putPart('deliverables/3/big.zip', uploadId, 2, Buffer.from('world'));
+      const first = await s3.putPart('deliverables/3/big.zip', uploadId, 1, Buffer.from('hello '));
+
+      await expect(s3.completeMultipart('deliverables/3/big.zip', uploadId, [{ partNumber: 1, etag: first.etag }])).rejects.toMatchObject({
+        name: 'StorageError',
+        message: expect.stringMatching(/CompleteMultipartUpload/)
+      });
+
+      await s3.completeMultipart('deliverables/3/big.zip', uploadId, [
+        { partNumber: 1, etag: first.etag },
+        { partNumber: 2, etag: second.etag }
+      ]);
+      expect(objects.get('/bucket/deliverables/3/big.zip').body.toString()).toBe('hello world');
+      expect(uploads.size).toBe(0);
+
+      const abandoned = await s3.createMultipart('deliverables/3/other.zip');
+      await s3.abortMultipart('deliverables/3/other.zip', abandoned);
+      expect(uploads.size).toBe(0);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('keeps local storage keys inside the storage root', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+
+    try {
+      const local = new LocalStorage(root);
+
+      await local.put('temp/a.txt', Buffer.from('hello'));
+      expect((await local.get('temp/a.txt')).toString()).toBe('hello');
+      expect((await local.list('temp/')).map((file) => file.key)).toStrictEqual(['temp/a.txt']);
+      expect(await local.get('temp/missing.txt')).toBe(null);
+      await expect(local.get('../outside.txt')).rejects.toMatchObject({ name: 'StorageError', status: 400 });
+      expect(await local.delete('temp/a.txt')).toBe(true);
+      expect(await local.getStream('temp/a.txt')).toBe(null);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import net from 'net';
+
+// Resolves true once the socket can take more data, or false if it closed first
+const drained = (socket) => {
+  if (socket.destroyed) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve) => {
+    const done = (result) => {
+      socket.off('drain', onDrain);
+      socket.off('close', onClose);
+      resolve(result);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+
+    socket.on('drain', onDrain);
+    socket.on('close', onClose);
+  });
+};
+
+/**
+ * Virus scanner backed by a clamd daemon, over its Unix socket or TCP. Files
+ * are streamed with the INSTREAM command, so they are never written anywhere
+ * clamd can see. clamd refuses streams over its StreamMaxLength (25MB by
+ * default); raise it to scan large deliverables.
+ *
+ * Scanners are anything with a `name` and `scan(stream)` resolving to
+ * `{ clean, signature }`, and reject when the file couldn't be scanned.
+ */
+export class ClamAVScanner {
+  constructor({ socketPath = null, host = '127.0.0.1', port = 3310, timeoutMs = 60000 } = {}) {
+    this.name = 'clamav';
+    this.socketPath = socketPath;
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+  }
+
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath ? { path: this.socketPath } : { host: this.host, port: this.port });
+      const chunks = [];
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        socket.destroy();
+        stream.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND", NUL-terminated
+      const onReply = () => {
+        const reply = Buffer.concat(chunks).toString().replace(/\0/g, '').trim();
+        const found = reply.match(/^stream: (.+) FOUND$/);
+
+        if (reply === 'stream: OK') {
+          finish(null, { clean: true, signature: null });
+        } else if (found) {
+          finish(null, { clean: false, signature: found[1] });
+        } else {
+          finish(new Error(`ClamAV scan failed: ${reply || 'no reply'}`));
+        }
+      };
+
+      // clamd answers and hangs up when a stream is too long; report that rather than the broken pipe
+      const onError = (error) => (chunks.length > 0 ? onReply() : finish(error));
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error('ClamAV scan timed out')));
+      socket.on('data', (chunk) => chunks.push(chunk));
+      socket.on('end', onReply);
+      socket.on('close', onReply);
+      socket.on('error', onError);
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+
+          // Each chunk goes as a 4-byte big-endian length and the bytes; a zero length ends the stream
+          for await (const chunk of stream) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            // clamd may hang up mid-stream (e.g. past its StreamMaxLength); the reply or error settles the scan
+            if (!socket.write(Buffer.concat([size, chunk])) && !(await drained(socket))) {
+              return;
+            }
+          }
+          socket.write(Buffer.alloc(4));
+        } catch (error) {
+          onError(error);
+        }
+      });
+    });
+  }
+}
+
+// Scanner configured by CLAMAV_SOCKET or CLAMAV_HOST (and CLAMAV_PORT), or null when neither is set
+export const createScanner = (env = process.env) => {
+  const timeoutMs = (parseInt(env.CLAMAV_TIMEOUT_SECONDS) || 60) * 1000;
+
+  if (env.CLAMAV_SOCKET) {
+    return new ClamAVScanner({ socketPath: env.CLAMAV_SOCKET, timeoutMs });
+  }
+  if (env.CLAMAV_HOST) {
+    return new ClamAVScanner({ host: env.CLAMAV_HOST, port: parseInt(env.CLAMAV_PORT) || 3310, timeoutMs });
+  }
+
+  return null;
+};
@@ -0,0 +1,98 @@
+import path from 'path';
+
+// What a file's first bytes say it is. Office Open XML files (.xlsx, .docx)
+// are ZIP archives, so they detect as 'zip' here; services/fileInspection.js
+// tells them apart by the archive's entries.
+const SIGNATURES = [
+  { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'zip', bytes: [0x50, 0x4b, 0x05, 0x06] }, // Empty archive
+  { type: 'ole', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }, // Legacy Office (.xls, .doc)
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { type: 'executable', bytes: [0x4d, 0x5a] }, // MZ: Windows PE
+  { type: 'executable', bytes: [0x7f, 0x45, 0x4c, 0x46] }, // ELF
+  { type: 'executable', bytes: [0xfe, 0xed, 0xfa, 0xce] }, // Mach-O
+  { type: 'executable', bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+  { type: 'executable', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { type: 'executable', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: 'executable', bytes: [0xca, 0xfe, 0xba, 0xbe] }, // Mach-O universal (also Java classes)
+  { type: 'executable', bytes: [0x23, 0x21] } // #! script
+];
+
+// Detected type each accepted extension must have. Its keys are the file
+// types accepted anywhere a file is uploaded (DELIVERABLE_EXTENSIONS)
+export const EXTENSION_TYPES = {
+  '.pdf': 'pdf',
+  '.zip': 'zip',
+  '.xlsx': 'xlsx',
+  '.docx': 'docx',
+  '.xls': 'ole',
+  '.doc': 'ole',
+  '.csv': 'text',
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.gif': 'gif'
+};
+
+export const DELIVERABLE_EXTENSIONS = Object.keys(EXTENSION_TYPES);
+
+// Content type stored for each accepted extension, instead of the one the client sent
+export const EXTENSION_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.doc': 'application/msword',
+  '.csv': 'text/csv',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif'
+};
+
+// Extensions that run when opened, rejected inside ZIP archives
+export const EXECUTABLE_EXTENSIONS = [
+  '.exe', '.dll', '.com', '.scr', '.msi', '.msp', '.bat', '.cmd', '.ps1', '.psm1', '.vbs', '.vbe',
+  '.js', '.jse', '.wsf', '.wsh', '.hta', '.cpl', '.lnk', '.jar', '.sh', '.app', '.apk', '.dmg', '.pkg',
+  '.reg', '.scf', '.pif'
+];
+
+// Text if there are no NUL bytes and it decodes as UTF-8 (ignoring a character cut off at the end)
+const isText = (head) => {
+  if (head.length === 0 || head.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, Math.max(head.length - 3, 1)));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Type of a file from its first bytes ('pdf', 'zip', 'executable', 'text', ...), or null if unrecognized
+export const detectFileType = (head) => {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => head[i] === byte));
+
+  if (match) {
+    return match.type;
+  }
+
+  return isText(head) ? 'text' : null;
+};
+
+// The type a file's name says it should be, with .xlsx and .docx as the ZIPs they are
+export const expectedMagicType = (fileName) => {
+  const type = EXTENSION_TYPES[path.extname(fileName).toLowerCase()];
+  return type === 'xlsx' || type === 'docx' ? 'zip' : type || null;
+};
+
+// Whether a file's first bytes are what its extension says
+export const contentMatchesExtension = (fileName, head) => {
+  const expected = expectedMagicType(fileName);
+  return expected !== null && detectFileType(head) === expected;
+};
@@ -0,0 +1,220 @@
+import zlib from 'zlib';
+
+// A4 in points (1/72 inch)
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths (1/1000 em) for characters 32-126, from the standard Helvetica AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS, fallbackWidth: 556 },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS, fallbackWidth: 611 },
+};
+
+// WinAnsiEncoding code points for the characters outside Latin-1 that invoices commonly use
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+// Encode text as WinAnsi bytes; anything the standard fonts cannot show becomes '?'
+const encodeText = (text) => {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      bytes.push(code);
+    } else {
+      bytes.push(0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Minimal PDF writer for generated documents such as invoices: text in the
+ * built-in Helvetica fonts, lines and multiple A4 pages, with no external
+ * dependencies. Coordinates are in points from the top-left corner.
+ */
+class PdfDocument {
+  constructor({ title = null, width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}) {
+    this.title = title;
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  get currentPage() {
+    return this.pages[this.pages.length - 1];
+  }
+
+  // Width of a string in points; characters without metrics use an average width
+  widthOf(text, { size = 10, font = 'regular' } = {}) {
+    const { widths, fallbackWidth } = FONTS[font];
+    let units = 0;
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      units += code >= 32 && code <= 126 ? widths[code - 32] : fallbackWidth;
+    }
+    return (units * size) / 1000;
+  }
+
+  // Split text into lines no wider than `width`, breaking on spaces where possible
+  wrapText(text, width, options = {}) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || this.widthOf(candidate, options) <= width) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines.length > 0 ? lines : [''];
+  }
+
+  /**
+   * Draw text with its baseline at y. With align 'right' or 'center', x is the
+   * right edge or the center of the text.
+   */
+  text(text, x, y, { size = 10, font = 'regular', align = 'left', color = null } = {}) {
+    let left = x;
+    if (align === 'right') {
+      left = x - this.widthOf(text, { size, font });
+    } else if (align === 'center') {
+      left = x - this.widthOf(text, { size, font }) / 2;
+    }
+
+    const fill = color ? `${color.map(formatNumber).join(' ')} rg ` : '';
+    this.currentPage.push(
+      `BT ${fill}/${FONTS[font].resource} ${formatNumber(size)} Tf ${formatNumber(left)} ${formatNumber(
+        this.height - y
+      )} Td <${encodeText(text).toString('hex')}> Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color = null } = {}) {
+    const stroke = color ? `${color.map(formatNumber).join(' ')} RG ` : '';
+    this.currentPage.push(
+      `q ${stroke}${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(
+        x2
+      )} ${formatNumber(this.height - y2)} l S Q`
+    );
+    return this;
+  }
+
+  // Serialize the document to a PDF 1.4 file
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {};
+    for (const [name, font] of Object.entries(FONTS)) {
+      fontIds[name] = addObject(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+      );
+    }
+    const fontResources = Object.entries(FONTS)
+      .map(([name, font]) => `/${font.resource} ${fontIds[name]} 0 R`)
+      .join(' ');
+
+    const pageIds = this.pages.map((operations) => {
+      const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contentId = addObject(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+          content,
+          Buffer.from('\nendstream', 'latin1'),
+        ])
+      );
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(
+          this.height
+        )}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(' ')}] /Count ${pageIds.length} >>`;
+
+    const infoId = this.title
+      ? addObject(`<< /Title <${encodeText(this.title).toString('hex')}> >>`)
+      : null;
+
+    // Binary comment line marks the file as binary for transfer tools
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1'),
+      ]);
+      offsets.push(offset);
+      offset += chunk.length;
+      chunks.push(chunk);
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map((value) => `${String(value).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      '',
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+export default PdfDocument;
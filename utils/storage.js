@@ -0,0 +1,384 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { uploadsDir } from './uploads.js';
+
+// Error raised for storage keys that would escape the storage root or failed storage requests
+export class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+const md5 = (data) => crypto.createHash('md5').update(data).digest('hex');
+
+/**
+ * Files kept on local disk under `root` (the uploads directory by default).
+ * Keys are relative paths such as "deliverables/12/<uuid>.pdf".
+ *
+ * Both drivers also take a file in parts (createMultipart, putPart,
+ * completeMultipart, abortMultipart) so large uploads never have to be held
+ * in memory whole. Locally the parts are kept under multipart/<uploadId>/ and
+ * joined by streaming them into the final file.
+ */
+export class LocalStorage {
+  constructor(root = uploadsDir) {
+    this.root = path.resolve(root);
+  }
+
+  // Absolute path for a key; throws if the key would escape the root
+  resolve(key) {
+    const resolved = path.resolve(this.root, key);
+
+    if (!resolved.startsWith(this.root + path.sep)) {
+      throw new StorageError(`Invalid storage key: ${key}`, 400);
+    }
+
+    return resolved;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, data);
+    return key;
+  }
+
+  // File contents, or null if there is no such file
+  async get(key) {
+    try {
+      return await fsp.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Readable stream of the file, or null if there is no such file
+  async getStream(key) {
+    const stats = await this.stat(key);
+    return stats ? fs.createReadStream(this.resolve(key)) : null;
+  }
+
+  // Up to `length` bytes starting at `start` (fewer past the end of the file), or null if there is no such file
+  async getRange(key, start, length) {
+    let handle;
+    try {
+      handle = await fsp.open(this.resolve(key), 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, start);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // { size, lastModified }, or null if there is no such file
+  async stat(key) {
+    try {
+      const stats = await fsp.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Returns false if there was nothing to delete
+  async delete(key) {
+    try {
+      await fsp.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async createMultipart() {
+    return crypto.randomUUID();
+  }
+
+  partKey(uploadId, partNumber) {
+    return `multipart/${uploadId}/${partNumber}`;
+  }
+
+  // Store (or replace) one part; returns its ETag
+  async putPart(key, uploadId, partNumber, data) {
+    await this.put(this.partKey(uploadId, partNumber), data);
+    return { etag: md5(data) };
+  }
+
+  // Join `parts` ([{ partNumber }], in order) into the file at `key`
+  async completeMultipart(key, uploadId, parts) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    const output = fs.createWriteStream(filePath);
+    try {
+      for (const { partNumber } of parts) {
+        for await (const chunk of fs.createReadStream(this.resolve(this.partKey(uploadId, partNumber)))) {
+          if (!output.write(chunk)) {
+            await once(output, 'drain');
+          }
+        }
+      }
+      output.end();
+      await once(output, 'close');
+    } catch (error) {
+      // Don't leave a truncated file behind
+      output.destroy();
+      await fsp.rm(filePath, { force: true });
+      throw error;
+    }
+
+    await this.abortMultipart(key, uploadId);
+    return key;
+  }
+
+  async abortMultipart(key, uploadId) {
+    await fsp.rm(this.resolve(`multipart/${uploadId}`), { recursive: true, force: true });
+  }
+
+  // Every file whose key starts with `prefix` (a directory, e.g. "temp/")
+  async list(prefix) {
+    const dir = this.resolve(prefix);
+    let names;
+
+    try {
+      names = await fsp.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names) {
+      const key = path.posix.join(prefix, name);
+      const stats = await this.stat(key);
+      if (stats) {
+        files.push({ key, ...stats });
+      }
+    }
+    return files;
+  }
+}
+
+/**
+ * Files kept in an S3-compatible bucket (AWS S3, MinIO, R2, ...), through the
+ * AWS SDK. `forcePathStyle` addresses the bucket as http://endpoint/bucket/key,
+ * which MinIO and most self-hosted stores need.
+ */
+export class S3Storage {
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true }, client = null) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new StorageError('S3 storage needs an endpoint, bucket and access keys');
+    }
+
+    this.bucket = bucket;
+    this.client =
+      client ||
+      new S3Client({
+        endpoint,
+        region,
+        forcePathStyle,
+        credentials: { accessKeyId, secretAccessKey },
+        // Only the checksums S3 requires; not every S3-compatible store supports the newer ones
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+      });
+  }
+
+  /**
+   * Send a command, returning null instead of failing if the response status
+   * is one of `allowed`; other failures are thrown as a StorageError.
+   */
+  async send(operation, key, command, allowed = []) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      const status = error.$metadata?.httpStatusCode;
+
+      if (allowed.includes(status)) {
+        return null;
+      }
+
+      throw new StorageError(`S3 ${operation} ${key} failed${status ? ` with status ${status}` : ''} (${error.name})`, 502);
+    }
+  }
+
+  async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+    await this.send(
+      'PutObject',
+      key,
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: Buffer.isBuffer(data) ? data : Buffer.from(data),
+        ContentType: contentType
+      })
+    );
+    return key;
+  }
+
+  async get(key) {
+    const response = await this.send('GetObject', key, new GetObjectCommand({ Bucket: this.bucket, Key: key }), [404]);
+    return response ? Buffer.from(await response.Body.transformToByteArray()) : null;
+  }
+
+  async getStream(key) {
+    const response = await this.send('GetObject', key, new GetObjectCommand({ Bucket: this.bucket, Key: key }), [404]);
+    return response ? response.Body : null;
+  }
+
+  async getRange(key, start, length) {
+    if (length <= 0) {
+      return Buffer.alloc(0);
+    }
+
+    // 416: the range starts past the end of the object
+    const response = await this.send(
+      'GetObject',
+      key,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key, Range: `bytes=${start}-${start + length - 1}` }),
+      [404, 416]
+    );
+
+    if (!response) {
+      return (await this.stat(key)) ? Buffer.alloc(0) : null;
+    }
+
+    // A server that ignores Range sends the whole object
+    const data = Buffer.from(await response.Body.transformToByteArray());
+    return response.$metadata.httpStatusCode === 200 ? data.subarray(start, start + length) : data;
+  }
+
+  async stat(key) {
+    const response = await this.send('HeadObject', key, new HeadObjectCommand({ Bucket: this.bucket, Key: key }), [404]);
+    return response ? { size: response.ContentLength, lastModified: response.LastModified } : null;
+  }
+
+  // S3 doesn't say whether the object existed, so this checks first
+  async delete(key) {
+    if (!(await this.stat(key))) {
+      return false;
+    }
+
+    await this.send('DeleteObject', key, new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    return true;
+  }
+
+  async createMultipart(key, { contentType = 'application/octet-stream' } = {}) {
+    const response = await this.send(
+      'CreateMultipartUpload',
+      key,
+      new CreateMultipartUploadCommand({ Bucket: this.bucket, Key: key, ContentType: contentType })
+    );
+    return response.UploadId;
+  }
+
+  async putPart(key, uploadId, partNumber, data) {
+    const response = await this.send(
+      'UploadPart',
+      key,
+      new UploadPartCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId, PartNumber: partNumber, Body: data })
+    );
+    return { etag: response.ETag };
+  }
+
+  // `parts` is [{ partNumber, etag }] in order
+  async completeMultipart(key, uploadId, parts) {
+    await this.send(
+      'CompleteMultipartUpload',
+      key,
+      new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts.map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag })) }
+      })
+    );
+    return key;
+  }
+
+  // An upload that's already gone (404) has nothing left to abort
+  async abortMultipart(key, uploadId) {
+    await this.send(
+      'AbortMultipartUpload',
+      key,
+      new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId }),
+      [404]
+    );
+  }
+
+  async list(prefix) {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const response = await this.send(
+        'ListObjectsV2',
+        prefix,
+        new ListObjectsV2Command({ Bucket: this.bucket, Prefix: prefix, ContinuationToken: continuationToken })
+      );
+
+      for (const object of response.Contents || []) {
+        files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+}
+
+// Storage driver picked by STORAGE_DRIVER ("local", the default, or "s3")
+export const createStorage = (env = process.env) => {
+  if (env.STORAGE_DRIVER === 's3') {
+    return new S3Storage({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+    });
+  }
+
+  return new LocalStorage();
+};
+
+export const storage = createStorage();
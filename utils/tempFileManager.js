@@ -1,25 +1,12 @@
-import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { storage } from './storage.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Temp files live under this prefix in the configured storage
+const TEMP_PREFIX = 'temp/';
 
 class TempFileManager {
-  constructor() {
-    // Create temp directory in server root
-    this.tempDir = path.join(__dirname, '..', 'temp');
-    // this.tempDir = '/tmp';
-    this.ensureTempDir();
-  }
-
-  async ensureTempDir() {
-    try {
-      await fs.access(this.tempDir);
-    } catch {
-      await fs.mkdir(this.tempDir, { recursive: true });
-      console.log('📁 Created temp directory:', this.tempDir);
-    }
+  constructor(store = storage) {
+    this.storage = store;
   }
 
   // Generate unique filename with timestamp
@@ -33,28 +20,31 @@ class TempFileManager {
 
   // Save file temporarily
   async saveTemp(fileBuffer, originalName) {
-    await this.ensureTempDir();
-    
     const tempFileName = this.generateTempFileName(originalName);
-    const tempFilePath = path.join(this.tempDir, tempFileName);
-    
-    await fs.writeFile(tempFilePath, fileBuffer);
-    
+    const tempKey = `${TEMP_PREFIX}${tempFileName}`;
+
+    await this.storage.put(tempKey, fileBuffer);
+
     console.log('💾 Temp file saved:', tempFileName);
-    
+
     return {
-      tempPath: tempFilePath,
+      tempKey,
       tempFileName,
       originalName
     };
   }
 
+  // Read a temp file's contents (null if it's gone)
+  async readTemp(tempKey) {
+    return this.storage.get(tempKey);
+  }
+
   // Delete specific temp file
-  async deleteTemp(tempPath) {
+  async deleteTemp(tempKey) {
     try {
-      await fs.unlink(tempPath);
-      console.log('🗑️ Temp file deleted:', path.basename(tempPath));
-      return true;
+      const deleted = await this.storage.delete(tempKey);
+      console.log('🗑️ Temp file deleted:', path.basename(tempKey));
+      return deleted;
     } catch (error) {
       console.error('❌ Failed to delete temp file:', error.message);
       return false;
@@ -64,26 +54,22 @@ class TempFileManager {
   // Clean up old temp files (older than 1 hour)
   async cleanupOldFiles() {
     try {
-      await this.ensureTempDir();
-      const files = await fs.readdir(this.tempDir);
+      const files = await this.storage.list(TEMP_PREFIX);
       const oneHourAgo = Date.now() - (60 * 60 * 1000);
-      
+
       let deletedCount = 0;
-      
+
       for (const file of files) {
-        const filePath = path.join(this.tempDir, file);
-        const stats = await fs.stat(filePath);
-        
-        if (stats.mtime.getTime() < oneHourAgo) {
-          await this.deleteTemp(filePath);
+        if (file.lastModified.getTime() < oneHourAgo) {
+          await this.deleteTemp(file.key);
           deletedCount++;
         }
       }
-      
+
       if (deletedCount > 0) {
         console.log(`🧹 Cleaned up ${deletedCount} old temp files`);
       }
-      
+
       return deletedCount;
     } catch (error) {
       console.error('❌ Cleanup failed:', error.message);
@@ -94,14 +80,12 @@ class TempFileManager {
   // Clean all temp files
   async cleanupAll() {
     try {
-      await this.ensureTempDir();
-      const files = await fs.readdir(this.tempDir);
-      
+      const files = await this.storage.list(TEMP_PREFIX);
+
       for (const file of files) {
-        const filePath = path.join(this.tempDir, file);
-        await this.deleteTemp(filePath);
+        await this.deleteTemp(file.key);
       }
-      
+
       console.log(`🧹 Cleaned up all temp files (${files.length} files)`);
       return files.length;
     } catch (error) {
@@ -111,18 +95,11 @@ class TempFileManager {
   }
 
   // Get temp file info
-  async getTempFileInfo(tempPath) {
-    try {
-      const stats = await fs.stat(tempPath);
-      return {
-        exists: true,
-        size: stats.size,
-        created: stats.birthtime,
-        modified: stats.mtime
-      };
-    } catch {
-      return { exists: false };
-    }
+  async getTempFileInfo(tempKey) {
+    const stats = await this.storage.stat(tempKey);
+    return stats
+      ? { exists: true, size: stats.size, modified: stats.lastModified }
+      : { exists: false };
   }
 }
 
@@ -0,0 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Root of the local storage driver (see utils/storage.js). UPLOAD_DIR is
+// relative to the app unless absolute; it must be on a disk that outlives the
+// process, as deliverables are kept there.
+export const uploadsDir = path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads');
+
+// Create the uploads directory if it doesn't exist
+export const ensureUploadsDir = () => {
+  try {
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+    }
+  } catch (error) {
+    console.warn('⚠️  Could not create uploads directory:', error.message);
+    console.warn('   File uploads may not work properly');
+  }
+};